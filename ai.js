@@ -1,256 +1,870 @@
 // Live Recipe AI - AI Module
-// Handles Gemini API calls and AI interactions
+// Handles AI provider calls and AI interactions
 
 class AIManager {
     constructor() {
-        this.apiKey = null;
-        this.model = 'gemini-1.5-pro';
-        this.baseURL = 'https://generativelanguage.googleapis.com/v1beta/models/';
+        this.provider = null;
         this.maxRetries = 3;
         this.requestTimeout = 30000;
+        this.streamIdleTimeout = 15000; // Longest gap between streamed chunks before the reply counts as stalled
+        this.streamingEnabled = true;
         this.isInitialized = false;
         
+        // Context budget (estimated tokens)
+        this.contextBudget = 8000; // Whole request: system instruction, history and the new message
+        this.historyTokenLimit = 3000; // Above this the older history is folded into a summary
+        this.recentTokenLimit = 1500; // Recent history kept word for word when summarizing
+        this.summarizing = false;
+        
+        // Retry backoff (ms)
+        this.retryBaseDelay = 1000;
+        this.retryMaxDelay = 20000;
+        this.maxRetryAfter = 30000; // Give up instead of waiting longer than this for a rate limit
+        
+        // Circuit breaker: after repeated outages stop calling the AI for a while (offline mode)
+        this.circuit = { state: 'closed', failures: 0, openedAt: 0 };
+        this.circuitThreshold = 3; // Consecutive failed calls before going offline
+        this.circuitCooldown = 60000; // Time before one trial call is let through (ms)
+        
+        // Replies cut off at the token limit
+        this.maxContinuations = 2; // Follow-up calls to finish a cut-off reply
+        this.maxOutputTokensLimit = 8192; // Ceiling when a cut-off JSON reply is asked for again with more room
+        this.continuePrompt = 'Continue exactly where you stopped. Do not repeat anything you already said.';
+        
+        // Structured answer for "is this step's checkpoint met?"
+        this.checkpointSchema = {
+            type: 'OBJECT',
+            properties: {
+                status: { type: 'STRING', enum: ['met', 'not_yet', 'problem'] },
+                reason: { type: 'STRING', description: 'What the food looks like now, one short sentence in the reply language' },
+                advice: { type: 'STRING', description: 'What to do next, one short sentence in the reply language' }
+            },
+            required: ['status', 'reason']
+        };
+        
+        // Structured answer for "what can I use instead of this ingredient?"
+        this.substitutionSchema = {
+            type: 'OBJECT',
+            properties: {
+                options: {
+                    type: 'ARRAY',
+                    items: {
+                        type: 'OBJECT',
+                        properties: {
+                            ingredients: {
+                                type: 'ARRAY',
+                                items: {
+                                    type: 'OBJECT',
+                                    properties: {
+                                        name: { type: 'STRING' },
+                                        quantity: { type: 'STRING' },
+                                        unit: { type: 'STRING' }
+                                    },
+                                    required: ['name', 'quantity', 'unit']
+                                }
+                            },
+                            text: { type: 'STRING', description: 'How the steps should name the replacement, in English' },
+                            note: { type: 'STRING', description: 'How to prepare it, one short sentence in the reply language' }
+                        },
+                        required: ['ingredients', 'text']
+                    }
+                }
+            },
+            required: ['options']
+        };
+        
         this.init();
     }
     
-    // Initialize AI module
+    // Initialize AI module (run again when the key or proxy is changed in Settings)
     init() {
-        // Check for API key
-        if (typeof CONFIG !== 'undefined' && CONFIG.GEMINI_API_KEY) {
-            this.apiKey = CONFIG.GEMINI_API_KEY;
-            this.model = CONFIG.GEMINI_MODEL || this.model;
-            this.maxRetries = CONFIG.MAX_RETRIES || this.maxRetries;
-            this.requestTimeout = CONFIG.REQUEST_TIMEOUT || this.requestTimeout;
+        const config = this.getConfig();
+        const providerName = this.getProviderName(config);
+        
+        this.isInitialized = false;
+        this.circuit = { state: 'closed', failures: 0, openedAt: 0 };
+        AppState.setAIDegraded(false);
+        
+        // Pick provider from config (Gemini unless AI_PROVIDER says otherwise)
+        if (typeof window.createAIProvider === 'function') {
+            this.provider = window.createAIProvider(config);
+        } else {
+            console.error('AI providers module not loaded');
+        }
+        
+        // Check provider has what it needs (API key for hosted providers)
+        if (this.provider && this.provider.isConfigured()) {
+            this.maxRetries = config.MAX_RETRIES || this.maxRetries;
+            this.requestTimeout = config.REQUEST_TIMEOUT || this.requestTimeout;
+            this.streamIdleTimeout = config.STREAM_IDLE_TIMEOUT || this.streamIdleTimeout;
+            this.streamingEnabled = config.STREAM_RESPONSES !== false;
+            this.contextBudget = config.CONTEXT_TOKEN_BUDGET || this.contextBudget;
+            this.historyTokenLimit = config.CONTEXT_HISTORY_TOKENS || this.historyTokenLimit;
+            this.recentTokenLimit = config.CONTEXT_RECENT_TOKENS || this.recentTokenLimit;
+            this.circuitThreshold = config.CIRCUIT_FAILURE_THRESHOLD || this.circuitThreshold;
+            this.circuitCooldown = config.CIRCUIT_COOLDOWN || this.circuitCooldown;
+            this.maxContinuations = config.MAX_CONTINUATIONS ?? this.maxContinuations;
             
             this.isInitialized = true;
-            this.updateAIStatus(true, 'Connected');
-            console.log('AI Manager initialized with API key');
+            this.updateAIStatus(true, I18n.t('status.connected'));
+            console.log(`AI Manager initialized with ${this.provider.name} provider${this.provider.proxied ? ' (via proxy)' : ''}`);
+        } else if (KeyStore.isLocked(providerName)) {
+            this.updateAIStatus(false, I18n.t('ai_status.key_locked'));
+            console.warn('Saved API key is encrypted; unlock it in Settings');
+            this.showAPIKeyError(true);
         } else {
-            this.updateAIStatus(false, 'No API Key');
-            console.warn('No API key found. Please add your Google AI Studio API key to config.js');
+            this.updateAIStatus(false, I18n.t('ai_status.no_key'));
+            console.warn('No API key found. Add one in Settings');
             
             // Show helpful error
             this.showAPIKeyError();
         }
     }
     
+    // CONFIG merged with what was entered in Settings (saved key, proxy URL)
+    getConfig() {
+        const config = { ...(typeof CONFIG !== 'undefined' ? CONFIG : {}) };
+        const providerName = this.getProviderName(config);
+        
+        const savedKey = KeyStore.getKey(providerName);
+        if (savedKey && KeyStore.configKeys[providerName]) {
+            config[KeyStore.configKeys[providerName]] = savedKey;
+        }
+        
+        if (AppState.preferences.aiProxyUrl) {
+            config.AI_PROXY_URL = AppState.preferences.aiProxyUrl;
+        }
+        
+        return config;
+    }
+    
+    // Provider named in config
+    getProviderName(config) {
+        return (config.AI_PROVIDER || 'gemini').toLowerCase();
+    }
+    
     // Generate text response from AI
-    async generateResponse(userMessage, imageData = null) {
-        if (!this.isInitialized || !this.apiKey) {
-            throw new Error('AI not initialized. Please check API key.');
+    // Pass { stream: true, onPartial, onSentence } to receive text while it is generated,
+    // or { responseSchema } to request JSON matching a schema.
+    // Images get the current step's vision instruction unless { visionInstruction: false } is passed.
+    // Replies cut off at the token limit are continued, and a safety-blocked message is retried once rephrased.
+    // { background: true } sends a single-turn request instead (no persona, summary or history),
+    // with no continuation, cut-short note or rephrased retry, for checks the user didn't ask for.
+    async generateResponse(userMessage, imageData = null, options = {}) {
+        if (!this.isInitialized || !this.provider) {
+            throw new AuthError('AI not initialized', { userMessage: I18n.t('error.not_initialized') });
+        }
+        
+        // Offline mode: fail fast until the cooldown lets a trial call through
+        if (!this.canAttempt()) {
+            throw new CircuitOpenError();
         }
         
         // Update status
-        this.updateAIStatus(true, 'Thinking...');
+        if (!options.background) {
+            this.updateAIStatus(true, I18n.t('status.thinking'));
+        }
         
         try {
             // Prepare messages
-            const messages = this.prepareMessages(userMessage, imageData);
+            const context = options.background ?
+                this.prepareBackgroundMessages(userMessage, imageData) :
+                this.prepareMessages(userMessage, imageData, options.visionInstruction, options.rephrasedFrom);
+            const requestOptions = {
+                ...options,
+                systemInstruction: context.systemInstruction,
+                holdUnfinished: this.maxContinuations > 0 && !options.responseSchema && !options.background
+            };
             
             // Make API call
-            const response = await this.callGeminiAPI(messages);
+            let reply = await this.requestResponse(context.messages, requestOptions);
+            this.recordUsage(context.estimatedTokens, reply);
+            
+            // Background checks take what fits in their token limit
+            if (options.background) {
+                this.recordSuccess();
+                return reply.text;
+            }
+            
+            // Finish a reply that ran out of tokens
+            reply = await this.completeTruncated(context, reply, requestOptions);
             
             // Update status
-            this.updateAIStatus(true, 'Connected');
+            this.recordSuccess();
+            this.updateAIStatus(true, I18n.t('status.connected'));
             
-            return response;
+            // Tell the user when a chat reply is still incomplete
+            if (['max_tokens', 'safety', 'recitation'].includes(reply.finishReason) && !options.responseSchema) {
+                this.noteCutShort(reply.finishReason);
+            }
             
-        } catch (error) {
-            this.updateAIStatus(true, 'Error');
+            // Fold old turns into the summary if the history has grown too long
+            this.compactHistory();
+            
+            return reply.text;
+        
+        } catch (rawError) {
+            const error = classifyAIError(rawError);
+            this.recordFailure(error);
+            
+            // Knives, alcohol or raw meat sometimes trip the filters; ask once more as a plain cooking question
+            if (error.type === 'safety' && !options.rephrasedFrom && !options.background) {
+                console.warn(`Reply blocked (${error.reason || 'safety'}), retrying rephrased`);
+                this.updateAIStatus(true, I18n.t('ai_status.rephrasing'));
+                return this.generateResponse(this.rephraseForSafety(userMessage), imageData, {
+                    ...options,
+                    rephrasedFrom: userMessage
+                });
+            }
+            
+            if (this.circuit.state !== 'open') {
+                this.updateAIStatus(true, error.statusLabel);
+            }
             throw error;
         }
     }
     
-    // Prepare messages for API call
-    prepareMessages(userMessage, imageData) {
-        // Start with system prompt
-        const messages = [
-            {
-                role: 'user',
-                parts: [{ text: AppState.getSystemPrompt() }]
-            },
-            {
-                role: 'model',
-                parts: [{ text: 'Understood. I am ChefMate, your kitchen assistant. I will guide you step by step in friendly Hinglish.' }]
+    // Send one request, streamed if asked for; resolves to the provider's { text, finishReason, usage }
+    requestResponse(messages, options) {
+        return options.stream && this.streamingEnabled ?
+            this.callProviderStreamAPI(messages, options) :
+            this.callProviderAPI(messages, 0, options);
+    }
+    
+    // Finish a reply that stopped at the token limit
+    // Text is continued in follow-up calls; JSON is asked for again with more room, since half an object can't be continued
+    async completeTruncated(context, reply, options) {
+        let { text, finishReason } = reply;
+        let callOptions = options;
+        
+        for (let attempt = 1; attempt <= this.maxContinuations && finishReason === 'max_tokens'; attempt++) {
+            if (options.responseSchema) {
+                const current = callOptions.maxOutputTokens || this.provider.generationConfig.maxOutputTokens;
+                const maxOutputTokens = Math.min(this.maxOutputTokensLimit, current * 2);
+                if (maxOutputTokens <= current) break;
+                
+                console.log(`Reply hit the token limit, asking again with ${maxOutputTokens} tokens`);
+                callOptions = { ...callOptions, maxOutputTokens };
+                const retry = await this.requestResponse(context.messages, callOptions);
+                this.recordUsage(context.estimatedTokens, retry);
+                ({ text, finishReason } = retry);
+                continue;
             }
-        ];
+            
+            console.log(`Reply hit the token limit, continuing (${attempt}/${this.maxContinuations})`);
+            const soFar = text;
+            const messages = [
+                ...context.messages,
+                { role: 'model', parts: [{ text: soFar }] },
+                { role: 'user', parts: [{ text: this.continuePrompt }] }
+            ];
+            
+            // Streamed text keeps growing in the same chat bubble; the held-back half sentence is finished first
+            callOptions = {
+                ...callOptions,
+                holdUnfinished: attempt < this.maxContinuations,
+                onPartial: options.onPartial ? partial => options.onPartial(this.joinContinuation(soFar, partial)) : null
+            };
+            
+            const more = await this.requestResponse(messages, callOptions);
+            this.recordUsage(context.estimatedTokens + ContextBuilder.estimateTokens(soFar), more);
+            text = this.joinContinuation(soFar, more.text);
+            finishReason = more.finishReason;
+        }
+        
+        if (!text.trim()) {
+            throw new MalformedResponseError();
+        }
+        return { text, finishReason };
+    }
+    
+    // Join a continuation onto the text before it (both come back trimmed)
+    joinContinuation(text, more) {
+        if (!text || !more) return text + more;
+        return /\s$/.test(text) || /^[\s.,;:!?।)\]]/.test(more) ? text + more : `${text} ${more}`;
+    }
+    
+    // Same message framed as the cooking question it is, for a second try after a safety block
+    rephraseForSafety(userMessage) {
+        return `I am cooking at home and this is a question about preparing food safely. Answer only the cooking part, in your own words: ${userMessage}`;
+    }
+    
+    // Add a note to the chat that the reply is incomplete and why
+    noteCutShort(finishReason) {
+        console.warn(`Reply cut short: ${finishReason}`);
+        AppState.addToConversation('system', I18n.t(`ai.cut_short_${finishReason}`));
+    }
+    
+    // Whether a call may go out now; after the cooldown one trial call is let through
+    canAttempt() {
+        if (this.circuit.state !== 'open') return true;
+        
+        if (Date.now() - this.circuit.openedAt >= this.circuitCooldown) {
+            this.circuit.state = 'half-open';
+            return true;
+        }
+        return false;
+    }
+    
+    // Whether the AI can be used right now (configured and not in offline mode)
+    isAvailable() {
+        return this.isInitialized &&
+            (this.circuit.state !== 'open' || Date.now() - this.circuit.openedAt >= this.circuitCooldown);
+    }
+    
+    // A call went through: leave offline mode
+    recordSuccess() {
+        if (this.circuit.state !== 'closed') {
+            console.log('AI reachable again, leaving offline mode');
+            AppState.setAIDegraded(false);
+        }
+        this.circuit = { state: 'closed', failures: 0, openedAt: 0 };
+    }
+    
+    // A call failed: count outages (not safety blocks or bad requests) toward offline mode
+    recordFailure(error) {
+        if (!error.outage) return;
+        
+        this.circuit.failures++;
         
-        // Add conversation history
-        if (AppState.aiContext.messages.length > 0) {
-            messages.push(...AppState.aiContext.messages);
+        // A bad key won't fix itself, and a failed trial call means we're still down
+        if (error.type === 'auth' || this.circuit.state === 'half-open' || this.circuit.failures >= this.circuitThreshold) {
+            this.openCircuit(error);
         }
+    }
+    
+    // Stop calling the AI for a while
+    openCircuit(error) {
+        const wasOpen = this.circuit.state !== 'closed';
+        this.circuit.state = 'open';
+        this.circuit.openedAt = Date.now();
         
+        console.warn(`AI offline mode (${error.type}): next try in ${this.circuitCooldown / 1000}s`);
+        this.updateAIStatus(false, I18n.t('ai_status.offline'));
+        
+        if (!wasOpen) {
+            AppState.setAIDegraded(true, error.userMessage);
+        }
+    }
+    
+    // Prepare messages for API call
+    // Returns { systemInstruction, messages, estimatedTokens, droppedMessages }
+    // originalMessage is the history entry a rephrased message stands in for
+    prepareMessages(userMessage, imageData, visionInstruction = null, originalMessage = null) {
         // Add current user message
         const userMessageParts = [{ text: userMessage }];
         
         // Add image if provided
         if (imageData) {
-            userMessageParts.push({
-                inline_data: {
-                    mime_type: 'image/jpeg',
-                    data: imageData.split(',')[1] // Remove data:image/jpeg;base64, prefix
-                }
-            });
+            userMessageParts.push(this.imagePart(imageData));
             
-            // Add vision context instruction
-            userMessageParts.push({
-                text: "Please analyze this image of the cooking. Look for obvious issues like burning, undercooking, wrong consistency, or safety concerns. Give a brief, helpful suggestion if something needs correction."
-            });
+            // Add vision context instruction (callers with their own image prompt pass false)
+            if (visionInstruction !== false) {
+                userMessageParts.push({
+                    text: visionInstruction || this.getVisionInstruction()
+                });
+            }
         }
         
-        messages.push({
-            role: 'user',
-            parts: userMessageParts
+        // System prompt, pinned facts and summary, then as much recent history as the budget allows
+        const context = ContextBuilder.build({
+            systemPrompt: AppState.getSystemPrompt(),
+            pinnedFacts: AppState.getPinnedFacts(),
+            summary: AppState.aiContext.summary,
+            history: AppState.aiContext.messages,
+            currentParts: userMessageParts,
+            originalText: originalMessage,
+            budget: this.contextBudget
         });
         
-        return messages;
+        if (context.droppedMessages) {
+            console.log(`Context budget: left out ${context.droppedMessages} older messages`);
+        }
+        
+        return context;
     }
     
-    // Call Gemini API
-    async callGeminiAPI(messages, retryCount = 0) {
-        const url = `${this.baseURL}${this.model}:generateContent?key=${this.apiKey}`;
+    // Just the message (and image), without system prompt, summary or history
+    prepareBackgroundMessages(userMessage, imageData) {
+        const parts = [{ text: userMessage }];
+        if (imageData) {
+            parts.push(this.imagePart(imageData));
+        }
         
-        const requestBody = {
-            contents: messages,
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 500,
-                stopSequences: []
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
+        const messages = [{ role: 'user', parts }];
+        return { systemInstruction: null, messages, estimatedTokens: ContextBuilder.estimateMessages(messages) };
+    }
+    
+    // Message part for a captured JPEG data URL
+    imagePart(imageData) {
+        return {
+            inline_data: {
+                mime_type: 'image/jpeg',
+                data: imageData.split(',')[1] // Remove data:image/jpeg;base64, prefix
+            }
         };
+    }
+    
+    // Add a call's tokens and cost to the session totals (estimated when the provider doesn't report them)
+    recordUsage(estimatedInputTokens, reply) {
+        const reported = reply.usage;
+        const usage = reported || {
+            inputTokens: estimatedInputTokens,
+            outputTokens: ContextBuilder.estimateTokens(reply.text)
+        };
+        
+        AppState.addUsage(usage, this.provider.getCost(usage), !reported);
+    }
+    
+    // Fold the oldest turns into the rolling summary once the history is over its token limit
+    async compactHistory() {
+        const history = AppState.aiContext.messages;
+        if (this.summarizing || ContextBuilder.estimateMessages(history) <= this.historyTokenLimit) {
+            return;
+        }
+        
+        const { older } = ContextBuilder.splitHistory(history, this.recentTokenLimit);
+        if (!older.length) return;
+        
+        this.summarizing = true;
+        const previousSummary = AppState.aiContext.summary;
+        let summary;
         
+        try {
+            summary = await this.summarizeTurns(previousSummary, older);
+        } catch (error) {
+            console.warn('Summary request failed, summarizing locally:', error);
+            summary = ContextBuilder.summarizeLocally(previousSummary, older);
+        } finally {
+            this.summarizing = false;
+        }
+        
+        AppState.setContextSummary(summary || ContextBuilder.summarizeLocally(previousSummary, older), older.length);
+    }
+    
+    // Ask the model for a short summary of older turns
+    // Goes through the same timeout, retries and offline mode as chat replies
+    async summarizeTurns(previousSummary, messages) {
+        const prompt = `Summarize this cooking conversation for your own memory in under 80 words.
+        Keep what has been done so far, problems and how they were fixed, substitutions, and the user's preferences. Skip greetings.
+        ${previousSummary ? `Summary so far: ${previousSummary}` : ''}
+        
+        Conversation:
+        ${ContextBuilder.formatTranscript(messages)}`;
+        
+        if (!this.canAttempt()) {
+            throw new CircuitOpenError();
+        }
+        
+        try {
+            const reply = await this.requestResponse([{ role: 'user', parts: [{ text: prompt }] }], { maxOutputTokens: 200 });
+            this.recordSuccess();
+            this.recordUsage(ContextBuilder.estimateTokens(prompt), reply);
+            return reply.text.trim();
+        } catch (rawError) {
+            const error = classifyAIError(rawError);
+            this.recordFailure(error);
+            throw error;
+        }
+    }
+    
+    // Vision instruction for the current step, asking about its checkpoint when the recipe has one
+    getVisionInstruction() {
+        const checkpoint = AppState.getCurrentCheckpoint();
+        if (!checkpoint) {
+            return "Please analyze this image of the cooking. Look for obvious issues like burning, undercooking, wrong consistency, or safety concerns. Give a brief, helpful suggestion if something needs correction.";
+        }
+        
+        return `Please analyze this image of the cooking. The current step is "${AppState.getCurrentStepText()}", and when it is done the food should look like: "${checkpoint}". Say whether it looks like that yet, and mention burning or safety concerns if you see any. Give a brief, helpful suggestion.`;
+    }
+    
+    // Call provider API (full response)
+    async callProviderAPI(messages, retryCount = 0, options = {}) {
         try {
             // Create abort controller for timeout
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
             
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`API Error ${response.status}: ${JSON.stringify(errorData)}`);
+            try {
+                return await this.provider.complete(messages, {
+                    systemInstruction: options.systemInstruction,
+                    responseSchema: options.responseSchema,
+                    maxOutputTokens: options.maxOutputTokens,
+                    signal: controller.signal
+                });
+            } finally {
+                clearTimeout(timeoutId);
             }
+        
+        } catch (rawError) {
+            const error = classifyAIError(rawError);
             
-            const data = await response.json();
-            
-            // Extract text from response
-            if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                const text = data.candidates[0].content.parts[0]?.text || '';
-                return text.trim();
-            } else {
-                throw new Error('Invalid response format from API');
+            // Retry only what can succeed on a second try (not bad keys, bad requests or safety blocks)
+            const wait = this.getRetryDelay(error, retryCount);
+            if (wait !== null) {
+                console.log(`Retrying API call after ${error.type} error in ${Math.round(wait)}ms (${retryCount + 1}/${this.maxRetries})...`);
+                this.updateAIStatus(true, I18n.t('ai_status.retrying', { reason: error.statusLabel }));
+                await this.delay(wait);
+                return this.callProviderAPI(messages, retryCount + 1, options);
             }
             
-        } catch (error) {
-            // Retry logic
-            if (retryCount < this.maxRetries) {
-                console.log(`Retrying API call (${retryCount + 1}/${this.maxRetries})...`);
-                await this.delay(1000 * (retryCount + 1)); // Exponential backoff
-                return this.callGeminiAPI(messages, retryCount + 1);
-            }
+            throw error;
+        }
+    }
+    
+    // Wait before the next attempt, or null if the error shouldn't be retried
+    getRetryDelay(error, retryCount) {
+        if (!error.retryable || retryCount >= this.maxRetries) {
+            return null;
+        }
+        
+        // Exponential backoff with jitter, so clients that failed together don't retry together
+        const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** retryCount);
+        const backoff = ceiling / 2 + Math.random() * ceiling / 2;
+        
+        // The server's Retry-After wins, unless it asks for longer than we're willing to wait
+        if (error.retryAfter !== null) {
+            return error.retryAfter > this.maxRetryAfter ? null : Math.max(error.retryAfter, backoff);
+        }
+        return backoff;
+    }
+    
+    // Call provider streaming API
+    async callProviderStreamAPI(messages, options = {}) {
+        // Timeout covers the wait for the first chunk; after that each chunk restarts a shorter idle timeout,
+        // so a stream that stalls mid-reply is aborted instead of hanging
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+        
+        let fullText = '';
+        let pendingSentence = options.pendingSentence || '';
+        let reply;
+        
+        try {
+            reply = await this.provider.stream(messages, {
+                systemInstruction: options.systemInstruction,
+                responseSchema: options.responseSchema,
+                maxOutputTokens: options.maxOutputTokens,
+                signal: controller.signal,
+                onText: (chunkText) => {
+                    clearTimeout(timeoutId);
+                    timeoutId = setTimeout(() => controller.abort(), this.streamIdleTimeout);
+                    
+                    // A continuation picks up the sentence held back from the cut-off part
+                    const text = fullText ? pendingSentence + chunkText : this.joinContinuation(pendingSentence, chunkText);
+                    fullText += chunkText;
+                    pendingSentence = this.emitSentences(text, options, false);
+                    
+                    if (options.onPartial) {
+                        options.onPartial(fullText.trim());
+                    }
+                }
+            });
+        } catch (rawError) {
+            clearTimeout(timeoutId);
+            const error = classifyAIError(rawError);
             
-            // Handle specific errors
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout. Please check your internet connection.');
+            // Nothing streamed yet, so the regular path (with its retries) can still answer
+            if (!fullText && error.retryable) {
+                console.warn(`Streaming request failed (${error.type}), falling back:`, error);
+                return this.callProviderAPI(messages, 0, options);
             }
             
-            if (error.message.includes('API key')) {
-                throw new Error('Invalid API key. Please check your config.js file.');
+            throw error;
+        }
+        
+        clearTimeout(timeoutId);
+        
+        // Cut off at the token limit: hold the unfinished sentence for the continuation instead of speaking half of it
+        if (options.holdUnfinished && reply.finishReason === 'max_tokens') {
+            options.pendingSentence = pendingSentence;
+        } else {
+            // Flush the last sentence
+            this.emitSentences(pendingSentence, options, true);
+        }
+        
+        if (!fullText.trim() && reply.finishReason !== 'max_tokens') {
+            throw new MalformedResponseError();
+        }
+        
+        if (options.onPartial) {
+            options.onPartial(fullText.trim());
+        }
+        
+        return { ...reply, text: fullText.trim() };
+    }
+    
+    // Hand finished sentences to onSentence and return the unfinished remainder
+    emitSentences(text, options, flush) {
+        const sentencePattern = /[^.!?।]*[.!?।]+["')\]]*(\s+|$)/g;
+        let lastIndex = 0;
+        let match;
+        
+        while ((match = sentencePattern.exec(text)) !== null) {
+            // A terminator at the very end may still be followed by more (e.g. "2.5")
+            if (!flush && match.index + match[0].length === text.length && !match[1]) {
+                break;
             }
             
-            if (error.message.includes('429')) {
-                throw new Error('Rate limit exceeded. Please wait a moment before trying again.');
+            const sentence = text.slice(lastIndex, match.index + match[0].length).trim();
+            if (sentence && options.onSentence) {
+                options.onSentence(sentence);
             }
-            
-            throw error;
+            lastIndex = match.index + match[0].length;
+        }
+        
+        const remainder = text.slice(lastIndex);
+        
+        if (flush) {
+            if (remainder.trim() && options.onSentence) {
+                options.onSentence(remainder.trim());
+            }
+            return '';
         }
+        
+        return remainder;
     }
     
     // Analyze image for cooking issues
-    async analyzeImage(imageData) {
+    async analyzeImage(imageData, prompt = null, entryId = null) {
         if (!this.isInitialized) {
             throw new Error('AI not initialized');
         }
         
-        const prompt = "Analyze this cooking image. Look for: 1) Burning/overcooking, 2) Undercooking, 3) Wrong consistency, 4) Safety issues, 5) Missing ingredients. Give brief, practical advice in Hinglish. Keep it under 2 sentences.";
+        const customPrompt = !!prompt;
+        prompt = prompt || `Analyze this cooking image. Look for: 1) Burning/overcooking, 2) Undercooking, 3) Wrong consistency, 4) Safety issues, 5) Missing ingredients. Give brief, practical advice in ${I18n.getPromptLanguage()}. Keep it under 2 sentences.`;
         
         try {
-            const analysis = await this.generateResponse(prompt, imageData);
+            // A caller's own prompt replaces the generic vision instruction
+            const analysis = await this.generateResponse(prompt, imageData, { visionInstruction: customPrompt ? false : null });
             
             // Add to vision context
-            AppState.addVisionContext(analysis);
+            AppState.addVisionContext(analysis, { entryId });
             
             return analysis;
-            
+        
         } catch (error) {
             console.error('Image analysis failed:', error);
-            return "Could not analyze image. Please try again or continue cooking.";
+            return I18n.t('camera.analysis_unavailable');
+        }
+    }
+    
+    // Ask whether the current step's visual checkpoint is met
+    // Returns { status: 'met' | 'not_yet' | 'problem', reason, advice }, or null if the step has no checkpoint or the check failed
+    async checkCheckpoint(imageData, step = AppState.recipe.steps[AppState.currentStep], entryId = null) {
+        if (!this.isInitialized) {
+            throw new Error('AI not initialized');
+        }
+        if (!step || !step.checkpoint) {
+            return null;
+        }
+        
+        const prompt = `Look at this cooking image. Current step: "${step.description}".
+        When this step is done the food should look like: "${step.checkpoint}".
+        
+        Return ONLY a JSON object: {"status": "...", "reason": "...", "advice": "..."}
+        status is "met" if the food clearly looks like that, "not_yet" if it is on track but not there yet,
+        or "problem" if something is wrong (burning, wrong consistency, unsafe).
+        reason says what you see and advice says what to do next, each one short sentence in ${I18n.getPromptLanguage()}.`;
+        
+        try {
+            const response = await this.generateResponse(prompt, imageData, {
+                responseSchema: this.checkpointSchema,
+                maxOutputTokens: 256,
+                visionInstruction: false
+            });
+            
+            const result = this.parseCheckpointResult(response);
+            if (result) {
+                AppState.addVisionContext(`Checkpoint "${step.checkpoint}": ${result.status}. ${result.reason}`, { entryId });
+            }
+            return result;
+        
+        } catch (error) {
+            console.error('Checkpoint check failed:', error);
+            return null;
+        }
+    }
+    
+    // Parse a checkpoint answer, accepting "not yet" / "Not-Yet" spellings of the status
+    parseCheckpointResult(response) {
+        const data = this.parseRecipeJSON(response);
+        if (!data || typeof data.status !== 'string') return null;
+        
+        const status = data.status.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (!['met', 'not_yet', 'problem'].includes(status)) return null;
+        
+        return {
+            status,
+            reason: typeof data.reason === 'string' ? data.reason.trim() : '',
+            advice: typeof data.advice === 'string' ? data.advice.trim() : ''
+        };
+    }
+    
+    // Ask for substitutes when the local table has none that suit the user's pantry
+    // Returns options shaped like Substitutions.table entries ({ parts, text, note, source: 'ai' }), or [] if the call failed
+    async suggestSubstitutions(ingredient) {
+        if (!this.isInitialized) {
+            return [];
+        }
+        
+        const amount = RecipeSchema.formatQuantity({
+            quantity: ingredient.baseQuantity ?? ingredient.quantity,
+            unit: ingredient.baseUnit ?? ingredient.unit
+        });
+        const missing = Object.keys(AppState.preferences.pantry).filter(name => AppState.preferences.pantry[name] === 'missing');
+        
+        const prompt = `The user is cooking "${AppState.recipe.name}" and does not have ${amount} ${ingredient.name}.
+        Other ingredients in the recipe: ${AppState.recipe.ingredients.map(ing => ing.name).filter(name => name !== ingredient.name).join(', ')}.
+        ${missing.length ? `They also do not have: ${missing.join(', ')}.` : ''}
+        
+        Suggest up to 2 substitutes a home cook in India is likely to have, best first.
+        Return ONLY a JSON object: {"options": [{"ingredients": [{"name": "...", "quantity": "...", "unit": "..."}], "text": "...", "note": "..."}]}
+        Size each quantity to replace ${amount} ${ingredient.name}, using units: cup, tbsp, tsp, g, kg, ml, l, pinch, piece, clove, inch, katori (or "").
+        text is how the recipe steps should name the replacement, in English.
+        note says how to prepare it, one short sentence in ${I18n.getPromptLanguage()} (or "" if nothing is needed).`;
+        
+        try {
+            const response = await this.generateResponse(prompt, null, {
+                responseSchema: this.substitutionSchema,
+                maxOutputTokens: 512
+            });
+            
+            const data = this.parseRecipeJSON(response);
+            if (!data || !Array.isArray(data.options)) return [];
+            
+            return data.options
+                .filter(option => option && Array.isArray(option.ingredients) && option.ingredients.length)
+                .map(option => ({
+                    parts: option.ingredients
+                        .filter(part => part && typeof part.name === 'string' && part.name.trim())
+                        .map(part => ({ name: part.name.trim(), quantity: String(part.quantity ?? ''), unit: part.unit || '' })),
+                    text: typeof option.text === 'string' ? option.text.trim() : '',
+                    note: typeof option.note === 'string' ? option.note.trim() : '',
+                    source: 'ai'
+                }))
+                .filter(option => option.parts.length);
+        
+        } catch (error) {
+            console.error('Substitution request failed:', error);
+            return [];
         }
     }
     
     // Extract recipe from user request
     async extractRecipe(userMessage) {
         const prompt = `The user wants to cook something. Extract recipe details from this message: "${userMessage}"
-
+        
         Return ONLY a valid JSON object with this exact structure:
         {
             "name": "Dish name",
-            "ingredients": ["ingredient 1 with quantity", "ingredient 2 with quantity", ...],
-            "steps": ["Step 1 instruction", "Step 2 instruction", ...],
-            "estimatedTime": "time in minutes"
+            "estimatedTime": 30,
+            "servings": 2,
+            "ingredients": [
+                { "name": "basmati rice", "quantity": "1", "unit": "cup", "notes": "washed" }
+            ],
+            "steps": [
+                {
+                    "instruction": "Step instruction",
+                    "durationMinutes": 5,
+                    "temperature": "medium flame",
+                    "equipment": ["kadai"],
+                    "checkpoint": "What it should look like when done"
+                }
+            ]
         }
-
+        
+        Use units: cup, tbsp, tsp, g, kg, ml, l, pinch, piece, clove, inch, katori (or "" if none).
+        Set servings to the number of people the user mentions (default 2), and size every quantity for that many.
+        Use null for durationMinutes, temperature or checkpoint when they do not apply.
         If information is missing, make reasonable assumptions for a home cook.
         Keep steps clear and sequential.`;
         
+        const requestOptions = {
+            responseSchema: RecipeSchema.responseSchema,
+            maxOutputTokens: 2048
+        };
+        
+        let response = '';
+        
         try {
-            const response = await this.generateResponse(prompt);
+            response = await this.generateResponse(prompt, null, requestOptions);
             
-            // Try to extract JSON from response
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const recipeData = JSON.parse(jsonMatch[0]);
-                return recipeData;
+            let recipe = this.validateRecipeResponse(response);
+            if (recipe) {
+                return recipe;
+            }
+            
+            // Ask once more, telling the model what was wrong
+            const errors = this.describeRecipeErrors(response);
+            console.warn('Recipe JSON invalid, re-requesting:', errors);
+            
+            response = await this.generateResponse(
+                `${prompt}\n\nYour previous answer was not valid: ${errors.join('; ')}. Return ONLY the corrected JSON object.`,
+                null,
+                requestOptions
+            );
+            
+            recipe = this.validateRecipeResponse(response);
+            if (recipe) {
+                return recipe;
             }
             
             // Fallback to simple parsing
             return this.parseRecipeFallback(response);
-            
+        
         } catch (error) {
             console.error('Recipe extraction failed:', error);
-            return this.getDefaultRecipe();
+            // No recipe at all; the caller falls back to the local library
+            return response ? this.parseRecipeFallback(response) : null;
+        }
+    }
+    
+    // Parse recipe JSON from a response, tolerating code fences and surrounding text
+    parseRecipeJSON(response) {
+        const text = String(response || '').replace(/```(?:json)?/gi, '').trim();
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const jsonMatch = text.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) return null;
+            
+            try {
+                return JSON.parse(jsonMatch[0]);
+            } catch (innerError) {
+                return null;
+            }
         }
     }
     
+    // Return a schema-valid recipe (repairing it if needed) or null
+    validateRecipeResponse(response) {
+        const recipeData = this.parseRecipeJSON(response);
+        if (!recipeData) return null;
+        
+        if (RecipeSchema.validate(recipeData).valid) {
+            return RecipeSchema.normalize(recipeData);
+        }
+        
+        // Repair loose data such as plain ingredient strings
+        const repaired = RecipeSchema.normalize(recipeData);
+        if (RecipeSchema.validate(repaired).valid) {
+            return repaired;
+        }
+        
+        return null;
+    }
+    
+    // List validation errors for a recipe response
+    describeRecipeErrors(response) {
+        const recipeData = this.parseRecipeJSON(response);
+        if (!recipeData) {
+            return ['Response was not a JSON object'];
+        }
+        return RecipeSchema.validate(recipeData).errors;
+    }
+    
     // Fallback recipe parser
     parseRecipeFallback(text) {
         // Simple parsing logic
@@ -260,7 +874,7 @@ class AIManager {
             name: 'Custom Dish',
             ingredients: [],
             steps: [],
-            estimatedTime: '30'
+            estimatedTime: 30
         };
         
         let currentSection = '';
@@ -273,10 +887,7 @@ class AIManager {
             } else if (lowerLine.includes('step') || lowerLine.includes('method') || lowerLine.includes('instruction')) {
                 currentSection = 'steps';
             } else if (lowerLine.includes('time')) {
-                const timeMatch = line.match(/\d+/);
-                if (timeMatch) {
-                    recipe.estimatedTime = timeMatch[0];
-                }
+                recipe.estimatedTime = RecipeSchema.parseMinutes(line) || recipe.estimatedTime;
             } else if (currentSection === 'ingredients' && line.trim()) {
                 recipe.ingredients.push(line.trim());
             } else if (currentSection === 'steps' && line.trim()) {
@@ -286,34 +897,36 @@ class AIManager {
             }
         }
         
-        return recipe;
+        // Turn the collected lines into structured ingredients and steps
+        return RecipeSchema.normalize(recipe);
     }
     
     // Default recipe if extraction fails
     getDefaultRecipe() {
-        return {
+        return RecipeSchema.normalize({
             name: 'Vegetable Pulao',
             ingredients: [
-                '1 cup basmati rice',
-                '2 cups mixed vegetables (carrots, peas, beans)',
-                '1 onion, sliced',
-                '2 tomatoes, chopped',
-                'Spices: turmeric, cumin, garam masala',
-                '2 tbsp oil or ghee',
-                'Salt to taste',
-                'Water as needed'
+                { name: 'basmati rice', quantity: '1', unit: 'cup', notes: '' },
+                { name: 'mixed vegetables', quantity: '2', unit: 'cup', notes: 'carrots, peas, beans' },
+                { name: 'onion', quantity: '1', unit: '', notes: 'sliced' },
+                { name: 'tomatoes', quantity: '2', unit: '', notes: 'chopped' },
+                { name: 'spices', quantity: '', unit: '', notes: 'turmeric, cumin, garam masala' },
+                { name: 'oil or ghee', quantity: '2', unit: 'tbsp', notes: '' },
+                { name: 'salt', quantity: '', unit: '', notes: 'to taste' },
+                { name: 'water', quantity: '2', unit: 'cup', notes: '' }
             ],
             steps: [
-                'Wash rice and soak for 15 minutes',
-                'Heat oil in a pressure cooker, add cumin seeds',
-                'Add onions and sauté until golden brown',
-                'Add tomatoes and cook until soft',
-                'Add vegetables and spices, cook for 2 minutes',
-                'Add rice and water, pressure cook for 2 whistles',
-                'Let pressure release naturally, then serve hot'
+                { instruction: 'Wash rice and soak for 15 minutes', durationMinutes: 15, checkpoint: null },
+                { instruction: 'Heat oil in a pressure cooker, add cumin seeds', temperature: 'medium flame', checkpoint: 'Cumin seeds crackling' },
+                { instruction: 'Add onions and sauté until golden brown', temperature: 'medium flame', checkpoint: 'Onions golden brown' },
+                { instruction: 'Add tomatoes and cook until soft', checkpoint: 'Tomatoes soft and mushy' },
+                { instruction: 'Add vegetables and spices, cook for 2 minutes', durationMinutes: 2, checkpoint: null },
+                { instruction: 'Add rice and water, pressure cook for 2 whistles', temperature: 'high flame', checkpoint: null },
+                { instruction: 'Let pressure release naturally, then serve hot', checkpoint: 'Rice grains separate and fluffy' }
             ],
-            estimatedTime: '30'
-        };
+            estimatedTime: 30,
+            servings: 2
+        });
     }
     
     // Update AI status UI
@@ -342,12 +955,13 @@ class AIManager {
             const dot = connectionStatus.querySelector('.status-dot');
             const text = connectionStatus.querySelector('span');
             
-            if (active && message === 'Connected') {
+            // Messages arrive translated, so compare against the current language's strings
+            if (active && message === I18n.t('status.connected')) {
                 dot.className = 'status-dot connected';
-                text.textContent = 'AI Connected';
+                text.textContent = I18n.t('status.ai_connected');
             } else if (!active) {
                 dot.className = 'status-dot';
-                text.textContent = 'AI Disconnected';
+                text.textContent = I18n.t(message === I18n.t('ai_status.offline') ? 'status.ai_offline' : 'status.ai_not_connected');
             } else {
                 dot.className = 'status-dot connected';
                 text.textContent = message;
@@ -355,18 +969,24 @@ class AIManager {
         }
     }
     
-    // Show API key error
-    showAPIKeyError() {
-        const errorHTML = `
+    // Show API key error, with a button into the Settings panel
+    showAPIKeyError(locked = false) {
+        const errorHTML = locked ? `
+            <div class="error" style="margin: 1rem; padding: 1rem;">
+                <strong>API Key Locked</strong>
+                <p>Your saved API key is protected with a passphrase. Enter it in Settings to unlock the key for this visit.</p>
+                <button class="btn btn-primary open-settings"><i class="fas fa-unlock"></i> Unlock in Settings</button>
+            </div>
+        ` : `
             <div class="error" style="margin: 1rem; padding: 1rem;">
                 <strong>API Key Required</strong>
                 <p>To use ChefMate, you need a Google AI Studio API key:</p>
                 <ol>
-                    <li>Go to <a href="https://makersuite.google.com/app/apikey" target="_blank">Google AI Studio</a></li>
+                    <li>Go to <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener">Google AI Studio</a></li>
                     <li>Create an API key (it's free with limits)</li>
-                    <li>Copy the key to <code>config.js</code> file</li>
-                    <li>Refresh this page</li>
+                    <li>Paste it in Settings, test it and save</li>
                 </ol>
+                <button class="btn btn-primary open-settings"><i class="fas fa-cog"></i> Open Settings</button>
                 <p>Without an API key, only demo mode is available.</p>
             </div>
         `;
@@ -377,6 +997,8 @@ class AIManager {
             const errorDiv = document.createElement('div');
             errorDiv.className = 'message system-message';
             errorDiv.innerHTML = errorHTML;
+            errorDiv.querySelector('.open-settings')
+                .addEventListener('click', () => window.openSettings?.('ai'));
             chatMessages.appendChild(errorDiv);
             chatMessages.scrollTop = chatMessages.scrollHeight;
         }
@@ -389,9 +1011,9 @@ class AIManager {
     
     // Clean up
     cleanup() {
-        this.apiKey = null;
+        this.provider = null;
         this.isInitialized = false;
-        this.updateAIStatus(false, 'Disconnected');
+        this.updateAIStatus(false, I18n.t('ai_status.disconnected'));
     }
 }
 
@@ -399,4 +1021,18 @@ class AIManager {
 let aiManager = null;
 
 // Initialize on load
-if (document.readyState === 'loading
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        aiManager = new AIManager();
+        window.aiManager = aiManager;
+    });
+} else {
+    aiManager = new AIManager();
+    window.aiManager = aiManager;
+}
+
+// Export functions for global use
+window.generateAIResponse = (message, imageData, options) => aiManager?.generateResponse(message, imageData, options);
+window.analyzeImage = (imageData, prompt, entryId) => aiManager?.analyzeImage(imageData, prompt, entryId);
+window.checkCheckpoint = (imageData, step, entryId) => aiManager?.checkCheckpoint(imageData, step, entryId);
+window.extractRecipe = (message) => aiManager?.extractRecipe(message);
@@ -6,20 +6,56 @@ class LiveRecipeAI {
         this.isInitialized = false;
         this.voiceButtonHoldTimer = null;
         this.currentOperation = null;
+        
+        // Speech that was heard with low confidence, waiting for "haan"/"nahi": { transcript, askedAt }
+        this.pendingTranscript = null;
+        this.speechConfirmThreshold = 0.45; // recognition confidence below this is asked back...
+        this.speechConfirmScore = 0.5; // ...unless the words still clearly read as a command or ingredient
+        this.speechConfirmTimeout = 20000; // ms to wait for the answer
+        this.interimShown = false; // text input currently shows a partial transcript
+        
+        // Missing ingredients being swapped one at a time: { queue: [names], current: { name, options, index, askedAI, offer }, askedAt }
+        this.pendingSubstitution = null;
+        this.substitutionTimeout = 60000; // ms a substitute offer waits for "haan"/"nahi"
+        // "I don't have it" phrases, said just before the ingredient ("out of curd") or just after it ("dahi nahi hai")
+        this.missingPhrases = {
+            before: ["don't have", 'dont have', 'do not have', 'out of', 'ran out of', 'run out of', 'no more', 'missing'],
+            after: ['is missing', 'missing', 'ran out', 'has run out', 'is finished', 'nahi hai', 'nahin hai', 'nahi he',
+                'nahi hain', 'khatam', 'khatam ho gaya', 'khatam hai']
+        };
+        this.intentParser = this.createIntentParser();
         this.init();
     }
     
+    // Command parser with the current language's phrases added
+    createIntentParser() {
+        return window.IntentParser ? new IntentParser({ phrases: I18n.getIntentPhrases() }) : null;
+    }
+    
+    // Switch language and confirm it in the new one
+    setLanguage(language) {
+        if (!AppState.setLanguage(language)) return false;
+        
+        this.intentParser = this.createIntentParser();
+        this.updateConnectionStatus();
+        
+        const reply = I18n.t('language.changed');
+        AppState.addToConversation('ai', reply);
+        this.speakAIResponse(reply);
+        return true;
+    }
+    
     // Initialize the application
     async init() {
         console.log('Initializing Live Recipe AI...');
         
         // Show loading overlay
-        this.showLoading('Starting ChefMate...');
+        this.showLoading(I18n.t('app.starting'));
         
         // Initialize state first
         if (!window.AppState) {
             console.error('State module not loaded');
-            this.showError('Application state failed to load');
+            this.showError(I18n.t('app.state_failed'));
             return;
         }
         
@@ -47,8 +83,11 @@ class LiveRecipeAI {
         this.isInitialized = true;
         console.log('Live Recipe AI initialized successfully');
         
-        // Welcome message
-        this.speakWelcome();
+        // Offer to continue an unfinished session, otherwise welcome
+        const resumed = await this.offerSessionResume();
+        if (!resumed) {
+            this.speakWelcome();
+        }
     }
     
     // Check browser compatibility
@@ -57,19 +96,25 @@ class LiveRecipeAI {
         
         // Check for required APIs
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            issues.push('Camera API not supported');
+            issues.push(I18n.t('compat.camera'));
         }
         
-        if (!('webkitSpeechRecognition' in window || 'SpeechRecognition' in window)) {
-            issues.push('Speech recognition not supported');
+        // Speech may come from the browser or from another engine (speech-engines.js)
+        const speech = window.speechManager ? window.speechManager.checkSupport() : {
+            speechRecognition: 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window,
+            speechSynthesis: !!window.speechSynthesis
+        };
+        
+        if (!speech.speechRecognition) {
+            issues.push(I18n.t('compat.speech'));
         }
         
-        if (!window.speechSynthesis) {
-            issues.push('Text-to-speech not supported');
+        if (!speech.speechSynthesis) {
+            issues.push(I18n.t('compat.tts'));
         }
         
         if (issues.length > 0) {
-            const errorMsg = `Browser compatibility issues:\n${issues.join('\n')}\n\nPlease use Chrome, Edge, or Safari for best experience.`;
+            const errorMsg = I18n.t('compat.issues', { issues: issues.join('\n') });
             this.showError(errorMsg);
             return false;
         }
@@ -100,15 +145,15 @@ class LiveRecipeAI {
             
             // Check AI initialization
             if (window.aiManager && !window.aiManager.isInitialized) {
-                AppState.addToConversation('system', 'AI module waiting for API key');
+                AppState.addToConversation('system', I18n.t('app.ai_waiting_key'));
             }
             
             // Update connection status
             this.updateConnectionStatus();
-            
+        
         } catch (error) {
             console.error('Module initialization failed:', error);
-            this.showError(`Initialization error: ${error.message}`);
+            this.showError(I18n.t('app.init_error', { error: error.message }));
         }
     }
     
@@ -119,6 +164,7 @@ class LiveRecipeAI {
         // Speech recognition events
         window.onSpeechStart = this.onSpeechStart.bind(this);
         window.onSpeechResult = this.onSpeechResult.bind(this);
+        window.onSpeechInterim = this.onSpeechInterim.bind(this);
         window.onSpeechEnd = this.onSpeechEnd.bind(this);
         
         // Main control buttons
@@ -153,6 +199,12 @@ class LiveRecipeAI {
                 this.sendTextMessage();
             }
         });
+        
+        // Typing takes over from a live transcript
+        textInput.addEventListener('input', () => {
+            this.interimShown = false;
+            textInput.classList.remove('interim');
+        });
         document.getElementById('send-text').addEventListener('click', this.sendTextMessage.bind(this));
         
         // Ingredients toggle
@@ -176,13 +228,13 @@ class LiveRecipeAI {
         }
         
         // Ask for dish name
-        const dishName = prompt('What would you like to cook today?', 'Vegetable Pulao');
+        const dishName = prompt(I18n.t('cooking.ask_dish'), I18n.t('cooking.default_dish'));
         if (!dishName) {
             return;
         }
         
         // Show loading
-        this.showLoading(`Getting recipe for ${dishName}...`);
+        this.showLoading(I18n.t('cooking.getting_recipe', { dish: dishName }));
         
         try {
             // Start camera if enabled
@@ -192,48 +244,183 @@ class LiveRecipeAI {
             
             // Update state
             AppState.startCooking(dishName);
+            if (window.visionWatcher) {
+                window.visionWatcher.resetCheckpoint();
+            }
             
-            // Get recipe from AI
-            const recipe = await window.aiManager?.extractRecipe(dishName);
+            // Get recipe from the local library or the AI
+            const { recipe, source } = await this.findRecipe(dishName);
             if (recipe) {
                 AppState.updateRecipe(recipe);
+                AppState.recipe.source = source;
                 
                 // Speak first instruction
-                this.speakAIResponse(`Chaliye shuru karte hain ${dishName} banana. Pehle ingredients check karein.`);
+                this.speakAIResponse(source === 'library' ?
+                    I18n.t('cooking.start_library', { dish: AppState.recipe.name }) :
+                    I18n.t('cooking.start', { dish: dishName }));
                 
                 // Ask for ingredient confirmation
                 AppState.addToConversation('ai', 
-                    `Ingredients check karein. Sab kuch ready hai? Agar haan to boliye "ready" ya "haan".`);
+                    I18n.t('cooking.check_ingredients', { servings: AppState.recipe.servings }) +
+                    (source === 'ai' ? ` ${I18n.t('cooking.offer_save')}` : ''));
                 
                 AppState.waitingForConfirmation = true;
+                AppState.checkingIngredients = true;
                 
+                // Remind the user of what they ran out of last time
+                const missing = AppState.recipe.ingredients.filter(ing => AppState.isMissingFromPantry(ing.name));
+                if (missing.length) {
+                    AppState.addToConversation('ai', I18n.t('substitute.pantry_hint', {
+                        list: missing.map(ing => ing.name).join(', ')
+                    }));
+                }
+            
             } else {
                 throw new Error('Could not generate recipe');
             }
-            
+        
         } catch (error) {
             console.error('Start cooking failed:', error);
-            this.showError(`Recipe setup failed: ${error.message}`);
+            this.showError(I18n.t('cooking.setup_failed', { error: error.message }));
             
             // Use default recipe
             const defaultRecipe = window.aiManager?.getDefaultRecipe();
             AppState.updateRecipe(defaultRecipe);
-            AppState.addToConversation('ai', 'Default recipe se shuru karte hain. Ingredients check karein.');
+            AppState.addToConversation('ai', I18n.t('cooking.default_recipe'));
         }
         
         this.hideLoading();
         this.updateUIFromState(AppState);
     }
     
+    // Look up a recipe: local library first, then the AI, then the closest library dish
+    async findRecipe(dishName) {
+        const library = window.recipeLibrary;
+        
+        const local = library ? await library.findBest(dishName) : null;
+        if (local) {
+            return { recipe: local, source: 'library' };
+        }
+        
+        if (window.aiManager?.isAvailable() && navigator.onLine !== false) {
+            const recipe = await window.aiManager.extractRecipe(dishName);
+            if (recipe) {
+                return { recipe, source: 'ai' };
+            }
+        }
+        
+        // Offline or the AI failed: offer the closest dish we do have
+        const [suggestion] = library ? await library.search(dishName, 1) : [];
+        if (suggestion && confirm(I18n.t('cooking.offer_similar', { dish: dishName, suggestion: suggestion.recipe.name }))) {
+            return { recipe: library.toRecipe(suggestion.recipe), source: 'library' };
+        }
+        
+        return { recipe: null, source: null };
+    }
+    
+    // Save the current recipe to the local library
+    async saveRecipeToLibrary() {
+        if (!window.recipeLibrary || !AppState.recipe.steps.length) {
+            this.speakAIResponse(I18n.t('library.nothing_to_save'));
+            return;
+        }
+        
+        try {
+            const entry = await window.recipeLibrary.saveRecipe(AppState.getOriginalRecipe());
+            AppState.recipe.source = 'library';
+            
+            const reply = I18n.t('library.saved', { name: entry.name });
+            AppState.addToConversation('ai', reply);
+            this.speakAIResponse(reply);
+        
+        } catch (error) {
+            console.error('Saving recipe failed:', error);
+            this.showError(I18n.t('library.save_failed', { error: error.message }));
+        }
+    }
+    
+    // Ask whether to resume a saved in-progress session
+    async offerSessionResume() {
+        if (!window.sessionManager) return false;
+        
+        // Old sessions and their photos are cleared out first
+        await window.sessionManager.pruneSessions();
+        
+        const sessions = await window.sessionManager.getResumableSessions();
+        if (!sessions.length) return false;
+        
+        let session = null;
+        
+        if (sessions.length === 1) {
+            const description = window.sessionManager.describeSession(sessions[0]);
+            if (confirm(I18n.t('session.resume_one', { session: description }))) {
+                session = sessions[0];
+            }
+        } else {
+            const list = sessions
+                .map((saved, index) => `${index + 1}. ${window.sessionManager.describeSession(saved)}`)
+                .join('\n');
+            const choice = prompt(I18n.t('session.resume_many', { list }), '1');
+            session = sessions[parseInt(choice, 10) - 1] || null;
+        }
+        
+        // The ones passed over aren't offered again
+        const declined = sessions.filter(saved => saved !== session);
+        if (declined.length) {
+            await window.sessionManager.abandonSessions(declined);
+        }
+        
+        if (!session) return false;
+        
+        this.resumeSession(session);
+        return true;
+    }
+    
+    // Restore a saved session and pick up where the user left off
+    resumeSession(session) {
+        AppState.restoreSession(session);
+        if (window.visionWatcher) {
+            window.visionWatcher.resetCheckpoint();
+        }
+        
+        const stepText = AppState.getCurrentStepText();
+        const message = I18n.t('session.welcome_back', { dish: AppState.recipe.name, step: AppState.currentStep + 1, text: stepText });
+        
+        AppState.addToConversation('ai', message);
+        this.speakAIResponse(message);
+        this.offerStepTimer();
+        this.updateUIFromState(AppState);
+    }
+    
     // Toggle pause state
     togglePause() {
         AppState.pauseCooking();
+        
+        // Timers hold their remaining time while paused
+        if (window.timerManager) {
+            if (AppState.isPaused) {
+                window.timerManager.pauseAll();
+            } else {
+                window.timerManager.resumeAll();
+            }
+        }
+        
+        // Watch mode stops sampling while paused
+        if (window.visionWatcher) {
+            if (AppState.isPaused) {
+                window.visionWatcher.pause('paused');
+            } else {
+                window.visionWatcher.resume('paused');
+            }
+        }
+        
         this.updateUIFromState(AppState);
     }
     
     // Reset cooking
     resetCooking() {
-        if (confirm('Are you sure you want to reset? All progress will be lost.')) {
+        if (confirm(I18n.t('cooking.confirm_reset'))) {
+            this.pendingSubstitution = null;
             AppState.resetCooking();
             this.updateUIFromState(AppState);
             
@@ -253,7 +440,8 @@ class LiveRecipeAI {
     prevStep() {
         if (AppState.prevStep()) {
             const stepText = AppState.getCurrentStepText();
-            this.speakAIResponse(`Pichla step: ${stepText}`);
+            this.speakAIResponse(I18n.t('step.previous', { text: stepText }));
+            this.offerStepTimer();
         }
         this.updateUIFromState(AppState);
     }
@@ -262,11 +450,78 @@ class LiveRecipeAI {
     nextStep() {
         if (AppState.nextStep()) {
             const stepText = AppState.getCurrentStepText();
-            this.speakAIResponse(`Agla step: ${stepText}`);
+            this.speakAIResponse(I18n.t('step.next', { text: stepText }));
+            this.offerStepTimer();
+        } else if (AppState.ui.currentView === 'complete') {
+            this.showPhotoJournal();
+        }
+        this.updateUIFromState(AppState);
+    }
+    
+    // Show the session's photos; tell the user if there are none
+    async showPhotoJournal() {
+        if (!window.photoJournal) return;
+        
+        const shown = await window.photoJournal.showTimeline();
+        if (!shown && AppState.isCooking) {
+            this.speakAIResponse(I18n.t('journal.empty'));
+        }
+    }
+    
+    // Jump to a step (1-based, -1 for the last step)
+    goToStep(stepNumber) {
+        const index = stepNumber === -1 ? AppState.totalSteps - 1 : stepNumber - 1;
+        
+        if (index < 0 || index >= AppState.totalSteps) {
+            this.speakAIResponse(I18n.t('step.out_of_range', { count: AppState.totalSteps }));
+            return;
+        }
+        
+        if (index === AppState.currentStep) {
+            this.speakAIResponse(I18n.t('step.already_here', { step: index + 1, text: AppState.getCurrentStepText() }));
+        } else if (AppState.goToStep(index)) {
+            const stepText = AppState.getCurrentStepText();
+            this.speakAIResponse(I18n.t('step.jump', { step: index + 1, text: stepText }));
+            this.offerStepTimer();
         }
         this.updateUIFromState(AppState);
     }
     
+    // Rescale the recipe for a number of people
+    setServings(servings) {
+        if (!AppState.recipe.ingredients.length) {
+            this.speakAIResponse(I18n.t('servings.no_recipe'));
+            return;
+        }
+        
+        if (!AppState.setServings(servings)) {
+            this.speakAIResponse(I18n.t('servings.invalid'));
+            return;
+        }
+        
+        AppState.addToConversation('ai', I18n.t('servings.changed', { servings }));
+        this.showIngredients();
+    }
+    
+    // Change servings by one from the ingredients panel
+    changeServings(delta) {
+        const current = AppState.recipe.servings || RecipeSchema.defaultServings;
+        if (current + delta >= 1 && AppState.setServings(current + delta)) {
+            this.updateUIFromState(AppState);
+        }
+    }
+    
+    // Offer a kitchen timer if the current step has a duration
+    offerStepTimer() {
+        if (!window.timerManager) return;
+        
+        const offer = window.timerManager.offerStepTimer(AppState.recipe.steps[AppState.currentStep]);
+        if (offer) {
+            AppState.addToConversation('ai', offer);
+            this.speakAIResponse(offer);
+        }
+    }
+    
     // === VOICE & TEXT HANDLING ===
     
     // Start voice input
@@ -308,20 +563,106 @@ class LiveRecipeAI {
         // Visual feedback already handled by speech module
     }
     
-    // Handle speech result
-    async onSpeechResult(transcript, confidence) {
-        console.log(`Speech recognized: "${transcript}" (confidence: ${confidence})`);
+    // Handle speech result: pick the best alternative, and ask back if it is still unclear
+    async onSpeechResult(transcript, confidence, alternatives = null) {
+        this.clearInterim();
+        
+        const heard = alternatives && alternatives.length ? alternatives : [{ transcript, confidence }];
+        const choice = this.intentParser ?
+            this.intentParser.pickAlternative(heard, this.getSpeechVocabulary()) :
+            { transcript, confidence, score: confidence, intent: null };
+        if (!choice) return;
+        
+        console.log(`Speech recognized: "${choice.transcript}" (confidence: ${choice.confidence}, score: ${choice.score})`,
+            heard.map(alternative => alternative.transcript));
+        
+        // Answer to an earlier "did you say...?"
+        if (this.resolvePendingTranscript(choice)) {
+            return;
+        }
         
         // Add to conversation
-        AppState.addToConversation('user', transcript);
+        AppState.addToConversation('user', choice.transcript);
+        
+        // Confidence 0 means the browser didn't say; only ask back when it says it's unsure
+        if (choice.confidence > 0 && choice.confidence < this.speechConfirmThreshold && choice.score < this.speechConfirmScore) {
+            this.pendingTranscript = { transcript: choice.transcript, askedAt: Date.now() };
+            const question = I18n.t('speech.did_you_say', { text: choice.transcript });
+            AppState.addToConversation('ai', question);
+            this.speakAIResponse(question);
+            return;
+        }
         
         // Process command
-        await this.processUserMessage(transcript);
+        await this.processUserMessage(choice.transcript);
+    }
+    
+    // Handle "haan"/"nahi" after a did-you-say question; returns true if the reply was used
+    resolvePendingTranscript(choice) {
+        const pending = this.pendingTranscript;
+        this.pendingTranscript = null;
+        
+        if (!pending || Date.now() - pending.askedAt > this.speechConfirmTimeout) {
+            return false;
+        }
+        
+        const answer = this.intentParser ? this.intentParser.match(choice.transcript) : null;
+        if (answer && answer.intent === 'confirm') {
+            AppState.addToConversation('user', choice.transcript);
+            this.processUserMessage(pending.transcript);
+            return true;
+        }
+        if (answer && answer.intent === 'deny') {
+            AppState.addToConversation('user', choice.transcript);
+            const reply = I18n.t('speech.say_again');
+            AppState.addToConversation('ai', reply);
+            this.speakAIResponse(reply);
+            return true;
+        }
+        
+        // Anything else is a fresh message (most likely the user simply said it again)
+        return false;
+    }
+    
+    // Words we expect to hear: the dish and its ingredients
+    getSpeechVocabulary() {
+        return [
+            AppState.recipe.name || '',
+            ...AppState.recipe.ingredients.map(ingredient => ingredient.name)
+        ].filter(Boolean);
+    }
+    
+    // Show a partial transcript in the text input while the user is still speaking
+    onSpeechInterim(transcript) {
+        const textInput = document.getElementById('text-input');
+        if (!textInput) return;
+        
+        // Don't overwrite something the user is typing
+        if (!this.interimShown && textInput.value.trim()) return;
+        
+        textInput.value = transcript;
+        textInput.classList.add('interim');
+        this.interimShown = true;
+    }
+    
+    // Remove the partial transcript from the text input
+    clearInterim() {
+        if (!this.interimShown) return;
+        
+        const textInput = document.getElementById('text-input');
+        if (textInput) {
+            textInput.value = '';
+            textInput.classList.remove('interim');
+        }
+        this.interimShown = false;
     }
     
     // Handle speech end
     onSpeechEnd() {
         console.log('Speech recognition ended');
+        
+        // Nothing more will arrive for a partial transcript still on screen
+        this.clearInterim();
     }
     
     // Send text message
@@ -333,6 +674,10 @@ class LiveRecipeAI {
         
         // Clear input
         textInput.value = '';
+        this.clearInterim();
+        
+        // A typed message replaces any pending "did you say...?"
+        this.pendingTranscript = null;
         
         // Add to conversation
         AppState.addToConversation('user', message);
@@ -357,7 +702,7 @@ class LiveRecipeAI {
         
         try {
             let aiResponse;
-            let imageData = null;
+            let capture = null;
             
             // Check if camera analysis is requested
             if (lowerMessage.includes('dekho') || lowerMessage.includes('look') || 
@@ -365,23 +710,46 @@ class LiveRecipeAI {
                 
                 // Capture and analyze image
                 if (window.cameraManager && AppState.preferences.cameraEnabled) {
-                    imageData = window.cameraManager.captureFrame();
+                    capture = window.cameraManager.capture();
                 }
             }
             
             // Check if we should analyze camera for this step
-            if (!imageData && AppState.shouldAnalyzeCamera() && window.cameraManager) {
-                imageData = window.cameraManager.captureFrame(0.6, 600);
+            if (!capture && AppState.shouldAnalyzeCamera() && window.cameraManager) {
+                capture = window.cameraManager.capture(0.6, 600);
             }
+            const imageData = capture ? capture.imageData : null;
             
-            // Get AI response
-            aiResponse = await window.generateAIResponse(message, imageData);
+            // Get AI response, streaming it into the chat and speech as it arrives
+            const streamingMessage = AppState.beginStreamingMessage('ai');
+            let spokenSentences = 0;
+            
+            try {
+                aiResponse = await window.generateAIResponse(message, imageData, {
+                    stream: true,
+                    onPartial: (text) => AppState.updateStreamingMessage(streamingMessage, text),
+                    onSentence: (sentence) => {
+                        spokenSentences++;
+                        this.speakAIResponse(sentence, streamingMessage);
+                    }
+                });
+            } catch (error) {
+                AppState.finishStreamingMessage(streamingMessage, '');
+                throw error;
+            }
             
             // Add to conversation
-            AppState.addToConversation('ai', aiResponse);
+            AppState.finishStreamingMessage(streamingMessage, aiResponse);
             
-            // Speak the response
-            this.speakAIResponse(aiResponse);
+            // The reply describes the photo sent with it (a watch mode photo may have been taken since)
+            if (capture && capture.entryId && window.photoJournal) {
+                window.photoJournal.attachAnalysis(capture.entryId, aiResponse);
+            }
+            
+            // Speak the response unless it was already spoken sentence by sentence
+            if (spokenSentences === 0) {
+                this.speakAIResponse(aiResponse, streamingMessage);
+            }
             
             // Check if response contains step completion
             if (this.shouldMarkStepComplete(aiResponse, lowerMessage)) {
@@ -390,16 +758,16 @@ class LiveRecipeAI {
             
             // Extract and update recipe if needed
             this.extractRecipeFromResponse(aiResponse);
-            
+        
         } catch (error) {
             console.error('AI response failed:', error);
             
-            // Fallback response
-            const fallbackResponse = "Mujhe samajh nahi aaya. Could you please repeat?";
+            // Fallback response that says what went wrong
+            const fallbackResponse = this.getFallbackResponse(error);
             AppState.addToConversation('ai', fallbackResponse);
             this.speakAIResponse(fallbackResponse);
             
-            this.showError(`AI Error: ${error.message}`);
+            this.showError(I18n.t('ai.error', { error: error.userMessage || error.message }));
         }
         
         // Hide thinking indicator
@@ -409,36 +777,105 @@ class LiveRecipeAI {
     
     // Handle special commands
     handleSpecialCommands(message) {
-        const commands = {
-            'ready': () => {
+        // Timer commands first, so "stop timer" doesn't match "stop"
+        if (window.timerManager && window.timerManager.handleVoiceCommand(message, this.intentParser)) {
+            return true;
+        }
+        
+        // Unit conversion questions are answered without the AI
+        const conversion = window.UnitConverter ? UnitConverter.answerQuery(message) : null;
+        if (conversion) {
+            AppState.addToConversation('ai', conversion);
+            this.speakAIResponse(conversion);
+            return true;
+        }
+        
+        // "Dahi nahi hai" names a missing ingredient; offer something to use instead
+        if (this.handleMissingIngredient(message)) {
+            return true;
+        }
+        
+        if (!this.intentParser) return false;
+        
+        // Anything below the confidence threshold goes to the AI
+        const result = this.intentParser.match(message);
+        if (!result) return false;
+        
+        console.log(`Intent: ${result.intent} (${result.confidence})`, result.params);
+        
+        const handlers = {
+            'confirm': () => {
+                // "Haan" to a substitute offer
+                if (this.isSubstitutionOffered()) {
+                    this.acceptSubstitution();
+                    return true;
+                }
+                
+                // "Haan" after a step was completed (e.g. by a camera checkpoint) moves on
+                const currentStep = AppState.recipe.steps[AppState.currentStep];
+                if (currentStep && currentStep.completed && AppState.currentStep < AppState.totalSteps - 1) {
+                    this.nextStep();
+                    return true;
+                }
+                
+                const wasWaiting = AppState.waitingForConfirmation;
                 AppState.waitingForConfirmation = false;
+                AppState.checkingIngredients = false;
                 const stepText = AppState.getCurrentStepText();
-                this.speakAIResponse(`Accha! Chaliye shuru karte hain. ${stepText}`);
+                this.speakAIResponse(I18n.t(wasWaiting ? 'confirm.start' : 'confirm.ok', { text: stepText }));
+                this.offerStepTimer();
                 return true;
             },
-            'haan': () => {
-                AppState.waitingForConfirmation = false;
-                const stepText = AppState.getCurrentStepText();
-                this.speakAIResponse(`Theek hai. ${stepText}`);
+            'deny': () => {
+                if (this.isSubstitutionOffered()) {
+                    this.declineSubstitution();
+                    return true;
+                }
+                
+                // "Nahi" to "got everything?" means something is missing
+                if (AppState.checkingIngredients) {
+                    this.substituteMissingIngredients();
+                    return true;
+                }
+                
+                this.speakAIResponse(I18n.t('deny.ask'));
                 return true;
             },
-            'nahi': () => {
-                this.speakAIResponse('Kya problem hai? Batayein main help karun.');
+            'next_step': () => {
+                const count = result.params.count || 1;
+                if (count > 1) {
+                    this.goToStep(Math.min(AppState.currentStep + count, AppState.totalSteps - 1) + 1);
+                } else {
+                    this.nextStep();
+                }
                 return true;
             },
-            'next': () => {
-                this.nextStep();
+            'previous_step': () => {
+                const count = result.params.count || 1;
+                if (count > 1) {
+                    this.goToStep(Math.max(AppState.currentStep - count, 0) + 1);
+                } else {
+                    this.prevStep();
+                }
                 return true;
             },
-            'previous': () => {
-                this.prevStep();
+            'goto_step': () => {
+                this.goToStep(result.params.step);
                 return true;
             },
             'pause': () => {
+                // "Stop" / "ruko" with nothing cooking is a no-op, not a question for the AI
+                if (AppState.isCooking && !AppState.isPaused) {
+                    this.togglePause();
+                }
+                return true;
+            },
+            'resume': () => {
+                if (!AppState.isPaused) return false;
                 this.togglePause();
                 return true;
             },
-            'stop': () => {
+            'reset': () => {
                 this.resetCooking();
                 return true;
             },
@@ -446,23 +883,223 @@ class LiveRecipeAI {
                 this.showIngredients();
                 return true;
             },
-            'camera on': () => {
+            'camera_on': () => {
                 this.toggleCamera(true);
                 return true;
             },
-            'camera off': () => {
+            'camera_off': () => {
                 this.toggleCamera(false);
                 return true;
+            },
+            'set_servings': () => {
+                this.setServings(result.params.servings);
+                return true;
+            },
+            'watch_on': () => {
+                this.setWatchMode(true);
+                return true;
+            },
+            'watch_off': () => {
+                this.setWatchMode(false);
+                return true;
+            },
+            'show_journal': () => {
+                this.showPhotoJournal();
+                return true;
+            },
+            'open_settings': () => {
+                window.openSettings?.();
+                return true;
+            },
+            'auto_complete_on': () => {
+                this.setAutoCompleteSteps(true);
+                return true;
+            },
+            'auto_complete_off': () => {
+                this.setAutoCompleteSteps(false);
+                return true;
+            },
+            'save_recipe': () => {
+                this.saveRecipeToLibrary();
+                return true;
             }
         };
         
-        for (const [command, handler] of Object.entries(commands)) {
-            if (message.includes(command)) {
-                return handler();
+        const handler = handlers[result.intent];
+        return handler ? handler() : false;
+    }
+    
+    // === INGREDIENT SUBSTITUTION ===
+    
+    // Start substitutions for recipe ingredients the message says are missing; returns true if it named any
+    handleMissingIngredient(message) {
+        if (!window.Substitutions || !AppState.recipe.ingredients.length) return false;
+        
+        // Questions and other commands are not reports of a missing ingredient
+        // ("dahi nahi hai" reads as a denial and "besan khatam ho gaya" as a confirmation, so those two still count)
+        if (this.intentParser) {
+            const command = this.intentParser.match(message);
+            if (this.intentParser.isQuestion(message) || (command && !['confirm', 'deny'].includes(command.intent))) return false;
+        }
+        
+        const phrases = {
+            before: this.missingPhrases.before,
+            after: [...this.missingPhrases.after, ...I18n.getMissingPhrases()]
+        };
+        const missing = AppState.recipe.ingredients.filter(ingredient =>
+            Substitutions.getNames(ingredient.name).some(name => Substitutions.saysMissing(message, name, phrases)));
+        if (!missing.length) return false;
+        
+        this.startSubstitutions(missing.map(ingredient => ingredient.name));
+        return true;
+    }
+    
+    // "Nahi" at the ingredient check: swap the unticked ingredients, or those the pantry says ran out
+    substituteMissingIngredients() {
+        const ingredients = AppState.recipe.ingredients;
+        const missing = ingredients.some(ingredient => ingredient.checked) ?
+            ingredients.filter(ingredient => !ingredient.checked) :
+            ingredients.filter(ingredient => AppState.isMissingFromPantry(ingredient.name));
+        
+        if (!missing.length) {
+            const question = I18n.t('substitute.which');
+            AppState.addToConversation('ai', question);
+            this.speakAIResponse(question);
+            return;
+        }
+        
+        this.startSubstitutions(missing.map(ingredient => ingredient.name));
+    }
+    
+    // Offer substitutes for each ingredient in turn (by name, since swapping one shifts the others)
+    startSubstitutions(names) {
+        this.pendingSubstitution = { queue: [...names], current: null, askedAt: Date.now() };
+        this.offerNextSubstitution();
+    }
+    
+    // Whether a substitute offer is waiting for "haan"/"nahi"
+    isSubstitutionOffered() {
+        const pending = this.pendingSubstitution;
+        if (pending && Date.now() - pending.askedAt > this.substitutionTimeout) {
+            this.pendingSubstitution = null;
+            return false;
+        }
+        return Boolean(pending && pending.current && pending.current.offer);
+    }
+    
+    // Move on to the next missing ingredient, or wrap up when none are left
+    async offerNextSubstitution() {
+        const pending = this.pendingSubstitution;
+        if (!pending) return;
+        
+        const name = pending.queue.shift();
+        if (name === undefined) {
+            this.pendingSubstitution = null;
+            if (AppState.checkingIngredients) {
+                const reply = I18n.t('substitute.done');
+                AppState.addToConversation('ai', reply);
+                this.speakAIResponse(reply);
             }
+            return;
         }
         
-        return false;
+        const ingredient = AppState.recipe.ingredients.find(ing => ing.name === name);
+        if (!ingredient) {
+            this.offerNextSubstitution();
+            return;
+        }
+        
+        AppState.setPantryStatus(name, 'missing');
+        pending.current = {
+            name,
+            options: Substitutions.suggest(name, AppState.preferences.pantry, AppState.recipe.ingredients.map(ing => ing.name)),
+            index: 0,
+            askedAI: false,
+            offer: null
+        };
+        
+        if (!pending.current.options.length) {
+            await this.askAIForSubstitutes(pending.current);
+        }
+        this.offerSubstitution();
+    }
+    
+    // Ask the AI once for substitutes when the local table has run out
+    async askAIForSubstitutes(current) {
+        current.askedAI = true;
+        if (!window.aiManager) return;
+        
+        const ingredient = AppState.recipe.ingredients.find(ing => ing.name === current.name);
+        if (!ingredient) return;
+        
+        this.showThinking(true);
+        const options = await window.aiManager.suggestSubstitutions(ingredient);
+        this.showThinking(false);
+        
+        current.options.push(...options);
+    }
+    
+    // Speak the current option for the current ingredient, or say there is none
+    offerSubstitution() {
+        const pending = this.pendingSubstitution;
+        if (!pending || !pending.current) return;
+        
+        const current = pending.current;
+        const option = current.options[current.index];
+        const ingredient = AppState.recipe.ingredients.find(ing => ing.name === current.name);
+        
+        if (!option || !ingredient) {
+            const reply = I18n.t('substitute.none', { ingredient: current.name });
+            AppState.addToConversation('ai', reply);
+            this.speakAIResponse(reply);
+            pending.current = null;
+            this.offerNextSubstitution();
+            return;
+        }
+        
+        current.offer = Substitutions.apply(ingredient, option);
+        pending.askedAt = Date.now();
+        
+        const reply = I18n.t('substitute.offer', {
+            ingredient: current.name,
+            replacement: current.offer.text,
+            note: current.offer.note ? ` ${current.offer.note}.` : ''
+        });
+        AppState.addToConversation('ai', reply);
+        this.speakAIResponse(reply);
+    }
+    
+    // Use the offered substitute in the recipe, then move on
+    acceptSubstitution() {
+        const pending = this.pendingSubstitution;
+        const current = pending.current;
+        const index = AppState.recipe.ingredients.findIndex(ing => ing.name === current.name);
+        const replacements = index >= 0 ? AppState.substituteIngredient(index, current.offer) : null;
+        
+        if (replacements) {
+            const reply = I18n.t('substitute.applied', {
+                ingredient: current.name,
+                replacement: Substitutions.describe(replacements, AppState.preferences.unitSystem)
+            });
+            AppState.addToConversation('ai', reply);
+            this.speakAIResponse(reply);
+        }
+        
+        pending.current = null;
+        this.updateUIFromState(AppState);
+        this.offerNextSubstitution();
+    }
+    
+    // Offer the next option; when the table's options run out, ask the AI once
+    async declineSubstitution() {
+        const current = this.pendingSubstitution.current;
+        current.offer = null;
+        current.index++;
+        
+        if (current.index >= current.options.length && !current.askedAI) {
+            await this.askAIForSubstitutes(current);
+        }
+        this.offerSubstitution();
     }
     
     // Check if step should be marked complete
@@ -490,7 +1127,7 @@ class LiveRecipeAI {
     // Toggle camera
     async toggleCamera(forceState = null) {
         if (!window.cameraManager) {
-            this.showError('Camera module not available');
+            this.showError(I18n.t('camera.unavailable'));
             return;
         }
         
@@ -500,12 +1137,12 @@ class LiveRecipeAI {
             const enabled = await window.cameraManager.startCamera();
             if (enabled) {
                 AppState.preferences.cameraEnabled = true;
-                AppState.addToConversation('ai', 'Camera on. Ab main dekh sakta hun aapka cooking.');
+                AppState.addToConversation('ai', I18n.t('camera.on'));
             }
         } else {
             window.cameraManager.stopCamera();
             AppState.preferences.cameraEnabled = false;
-            AppState.addToConversation('ai', 'Camera off.');
+            AppState.addToConversation('ai', I18n.t('camera.off'));
         }
         
         AppState.savePreferences();
@@ -515,37 +1152,106 @@ class LiveRecipeAI {
     // Capture and analyze image
     async captureAndAnalyze() {
         if (!window.cameraManager || !AppState.preferences.cameraEnabled) {
-            this.showError('Please enable camera first');
+            this.showError(I18n.t('camera.enable_first'));
             return;
         }
         
-        this.showLoading('Analyzing your cooking...');
+        this.showLoading(I18n.t('camera.analyzing'));
         
         try {
-            const analysis = await window.cameraManager.captureAndAnalyze();
+            // Steps with a checkpoint get a specific "is it done yet?" check
+            const analysis = AppState.getCurrentCheckpoint() && window.aiManager?.isAvailable() ?
+                await this.checkStepCheckpoint() :
+                await window.cameraManager.captureAndAnalyze();
             if (analysis) {
                 AppState.addToConversation('ai', analysis);
                 this.speakAIResponse(analysis);
             }
         } catch (error) {
             console.error('Capture and analyze failed:', error);
-            this.showError(`Analysis failed: ${error.message}`);
+            this.showError(I18n.t('camera.analysis_failed', { error: error.message }));
         }
         
         this.hideLoading();
     }
     
+    // Show the pan to the AI and ask whether the current step's checkpoint is met
+    async checkStepCheckpoint() {
+        // The user asked, so an unchanged pan is still checked
+        const capture = window.cameraManager.capture(0.7, 800);
+        if (!capture) {
+            return null;
+        }
+        
+        AppState.addToConversation('user', I18n.t('camera.showed_food'));
+        
+        const result = await window.aiManager.checkCheckpoint(capture.imageData, AppState.recipe.steps[AppState.currentStep], capture.entryId);
+        if (!result) {
+            return I18n.t('checkpoint.unclear');
+        }
+        return this.handleCheckpointResult(result);
+    }
+    
+    // Record a checkpoint result, complete the step if the user allowed it, and return what to say
+    handleCheckpointResult(result) {
+        const step = AppState.recipe.steps[AppState.currentStep];
+        if (!step || !result) return null;
+        
+        AppState.camera.lastCheckpoint = {
+            step: step.number,
+            ...result,
+            checkedAt: Date.now()
+        };
+        
+        const parts = [result.reason];
+        
+        if (result.status === 'met') {
+            if (AppState.preferences.autoCompleteSteps && !step.completed) {
+                AppState.completeCurrentStep();
+                parts.push(I18n.t('checkpoint.completed'));
+            }
+            parts.push(I18n.t(AppState.currentStep < AppState.totalSteps - 1 ? 'checkpoint.next' : 'checkpoint.dish_ready'));
+        } else {
+            parts.push(result.advice);
+        }
+        
+        this.updateUIFromState(AppState);
+        return parts.filter(Boolean).join(' ');
+    }
+    
+    // Turn automatic step completion on or off by voice
+    setAutoCompleteSteps(enabled) {
+        AppState.setAutoCompleteSteps(enabled);
+        const reply = I18n.t(enabled ? 'auto_complete.on' : 'auto_complete.off');
+        AppState.addToConversation('ai', reply);
+        this.speakAIResponse(reply);
+    }
+    
     // === SPEECH HANDLING ===
     
-    // Toggle microphone
+    // Turn watch mode on or off by voice
+    async setWatchMode(enabled) {
+        if (!window.visionWatcher) return;
+        
+        if (enabled && !AppState.preferences.cameraEnabled) {
+            await this.toggleCamera(true);
+        }
+        
+        window.visionWatcher.setEnabled(enabled);
+        const reply = I18n.t(enabled ? 'watch.on' : 'watch.off');
+        AppState.addToConversation('ai', reply);
+        this.speakAIResponse(reply);
+    }
+    
+    // Toggle microphone (hands-free listening)
     toggleMicrophone() {
         if (!window.speechManager) {
-            this.showError('Speech module not available');
+            this.showError(I18n.t('speech.unavailable'));
             return;
         }
         
-        const enabled = window.speechManager.toggleSpeech();
-        const message = enabled ? 'Microphone ready' : 'Microphone off';
+        const enabled = window.speechManager.toggleHandsFree();
+        const message = I18n.t(enabled ? 'handsfree.on' : 'handsfree.off');
         AppState.addToConversation('system', message);
         
         this.updateUIFromState(AppState);
@@ -554,23 +1260,32 @@ class LiveRecipeAI {
     // Toggle AI speech
     toggleAISpeech() {
         if (!window.speechManager) {
-            this.showError('Speech module not available');
+            this.showError(I18n.t('speech.unavailable'));
             return;
         }
         
         const enabled = window.speechManager.toggleSpeech();
-        const message = enabled ? 'AI speech enabled' : 'AI speech disabled';
+        const message = I18n.t(enabled ? 'ai_speech.on' : 'ai_speech.off');
         AppState.addToConversation('system', message);
         
         this.updateUIFromState(AppState);
     }
     
-    // Speak AI response
-    speakAIResponse(text) {
+    // Speak AI response; the chat message it belongs to is marked if the user cuts it off
+    speakAIResponse(text, message = null) {
         if (!window.speechManager || !AppState.preferences.aiSpeechEnabled) {
             return;
         }
         
+        // Once cut off, the rest of a streamed reply stays unspoken
+        if (message && message.interrupted) {
+            return;
+        }
+        
+        // Most replies are added to the chat just before being spoken
+        const chatMessage = message || AppState.conversation.slice(-5).reverse()
+            .find(msg => msg.role === 'ai' && msg.text === text) || null;
+        
         // Clean up text for speech
         const cleanText = text
             .replace(/\[.*?\]/g, '') // Remove brackets
@@ -579,13 +1294,15 @@ class LiveRecipeAI {
             .trim();
         
         if (cleanText) {
-            window.speechManager.queueSpeech(cleanText);
+            window.speechManager.queueSpeech(cleanText, {
+                onInterrupted: chatMessage ? () => AppState.markInterrupted(chatMessage) : null
+            });
         }
     }
     
     // Speak welcome message
     speakWelcome() {
-        const welcomeText = "Namaste! I'm ChefMate, your kitchen assistant. Ready to cook together?";
+        const welcomeText = I18n.t('app.welcome_spoken');
         this.speakAIResponse(welcomeText);
     }
     
@@ -609,8 +1326,8 @@ class LiveRecipeAI {
         document.getElementById('start-cooking').disabled = state.isCooking;
         document.getElementById('pause-cooking').disabled = !state.isCooking;
         document.getElementById('pause-cooking').textContent = state.isPaused ? 
-            '<i class="fas fa-play"></i> Resume' : 
-            '<i class="fas fa-pause"></i> Pause';
+            `<i class="fas fa-play"></i> ${I18n.t('button.resume')}` : 
+            `<i class="fas fa-pause"></i> ${I18n.t('button.pause')}`;
         
         // Update navigation buttons
         document.getElementById('prev-step').disabled = state.currentStep === 0 || !state.isCooking;
@@ -619,22 +1336,22 @@ class LiveRecipeAI {
         
         // Update mic button
         const micBtn = document.getElementById('toggle-mic');
-        if (state.preferences.voiceEnabled) {
+        if (state.preferences.handsFree) {
             micBtn.classList.add('mic-active');
-            micBtn.title = 'Microphone On';
+            micBtn.title = I18n.t('title.mic_on');
         } else {
             micBtn.classList.remove('mic-active');
-            micBtn.title = 'Microphone Off';
+            micBtn.title = I18n.t('title.mic_off');
         }
         
         // Update speech button
         const speechBtn = document.getElementById('toggle-ai-speech');
         if (state.preferences.aiSpeechEnabled) {
             speechBtn.classList.add('speech-active');
-            speechBtn.title = 'AI Speech On';
+            speechBtn.title = I18n.t('title.speech_on');
         } else {
             speechBtn.classList.remove('speech-active');
-            speechBtn.title = 'AI Speech Off';
+            speechBtn.title = I18n.t('title.speech_off');
         }
         
         // Update chat messages
@@ -653,6 +1370,35 @@ class LiveRecipeAI {
         
         // Update connection status
         this.updateConnectionStatus();
+        
+        // Update token and cost totals
+        this.updateTokenUsage(state.usage);
+    }
+    
+    // Show the session's token count and cost next to the AI status
+    updateTokenUsage(usage) {
+        const aiStatus = document.getElementById('ai-status');
+        if (!aiStatus || !aiStatus.parentNode || !usage) return;
+        
+        let usageElement = document.getElementById('token-usage');
+        if (!usageElement) {
+            usageElement = document.createElement('span');
+            usageElement.id = 'token-usage';
+            usageElement.className = 'token-usage';
+            aiStatus.parentNode.insertBefore(usageElement, aiStatus.nextSibling);
+        }
+        
+        const total = usage.inputTokens + usage.outputTokens;
+        const tokens = total >= 1000 ? `${(total / 1000).toFixed(1)}k` : String(total);
+        const approximate = usage.estimated ? '~' : '';
+        
+        usageElement.textContent = usage.calls ?
+            I18n.t('usage.total', { tokens: `${approximate}${tokens}`, cost: usage.cost.toFixed(4) }) : '';
+        usageElement.title = I18n.t(usage.estimated ? 'usage.details_estimated' : 'usage.details', {
+            calls: usage.calls,
+            input: usage.inputTokens,
+            output: usage.outputTokens
+        });
     }
     
     // Update chat messages display
@@ -660,8 +1406,8 @@ class LiveRecipeAI {
         const chatContainer = document.getElementById('chat-messages');
         if (!chatContainer) return;
         
-        // Clear existing messages (keep the welcome message)
-        const existingMessages = chatContainer.querySelectorAll('.message:not(.ai-message):not(.system-message)');
+        // Clear previously rendered conversation (keep the static welcome message)
+        const existingMessages = chatContainer.querySelectorAll('.message.conversation-message');
         existingMessages.forEach(msg => msg.remove());
         
         // Add conversation messages (skip the first welcome message)
@@ -669,7 +1415,7 @@ class LiveRecipeAI {
         
         messagesToShow.forEach(msg => {
             const messageDiv = document.createElement('div');
-            messageDiv.className = `message ${msg.role}-message`;
+            messageDiv.className = `message conversation-message ${msg.role}-message${msg.streaming ? ' streaming' : ''}${msg.interrupted ? ' interrupted' : ''}`;
             
             const time = new Date(msg.timestamp).toLocaleTimeString([], { 
                 hour: '2-digit', 
@@ -686,6 +1432,7 @@ class LiveRecipeAI {
                 </div>
                 <div class="message-content">
                     <div class="message-text">${this.escapeHtml(msg.text)}</div>
+                    ${msg.interrupted ? `<div class="message-note"><i class="fas fa-volume-mute"></i> ${this.escapeHtml(I18n.t('speech.interrupted'))}</div>` : ''}
                     <div class="message-time">${time}</div>
                 </div>
             `;
@@ -706,13 +1453,30 @@ class LiveRecipeAI {
             ingredientsList.innerHTML = `
                 <div class="empty-ingredients">
                     <i class="fas fa-clipboard-list"></i>
-                    <p>Ingredients will appear here once you start cooking</p>
+                    <p>${this.escapeHtml(I18n.t('ingredients.empty'))}</p>
                 </div>
             `;
             return;
         }
         
-        let html = '';
+        const servings = AppState.recipe.servings || RecipeSchema.defaultServings;
+        let html = `
+            <div class="servings-control">
+                <button class="servings-btn" onclick="liveRecipeAI.changeServings(-1)" ${servings <= 1 ? 'disabled' : ''}
+                        title="${this.escapeHtml(I18n.t('title.servings_fewer'))}">
+                    <i class="fas fa-minus"></i>
+                </button>
+                <span class="servings-count">${I18n.t(servings === 1 ? 'servings.count_one' : 'servings.count', { servings })}</span>
+                <button class="servings-btn" onclick="liveRecipeAI.changeServings(1)" title="${this.escapeHtml(I18n.t('title.servings_more'))}">
+                    <i class="fas fa-plus"></i>
+                </button>
+                <select class="unit-system-select" onchange="AppState.setUnitSystem(this.value)" title="${this.escapeHtml(I18n.t('title.units'))}">
+                    ${Object.entries(UnitConverter.systems).map(([value, label]) => `
+                        <option value="${value}" ${value === AppState.preferences.unitSystem ? 'selected' : ''}>${this.escapeHtml(I18n.t(label))}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
         AppState.recipe.ingredients.forEach((ingredient, index) => {
             html += `
                 <div class="ingredient-item">
@@ -722,8 +1486,12 @@ class LiveRecipeAI {
                            onchange="AppState.toggleIngredient(${index})">
                     <label for="ingredient-${index}" class="ingredient-name">
                         ${this.escapeHtml(ingredient.name)}
+                        ${ingredient.substituteFor ?
+                            `<small class="ingredient-notes">${this.escapeHtml(I18n.t('substitute.instead_of', { ingredient: ingredient.substituteFor }))}</small>` : ''}
+                        ${ingredient.notes && (ingredient.quantity || ingredient.unit) ?
+                            `<small class="ingredient-notes">${this.escapeHtml(ingredient.notes)}</small>` : ''}
                     </label>
-                    <span class="ingredient-quantity">${this.escapeHtml(ingredient.quantity)}</span>
+                    <span class="ingredient-quantity">${this.escapeHtml(UnitConverter.formatIngredient(ingredient, AppState.preferences.unitSystem))}</span>
                 </div>
             `;
         });
@@ -734,15 +1502,16 @@ class LiveRecipeAI {
     // Show ingredients
     showIngredients() {
         if (!AppState.recipe.ingredients.length) {
-            this.speakAIResponse('Abhi tak koi ingredients nahi hain. Pehle dish bataiye.');
+            this.speakAIResponse(I18n.t('ingredients.none'));
             return;
         }
         
         const ingredientsText = AppState.recipe.ingredients
-            .map(ing => `${ing.name} - ${ing.quantity}`)
+            .map(ing => `${ing.name} - ${UnitConverter.formatIngredient(ing, AppState.preferences.unitSystem)}`)
             .join(', ');
         
-        this.speakAIResponse(`Ingredients hain: ${ingredientsText}`);
+        const servings = AppState.recipe.servings || RecipeSchema.defaultServings;
+        this.speakAIResponse(I18n.t('ingredients.list', { servings, list: ingredientsText }));
     }
     
     // Toggle ingredients panel
@@ -759,23 +1528,44 @@ class LiveRecipeAI {
         }
     }
     
+    // Spoken reply when the AI call failed, depending on why
+    getFallbackResponse(error) {
+        switch (error?.type) {
+            case 'offline':
+            case 'network':
+            case 'timeout':
+                return I18n.t('fallback.offline');
+            case 'quota':
+                return I18n.t('fallback.quota');
+            case 'auth':
+                return I18n.t('fallback.auth');
+            case 'safety':
+                return I18n.t(error.reason === 'RECITATION' ? 'fallback.recitation' : 'fallback.safety');
+            default:
+                return I18n.t('fallback.default');
+        }
+    }
+    
     // Update connection status
     updateConnectionStatus() {
         const aiConnected = window.aiManager && window.aiManager.isInitialized;
         const micSupported = !!(window.SpeechRecognition || window.webkitSpeechRecognition);
         const cameraSupported = !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
         
-        let statusText = 'All Systems Ready';
+        let statusText = I18n.t('status.ready');
         let statusClass = 'connected';
         
         if (!aiConnected) {
-            statusText = 'AI Disconnected - Check API Key';
+            statusText = I18n.t('status.ai_disconnected');
+            statusClass = '';
+        } else if (AppState.ai.degraded) {
+            statusText = I18n.t('status.ai_offline');
             statusClass = '';
         } else if (!micSupported) {
-            statusText = 'Microphone Not Supported';
+            statusText = I18n.t('status.no_mic');
             statusClass = '';
         } else if (!cameraSupported) {
-            statusText = 'Camera Not Supported';
+            statusText = I18n.t('status.no_camera');
             statusClass = '';
         }
         
@@ -792,7 +1582,7 @@ class LiveRecipeAI {
     // === LOADING & ERROR HANDLING ===
     
     // Show loading overlay
-    showLoading(message = 'Loading...') {
+    showLoading(message = I18n.t('app.loading')) {
         const overlay = document.getElementById('loading-overlay');
         const text = document.getElementById('loading-text');
         
@@ -820,9 +1610,9 @@ class LiveRecipeAI {
         if (aiStatus) {
             const text = aiStatus.querySelector('span');
             if (show) {
-                text.textContent = 'Thinking...';
+                text.textContent = I18n.t('status.thinking');
             } else {
-                text.textContent = 'Connected';
+                text.textContent = I18n.t('status.connected');
             }
         }
     }
@@ -832,10 +1622,10 @@ class LiveRecipeAI {
         console.error('App Error:', message);
         
         // Add to conversation
-        AppState.addToConversation('system', `Error: ${message}`);
+        AppState.addToConversation('system', I18n.t('app.error_note', { message }));
         
         // Show in UI (simple alert for now)
-        alert(`ChefMate Error: ${message}`);
+        alert(I18n.t('app.error', { message }));
     }
     
     // === EVENT HANDLERS ===
@@ -846,13 +1636,24 @@ class LiveRecipeAI {
             // Page is hidden - pause speech and camera
             if (window.speechManager) {
                 window.speechManager.stopSpeaking();
+                window.speechManager.suspendListening('hidden');
                 window.speechManager.stopListening();
             }
+            if (window.visionWatcher) {
+                window.visionWatcher.pause('hidden');
+            }
         } else {
             // Page is visible again
+            if (window.speechManager) {
+                window.speechManager.resumeListening('hidden');
+            }
+            if (window.visionWatcher) {
+                window.visionWatcher.resume('hidden');
+            }
+            
             if (AppState.isCooking && !AppState.isPaused) {
                 // Resume if we were cooking
-                this.speakAIResponse('Welcome back! Let\'s continue cooking.');
+                this.speakAIResponse(I18n.t('app.welcome_back'));
             }
         }
     }
@@ -866,6 +1667,16 @@ class LiveRecipeAI {
             window.cameraManager.cleanup();
         }
         
+        // Stop timers
+        if (window.timerManager) {
+            window.timerManager.cleanup();
+        }
+        
+        // Stop watch mode
+        if (window.visionWatcher) {
+            window.visionWatcher.cleanup();
+        }
+        
         // Stop speech
         if (window.speechManager) {
             window.speechManager.cleanup();
@@ -878,6 +1689,9 @@ class LiveRecipeAI {
         
         // Save state
         AppState.savePreferences();
+        if (window.sessionManager) {
+            window.sessionManager.saveNow(AppState);
+        }
     }
     
     // === UTILITY FUNCTIONS ===
@@ -15,9 +15,20 @@ class CameraManager {
                 frameRate: { ideal: 30 }
             }
         };
+        // Resolutions to try, in order, when a camera rejects the constraints (null = camera's default)
+        this.resolutionFallbacks = [
+            { width: 1280, height: 720 },
+            { width: 640, height: 480 },
+            null
+        ];
+        this.devices = []; // Video inputs from enumerateDevices
+        this.settingsElement = null; // Device picker, torch, zoom and focus controls
         this.captureCount = 0;
         this.maxCapturesPerMinute = 10; // Rate limiting for AI calls
         this.lastCaptureTime = 0;
+        this.lastUploadedGray = null; // Grayscale copy of the last frame sent, for change detection
+        this.qualityNoticeCooldown = 60000; // Don't repeat "blurry"/"dark" notices within this time (ms)
+        this.lastQualityNotice = { reason: null, time: 0 };
         
         this.init();
     }
@@ -35,14 +46,24 @@ class CameraManager {
         // Set up canvas context
         this.canvasContext = this.canvasElement.getContext('2d');
         
+        // Local frame checks before upload
+        if (window.FrameAnalyzer) {
+            FrameAnalyzer.configure(typeof CONFIG !== 'undefined' ? CONFIG : {});
+        }
+        
         // Check camera support
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            this.showError('Camera not supported in this browser');
+            this.showError(I18n.t('camera.not_supported'));
             return;
         }
         
+        // Keep the device list current when cameras are plugged in or out
+        if (navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.listDevices());
+        }
+        
         // Update UI status
-        this.updateCameraStatus(false, 'Initializing...');
+        this.updateCameraStatus(false, I18n.t('camera.status_initializing'));
         
         // Start with camera off by default
         // Will be turned on when cooking starts
@@ -59,35 +80,31 @@ class CameraManager {
         }
         
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            this.showError('Camera API not available');
+            this.showError(I18n.t('camera.api_unavailable'));
             return false;
         }
         
         try {
             // Request camera permission
-            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+            this.stream = await this.openStream(AppState.preferences.cameraDeviceId);
             
             // Set video source
-            this.videoElement.srcObject = this.stream;
-            
-            // Wait for video to be ready
-            await new Promise((resolve) => {
-                this.videoElement.onloadedmetadata = () => {
-                    this.videoElement.play();
-                    resolve();
-                };
-            });
+            await this.attachStream(this.stream);
             
             this.isActive = true;
             AppState.camera.isActive = true;
             AppState.camera.stream = this.stream;
             
-            this.updateCameraStatus(true, 'Active');
+            this.updateCameraStatus(true, I18n.t('camera.status_active'));
             this.updateUI();
             
+            // Labels are only available once permission is granted
+            await this.listDevices();
+            this.updateSettingsUI();
+            
             console.log('Camera started successfully');
             return true;
-            
+        
         } catch (error) {
             console.error('Camera error:', error);
             this.handleCameraError(error);
@@ -95,6 +112,186 @@ class CameraManager {
         }
     }
     
+    // Video constraints for a device at one of the fallback resolutions
+    buildConstraints(deviceId, resolution) {
+        const video = { ...this.constraints.video };
+        
+        if (deviceId) {
+            // A chosen camera replaces the front/back preference
+            delete video.facingMode;
+            video.deviceId = { exact: deviceId };
+        }
+        
+        if (resolution) {
+            video.width = { ideal: resolution.width };
+            video.height = { ideal: resolution.height };
+        } else {
+            delete video.width;
+            delete video.height;
+            delete video.frameRate;
+        }
+        
+        return { video: Object.keys(video).length ? video : true };
+    }
+    
+    // Open a stream, stepping down the resolution when the camera rejects the constraints
+    async openStream(deviceId = null) {
+        let lastError = null;
+        
+        for (const resolution of this.resolutionFallbacks) {
+            try {
+                return await navigator.mediaDevices.getUserMedia(this.buildConstraints(deviceId, resolution));
+            } catch (error) {
+                lastError = error;
+                
+                // A saved camera that is no longer plugged in: forget it and use the default one
+                if (deviceId && (error.name === 'NotFoundError' || error.constraint === 'deviceId')) {
+                    console.warn('Saved camera not available, using default camera');
+                    AppState.setCameraDevice(null);
+                    return this.openStream(null);
+                }
+                
+                if (error.name !== 'OverconstrainedError' && error.name !== 'ConstraintNotSatisfiedError') {
+                    throw error;
+                }
+                console.warn(`Camera rejected ${resolution ? `${resolution.width}x${resolution.height}` : 'default'} constraints, retrying`, error.constraint || '');
+            }
+        }
+        
+        throw lastError;
+    }
+    
+    // Show a stream in the video element and wait until it plays
+    async attachStream(stream) {
+        this.videoElement.srcObject = stream;
+        
+        const track = stream.getVideoTracks()[0];
+        AppState.camera.deviceId = track && track.getSettings().deviceId || null;
+        
+        await new Promise((resolve) => {
+            this.videoElement.onloadedmetadata = () => {
+                this.videoElement.play();
+                resolve();
+            };
+        });
+    }
+    
+    // List the video inputs; labels stay empty until camera permission is granted
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices
+                .filter(device => device.kind === 'videoinput')
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || I18n.t('camera.device', { number: index + 1 })
+                }));
+        } catch (error) {
+            console.warn('Failed to list cameras:', error);
+            this.devices = [];
+        }
+        
+        this.updateSettingsUI();
+        return this.devices;
+    }
+    
+    // Switch to another camera, keeping the session (and watch mode) running
+    async switchCamera(deviceId) {
+        AppState.setCameraDevice(deviceId || null);
+        
+        if (!this.isActive) {
+            this.updateSettingsUI();
+            return true;
+        }
+        
+        try {
+            // Open the new camera before closing the old one so the feed never goes blank on failure
+            const stream = await this.openStream(AppState.preferences.cameraDeviceId);
+            const oldStream = this.stream;
+            
+            this.stream = stream;
+            AppState.camera.stream = stream;
+            await this.attachStream(stream);
+            
+            if (oldStream) {
+                oldStream.getTracks().forEach(track => track.stop());
+            }
+            
+            // Frames from another camera aren't comparable with the last one sent
+            this.lastUploadedGray = null;
+            AppState.camera.torch = false;
+            
+            this.updateSettingsUI();
+            console.log('Switched camera');
+            return true;
+        
+        } catch (error) {
+            console.error('Camera switch failed:', error);
+            this.handleCameraError(error);
+            return false;
+        }
+    }
+    
+    // Current video track, if the camera is on
+    getVideoTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+    
+    // Apply one advanced constraint (torch, zoom, focusMode) to the live track
+    async applyTrackSetting(name, value) {
+        const track = this.getVideoTrack();
+        const capabilities = await this.getCapabilities();
+        if (!track || !capabilities || !(name in capabilities.supported)) {
+            return false;
+        }
+        
+        try {
+            await track.applyConstraints({ advanced: [{ [name]: value }] });
+            return true;
+        } catch (error) {
+            console.warn(`Failed to set camera ${name}:`, error);
+            return false;
+        }
+    }
+    
+    // Turn the torch (flash) on or off
+    async setTorch(enabled) {
+        const applied = await this.applyTrackSetting('torch', !!enabled);
+        if (applied) {
+            AppState.camera.torch = !!enabled;
+            this.updateSettingsUI();
+        }
+        return applied;
+    }
+    
+    // Toggle the torch
+    toggleTorch() {
+        return this.setTorch(!AppState.camera.torch);
+    }
+    
+    // Set the zoom level within the camera's range
+    async setZoom(value) {
+        const capabilities = await this.getCapabilities();
+        const range = capabilities && capabilities.supported.zoom;
+        if (!range) return false;
+        
+        const zoom = Math.min(range.max, Math.max(range.min, parseFloat(value) || range.min));
+        return this.applyTrackSetting('zoom', zoom);
+    }
+    
+    // Set the focus mode ('continuous', 'single-shot', 'manual')
+    async setFocusMode(mode) {
+        const capabilities = await this.getCapabilities();
+        const modes = capabilities && capabilities.supported.focusMode;
+        if (!modes || !modes.includes(mode)) return false;
+        
+        return this.applyTrackSetting('focusMode', mode);
+    }
+    
     // Stop camera
     stopCamera() {
         if (this.stream) {
@@ -110,9 +307,11 @@ class CameraManager {
         
         this.isActive = false;
         AppState.camera.isActive = false;
+        AppState.camera.torch = false;
         
-        this.updateCameraStatus(false, 'Off');
+        this.updateCameraStatus(false, I18n.t('camera.status_off'));
         this.updateUI();
+        this.updateSettingsUI();
         
         console.log('Camera stopped');
     }
@@ -132,16 +331,26 @@ class CameraManager {
     }
     
     // Capture current frame as base64 image
-    captureFrame(quality = 0.7, maxWidth = 800) {
+    captureFrame(quality = 0.7, maxWidth = 800, options = {}) {
+        const capture = this.capture(quality, maxWidth, options);
+        return capture ? capture.imageData : null;
+    }
+    
+    // Capture current frame as { imageData, entryId }, entryId being its photo journal entry (to attach the analysis to)
+    // Background captures (watch mode) skip the manual rate limit and stay quiet; they have their own budget.
+    // Frames that are too dark or blurry (or unchanged, with skipUnchanged) are not returned.
+    capture(quality = 0.7, maxWidth = 800, options = {}) {
+        const background = !!options.background;
+        
         if (!this.isActive || !this.videoElement) {
-            this.showError('Camera not active');
+            if (!background) this.showError(I18n.t('camera.not_active'));
             return null;
         }
         
         // Rate limiting
         const now = Date.now();
-        if (now - this.lastCaptureTime < 6000) { // 6 seconds between captures
-            this.showHint('Please wait a moment before another capture');
+        if (!background && now - this.lastCaptureTime < 6000) { // 6 seconds between captures
+            this.showHint(I18n.t('camera.wait'));
             return null;
         }
         
@@ -150,7 +359,7 @@ class CameraManager {
         const videoHeight = this.videoElement.videoHeight;
         
         if (videoWidth === 0 || videoHeight === 0) {
-            this.showError('Video not ready yet');
+            if (!background) this.showError(I18n.t('camera.video_not_ready'));
             return null;
         }
         
@@ -170,44 +379,112 @@ class CameraManager {
             0, 0, canvasWidth, canvasHeight
         );
         
+        // Check the frame locally before spending an upload on it
+        const analysis = this.analyzeCanvas();
+        if (analysis) {
+            const decision = FrameAnalyzer.evaluate(analysis, { skipUnchanged: !!options.skipUnchanged });
+            this.recordAnalysis(analysis, decision);
+            
+            if (!decision.upload) {
+                console.log(`Frame not sent (${decision.reason})`, AppState.camera.analysis);
+                this.notifyFrameQuality(decision.reason);
+                return null;
+            }
+            this.lastUploadedGray = analysis.gray;
+        }
+        
         // Convert to base64 JPEG
         const imageData = this.canvasElement.toDataURL('image/jpeg', quality);
         
         // Update stats
         this.captureCount++;
-        this.lastCaptureTime = now;
+        if (!background) {
+            this.lastCaptureTime = now;
+        }
         AppState.camera.captureCount = this.captureCount;
         AppState.camera.lastCapture = now;
         
+        // Keep the photo for the session journal
+        const entryId = window.photoJournal ? window.photoJournal.addCapture(imageData, { background }) : null;
+        
         // Show capture feedback
-        this.showHint('Frame captured! Sending to AI...');
+        this.showHint(I18n.t(background ? 'camera.watching' : 'camera.captured'));
         
         console.log(`Frame captured: ${Math.round(imageData.length / 1024)}KB`);
-        return imageData;
+        return { imageData, entryId };
+    }
+    
+    // Run the local frame checks on a small copy of the canvas
+    analyzeCanvas() {
+        if (!window.FrameAnalyzer) return null;
+        
+        if (!this.analysisCanvas) {
+            this.analysisCanvas = document.createElement('canvas');
+            this.analysisContext = this.analysisCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        
+        const width = Math.min(FrameAnalyzer.analysisWidth, this.canvasElement.width);
+        const height = Math.max(1, Math.round(this.canvasElement.height * width / this.canvasElement.width));
+        this.analysisCanvas.width = width;
+        this.analysisCanvas.height = height;
+        this.analysisContext.drawImage(this.canvasElement, 0, 0, width, height);
+        
+        return FrameAnalyzer.analyze(this.analysisContext.getImageData(0, 0, width, height), this.lastUploadedGray);
+    }
+    
+    // Expose the latest frame scores in AppState for debugging
+    recordAnalysis(analysis, decision) {
+        const { gray, ...scores } = analysis;
+        AppState.camera.analysis = {
+            ...scores,
+            decision: decision.reason,
+            analyzedAt: Date.now()
+        };
+    }
+    
+    // Tell the user why a frame wasn't used (dark or blurry), at most once a minute per reason
+    notifyFrameQuality(reason) {
+        const messages = {
+            blurry: I18n.t('camera.blurry'),
+            dark: I18n.t('camera.dark')
+        };
+        if (!messages[reason]) return;
+        
+        const now = Date.now();
+        if (this.lastQualityNotice.reason === reason && now - this.lastQualityNotice.time < this.qualityNoticeCooldown) {
+            return;
+        }
+        this.lastQualityNotice = { reason, time: now };
+        
+        this.showHint(messages[reason]);
+        AppState.addToConversation('ai', messages[reason]);
+        if (window.speechManager) {
+            window.speechManager.queueSpeech(messages[reason]);
+        }
     }
     
     // Capture and analyze with AI
     async captureAndAnalyze() {
         if (!AppState.preferences.cameraEnabled) {
-            this.showError('Please enable camera first');
+            this.showError(I18n.t('camera.enable_first'));
             return null;
         }
         
         // Show loading
-        this.showHint('Analyzing your cooking...');
+        this.showHint(I18n.t('camera.analyzing'));
         
-        // Capture frame
-        const imageData = this.captureFrame();
-        if (!imageData) {
+        // Capture frame (always sent, even if the pan looks the same: the user asked to look)
+        const capture = this.capture(0.7, 800);
+        if (!capture) {
             return null;
         }
         
         // Add to conversation
-        AppState.addToConversation('user', '[Showed food to AI]');
+        AppState.addToConversation('user', I18n.t('camera.showed_food'));
         
         // Analyze with AI
         if (typeof window.analyzeImage === 'function') {
-            const analysis = await window.analyzeImage(imageData);
+            const analysis = await window.analyzeImage(capture.imageData, null, capture.entryId);
             return analysis;
         }
         
@@ -216,33 +493,34 @@ class CameraManager {
     
     // Handle camera errors
     handleCameraError(error) {
-        let errorMessage = 'Camera error: ';
+        let reason;
         
         switch (error.name) {
             case 'NotAllowedError':
             case 'PermissionDeniedError':
-                errorMessage += 'Camera permission denied. Please allow camera access in browser settings.';
+                reason = I18n.t('camera.permission_denied');
                 break;
             case 'NotFoundError':
             case 'DevicesNotFoundError':
-                errorMessage += 'No camera found. Please connect a camera.';
+                reason = I18n.t('camera.not_found');
                 break;
             case 'NotReadableError':
             case 'TrackStartError':
-                errorMessage += 'Camera is in use by another application.';
+                reason = I18n.t('camera.in_use');
                 break;
             case 'OverconstrainedError':
-                errorMessage += 'Camera constraints could not be satisfied.';
+                reason = I18n.t('camera.constraints');
                 break;
             case 'ConstraintNotSatisfiedError':
-                errorMessage += 'Camera resolution not supported.';
+                reason = I18n.t('camera.resolution');
                 break;
             default:
-                errorMessage += error.message || 'Unknown error';
+                reason = error.message || I18n.t('camera.unknown_error');
         }
         
+        const errorMessage = I18n.t('camera.error', { reason });
         this.showError(errorMessage);
-        this.updateCameraStatus(false, 'Error');
+        this.updateCameraStatus(false, I18n.t('camera.status_error'));
         
         // Update AppState
         AppState.setError(errorMessage);
@@ -279,7 +557,7 @@ class CameraManager {
             toggleBtn.innerHTML = this.isActive ? 
                 '<i class="fas fa-camera-slash"></i>' : 
                 '<i class="fas fa-camera"></i>';
-            toggleBtn.title = this.isActive ? 'Turn Camera Off' : 'Turn Camera On';
+            toggleBtn.title = I18n.t(this.isActive ? 'title.camera_off' : 'title.camera_on');
         }
         
         if (captureBtn) {
@@ -293,15 +571,95 @@ class CameraManager {
         
         if (cameraHint) {
             if (!this.isActive) {
-                cameraHint.textContent = 'Camera is off. Turn on to show food.';
+                cameraHint.textContent = I18n.t('camera.hint_off');
             } else if (this.captureCount === 0) {
-                cameraHint.textContent = 'Camera is active. Say "dekho" to show food.';
+                cameraHint.textContent = I18n.t('camera.hint_active');
             } else {
-                cameraHint.textContent = 'Ready to capture. Hold food steady.';
+                cameraHint.textContent = I18n.t('camera.hint_ready');
             }
         }
     }
     
+    // Add the camera settings bar (device picker, torch, zoom, focus) below the feed
+    ensureSettings() {
+        if (this.settingsElement) return this.settingsElement;
+        
+        const feed = this.videoElement && this.videoElement.parentNode;
+        if (!feed || !feed.parentNode) return null;
+        
+        this.settingsElement = document.createElement('div');
+        this.settingsElement.className = 'camera-settings';
+        this.settingsElement.innerHTML = `
+            <select class="camera-device-select" title="${this.escapeHtml(I18n.t('title.camera_device'))}"></select>
+            <button class="btn-icon camera-torch" title="${this.escapeHtml(I18n.t('title.torch'))}"><i class="fas fa-lightbulb"></i></button>
+            <label class="camera-zoom" title="${this.escapeHtml(I18n.t('title.zoom'))}">
+                <i class="fas fa-search-plus"></i>
+                <input type="range" class="camera-zoom-input">
+            </label>
+            <select class="camera-focus-select" title="${this.escapeHtml(I18n.t('title.focus'))}"></select>
+        `;
+        
+        this.settingsElement.querySelector('.camera-device-select')
+            .addEventListener('change', (event) => this.switchCamera(event.target.value));
+        this.settingsElement.querySelector('.camera-torch')
+            .addEventListener('click', () => this.toggleTorch());
+        this.settingsElement.querySelector('.camera-zoom-input')
+            .addEventListener('input', (event) => this.setZoom(event.target.value));
+        this.settingsElement.querySelector('.camera-focus-select')
+            .addEventListener('change', (event) => this.setFocusMode(event.target.value));
+        
+        feed.parentNode.insertBefore(this.settingsElement, feed.nextSibling);
+        return this.settingsElement;
+    }
+    
+    // Show only the controls this camera supports
+    async updateSettingsUI() {
+        const settings = this.ensureSettings();
+        if (!settings) return;
+        
+        const deviceSelect = settings.querySelector('.camera-device-select');
+        const torchButton = settings.querySelector('.camera-torch');
+        const zoomLabel = settings.querySelector('.camera-zoom');
+        const zoomInput = settings.querySelector('.camera-zoom-input');
+        const focusSelect = settings.querySelector('.camera-focus-select');
+        
+        // Device picker, only worth showing with more than one camera
+        const current = AppState.camera.deviceId || AppState.preferences.cameraDeviceId || '';
+        deviceSelect.innerHTML = this.devices.map(device => `
+            <option value="${device.deviceId}" ${device.deviceId === current ? 'selected' : ''}>${this.escapeHtml(device.label)}</option>
+        `).join('');
+        deviceSelect.style.display = this.devices.length > 1 ? '' : 'none';
+        
+        const capabilities = this.isActive ? await this.getCapabilities() : null;
+        const supported = capabilities ? capabilities.supported : {};
+        
+        torchButton.style.display = supported.torch ? '' : 'none';
+        torchButton.classList.toggle('torch-active', !!AppState.camera.torch);
+        
+        zoomLabel.style.display = supported.zoom ? '' : 'none';
+        if (supported.zoom) {
+            zoomInput.min = supported.zoom.min;
+            zoomInput.max = supported.zoom.max;
+            zoomInput.step = supported.zoom.step || 0.1;
+            zoomInput.value = capabilities.zoom ?? supported.zoom.min;
+        }
+        
+        const focusModes = supported.focusMode || [];
+        focusSelect.innerHTML = focusModes.map(mode => `
+            <option value="${mode}" ${mode === capabilities.focusMode ? 'selected' : ''}>${this.escapeHtml(I18n.t('camera.focus_mode', { mode }))}</option>
+        `).join('');
+        focusSelect.style.display = focusModes.length > 1 ? '' : 'none';
+        
+        settings.style.display = this.isActive || this.devices.length > 1 ? '' : 'none';
+    }
+    
+    // Escape text for the settings markup
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     // Show error message
     showError(message) {
         console.error('Camera Error:', message);
@@ -312,7 +670,7 @@ class CameraManager {
         }
         
         // Add to conversation
-        AppState.addToConversation('system', `Camera: ${message}`);
+        AppState.addToConversation('system', I18n.t('camera.note', { message }));
     }
     
     // Show hint message
@@ -335,6 +693,7 @@ class CameraManager {
         this.stopCamera();
         this.captureCount = 0;
         this.lastCaptureTime = 0;
+        this.lastUploadedGray = null;
     }
     
     // Check camera support
@@ -343,17 +702,37 @@ class CameraManager {
     }
     
     // Get camera capabilities
+    // supported lists the adjustable features the track reports: torch, zoom { min, max, step }, focusMode [...]
     async getCapabilities() {
         if (!this.stream) return null;
         
         const videoTrack = this.stream.getVideoTracks()[0];
         if (!videoTrack) return null;
         
+        const settings = videoTrack.getSettings();
+        const trackCapabilities = typeof videoTrack.getCapabilities === 'function' ? videoTrack.getCapabilities() : {};
+        
+        const supported = {};
+        if (trackCapabilities.torch) {
+            supported.torch = true;
+        }
+        if (trackCapabilities.zoom && trackCapabilities.zoom.max > trackCapabilities.zoom.min) {
+            supported.zoom = trackCapabilities.zoom;
+        }
+        if (Array.isArray(trackCapabilities.focusMode) && trackCapabilities.focusMode.length) {
+            supported.focusMode = trackCapabilities.focusMode;
+        }
+        
         return {
-            width: videoTrack.getSettings().width,
-            height: videoTrack.getSettings().height,
-            frameRate: videoTrack.getSettings().frameRate,
-            facingMode: videoTrack.getSettings().facingMode
+            width: settings.width,
+            height: settings.height,
+            frameRate: settings.frameRate,
+            facingMode: settings.facingMode,
+            deviceId: settings.deviceId,
+            zoom: settings.zoom,
+            focusMode: settings.focusMode,
+            torch: settings.torch,
+            supported
         };
     }
 }
@@ -376,5 +755,7 @@ if (document.readyState === 'loading') {
 window.startCamera = () => cameraManager?.startCamera();
 window.stopCamera = () => cameraManager?.stopCamera();
 window.toggleCamera = () => cameraManager?.toggleCamera();
-window.captureFrame = (quality, maxWidth) => cameraManager?.captureFrame(quality, maxWidth);
+window.captureFrame = (quality, maxWidth, options) => cameraManager?.captureFrame(quality, maxWidth, options);
 window.captureAndAnalyze = () => cameraManager?.captureAndAnalyze();
+window.switchCamera = (deviceId) => cameraManager?.switchCamera(deviceId);
+window.toggleTorch = () => cameraManager?.toggleTorch();
@@ -0,0 +1,126 @@
+// Live Recipe AI - Context Builder
+// Token estimates and budgeted assembly of the conversation sent with every AI call
+
+const ContextBuilder = {
+    // Tokens counted for one attached image (Gemini bills a fixed amount per image)
+    imageTokens: 258,
+    
+    // Rough token count: ~4 characters per token for Latin script, ~1.5 for Devanagari and other scripts
+    estimateTokens(text) {
+        const value = String(text || '');
+        if (!value) return 0;
+        
+        const latin = (value.match(/[\u0000-\u024f]/g) || []).length;
+        const other = value.length - latin;
+        return Math.ceil(latin / 4 + other / 1.5);
+    },
+    
+    // Tokens in one message (text parts plus images)
+    estimateMessage(message) {
+        return (message.parts || []).reduce((total, part) => {
+            if (part.text) return total + this.estimateTokens(part.text);
+            if (part.inline_data) return total + this.imageTokens;
+            return total;
+        }, 4); // Per-message overhead for role and separators
+    },
+    
+    // Tokens in a list of messages
+    estimateMessages(messages) {
+        return messages.reduce((total, message) => total + this.estimateMessage(message), 0);
+    },
+    
+    // System instruction with pinned facts and the summary of older turns
+    buildSystemInstruction(systemPrompt, pinnedFacts = [], summary = '') {
+        const sections = [systemPrompt];
+        
+        if (pinnedFacts.length) {
+            sections.push(`Always remember:\n${pinnedFacts.map(fact => `- ${fact}`).join('\n')}`);
+        }
+        if (summary) {
+            sections.push(`Earlier in this session: ${summary}`);
+        }
+        
+        return sections.join('\n\n');
+    },
+    
+    // Assemble a request: the newest history that fits the budget, then the current message
+    // Returns { systemInstruction, messages, estimatedTokens, droppedMessages }
+    // originalText is the text the current message replaces (a rephrased retry), left out of the history too
+    build({ systemPrompt, pinnedFacts = [], summary = '', history = [], currentParts, originalText = null, budget }) {
+        const systemInstruction = this.buildSystemInstruction(systemPrompt, pinnedFacts, summary);
+        const current = { role: 'user', parts: currentParts };
+        
+        // History usually ends with the message being sent; don't send it twice
+        const currentText = currentParts.filter(part => part.text).map(part => part.text)[0];
+        const last = history[history.length - 1];
+        const lastText = last?.parts?.[0]?.text;
+        const previous = last && last.role === 'user' && (lastText === currentText || (originalText && lastText === originalText)) ?
+            history.slice(0, -1) : history;
+        
+        let remaining = budget - this.estimateTokens(systemInstruction) - this.estimateMessage(current);
+        const kept = [];
+        
+        for (let i = previous.length - 1; i >= 0; i--) {
+            const cost = this.estimateMessage(previous[i]);
+            if (cost > remaining) break;
+            kept.unshift(previous[i]);
+            remaining -= cost;
+        }
+        
+        // Conversations start with a user turn
+        while (kept.length && kept[0].role === 'model') {
+            kept.shift();
+        }
+        
+        const messages = [...kept, current];
+        return {
+            systemInstruction,
+            messages,
+            estimatedTokens: this.estimateTokens(systemInstruction) + this.estimateMessages(messages),
+            droppedMessages: previous.length - kept.length
+        };
+    },
+    
+    // Split history into older turns (to summarize) and the recent turns that fit keepTokens
+    splitHistory(history, keepTokens) {
+        let used = 0;
+        let index = history.length;
+        
+        while (index > 0) {
+            const cost = this.estimateMessage(history[index - 1]);
+            if (used + cost > keepTokens) break;
+            used += cost;
+            index--;
+        }
+        
+        return { older: history.slice(0, index), recent: history.slice(index) };
+    },
+    
+    // Conversation as plain lines, for summarizing
+    formatTranscript(messages) {
+        return messages
+            .map(message => {
+                const text = (message.parts || []).filter(part => part.text).map(part => part.text).join(' ');
+                return `${message.role === 'model' ? 'ChefMate' : 'User'}: ${text}`;
+            })
+            .join('\n');
+    },
+    
+    // Summary without an AI call: first sentence of each turn, newest kept when too long
+    summarizeLocally(previousSummary, messages, maxTokens = 300) {
+        const lines = messages.map(message => {
+            const text = (message.parts || []).filter(part => part.text).map(part => part.text).join(' ');
+            const firstSentence = text.split(/(?<=[.!?।])\s+/)[0].slice(0, 160);
+            return `${message.role === 'model' ? 'ChefMate' : 'User'}: ${firstSentence}`;
+        });
+        
+        let summary = [previousSummary, ...lines].filter(Boolean).join(' | ');
+        while (this.estimateTokens(summary) > maxTokens && summary.includes(' | ')) {
+            summary = summary.slice(summary.indexOf(' | ') + 3);
+        }
+        return summary;
+    }
+};
+
+// Make ContextBuilder globally available
+window.ContextBuilder = ContextBuilder;
@@ -0,0 +1,223 @@
+// Live Recipe AI - Unit Conversions
+// Converts between metric, US cups and Indian household measures, using ingredient densities
+
+const UnitConverter = {
+    // Unit systems the ingredient panel can show (labels translated in i18n.js)
+    systems: {
+        original: 'units.original',
+        metric: 'units.metric',
+        us: 'units.us',
+        indian: 'units.indian'
+    },
+    
+    // Volume units in millilitres
+    volumes: {
+        cup: 240,
+        tbsp: 15,
+        tsp: 5,
+        ml: 1,
+        l: 1000,
+        katori: 150,
+        chammach: 15,
+        pinch: 0.3
+    },
+    
+    // Mass units in grams
+    masses: {
+        g: 1,
+        kg: 1000,
+        oz: 28.35,
+        lb: 453.6
+    },
+    
+    // Grams per millilitre; the longest matching name wins ("rice flour" before "rice")
+    densities: [
+        { names: ['atta', 'whole wheat flour', 'wheat flour', 'gehun ka atta'], gramsPerMl: 0.5 },
+        { names: ['maida', 'all purpose flour', 'all-purpose flour', 'flour', 'plain flour'], gramsPerMl: 0.53 },
+        { names: ['besan', 'gram flour', 'chickpea flour'], gramsPerMl: 0.38 },
+        { names: ['rice flour', 'chawal ka atta'], gramsPerMl: 0.66 },
+        { names: ['sooji', 'suji', 'rava', 'semolina'], gramsPerMl: 0.7 },
+        { names: ['cornflour', 'corn flour', 'cornstarch', 'corn starch'], gramsPerMl: 0.53 },
+        { names: ['sugar', 'cheeni', 'chini', 'shakkar'], gramsPerMl: 0.84 },
+        { names: ['brown sugar'], gramsPerMl: 0.9 },
+        { names: ['powdered sugar', 'icing sugar'], gramsPerMl: 0.5 },
+        { names: ['jaggery', 'gud', 'gur'], gramsPerMl: 0.85 },
+        { names: ['rice', 'chawal', 'basmati rice', 'basmati'], gramsPerMl: 0.78 },
+        { names: ['dal', 'daal', 'lentils', 'toor dal', 'moong dal', 'masoor dal', 'chana dal'], gramsPerMl: 0.8 },
+        { names: ['poha', 'flattened rice'], gramsPerMl: 0.3 },
+        { names: ['oats'], gramsPerMl: 0.38 },
+        { names: ['salt', 'namak'], gramsPerMl: 1.2 },
+        { names: ['cocoa', 'cocoa powder'], gramsPerMl: 0.42 },
+        { names: ['grated coconut', 'coconut', 'nariyal'], gramsPerMl: 0.35 },
+        { names: ['peanuts', 'moongphali', 'cashews', 'kaju', 'almonds', 'badam'], gramsPerMl: 0.6 },
+        { names: ['paneer'], gramsPerMl: 0.55 },
+        { names: ['butter', 'makhan'], gramsPerMl: 0.96 },
+        { names: ['ghee'], gramsPerMl: 0.91, liquid: true },
+        { names: ['oil', 'tel', 'mustard oil', 'sarson ka tel'], gramsPerMl: 0.92, liquid: true },
+        { names: ['milk', 'doodh'], gramsPerMl: 1.03, liquid: true },
+        { names: ['curd', 'dahi', 'yogurt', 'yoghurt'], gramsPerMl: 1.03, liquid: true },
+        { names: ['cream', 'malai', 'fresh cream'], gramsPerMl: 1.0, liquid: true },
+        { names: ['water', 'paani', 'pani'], gramsPerMl: 1.0, liquid: true },
+        { names: ['honey', 'shahad'], gramsPerMl: 1.42, liquid: true }
+    ],
+    
+    // Find the density entry for an ingredient name
+    findDensity(name) {
+        const lower = String(name || '').toLowerCase();
+        let best = null;
+        
+        for (const entry of this.densities) {
+            for (const entryName of entry.names) {
+                const matches = new RegExp(`(^|[^a-z])${entryName}([^a-z]|$)`).test(lower);
+                if (matches && (!best || entryName.length > best.name.length)) {
+                    best = { name: entryName, entry };
+                }
+            }
+        }
+        
+        return best;
+    },
+    
+    // Whether a unit can be converted at all (pieces and cloves can't)
+    isConvertible(unit) {
+        return unit in this.volumes || unit in this.masses;
+    },
+    
+    // Convert an amount between two units; null if it needs a density we don't know
+    convert(amount, fromUnit, toUnit, density = null) {
+        if (fromUnit === toUnit) return amount;
+        if (!this.isConvertible(fromUnit) || !this.isConvertible(toUnit)) return null;
+        
+        const fromVolume = fromUnit in this.volumes;
+        const toVolume = toUnit in this.volumes;
+        
+        if (fromVolume && toVolume) {
+            return amount * this.volumes[fromUnit] / this.volumes[toUnit];
+        }
+        if (!fromVolume && !toVolume) {
+            return amount * this.masses[fromUnit] / this.masses[toUnit];
+        }
+        
+        // Volume <-> mass needs to know what is being measured
+        if (!density) return null;
+        
+        if (fromVolume) {
+            return amount * this.volumes[fromUnit] * density.gramsPerMl / this.masses[toUnit];
+        }
+        return amount * this.masses[fromUnit] / density.gramsPerMl / this.volumes[toUnit];
+    },
+    
+    // Pick the unit a cook in this system would measure the amount with
+    chooseUnit(amount, unit, system, density) {
+        const isVolume = unit in this.volumes;
+        
+        if (system === 'metric') {
+            // Dry ingredients by weight when we know the density, liquids by volume
+            const useMass = !isVolume || (density && !density.entry.liquid);
+            if (useMass) {
+                const grams = this.convert(amount, unit, 'g', density && density.entry);
+                if (grams === null) return null;
+                return grams >= 1000 ? 'kg' : 'g';
+            }
+            const ml = this.convert(amount, unit, 'ml');
+            return ml >= 1000 ? 'l' : 'ml';
+        }
+        
+        const ml = this.convert(amount, unit, 'ml', density && density.entry);
+        if (ml === null) return null;
+        
+        if (system === 'us') {
+            return ml >= this.volumes.cup / 4 ? 'cup' : ml >= this.volumes.tbsp ? 'tbsp' : 'tsp';
+        }
+        if (system === 'indian') {
+            return ml >= this.volumes.katori / 2 ? 'katori' : ml >= this.volumes.chammach ? 'chammach' : 'tsp';
+        }
+        
+        return null;
+    },
+    
+    // Ingredient quantity in the preferred unit system
+    convertIngredient(ingredient, system) {
+        const amount = RecipeScaler.parse(ingredient.quantity);
+        const unit = ingredient.unit || '';
+        
+        // Pinches, pieces and "to taste" stay as written
+        if (!system || system === 'original' || !amount || unit === 'pinch' || !this.isConvertible(unit)) {
+            return null;
+        }
+        
+        const density = this.findDensity(ingredient.name);
+        const targetUnit = this.chooseUnit(amount.max, unit, system, density);
+        if (!targetUnit || targetUnit === unit) return null;
+        
+        const entry = density && density.entry;
+        const minText = RecipeScaler.formatAmount(this.convert(amount.min, unit, targetUnit, entry), targetUnit);
+        const maxText = RecipeScaler.formatAmount(this.convert(amount.max, unit, targetUnit, entry), targetUnit);
+        
+        return {
+            ...ingredient,
+            quantity: minText === maxText ? minText : `${minText}-${maxText}`,
+            unit: targetUnit
+        };
+    },
+    
+    // Human-readable amount in the preferred unit system
+    formatIngredient(ingredient, system) {
+        return RecipeSchema.formatQuantity(this.convertIngredient(ingredient, system) || ingredient);
+    },
+    
+    // Answer "kitne grams hai ek cup atta" / "how many cups is 200 g sugar" locally; null if not a conversion question
+    answerQuery(message) {
+        const text = String(message || '').toLowerCase().replace(/[?!,।]/g, ' ');
+        
+        const aliases = this.getUnitAliases();
+        const unitPattern = aliases.map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        const amountWords = Object.keys(RecipeScaler.amountWords).join('|');
+        const sourceMatch = text.match(new RegExp(
+            `(?:^|\\s)(\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+|\\/\\d+)?|\\d?[½¼¾⅓⅔⅛]|${amountWords})\\s*(${unitPattern})(?=\\s|$)`
+        ));
+        if (!sourceMatch) return null;
+        
+        const rest = `${text.slice(0, sourceMatch.index)} ${text.slice(sourceMatch.index + sourceMatch[0].length)}`;
+        
+        // Without a question word the target needs "in grams" / "grams mein", so "1 tsp salt to 2 cups water" isn't a question
+        const isQuestion = /\b(kitn[aei]|how many|how much|convert)\b/.test(text);
+        const targetMatch = rest.match(new RegExp(isQuestion ?
+            `(?:^|\\s)(${unitPattern})(?=\\s|$)` :
+            `(?:^|\\s)(?:in|into)\\s+(${unitPattern})(?=\\s|$)|(?:^|\\s)(${unitPattern})\\s+(?:mein|me)(?=\\s|$)`));
+        if (!targetMatch) return null;
+        
+        const amount = RecipeScaler.parse(sourceMatch[1]);
+        const fromUnit = RecipeSchema.normalizeUnit(sourceMatch[2]);
+        const toUnit = RecipeSchema.normalizeUnit(targetMatch[1] || targetMatch[2]);
+        if (!amount || fromUnit === toUnit) return null;
+        
+        const density = this.findDensity(rest.replace(targetMatch[0], ' '));
+        const value = this.convert(amount.max, fromUnit, toUnit, density && density.entry);
+        const from = RecipeSchema.formatQuantity({ quantity: sourceMatch[1], unit: fromUnit });
+        const ingredientName = density ? ` ${density.name}` : '';
+        
+        if (value === null) {
+            return I18n.t(this.isConvertible(fromUnit) && this.isConvertible(toUnit) ?
+                'convert.need_ingredient' : 'convert.impossible', { from, unit: toUnit });
+        }
+        
+        const to = RecipeSchema.formatQuantity({ quantity: RecipeScaler.formatAmount(value, toUnit), unit: toUnit });
+        return I18n.t('convert.result', { from: `${from}${ingredientName}`, to });
+    },
+    
+    // Unit spellings that can appear in a question, longest first
+    getUnitAliases() {
+        const aliases = [];
+        for (const [canonical, unitAliases] of Object.entries(RecipeSchema.units)) {
+            if (!this.isConvertible(canonical)) continue;
+            [canonical, ...unitAliases]
+                .filter(alias => !RecipeScaler.textExcludedAliases.includes(alias))
+                .forEach(alias => aliases.push(alias));
+        }
+        return aliases.sort((a, b) => b.length - a.length);
+    }
+};
+
+// Make UnitConverter globally available
+window.UnitConverter = UnitConverter;
@@ -0,0 +1,210 @@
+// Live Recipe AI - AI Errors
+// Typed failures from AI calls, so callers know what went wrong and whether trying again can help
+
+class AIError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'AIError';
+        this.type = 'unknown';
+        this.retryable = false; // Whether the same request may succeed if sent again
+        this.outage = false; // Whether it says the service is unusable (counts toward offline mode)
+        this.statusLabel = I18n.t('ai_status.error'); // Short text for the AI status indicator
+        this.userMessage = options.userMessage || message; // Explanation shown to the user
+        this.status = options.status ?? null; // HTTP status, if any
+        this.retryAfter = options.retryAfter ?? null; // How long the server asked us to wait (ms)
+        this.cause = options.cause ?? null;
+    }
+}
+
+// Missing, invalid or unauthorized API key
+class AuthError extends AIError {
+    constructor(message = 'Invalid API key', options = {}) {
+        super(message, { userMessage: I18n.t('error.auth'), ...options });
+        this.name = 'AuthError';
+        this.type = 'auth';
+        this.outage = true;
+        this.statusLabel = I18n.t('ai_status.auth');
+    }
+}
+
+// Rate limit or quota exhausted
+class QuotaError extends AIError {
+    constructor(message = 'Rate limit exceeded', options = {}) {
+        super(message, { userMessage: I18n.t('error.quota'), ...options });
+        this.name = 'QuotaError';
+        this.type = 'quota';
+        this.retryable = true;
+        this.outage = true;
+        this.statusLabel = I18n.t('ai_status.quota');
+    }
+}
+
+// The model refused to answer because of its safety filters (or stopped to avoid reciting copyrighted text)
+class SafetyBlockedError extends AIError {
+    constructor(message = 'Response blocked by safety filters', options = {}) {
+        super(message, { userMessage: describeBlockReason(options.reason), ...options });
+        this.name = 'SafetyBlockedError';
+        this.type = 'safety';
+        this.statusLabel = I18n.t('ai_status.safety');
+        this.reason = options.reason || null; // blockReason or finishReason from the provider
+    }
+}
+
+// No answer within the request timeout
+class TimeoutError extends AIError {
+    constructor(message = 'Request timed out', options = {}) {
+        super(message, { userMessage: I18n.t('error.timeout'), ...options });
+        this.name = 'TimeoutError';
+        this.type = 'timeout';
+        this.retryable = true;
+        this.outage = true;
+        this.statusLabel = I18n.t('ai_status.timeout');
+    }
+}
+
+// The AI service could not be reached at all
+class NetworkError extends AIError {
+    constructor(message = 'Network request failed', options = {}) {
+        super(message, { userMessage: I18n.t('error.network'), ...options });
+        this.name = 'NetworkError';
+        this.type = 'network';
+        this.retryable = true;
+        this.outage = true;
+        this.statusLabel = I18n.t('ai_status.network');
+    }
+}
+
+// The service answered, but not with anything we can read
+class MalformedResponseError extends AIError {
+    constructor(message = 'Invalid response format from API', options = {}) {
+        super(message, { userMessage: I18n.t('error.malformed'), ...options });
+        this.name = 'MalformedResponseError';
+        this.type = 'malformed';
+        this.retryable = true;
+        this.outage = true;
+        this.statusLabel = I18n.t('ai_status.malformed');
+    }
+}
+
+// 5xx from the service
+class ServerError extends AIError {
+    constructor(message = 'AI service error', options = {}) {
+        super(message, { userMessage: I18n.t('error.server'), ...options });
+        this.name = 'ServerError';
+        this.type = 'server';
+        this.retryable = true;
+        this.outage = true;
+        this.statusLabel = I18n.t('ai_status.server');
+    }
+}
+
+// The request itself was rejected (400 and other 4xx); sending it again won't help
+class RequestError extends AIError {
+    constructor(message = 'Request rejected', options = {}) {
+        super(message, { userMessage: I18n.t('error.request'), ...options });
+        this.name = 'RequestError';
+        this.type = 'request';
+        this.statusLabel = I18n.t('ai_status.request');
+    }
+}
+
+// Calls are paused after repeated failures (offline mode)
+class CircuitOpenError extends AIError {
+    constructor(message = 'AI calls paused after repeated failures', options = {}) {
+        super(message, { userMessage: I18n.t('error.offline'), ...options });
+        this.name = 'CircuitOpenError';
+        this.type = 'offline';
+        this.statusLabel = I18n.t('ai_status.offline');
+    }
+}
+
+// Explanation of a Gemini blockReason / finishReason for the user
+function describeBlockReason(reason) {
+    if (reason === 'RECITATION') {
+        return I18n.t('error.recitation');
+    }
+    
+    const detail = reason && reason !== 'SAFETY' ? ` (${reason.toLowerCase().replace(/_/g, ' ')})` : '';
+    return I18n.t('error.safety', { detail });
+}
+
+// Milliseconds to wait from a Retry-After header (seconds or HTTP date) or Gemini's RetryInfo ("30s")
+function parseRetryAfter(headers, errorData) {
+    const header = headers && typeof headers.get === 'function' ? headers.get('Retry-After') : null;
+    if (header) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    
+    const retryInfo = (errorData?.error?.details || []).find(detail => detail.retryDelay);
+    if (retryInfo) {
+        const seconds = parseFloat(retryInfo.retryDelay);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+    }
+    
+    return null;
+}
+
+// Typed error for a non-OK HTTP response
+function errorFromResponse(status, errorData = {}, headers = null) {
+    const detail = errorData?.error?.message || (typeof errorData?.error === 'string' ? errorData.error : '');
+    const message = `API Error ${status}${detail ? `: ${detail}` : ''}`;
+    const options = { status, retryAfter: parseRetryAfter(headers, errorData) };
+    
+    // Gemini answers a bad key with 400 API_KEY_INVALID
+    const badKey = /api[ _-]?key/i.test(detail) ||
+        (errorData?.error?.details || []).some(item => item.reason === 'API_KEY_INVALID');
+    
+    if (status === 401 || status === 403 || (status === 400 && badKey)) {
+        return new AuthError(message, options);
+    }
+    if (status === 429) {
+        return new QuotaError(message, options);
+    }
+    if (status === 408) {
+        return new TimeoutError(message, options);
+    }
+    if (status >= 500) {
+        return new ServerError(message, options);
+    }
+    return new RequestError(message, options);
+}
+
+// Turn any thrown value into an AIError
+function classifyAIError(error) {
+    if (error instanceof AIError) {
+        return error;
+    }
+    
+    const message = error?.message || String(error);
+    
+    if (error?.name === 'AbortError') {
+        return new TimeoutError(message, { cause: error });
+    }
+    // fetch() rejects with a TypeError when the network is down or CORS fails
+    if (error instanceof TypeError) {
+        return new NetworkError(message, { cause: error });
+    }
+    if (error instanceof SyntaxError) {
+        return new MalformedResponseError(message, { cause: error });
+    }
+    
+    return new AIError(message, { cause: error });
+}
+
+// Export for global use
+window.AIError = AIError;
+window.AuthError = AuthError;
+window.QuotaError = QuotaError;
+window.SafetyBlockedError = SafetyBlockedError;
+window.TimeoutError = TimeoutError;
+window.NetworkError = NetworkError;
+window.MalformedResponseError = MalformedResponseError;
+window.ServerError = ServerError;
+window.RequestError = RequestError;
+window.CircuitOpenError = CircuitOpenError;
+window.errorFromResponse = errorFromResponse;
+window.classifyAIError = classifyAIError;
@@ -0,0 +1,144 @@
+// Live Recipe AI - Frame Analysis
+// Cheap local checks on camera frames (change, blur, darkness, browning) before anything is uploaded
+
+const FrameAnalyzer = {
+    // Width frames are shrunk to before analysis
+    analysisWidth: 160,
+    
+    // Decision thresholds (overridable from config)
+    thresholds: {
+        darkness: 0.12, // Mean brightness (0-1) below this is too dark
+        blur: 30, // Laplacian variance below this is too blurry
+        change: 0.06 // Mean pixel difference (0-1) below this is "unchanged"
+    },
+    
+    // Hue buckets for the color histogram (degrees)
+    hueBins: 12,
+    
+    // Apply thresholds from config
+    configure(config = {}) {
+        if (config.FRAME_DARKNESS_THRESHOLD !== undefined) this.thresholds.darkness = config.FRAME_DARKNESS_THRESHOLD;
+        if (config.FRAME_BLUR_THRESHOLD !== undefined) this.thresholds.blur = config.FRAME_BLUR_THRESHOLD;
+        if (config.FRAME_CHANGE_THRESHOLD !== undefined) this.thresholds.change = config.FRAME_CHANGE_THRESHOLD;
+    },
+    
+    // Analyze RGBA image data ({ data, width, height }) against the previous grayscale frame
+    analyze(image, previousGray = null) {
+        const { data, width, height } = image;
+        const pixelCount = width * height;
+        const gray = new Uint8ClampedArray(pixelCount);
+        const hueHistogram = new Array(this.hueBins).fill(0);
+        
+        let brightnessTotal = 0;
+        let brownPixels = 0;
+        let charredPixels = 0;
+        
+        for (let i = 0; i < pixelCount; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+            
+            gray[i] = luminance;
+            brightnessTotal += luminance;
+            
+            const { hue, saturation, value } = this.toHSV(r, g, b);
+            if (saturation > 0.15 && value > 0.1) {
+                hueHistogram[Math.floor(hue / (360 / this.hueBins)) % this.hueBins]++;
+            }
+            
+            // Browned food: orange-brown hues, fairly saturated, not too bright
+            if (hue >= 15 && hue <= 45 && saturation > 0.35 && value > 0.2 && value < 0.75) {
+                brownPixels++;
+            }
+            
+            // Charred food: nearly black
+            if (value < 0.12) {
+                charredPixels++;
+            }
+        }
+        
+        const coloredPixels = hueHistogram.reduce((sum, count) => sum + count, 0) || 1;
+        
+        return {
+            gray,
+            brightness: this.round(brightnessTotal / (pixelCount * 255)),
+            sharpness: this.round(this.laplacianVariance(gray, width, height)),
+            difference: previousGray ? this.round(this.difference(gray, previousGray)) : null,
+            browning: this.round(brownPixels / pixelCount),
+            charred: this.round(charredPixels / pixelCount),
+            histogram: hueHistogram.map(count => this.round(count / coloredPixels))
+        };
+    },
+    
+    // Decide whether a frame is worth uploading
+    evaluate(analysis, options = {}) {
+        if (analysis.brightness < this.thresholds.darkness) {
+            return { upload: false, reason: 'dark' };
+        }
+        if (analysis.sharpness < this.thresholds.blur) {
+            return { upload: false, reason: 'blurry' };
+        }
+        if (options.skipUnchanged && analysis.difference !== null && analysis.difference < this.thresholds.change) {
+            return { upload: false, reason: 'unchanged' };
+        }
+        return { upload: true, reason: 'ok' };
+    },
+    
+    // Mean absolute difference of two grayscale frames, 0 (same) to 1
+    difference(current, previous) {
+        if (current.length !== previous.length) return 1;
+        
+        let total = 0;
+        for (let i = 0; i < current.length; i++) {
+            total += Math.abs(current[i] - previous[i]);
+        }
+        return total / (current.length * 255);
+    },
+    
+    // Variance of the Laplacian: low values mean few edges, i.e. a blurry frame
+    laplacianVariance(gray, width, height) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+        
+        if (!count) return 0;
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    },
+    
+    // RGB (0-255) to hue (0-360), saturation and value (0-1)
+    toHSV(r, g, b) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const delta = max - min;
+        
+        let hue = 0;
+        if (delta) {
+            if (max === r) hue = 60 * (((g - b) / delta) % 6);
+            else if (max === g) hue = 60 * ((b - r) / delta + 2);
+            else hue = 60 * ((r - g) / delta + 4);
+        }
+        if (hue < 0) hue += 360;
+        
+        return { hue, saturation: max ? delta / max : 0, value: max / 255 };
+    },
+    
+    // Round scores for display and storage
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+};
+
+// Make FrameAnalyzer globally available
+window.FrameAnalyzer = FrameAnalyzer;
@@ -0,0 +1,525 @@
+// Live Recipe AI - Translations
+// Language packs for UI and spoken strings, the AI's reply language and speech recognition/synthesis locales
+
+const I18n = {
+    // Used when the preference names a language without a pack
+    defaultLanguage: 'hinglish',
+    
+    // Packs keep only the strings they translate; the rest come from their fallback
+    baseLanguage: 'english',
+    
+    // Registered packs by preference value
+    packs: {},
+    
+    // Add or extend a language pack:
+    // { name, nativeName, speechLang, promptLanguage, promptNote, fallback, strings, intents, interruptPhrases, missingPhrases }
+    register(code, pack) {
+        const existing = this.packs[code] || { strings: {}, intents: {} };
+        this.packs[code] = {
+            ...existing,
+            ...pack,
+            code,
+            strings: { ...existing.strings, ...(pack.strings || {}) },
+            intents: { ...existing.intents, ...(pack.intents || {}) }
+        };
+    },
+    
+    // Preference value of the current language
+    getLanguage() {
+        const language = typeof AppState !== 'undefined' ? AppState.preferences.language : null;
+        return this.packs[language] ? language : this.defaultLanguage;
+    },
+    
+    // Pack for a language (current one by default)
+    getPack(code = this.getLanguage()) {
+        return this.packs[code] || this.packs[this.defaultLanguage];
+    },
+    
+    // Registered languages for pickers: [{ code, name, nativeName }]
+    getLanguages() {
+        return Object.values(this.packs).map(pack => ({ code: pack.code, name: pack.name, nativeName: pack.nativeName }));
+    },
+    
+    // Translated string with {placeholders} filled in; falls back through the pack chain, then the key itself
+    t(key, params = {}, code = this.getLanguage()) {
+        let pack = this.getPack(code);
+        const seen = new Set();
+        
+        while (pack && !seen.has(pack.code)) {
+            if (pack.strings[key] !== undefined) {
+                return this.format(pack.strings[key], params);
+            }
+            seen.add(pack.code);
+            pack = this.packs[pack.fallback || this.baseLanguage];
+        }
+        
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    },
+    
+    // Fill {name} placeholders
+    format(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+    },
+    
+    // BCP 47 locale for speech recognition and synthesis
+    getSpeechLang(code = this.getLanguage()) {
+        return this.getPack(code).speechLang || 'en-IN';
+    },
+    
+    // Language the AI should answer in, as written into prompts ("Hinglish", "Tamil (Tamil script)")
+    getPromptLanguage(code = this.getLanguage()) {
+        return this.getPack(code).promptLanguage || 'English';
+    },
+    
+    // Extra prompt rule for the language, if any
+    getPromptNote(code = this.getLanguage()) {
+        return this.getPack(code).promptNote || '';
+    },
+    
+    // Extra command phrases for the intent parser: { intent: [[phrase, weight], ...] }
+    getIntentPhrases(code = this.getLanguage()) {
+        return this.getPack(code).intents || {};
+    },
+    
+    // Extra "stop talking" phrases that cut the assistant off mid-sentence
+    getInterruptPhrases(code = this.getLanguage()) {
+        return this.getPack(code).interruptPhrases || [];
+    },
+    
+    // Extra "I don't have it" phrases that, said right after an ingredient's name, ask for a substitute
+    getMissingPhrases(code = this.getLanguage()) {
+        return this.getPack(code).missingPhrases || [];
+    }
+};
+
+// English: the complete set every other pack falls back to
+I18n.register('english', {
+    name: 'English',
+    nativeName: 'English',
+    speechLang: 'en-IN',
+    promptLanguage: 'simple English',
+    strings: {
+        // Start-up
+        'app.starting': 'Starting ChefMate...',
+        'app.loading': 'Loading...',
+        'app.welcome': 'Namaste! I\'m ChefMate, your kitchen assistant. Ready to cook together? Let\'s start by clicking "Start Cooking" below.',
+        'app.welcome_spoken': 'Namaste! I\'m ChefMate, your kitchen assistant. Ready to cook together?',
+        'app.welcome_back': 'Welcome back! Let\'s continue cooking.',
+        'app.ai_waiting_key': 'AI module waiting for API key',
+        'app.error': 'ChefMate Error: {message}',
+        'app.error_note': 'Error: {message}',
+        'app.state_failed': 'Application state failed to load',
+        'app.init_error': 'Initialization error: {error}',
+        'compat.camera': 'Camera API not supported',
+        'compat.speech': 'Speech recognition not supported',
+        'compat.tts': 'Text-to-speech not supported',
+        'compat.issues': 'Browser compatibility issues:\n{issues}\n\nPlease use Chrome, Edge, or Safari for best experience, or set up an offline speech engine (see config.example.js).',
+        
+        // Starting a dish
+        'cooking.ask_dish': 'What would you like to cook today?',
+        'cooking.default_dish': 'Vegetable Pulao',
+        'cooking.getting_recipe': 'Getting recipe for {dish}...',
+        'cooking.start': 'Let\'s start making {dish}. First, check the ingredients.',
+        'cooking.start_library': 'Let\'s start making {dish}, from your recipe library. First, check the ingredients.',
+        'cooking.check_ingredients': 'The ingredients are for {servings} people (say something like "for 4 people" to change that). Check the ingredients. Is everything ready? If yes, say "ready" or "yes".',
+        'cooking.offer_save': 'If you like the recipe, say "save recipe".',
+        'cooking.setup_failed': 'Recipe setup failed: {error}',
+        'cooking.default_recipe': 'Let\'s start with the default recipe. Check the ingredients.',
+        'cooking.offer_similar': 'I can\'t find a recipe for "{dish}" right now. Make {suggestion} instead?',
+        'cooking.started': 'Let\'s begin! We\'re making {dish}. First we\'ll check the ingredients.',
+        'cooking.this_dish': 'this delicious dish',
+        'cooking.paused': 'I\'m pausing. Say resume when you\'re ready.',
+        'cooking.resumed': 'Resumed! Let\'s keep going.',
+        'cooking.complete': 'Congratulations! The dish is ready. You did a great job. How was the experience?',
+        'cooking.confirm_reset': 'Are you sure you want to reset? This session will be archived.',
+        'cooking.reset': 'Cooking session reset. Ready to start fresh? Click "Start Cooking" to begin!',
+        'cooking.waiting': 'Waiting for instructions...',
+        
+        // Confirmations
+        'confirm.start': 'Great! Let\'s begin. {text}',
+        'confirm.ok': 'Okay. {text}',
+        'deny.ask': 'What\'s the problem? Tell me and I\'ll help.',
+        
+        // Steps
+        'step.previous': 'Previous step: {text}',
+        'step.next': 'Next step: {text}',
+        'step.jump': 'Step {step}: {text}',
+        'step.already_here': 'We\'re already on step {step}. {text}',
+        'step.out_of_range': 'This recipe only has {count} steps.',
+        
+        // Servings and ingredients
+        'servings.no_recipe': 'Tell me the dish first, then we can change the quantities.',
+        'servings.invalid': 'I can\'t scale the quantities for that many people. Say a number between 1 and 50.',
+        'servings.changed': 'The recipe is now for {servings} people.',
+        'ingredients.none': 'There are no ingredients yet. Tell me the dish first.',
+        'ingredients.list': 'Ingredients for {servings} people: {list}',
+        'ingredients.empty': 'Ingredients will appear here once you start cooking',
+        'servings.count_one': '{servings} serving',
+        'servings.count': '{servings} servings',
+        'units.original': 'As written',
+        'units.metric': 'Metric (g, ml)',
+        'units.us': 'US (cups, spoons)',
+        'units.indian': 'Indian (katori, chammach)',
+        'convert.need_ingredient': 'Tell me the ingredient to convert {from} to {unit}, like "how many grams is one cup of flour".',
+        'convert.impossible': 'I can\'t convert {from} to {unit}.',
+        'convert.result': '{from} is about {to}.',
+        
+        // Ingredient substitution
+        'substitute.which': 'Which ingredient is missing? Say for example "no curd".',
+        'substitute.offer': 'No {ingredient}? You can use {replacement} instead.{note} Shall I change the recipe?',
+        'substitute.applied': 'Done, the recipe now uses {replacement} instead of {ingredient}.',
+        'substitute.none': 'I don\'t have a good substitute for {ingredient}. You can leave it out or pick some up.',
+        'substitute.done': 'Is everything ready now? Say "yes" and we\'ll start.',
+        'substitute.pantry_hint': 'Last time you didn\'t have {list}. If you still don\'t, say "no" and I\'ll suggest substitutes.',
+        'substitute.instead_of': 'instead of {ingredient}',
+        
+        // Recipe library and sessions
+        'library.nothing_to_save': 'There\'s no recipe to save right now.',
+        'library.saved': '{name} is saved in your library. Next time you can make it even without internet.',
+        'library.save_failed': 'Recipe save failed: {error}',
+        'session.resume_one': 'Resume your last cooking session?\n\n{session}',
+        'session.resume_many': 'Resume a cooking session? Enter its number (Cancel to start fresh):\n\n{list}',
+        'session.welcome_back': 'Welcome back! Let\'s continue with {dish}. Step {step}: {text}',
+        'session.describe': '{dish} - step {step} of {total} ({updated})',
+        
+        // Camera
+        'camera.unavailable': 'Camera module not available',
+        'camera.enable_first': 'Please enable camera first',
+        'camera.on': 'Camera on. Now I can see your cooking.',
+        'camera.off': 'Camera off.',
+        'camera.analyzing': 'Analyzing your cooking...',
+        'camera.analysis_failed': 'Analysis failed: {error}',
+        'camera.analysis_unavailable': 'Could not analyze image. Please try again or continue cooking.',
+        'camera.blurry': 'The camera is blurry. Move it back a little or wipe the lens.',
+        'camera.dark': 'It\'s too dark for the camera. Please add some light.',
+        'checkpoint.unclear': 'I couldn\'t see it properly. Please show me once more.',
+        'checkpoint.completed': 'This step is done.',
+        'checkpoint.next': 'Shall we go to the next step?',
+        'checkpoint.dish_ready': 'The dish looks ready!',
+        'auto_complete.on': 'Okay, I\'ll complete each step as soon as the camera shows it\'s done.',
+        'auto_complete.off': 'Now you\'ll complete the steps yourself.',
+        'journal.empty': 'No photos taken yet. Say "look" to show me the food.',
+        'camera.not_supported': 'Camera not supported in this browser',
+        'camera.api_unavailable': 'Camera API not available',
+        'camera.not_active': 'Camera not active',
+        'camera.wait': 'Please wait a moment before another capture',
+        'camera.video_not_ready': 'Video not ready yet',
+        'camera.watching': 'Watching your cooking...',
+        'camera.captured': 'Frame captured! Sending to AI...',
+        'camera.showed_food': '[Showed food to AI]',
+        'camera.error': 'Camera error: {reason}',
+        'camera.permission_denied': 'Camera permission denied. Please allow camera access in browser settings.',
+        'camera.not_found': 'No camera found. Please connect a camera.',
+        'camera.in_use': 'Camera is in use by another application.',
+        'camera.constraints': 'Camera constraints could not be satisfied.',
+        'camera.resolution': 'Camera resolution not supported.',
+        'camera.unknown_error': 'Unknown error',
+        'camera.note': 'Camera: {message}',
+        'camera.status_initializing': 'Initializing...',
+        'camera.status_active': 'Active',
+        'camera.status_off': 'Off',
+        'camera.status_error': 'Error',
+        'camera.hint_off': 'Camera is off. Turn on to show food.',
+        'camera.hint_active': 'Camera is active. Say "look" to show food.',
+        'camera.hint_ready': 'Ready to capture. Hold food steady.',
+        'camera.device': 'Camera {number}',
+        'camera.focus_mode': 'Focus: {mode}',
+        
+        // Photo journal
+        'journal.title': '{dish} - Photo Journal',
+        'journal.page_title': '{dish} - ChefMate journal',
+        'journal.default_dish': 'Cooking session',
+        'journal.step': 'Step {step}',
+        'journal.watch_mode': 'watch mode',
+        'journal.no_analysis': 'No analysis',
+        'journal.photos': '{count} photos',
+        
+        // Watch mode
+        'watch.on': 'Okay, I\'ll keep an eye on the pan. I\'ll tell you if anything starts burning or boiling over.',
+        'watch.off': 'Watch mode turned off.',
+        'watch.burning': 'Careful! Something is burning. Turn the heat down right away and stir.',
+        'watch.boil_over': 'Careful! It\'s boiling over. Lower the heat or take the lid off.',
+        'watch.smoke': 'Careful! I can see smoke. Turn the heat off or down.',
+        'watch.checkpoint_seen': 'The camera shows: {checkpoint}.',
+        
+        // Timers
+        'timer.offer': 'This step takes {duration}. If you want a timer, say "set timer".',
+        'timer.offer_approx': 'This step takes about {duration}. If you want a timer, say "set timer".',
+        'timer.step_name': 'Step {step}',
+        'timer.default_name': '{duration} timer',
+        'timer.expired': 'Time\'s up for the {name} timer ({duration}). Please check on it.',
+        'timer.cancelled_named': 'Cancelled the {name} timer.',
+        'timer.cancelled': 'Timer cancelled.',
+        'timer.none_running': 'No timer is running.',
+        'timer.which_to_cancel': 'Which timer should I cancel? {list}',
+        'timer.remaining': '{name}: {duration} left',
+        'timer.started': 'Okay, timer set for {duration}.',
+        'timer.started_paused': 'Okay, timer set for {duration} (cooking is paused, it will run when you resume).',
+        'timer.started_for': 'Timer set for {name}: {duration}.',
+        'timer.ask_duration': 'How many minutes should the timer be? Say something like "set timer 10 minutes".',
+        'timer.not_started': 'Okay, no timer.',
+        'timer.kept': 'Okay, the timer keeps running.',
+        'timer.start_offer': 'Start {clock} timer',
+        'timer.done': 'Done',
+        'timer.clear_finished': 'Clear finished',
+        'duration.hour': '{count} hour',
+        'duration.hours': '{count} hours',
+        'duration.minute': '{count} minute',
+        'duration.minutes': '{count} minutes',
+        'duration.second': '{count} second',
+        'duration.seconds': '{count} seconds',
+        
+        // Speech
+        'speech.unavailable': 'Speech module not available',
+        'handsfree.on': 'Hands-free on. Say "ChefMate" or "suno", then your question.',
+        'handsfree.off': 'Hands-free off. Hold the mic button to speak.',
+        'ai_speech.on': 'AI speech enabled',
+        'ai_speech.off': 'AI speech disabled',
+        'speech.interrupted': 'Not fully spoken',
+        'speech.did_you_say': 'Did you say "{text}"?',
+        'speech.say_again': 'Okay, please say it again.',
+        'language.changed': 'Okay, I\'ll speak English from now on.',
+        'speech.status_unsupported': 'Not supported',
+        'speech.status_ready': 'Ready',
+        'speech.status_wake': 'Say "ChefMate"...',
+        'speech.status_listening': 'Listening...',
+        'speech.status_awake': 'Yes, go ahead...',
+        'speech.status_speaking': 'Speaking...',
+        'speech.status_stopped': 'Stopped',
+        'speech.status_disabled': 'Disabled',
+        'speech.status_failed': 'Error',
+        'speech.status_error': 'Error: {error}',
+        'permission.allow': 'Please allow {device} access in your browser settings to use this feature.',
+        'permission.microphone': 'microphone',
+        'permission.note': 'Permission needed: {message}',
+        
+        // AI failures
+        'ai.error': 'AI Error: {error}',
+        'fallback.offline': 'I can\'t reach the AI right now. Steps, timers and commands still work - you can say "next step" or "repeat".',
+        'fallback.quota': 'The AI is very busy right now. Ask again in a little while, and keep following the steps until then.',
+        'fallback.auth': 'The AI\'s API key isn\'t valid. Check Settings; steps and timers still work meanwhile.',
+        'fallback.recitation': 'That answer was turning out like a copy of a book or website, so it stopped. Please ask again in your own words.',
+        'fallback.safety': 'I couldn\'t answer that question. Please ask it a little differently.',
+        'fallback.default': 'I didn\'t understand that. Could you please repeat?',
+        'offline.on': '[Offline] {reason} Basic mode on: steps, timers and voice commands still work.',
+        'offline.unavailable': 'AI service unavailable.',
+        'offline.off': '[Offline] AI is back online.',
+        'ai.cut_short_max_tokens': '[AI] Reply was cut short because it was too long. Ask "tell me more" for the rest.',
+        'ai.cut_short_safety': '[AI] Reply was cut short because of the safety filters.',
+        'ai.cut_short_recitation': '[AI] Reply was cut short because it was too close to published text.',
+        'error.not_initialized': 'AI not initialized. Please check API key.',
+        'error.auth': 'Invalid API key. Please check your config.js file.',
+        'error.quota': 'Rate limit exceeded. Please wait a moment before trying again.',
+        'error.timeout': 'Request timeout. Please check your internet connection.',
+        'error.network': 'Cannot reach the AI service. Please check your internet connection.',
+        'error.malformed': 'The AI sent a response that could not be read. Please try again.',
+        'error.server': 'The AI service is having trouble right now. Please try again shortly.',
+        'error.request': 'The AI service rejected the request.',
+        'error.offline': 'AI is offline for now. Steps, timers, commands and saved recipes still work.',
+        'error.recitation': 'The AI stopped because its answer was too close to published text. Try asking in your own words.',
+        'error.safety': 'The AI could not answer that because of its safety filters{detail}. Try asking differently.',
+        'ai_status.error': 'Error',
+        'ai_status.auth': 'Invalid API Key',
+        'ai_status.quota': 'Rate Limited',
+        'ai_status.safety': 'Blocked',
+        'ai_status.timeout': 'Timed Out',
+        'ai_status.network': 'No Connection',
+        'ai_status.malformed': 'Bad Response',
+        'ai_status.server': 'Service Error',
+        'ai_status.request': 'Request Error',
+        'ai_status.offline': 'Offline Mode',
+        'ai_status.key_locked': 'Key Locked',
+        'ai_status.no_key': 'No API Key',
+        'ai_status.rephrasing': 'Rephrasing...',
+        'ai_status.retrying': 'Retrying ({reason})...',
+        'ai_status.disconnected': 'Disconnected',
+        
+        // Buttons and status bar
+        'button.pause': 'Pause',
+        'button.resume': 'Resume',
+        'title.mic_on': 'Hands-free Listening On',
+        'title.mic_off': 'Hands-free Listening Off',
+        'title.speech_on': 'AI Speech On',
+        'title.speech_off': 'AI Speech Off',
+        'title.camera_on': 'Turn Camera On',
+        'title.camera_off': 'Turn Camera Off',
+        'title.watch_on': 'Watch mode on (click to stop)',
+        'title.watch_paused': 'Watch mode paused',
+        'title.watch_off': 'Watch the pan automatically',
+        'title.timer_cancel': 'Cancel timer',
+        'title.servings_fewer': 'Fewer servings',
+        'title.servings_more': 'More servings',
+        'title.units': 'Units',
+        'title.camera_device': 'Camera',
+        'title.torch': 'Torch',
+        'title.zoom': 'Zoom',
+        'title.focus': 'Focus',
+        'title.journal_export': 'Export as HTML',
+        'title.close': 'Close',
+        'status.ready': 'All Systems Ready',
+        'status.thinking': 'Thinking...',
+        'status.connected': 'Connected',
+        'status.ai_connected': 'AI Connected',
+        'status.ai_not_connected': 'AI Disconnected',
+        'status.ai_disconnected': 'AI Disconnected - Check API Key',
+        'status.ai_offline': 'AI Offline - Basic Mode',
+        'status.no_mic': 'Microphone Not Supported',
+        'status.no_camera': 'Camera Not Supported',
+        'usage.total': '{tokens} tokens · ${cost}',
+        'usage.details': '{calls} AI calls this session: {input} input + {output} output tokens',
+        'usage.details_estimated': '{calls} AI calls this session: {input} input + {output} output tokens (some counts estimated)',
+        
+        // Settings
+        'settings.title': 'Settings',
+        'settings.close': 'Close',
+        'settings.ai': 'AI Connection',
+        'settings.key_not_needed': 'The {provider} provider doesn\'t need an API key.',
+        'settings.provider': 'Provider: {provider}',
+        'settings.provider_proxied': 'Provider: {provider} (via proxy)',
+        'settings.key_locked': 'Saved, locked with a passphrase',
+        'settings.key_saved': 'Saved: ••••{last4}',
+        'settings.key_saved_encrypted': 'Saved (encrypted): ••••{last4}',
+        'settings.key_none': 'No key saved in this browser',
+        'settings.passphrase': 'Passphrase',
+        'settings.passphrase_optional': 'Passphrase (optional, encrypts the key)',
+        'settings.encryption_unavailable': 'Encryption needs https or localhost',
+        'settings.unlock': 'Unlock',
+        'settings.paste_key': 'Paste API key',
+        'settings.test': 'Test',
+        'settings.save': 'Save',
+        'settings.remove_key': 'Remove key',
+        'settings.use_proxy': 'Use a local proxy (the key stays on the server, never in the browser)',
+        'settings.enter_passphrase': 'Enter the passphrase you saved the key with.',
+        'settings.need_key': 'Paste an API key (or turn on the proxy) first.',
+        'settings.testing': 'Testing...',
+        'settings.test_ok_key': 'Works! The key is accepted by {provider}.',
+        'settings.test_ok_proxy': 'Works! The proxy is accepted by {provider}.',
+        'settings.test_failed': 'Test failed: {error}',
+        'settings.save_failed': 'Could not save the key: {error}',
+        'settings.saved_connected': 'Saved. AI connected.',
+        'settings.saved_disconnected': 'Saved. AI still needs a key or proxy.',
+        'settings.confirm_remove': 'Remove the saved API key from this browser?',
+        'settings.language': 'Language',
+        'settings.language_hint': 'Used for ChefMate\'s replies, voice and speech recognition.',
+        'settings.voice': 'Voice',
+        'settings.voice_hint': 'Voice for {language}. Slower and louder helps over a pressure cooker or exhaust fan.',
+        'settings.voice_auto': 'Automatic ({voice})',
+        'settings.voice_none': 'No voices available yet. Some browsers load them a few seconds after the page.',
+        'settings.voice_rate': 'Speed',
+        'settings.voice_pitch': 'Pitch',
+        'settings.voice_volume': 'Volume',
+        'settings.voice_preview': 'Preview',
+        'settings.voice_kitchen': 'Slow & loud',
+        'settings.voice_barge_in': 'Let me interrupt by talking (hands-free): "stop", "ruko" or a new question cuts the voice off',
+        'settings.voice_engines': 'Speech engines. The browser\'s recognition needs internet; Vosk listens offline in the page and a local speech server runs on your own machine.',
+        'settings.voice_recognition_engine': 'Listening',
+        'settings.voice_synthesis_engine': 'Speaking',
+        'settings.voice_engine_auto': 'Automatic ({engine})',
+        'settings.voice_engine_unavailable': '{engine} (not set up)',
+        'settings.voice_server_url': 'Speech server URL, e.g. http://localhost:5005',
+        'voice.preview_text': 'Hi! This is how I\'ll sound while we cook. Add the onions and stir for two minutes.'
+    }
+});
+
+// Hinglish: the app's original voice
+I18n.register('hinglish', {
+    name: 'Hinglish',
+    nativeName: 'Hinglish',
+    speechLang: 'en-IN',
+    promptLanguage: 'Hinglish',
+    promptNote: 'Use cooking terms in Hindi/English mix',
+    fallback: 'english',
+    strings: {
+        'app.welcome_back': 'Welcome back! Chaliye cooking continue karte hain.',
+        'cooking.start': 'Chaliye shuru karte hain {dish} banana. Pehle ingredients check karein.',
+        'cooking.start_library': 'Chaliye shuru karte hain {dish} banana, apni recipe library se. Pehle ingredients check karein.',
+        'cooking.check_ingredients': 'Ingredients {servings} logon ke liye hain (kam ya zyada ke liye boliye, jaise "4 logon ke liye"). Ingredients check karein. Sab kuch ready hai? Agar haan to boliye "ready" ya "haan".',
+        'cooking.offer_save': 'Recipe pasand aaye to boliye "recipe save karo".',
+        'cooking.default_recipe': 'Default recipe se shuru karte hain. Ingredients check karein.',
+        'cooking.offer_similar': '"{dish}" ki recipe abhi nahi mil rahi. {suggestion} banayein?',
+        'cooking.started': 'Shuru karte hain! Let\'s make {dish}. Pehle ingredients check karte hain.',
+        'cooking.paused': 'Main pause kar raha hun. Jab ready ho, resume kar dena.',
+        'cooking.resumed': 'Resume kar diya! Chaliye aage badhte hain.',
+        'cooking.complete': 'Badhai ho! Dish taiyar hai. Aapne bahut accha banaya. Kaisa laga experience?',
+        'confirm.start': 'Accha! Chaliye shuru karte hain. {text}',
+        'confirm.ok': 'Theek hai. {text}',
+        'deny.ask': 'Kya problem hai? Batayein main help karun.',
+        'step.previous': 'Pichla step: {text}',
+        'step.next': 'Agla step: {text}',
+        'step.already_here': 'Hum abhi step {step} pe hi hain. {text}',
+        'step.out_of_range': 'Is recipe mein sirf {count} steps hain.',
+        'servings.no_recipe': 'Pehle dish bataiye, phir quantities badalte hain.',
+        'servings.invalid': 'Itne logon ke liye quantities nahi badli ja sakti. 1 se 50 ke beech boliye.',
+        'servings.changed': 'Ab recipe {servings} logon ke liye hai.',
+        'ingredients.none': 'Abhi tak koi ingredients nahi hain. Pehle dish bataiye.',
+        'ingredients.list': '{servings} logon ke liye ingredients hain: {list}',
+        'convert.need_ingredient': '{from} ko {unit} mein badalne ke liye ingredient bataiye, jaise "ek cup atta kitne grams".',
+        'convert.impossible': '{from} ko {unit} mein nahi badal sakte.',
+        'convert.result': '{from} lagbhag {to} hota hai.',
+        'substitute.which': 'Kaunsa ingredient nahi hai? Jaise bolein "dahi nahi hai".',
+        'substitute.offer': '{ingredient} nahi hai? Uski jagah {replacement} use kar sakte hain.{note} Recipe mein badal doon?',
+        'substitute.applied': 'Ho gaya, ab recipe mein {ingredient} ki jagah {replacement} hai.',
+        'substitute.none': '{ingredient} ka koi achha substitute nahi hai. Ise chhod sakte hain ya mangwa lijiye.',
+        'substitute.done': 'Ab sab ready hai? "Haan" bolein to shuru karte hain.',
+        'substitute.pantry_hint': 'Pichhli baar aapke paas {list} nahi tha. Ab bhi nahi hai to "nahi" bolein, main substitute bataunga.',
+        'substitute.instead_of': '{ingredient} ki jagah',
+        'library.nothing_to_save': 'Abhi save karne ke liye koi recipe nahi hai.',
+        'library.saved': '{name} library mein save ho gayi. Agli baar bina internet ke bhi bana sakte hain.',
+        'session.welcome_back': 'Welcome back! {dish} continue karte hain. Step {step}: {text}',
+        'camera.on': 'Camera on. Ab main dekh sakta hun aapka cooking.',
+        'camera.blurry': 'Camera blurry hai, thoda door rakhiye ya lens saaf kijiye.',
+        'camera.dark': 'Camera mein bahut andhera hai, thodi roshni kijiye.',
+        'checkpoint.unclear': 'Theek se dekh nahi paya. Ek baar phir dikhaiye.',
+        'checkpoint.completed': 'Ye step pura ho gaya.',
+        'checkpoint.next': 'Agle step pe chalein?',
+        'checkpoint.dish_ready': 'Dish taiyar lag rahi hai!',
+        'auto_complete.on': 'Theek hai, camera mein step pura dikhte hi main use complete kar dunga.',
+        'auto_complete.off': 'Ab steps aap hi complete karenge.',
+        'journal.empty': 'Abhi tak koi photo nahi li gayi. "Dekho" bolkar khana dikhaiye.',
+        'watch.on': 'Theek hai, main pan par nazar rakhunga. Kuch jalne ya ubalne lage to bata dunga.',
+        'watch.off': 'Watch mode band kar diya.',
+        'watch.burning': 'Dhyan dijiye! Kuch jal raha hai. Aanch turant dheemi kijiye aur chalaiye.',
+        'watch.boil_over': 'Dhyan dijiye! Ubal kar bahar aa raha hai. Aanch kam kijiye ya dhakkan hataiye.',
+        'watch.smoke': 'Dhyan dijiye! Dhuan dikh raha hai. Aanch band ya kam kijiye.',
+        'watch.checkpoint_seen': 'Camera mein dikh raha hai: {checkpoint}.',
+        'timer.offer': 'Is step mein {duration} lagenge. Timer chahiye to boliye "timer lagao".',
+        'timer.offer_approx': 'Is step mein lagbhag {duration} lagenge. Timer chahiye to boliye "timer lagao".',
+        'timer.expired': '{name} ka timer khatam! {duration} ho gaye. Please check kar lijiye.',
+        'timer.cancelled_named': '{name} ka timer band kar diya.',
+        'timer.cancelled': 'Timer band kar diya.',
+        'timer.none_running': 'Koi timer chal nahi raha.',
+        'timer.which_to_cancel': 'Kaunsa timer band karun? {list}',
+        'timer.remaining': '{name}: {duration} baaki',
+        'timer.started': 'Theek hai, {duration} ka timer laga diya.',
+        'timer.started_paused': 'Theek hai, {duration} ka timer laga diya (cooking paused hai, resume par chalega).',
+        'timer.started_for': '{name} ke liye {duration} ka timer laga diya.',
+        'timer.ask_duration': 'Kitne minute ka timer lagaun? Jaise boliye "timer lagao 10 minute".',
+        'timer.not_started': 'Theek hai, timer nahi lagaya.',
+        'timer.kept': 'Theek hai, timer chalta rahega.',
+        'duration.hour': '{count} ghanta',
+        'duration.hours': '{count} ghante',
+        'duration.minutes': '{count} minute',
+        'duration.seconds': '{count} second',
+        'camera.hint_active': 'Camera is active. Say "dekho" to show food.',
+        'handsfree.on': 'Hands-free on. "ChefMate" ya "suno" boliye, phir apna sawaal.',
+        'handsfree.off': 'Hands-free off. Bolne ke liye mic button dabaye rakhiye.',
+        'language.changed': 'Theek hai, ab main Hinglish mein baat karunga.',
+        'speech.interrupted': 'Poora nahi bola gaya',
+        'speech.did_you_say': 'Kya aapne "{text}" kaha?',
+        'speech.say_again': 'Theek hai, phir se boliye.',
+        'speech.status_awake': 'Haan, boliye...',
+        'ai.cut_short_max_tokens': '[AI] Reply was cut short because it was too long. Ask "aur batao" for the rest.',
+        'fallback.offline': 'AI se abhi connection nahi ho pa raha. Steps, timers aur commands chalte rahenge - "next step" ya "repeat" bol sakte hain.',
+        'fallback.quota': 'AI abhi bahut busy hai. Thodi der baad phir puchiye, tab tak steps follow karte rahiye.',
+        'fallback.auth': 'AI ki API key sahi nahi hai. Settings check kijiye, tab tak steps aur timers chalte rahenge.',
+        'fallback.recitation': 'Ye jawab kisi book ya website jaisa ban raha tha, isliye ruk gaya. Apne shabdon mein phir se puchiye.',
+        'fallback.safety': 'Is sawaal ka jawab main nahi de paaya. Thoda alag tarike se puchiye.',
+        'fallback.default': 'Mujhe samajh nahi aaya. Could you please repeat?',
+        'voice.preview_text': 'Namaste! Cooking karte waqt main aise bolunga. Pyaaz daaliye aur do minute chalaiye.'
+    }
+});
+
+// Make I18n globally available
+window.I18n = I18n;
+window.t = (key, params) => I18n.t(key, params);
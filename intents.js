@@ -0,0 +1,450 @@
+// Live Recipe AI - Intent Parser
+// Recognizes cooking commands in English, Hinglish and Hindi (plus phrases from language packs) without touching the DOM
+
+class IntentParser {
+    constructor(options = {}) {
+        // Below this confidence the message goes to the AI instead
+        this.threshold = options.threshold ?? 0.6;
+        
+        // Intent phrases with weights (how sure a match makes us)
+        this.intents = {
+            confirm: [
+                ['ready', 1], ['haan', 1], ['han', 0.9], ['haa', 0.9], ['ha', 0.8], ['yes', 1], ['yeah', 0.9],
+                ['ok', 0.8], ['okay', 0.8], ['theek hai', 0.9], ['thik hai', 0.9], ['done', 0.9],
+                ['ho gaya', 0.9], ['hogaya', 0.9], ['sab ready', 1], ['taiyar', 0.9], ['tayyar', 0.9],
+                ['हाँ', 1], ['हां', 1], ['तैयार', 1], ['हो गया', 0.9]
+            ],
+            deny: [
+                ['nahi', 1], ['nahin', 1], ['nai', 0.8], ['no', 1], ['nope', 1], ['abhi nahi', 1],
+                ['नहीं', 1], ['नही', 1]
+            ],
+            next_step: [
+                ['next', 1], ['next step', 1], ['agla', 1], ['agla step', 1], ['aage', 0.9],
+                ['aage badho', 1], ['move on', 0.9], ['go ahead', 0.8], ['go forward', 0.9],
+                ['आगे', 0.9], ['अगला', 1], ['अगला step', 1]
+            ],
+            previous_step: [
+                ['previous', 1], ['previous step', 1], ['pichla', 1], ['pichla step', 1],
+                ['peeche', 0.9], ['piche', 0.9], ['go back', 1], ['back', 0.8], ['wapas', 0.8],
+                ['पिछला', 1], ['पिछला step', 1], ['पीछे', 0.9]
+            ],
+            goto_step: [
+                ['go to step', 1], ['jump to step', 1], ['step pe jao', 1], ['step par jao', 1],
+                ['step pe chalo', 1]
+            ],
+            pause: [
+                ['pause', 1], ['ruk jao', 0.9], ['thoda ruko', 1], ['ek minute ruko', 1], ['hold on', 0.9],
+                ['wait', 0.7], ['रुको', 0.9],
+                // The words that cut the voice off mid-sentence also pause when it is quiet
+                ['ruko', 0.9], ['ruko ruko', 1], ['bas', 0.8], ['bas karo', 0.9], ['chup', 0.8], ['chup karo', 0.9],
+                ['shh', 0.8], ['चुप', 0.8], ['बस', 0.8], ['stop', 0.8]
+            ],
+            resume: [
+                ['resume', 1], ['continue', 0.8], ['phir se shuru', 0.9], ['chalo shuru karo', 0.9]
+            ],
+            reset: [
+                ['stop cooking', 1], ['reset', 1], ['start over', 1], ['cancel cooking', 1],
+                ['band karo', 0.8], ['khatam karo', 0.8], ['cooking band', 1]
+            ],
+            ingredients: [
+                ['ingredients', 1], ['ingredient list', 1], ['saamaan', 0.9], ['samaan', 0.9],
+                ['samagri', 1], ['kya kya chahiye', 1], ['what do i need', 1], ['सामग्री', 1]
+            ],
+            camera_on: [
+                ['camera on', 1], ['camera chalu', 1], ['camera kholo', 1], ['start camera', 1],
+                ['turn on camera', 1], ['turn on the camera', 1]
+            ],
+            camera_off: [
+                ['camera off', 1], ['camera band', 1], ['stop camera', 1], ['turn off camera', 1],
+                ['turn off the camera', 1]
+            ],
+            watch_on: [
+                ['watch mode', 0.9], ['watch mode on', 1], ['nazar rakho', 1], ['nazar rakhna', 1], ['dhyan rakho', 0.9],
+                ['watch the pan', 1], ['keep watching', 1], ['keep an eye', 1]
+            ],
+            watch_off: [
+                ['watch mode off', 1], ['watch mode band', 1], ['stop watching', 1], ['watch off', 1]
+            ],
+            open_settings: [
+                ['settings', 0.9], ['settings kholo', 1], ['open settings', 1], ['settings dikhao', 1],
+                ['api key', 0.9], ['api key badlo', 1], ['change api key', 1]
+            ],
+            show_journal: [
+                ['photo journal', 1], ['journal', 0.9], ['journal dikhao', 1], ['photos dikhao', 1],
+                ['show photos', 1], ['show the photos', 1], ['timeline', 0.8]
+            ],
+            auto_complete_on: [
+                ['auto complete', 0.9], ['auto complete on', 1], ['step khud complete karo', 1],
+                ['apne aap complete karo', 1], ['complete steps automatically', 1]
+            ],
+            auto_complete_off: [
+                ['auto complete off', 1], ['auto complete band', 1], ['step main complete karunga', 1],
+                ['stop auto complete', 1]
+            ],
+            save_recipe: [
+                ['save recipe', 1], ['save this recipe', 1], ['save the recipe', 1], ['recipe save', 1],
+                ['recipe save karo', 1], ['recipe yaad rakho', 1], ['save to library', 1], ['library mein save', 1]
+            ],
+            set_servings: [
+                ['logon ke liye', 1], ['logo ke liye', 1], ['log ke liye', 1], ['logon', 0.8], ['people', 0.9],
+                ['persons', 0.9], ['servings', 1], ['serving', 0.9], ['serves', 0.9], ['लोगों के लिए', 1], ['लोगों', 0.8]
+            ]
+        };
+        
+        // Words that negate a nearby command ("not ready", "don't stop", "ready nahi", "band mat karo")
+        this.negationsBefore = ['not', "don't", 'dont', 'do not', 'never', "isn't", "aren't", "i'm not", 'nahi', 'nahin', 'mat', 'na', 'नहीं', 'मत'];
+        // A trailing "na" is a tag ("haan na", "next karo na"), not a negation
+        this.negationsAfter = ['nahi', 'nahin', 'mat', 'नहीं', 'मत'];
+        this.negationWindow = 3;
+        
+        // Words that suggest a question for the AI rather than a command
+        this.questionWords = ['kya', 'kaise', 'kyun', 'kyon', 'kab', 'kitna', 'kitni', 'kitne', 'kaun', 'kaunsa',
+            'what', 'how', 'why', 'when', 'which', 'should', 'can', 'क्या', 'कैसे', 'क्यों'];
+        
+        // English auxiliaries that open a spoken question ("is it done", "does it need salt");
+        // Hinglish "is" means "this" ("is recipe save karo"), so it only counts before an English subject
+        this.questionOpeners = ['is it', 'is this', 'is that', 'is the', 'is everything', 'is there', 'are', 'does',
+            'did', 'should', 'can', 'could', 'will', 'would', 'do you', 'do i', 'do we'];
+        
+        // Words that add nothing to a command
+        this.fillers = ['please', 'pls', 'plz', 'ji', 'bhai', 'yaar', 'now', 'abhi', 'the', 'a', 'to', 'karo',
+            'kar', 'do', 'dijiye', 'please.', 'i', "i'm", 'im', 'am', 'is', 'hai', 'hun', 'hoon', 'yet', 'still',
+            'mein', 'me', 'main', 'let', "let's", 'lets', 'chalo', 'ab', 'bas', 'ok', 'okay', 'so', 'and', 'aur',
+            'zara', 'jara', 'just', 'kindly', 'my', 'this', 'that', 'ye', 'yeh', 'wo', 'woh', 'na'];
+        
+        // Numbers and ordinals for step parameters
+        this.numbers = {
+            'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
+            'first': 1, 'second': 2, 'third': 3, 'fourth': 4, 'fifth': 5, 'last': -1,
+            'ek': 1, 'do': 2, 'teen': 3, 'char': 4, 'chaar': 4, 'paanch': 5, 'panch': 5, 'chhe': 6,
+            'saat': 7, 'aath': 8, 'nau': 9, 'das': 10,
+            'pehla': 1, 'pehle': 1, 'doosra': 2, 'dusra': 2, 'teesra': 3, 'tisra': 3, 'chautha': 4,
+            'आखिरी': -1, 'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5
+        };
+        
+        // Words that follow the number of people ("4 logon")
+        this.peopleWords = ['logon', 'logo', 'log', 'people', 'persons', 'servings', 'jan', 'लोगों', 'लोग'];
+        
+        // Extra phrases, e.g. from the language packs
+        if (options.phrases) {
+            this.addPhrases(options.phrases);
+        }
+    }
+    
+    // Add phrases to known intents: { intent: [[phrase, weight], ...] }
+    addPhrases(phrases) {
+        for (const [intent, list] of Object.entries(phrases)) {
+            if (!this.intents[intent]) continue;
+            
+            const known = new Set(this.intents[intent].map(([phrase]) => phrase));
+            const added = list
+                .map(([phrase, weight]) => [String(phrase).toLowerCase(), weight])
+                .filter(([phrase]) => !known.has(phrase));
+            this.intents[intent] = [...this.intents[intent], ...added];
+            
+            // One-word servings phrases ("जणांसाठी") can follow the number too
+            if (intent === 'set_servings') {
+                added.forEach(([phrase]) => {
+                    if (!phrase.includes(' ')) this.peopleWords.push(phrase);
+                });
+            }
+        }
+    }
+    
+    // Split a message into tokens; punctuation becomes a '|' boundary
+    tokenize(message) {
+        return String(message || '')
+            .toLowerCase()
+            .replace(/[’‘]/g, "'")
+            .replace(/[.,!?;:।]+/g, ' | ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+    
+    // Find every position where a phrase occurs as whole tokens; fillers may sit between its words ("stop the camera")
+    findPhrase(tokens, phrase) {
+        const phraseTokens = phrase.split(' ');
+        const positions = [];
+        
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i] !== phraseTokens[0]) continue;
+            
+            let end = i + 1;
+            const matched = phraseTokens.slice(1).every(token => {
+                while (end < tokens.length && tokens[end] !== token && this.fillers.includes(tokens[end])) end++;
+                if (tokens[end] !== token) return false;
+                end++;
+                return true;
+            });
+            
+            if (matched) {
+                positions.push({ start: i, end });
+            }
+        }
+        
+        return positions;
+    }
+    
+    // Check whether a match at [start, end) is negated
+    isNegated(tokens, start, end) {
+        for (const negation of this.negationsBefore) {
+            const negationTokens = negation.split(' ');
+            for (let i = Math.max(0, start - this.negationWindow); i <= start - negationTokens.length; i++) {
+                const between = tokens.slice(i, start);
+                if (between.includes('|')) continue;
+                if (negationTokens.every((token, offset) => tokens[i + offset] === token)) {
+                    return { index: i, length: negationTokens.length };
+                }
+            }
+        }
+        
+        for (let i = end; i < Math.min(tokens.length, end + 2); i++) {
+            if (tokens[i] === '|') break;
+            if (this.negationsAfter.includes(tokens[i])) {
+                return { index: i, length: 1 };
+            }
+        }
+        
+        return null;
+    }
+    
+    // Parse a number token
+    parseNumber(token) {
+        if (token === undefined) return null;
+        if (/^\d+$/.test(token)) return parseInt(token, 10);
+        const ordinal = token.match(/^(\d+)(st|nd|rd|th|va|wa)$/);
+        if (ordinal) return parseInt(ordinal[1], 10);
+        return token in this.numbers ? this.numbers[token] : null;
+    }
+    
+    // Extract "step 4" / "4th step" / "two steps" style parameters
+    extractStepParams(tokens) {
+        const stepWords = ['step', 'steps', 'stop', 'kadam', 'चरण'];
+        
+        for (let i = 0; i < tokens.length; i++) {
+            if (!stepWords.includes(tokens[i])) continue;
+            
+            // "step 4", "step number 4"
+            let offset = tokens[i + 1] === 'number' || tokens[i + 1] === 'no' || tokens[i + 1] === 'nambar' ? 2 : 1;
+            let number = this.parseNumber(tokens[i + offset]);
+            if (number !== null) {
+                return { number, indexes: [i, i + offset].concat(offset === 2 ? [i + 1] : []), plural: false };
+            }
+            
+            // "4th step", "two steps"
+            number = this.parseNumber(tokens[i - 1]);
+            if (number !== null) {
+                return { number, indexes: [i - 1, i], plural: tokens[i] === 'steps' };
+            }
+        }
+        
+        return null;
+    }
+    
+    // Extract "4 logon ke liye" / "for 6 people" / "serves 4" style parameters
+    extractServingsParams(tokens) {
+        const peopleWords = this.peopleWords;
+        const helperWords = ['for', 'make', 'it', 'banao', 'banana', 'bana', 'recipe', 'scale', 'ke', 'liye', 'ko', 'chahiye', 'के', 'लिए'];
+        
+        for (let i = 0; i < tokens.length; i++) {
+            let indexes = null;
+            let number = null;
+            
+            if (peopleWords.includes(tokens[i])) {
+                number = this.parseNumber(tokens[i - 1]);
+                indexes = [i - 1, i];
+            } else if (['serves', 'serving', 'servings'].includes(tokens[i])) {
+                number = this.parseNumber(tokens[i + 1]);
+                indexes = [i, i + 1];
+            }
+            
+            if (number !== null && number > 0) {
+                tokens.forEach((token, index) => {
+                    if (helperWords.includes(token)) indexes.push(index);
+                });
+                return { number, indexes };
+            }
+        }
+        
+        return null;
+    }
+    
+    // Whether a message reads as a question for the AI
+    isQuestion(message, tokens = this.tokenize(message)) {
+        return /\?/.test(String(message)) || tokens.some(token => this.questionWords.includes(token)) ||
+            this.questionOpeners.some(opener => `${tokens.join(' ')} `.startsWith(`${opener} `));
+    }
+    
+    // Score every intent and return the best one
+    parse(message) {
+        const tokens = this.tokenize(message);
+        const contentTokens = tokens.filter(token => token !== '|' && !this.fillers.includes(token));
+        const isQuestion = this.isQuestion(message, tokens);
+        const stepParams = this.extractStepParams(tokens);
+        const servingsParams = this.extractServingsParams(tokens);
+        
+        const candidates = [];
+        
+        for (const [intent, phrases] of Object.entries(this.intents)) {
+            let bestWeight = 0;
+            let negated = false;
+            const covered = new Set();
+            
+            for (const [phrase, weight] of phrases) {
+                for (const position of this.findPhrase(tokens, phrase)) {
+                    const negation = intent === 'deny' ? null : this.isNegated(tokens, position.start, position.end);
+                    
+                    for (let i = position.start; i < position.end; i++) covered.add(i);
+                    if (negation) {
+                        for (let i = negation.index; i < negation.index + negation.length; i++) covered.add(i);
+                    }
+                    
+                    if (weight > bestWeight || (weight === bestWeight && !negation)) {
+                        bestWeight = weight;
+                        negated = !!negation;
+                    }
+                }
+            }
+            
+            if (!bestWeight) continue;
+            
+            // Servings without a number ("kitne logon ke liye hai") is a question, not a command
+            if (intent === 'set_servings' && !servingsParams) continue;
+            
+            const params = {};
+            
+            // Step numbers and counts belong to navigation intents
+            if (stepParams && ['next_step', 'previous_step', 'goto_step'].includes(intent)) {
+                stepParams.indexes.forEach(index => covered.add(index));
+                if (intent === 'goto_step') {
+                    params.step = stepParams.number;
+                } else {
+                    params.count = Math.max(1, stepParams.number);
+                }
+            }
+            
+            if (intent === 'set_servings') {
+                servingsParams.indexes.forEach(index => covered.add(index));
+                params.servings = servingsParams.number;
+            }
+            
+            candidates.push({ intent, weight: bestWeight, negated, covered, params });
+        }
+        
+        // "step 4 pe jao", "4th step" without a phrase from the list ("two steps" alone is only a count)
+        const navigationIntents = ['next_step', 'previous_step', 'goto_step'];
+        if (stepParams && !stepParams.plural && !candidates.some(candidate => navigationIntents.includes(candidate.intent))) {
+            const covered = new Set(stepParams.indexes);
+            tokens.forEach((token, index) => {
+                if (['pe', 'par', 'jao', 'chalo', 'go', 'to', 'jump', 'on', 'पर', 'जाओ'].includes(token)) {
+                    covered.add(index);
+                }
+            });
+            candidates.push({ intent: 'goto_step', weight: 0.9, negated: false, covered, params: { step: stepParams.number } });
+        }
+        
+        const scored = candidates.map(candidate => this.scoreCandidate(candidate, tokens, contentTokens, isQuestion));
+        scored.sort((a, b) => b.confidence - a.confidence);
+        
+        if (!scored.length) {
+            return { intent: null, confidence: 0, params: {}, negated: false, alternatives: [] };
+        }
+        
+        const best = scored[0];
+        
+        // Two different intents fighting over one message ("ingredients ... next") is ambiguous
+        const rival = scored.find(candidate => candidate.intent !== best.intent && candidate.confidence > 0);
+        if (rival && best.confidence - rival.confidence < 0.2) {
+            best.confidence *= 0.7;
+        }
+        
+        best.confidence = Math.round(best.confidence * 100) / 100;
+        best.alternatives = scored.slice(1).map(candidate => ({ intent: candidate.intent, confidence: candidate.confidence }));
+        return best;
+    }
+    
+    // Turn a raw candidate into a result with confidence
+    scoreCandidate(candidate, tokens, contentTokens, isQuestion) {
+        let intent = candidate.intent;
+        let weight = candidate.weight;
+        
+        // A negated confirmation is a denial; other negated commands are not commands at all
+        if (candidate.negated) {
+            if (intent === 'confirm') {
+                intent = 'deny';
+            } else {
+                weight = 0;
+            }
+        }
+        
+        // How much of the message the command explains
+        const coveredContent = [...candidate.covered]
+            .filter(index => tokens[index] !== '|' && !this.fillers.includes(tokens[index])).length;
+        const coverage = contentTokens.length ? Math.min(1, coveredContent / contentTokens.length) : 1;
+        
+        let confidence = weight * (0.4 + 0.6 * coverage);
+        
+        // Questions are for the AI unless the command phrase is the question itself
+        if (isQuestion && coverage < 1) {
+            confidence *= 0.6;
+        }
+        
+        return {
+            intent,
+            confidence,
+            params: candidate.params,
+            negated: candidate.negated
+        };
+    }
+    
+    // Best intent if it clears the confidence threshold, otherwise null
+    match(message) {
+        const result = this.parse(message);
+        return result.intent && result.confidence >= this.threshold ? result : null;
+    }
+    
+    // Pick the likeliest of several speech recognition alternatives ([{ transcript, confidence }]),
+    // preferring ones that read as a command or use words we expect (e.g. the recipe's ingredients).
+    // Returns { transcript, confidence, score, intent }.
+    pickAlternative(alternatives, vocabulary = []) {
+        const expected = new Set(vocabulary.flatMap(text => this.tokenize(text)));
+        const known = new Set(expected);
+        Object.values(this.intents).forEach(phrases => {
+            phrases.forEach(([phrase]) => phrase.split(' ').forEach(word => known.add(word)));
+        });
+        
+        const heard = alternatives.filter(alternative => alternative && String(alternative.transcript || '').trim());
+        const firstConfidence = heard.length && heard[0].confidence > 0 ? heard[0].confidence : 0.6;
+        
+        const scored = heard
+            .map((alternative, index) => {
+                // Browsers often report confidence only for the first alternative; later ones rank below it
+                const recognition = alternative.confidence > 0 ? alternative.confidence : firstConfidence * Math.pow(0.75, index);
+                const words = this.tokenize(alternative.transcript)
+                    .filter(token => token !== '|' && !this.fillers.includes(token));
+                const familiar = words.length ? words.filter(word => known.has(word)).length / words.length : 0;
+                const mentionsExpected = words.some(word => expected.has(word));
+                const intent = this.match(alternative.transcript);
+                const score = recognition * 0.5 + (intent ? intent.confidence : 0) * 0.3 +
+                    (mentionsExpected ? 0.2 : 0) + familiar * 0.1;
+                
+                return {
+                    transcript: alternative.transcript.trim(),
+                    confidence: alternative.confidence || 0,
+                    score: Math.round(score * 100) / 100,
+                    intent: intent ? intent.intent : null
+                };
+            });
+        
+        scored.sort((a, b) => b.score - a.score);
+        return scored[0] || null;
+    }
+}
+
+// Export for browser and for tests
+if (typeof window !== 'undefined') {
+    window.IntentParser = IntentParser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntentParser;
+}
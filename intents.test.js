@@ -0,0 +1,98 @@
+// Live Recipe AI - Intent Parser checks
+// Run with: node intents.test.js (no browser or test framework needed)
+
+const assert = require('assert');
+const IntentParser = require('./intents.js');
+
+const parser = new IntentParser();
+
+// [message, expected intent or null (goes to the AI), expected params]
+const cases = [
+    // Plain commands in English, Hinglish and Hindi
+    ['ready', 'confirm'],
+    ['haan ji', 'confirm'],
+    ['next step', 'next_step'],
+    ['agla step please', 'next_step'],
+    ['pichla step', 'previous_step'],
+    ['अगला', 'next_step'],
+    ['ingredients', 'ingredients'],
+    
+    // Negation
+    ["I'm not ready yet", 'deny'],
+    ['ready nahi', 'deny'],
+    ["don't stop", null],
+    ['band mat karo', null],
+    
+    // A trailing "na" is a tag, not a negation
+    ['haan na', 'confirm'],
+    ['next karo na', 'next_step'],
+    ['aage badho na', 'next_step'],
+    ['na karo', null],
+    
+    // Fillers between the words of a phrase
+    ['stop the camera', 'camera_off'],
+    ['zara camera on karo', 'camera_on'],
+    ['please turn off the camera', 'camera_off'],
+    ['save the recipe please', 'save_recipe'],
+    
+    // The interrupt words pause
+    ['ruko', 'pause'],
+    ['bas', 'pause'],
+    ['bas karo', 'pause'],
+    ['chup karo', 'pause'],
+    ['stop', 'pause'],
+    ['stop please', 'pause'],
+    
+    // Ending the session takes more than "stop"
+    ['stop cooking', 'reset'],
+    ['start over', 'reset'],
+    
+    // Fillers that are commands on their own don't hijack other commands
+    ['bas next step', 'next_step'],
+    ['ok ho gaya', 'confirm'],
+    
+    // Parameters
+    ['step 4 pe jao', 'goto_step', { step: 4 }],
+    ['go to step 2', 'goto_step', { step: 2 }],
+    ['go back two steps', 'previous_step', { count: 2 }],
+    ['4 logon ke liye', 'set_servings', { servings: 4 }],
+    ['make it for 6 people', 'set_servings', { servings: 6 }],
+    
+    // Questions and mixed messages go to the AI
+    ['ingredients mein kya hai next', null],
+    ['kitne logon ke liye hai', null],
+    ['how long should I fry the onions', null],
+    ['is it done', null],
+    ['does it need more salt', null],
+    ['is it ready', null],
+    ['is recipe save karo', 'save_recipe']
+];
+
+let failed = 0;
+
+cases.forEach(([message, intent, params]) => {
+    const result = parser.match(message);
+    try {
+        assert.strictEqual(result ? result.intent : null, intent);
+        if (params) {
+            assert.deepStrictEqual(result.params, params);
+        }
+    } catch (error) {
+        failed++;
+        console.error(`FAIL "${message}": expected ${intent} ${JSON.stringify(params || {})}, ` +
+            `got ${result ? `${result.intent} (${result.confidence}) ${JSON.stringify(result.params)}` : 'null'}`);
+    }
+});
+
+// Phrases from a language pack are recognized too
+const marathi = new IntentParser({ phrases: { confirm: [['हो', 1]], set_servings: [['जणांसाठी', 1]] } });
+try {
+    assert.strictEqual(marathi.match('हो').intent, 'confirm');
+    assert.deepStrictEqual(marathi.match('4 जणांसाठी').params, { servings: 4 });
+} catch (error) {
+    failed++;
+    console.error(`FAIL language pack phrases: ${error.message}`);
+}
+
+console.log(`${cases.length + 1 - failed}/${cases.length + 1} intent checks passed`);
+process.exitCode = failed ? 1 : 0;
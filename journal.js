@@ -0,0 +1,307 @@
+// Live Recipe AI - Photo Journal
+// Keeps every camera capture of a session with its step and analysis, shown as a timeline and exportable as HTML
+
+class PhotoJournal {
+    constructor() {
+        this.dbName = 'chefmate_journal';
+        this.dbVersion = 1;
+        this.storeName = 'entries';
+        this.db = null;
+        this.memoryEntries = []; // Used when IndexedDB is unavailable (photos are too big for localStorage)
+        this.maxEntriesPerSession = 120;
+        this.analysisWindow = 120000; // An analysis belongs to a capture taken within this time (ms)
+        this.recentEntries = new Map(); // Captures still waiting for their analysis, by id
+        this.overlayElement = null;
+        
+        this.ready = this.init();
+    }
+    
+    // Initialize storage
+    async init() {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not available, photo journal kept in memory only');
+            return;
+        }
+        
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            console.warn('Failed to open journal database, keeping photos in memory:', error);
+        }
+    }
+    
+    // Open (and create if needed) the journal database
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('sessionId', 'sessionId', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Run a request against the entries store
+    runTransaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    // Store an entry
+    async putEntry(entry) {
+        await this.ready;
+        
+        if (!this.db) {
+            this.memoryEntries = [...this.memoryEntries.filter(saved => saved.id !== entry.id), entry];
+            return;
+        }
+        
+        await this.runTransaction('readwrite', store => store.put(entry));
+    }
+    
+    // All entries of a session, oldest first
+    async getEntries(sessionId) {
+        await this.ready;
+        
+        const entries = this.db ?
+            await this.runTransaction('readonly', store => store.index('sessionId').getAll(sessionId)) :
+            this.memoryEntries.filter(entry => entry.sessionId === sessionId);
+        
+        return (entries || []).sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+    }
+    
+    // Delete one entry
+    async deleteEntry(id) {
+        await this.ready;
+        
+        if (!this.db) {
+            this.memoryEntries = this.memoryEntries.filter(entry => entry.id !== id);
+            return;
+        }
+        
+        await this.runTransaction('readwrite', store => store.delete(id));
+    }
+    
+    // Delete a session's whole journal
+    async deleteEntries(sessionId) {
+        const entries = await this.getEntries(sessionId);
+        for (const entry of entries) {
+            await this.deleteEntry(entry.id);
+        }
+    }
+    
+    // Session the journal belongs to (a fixed id when sessions aren't saved)
+    getSessionId() {
+        return AppState.sessionId || 'current';
+    }
+    
+    // Record a captured frame with the step it was taken at; returns the entry id to attach its analysis to
+    addCapture(imageData, options = {}) {
+        if (!imageData || !AppState.isCooking) return null;
+        
+        const step = AppState.recipe.steps[AppState.currentStep];
+        const entry = {
+            id: `photo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            sessionId: this.getSessionId(),
+            dishName: AppState.recipe.name || 'Custom Dish',
+            step: step ? step.number : AppState.currentStep + 1,
+            stepText: step ? step.description : '',
+            image: imageData,
+            analysis: null,
+            background: !!options.background,
+            capturedAt: new Date().toISOString()
+        };
+        
+        // Forget captures whose analysis never came
+        for (const [id, recent] of this.recentEntries) {
+            if (Date.now() - new Date(recent.capturedAt).getTime() > this.analysisWindow) {
+                this.recentEntries.delete(id);
+            }
+        }
+        this.recentEntries.set(entry.id, entry);
+        
+        this.saveCapture(entry);
+        return entry.id;
+    }
+    
+    // Store a new capture and keep the session under the limit
+    async saveCapture(entry) {
+        try {
+            await this.putEntry(entry);
+            await this.pruneEntries(entry.sessionId);
+        } catch (error) {
+            console.warn('Failed to save journal photo:', error);
+        }
+    }
+    
+    // Attach an analysis to the capture it describes (by the id addCapture returned)
+    async attachAnalysis(entryId, description) {
+        const entry = this.recentEntries.get(entryId);
+        if (!entry || entry.analysis || !description) return;
+        
+        entry.analysis = String(description).trim();
+        this.recentEntries.delete(entryId);
+        
+        try {
+            await this.putEntry(entry);
+        } catch (error) {
+            console.warn('Failed to save journal analysis:', error);
+        }
+    }
+    
+    // Keep a session's journal under the limit, dropping watch mode photos first
+    async pruneEntries(sessionId) {
+        const entries = await this.getEntries(sessionId);
+        const excess = entries.length - this.maxEntriesPerSession;
+        if (excess <= 0) return;
+        
+        const candidates = [...entries.filter(entry => entry.background), ...entries.filter(entry => !entry.background)];
+        for (const entry of candidates.slice(0, excess)) {
+            await this.deleteEntry(entry.id);
+        }
+    }
+    
+    // Show the session's photos as a timeline
+    async showTimeline(sessionId = this.getSessionId()) {
+        const entries = await this.getEntries(sessionId);
+        if (!entries.length) return false;
+        
+        this.closeTimeline();
+        
+        const dishName = entries[0].dishName;
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.className = 'journal-overlay';
+        this.overlayElement.innerHTML = `
+            <div class="journal-panel">
+                <div class="journal-header">
+                    <h2><i class="fas fa-images"></i> ${this.escapeHtml(I18n.t('journal.title', { dish: dishName }))}</h2>
+                    <button class="btn-icon journal-export" title="${this.escapeHtml(I18n.t('title.journal_export'))}"><i class="fas fa-download"></i></button>
+                    <button class="btn-icon journal-close" title="${this.escapeHtml(I18n.t('title.close'))}"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="journal-timeline">
+                    ${entries.map(entry => this.renderEntry(entry)).join('')}
+                </div>
+            </div>
+        `;
+        
+        this.overlayElement.querySelector('.journal-export')
+            .addEventListener('click', () => this.exportHTML(sessionId));
+        this.overlayElement.querySelector('.journal-close')
+            .addEventListener('click', () => this.closeTimeline());
+        
+        document.body.appendChild(this.overlayElement);
+        return true;
+    }
+    
+    // Close the timeline
+    closeTimeline() {
+        if (this.overlayElement && this.overlayElement.parentNode) {
+            this.overlayElement.parentNode.removeChild(this.overlayElement);
+        }
+        this.overlayElement = null;
+    }
+    
+    // Timeline markup for one photo
+    renderEntry(entry) {
+        const step = this.escapeHtml(I18n.t('journal.step', { step: entry.step }));
+        return `
+            <div class="journal-entry">
+                <img src="${entry.image}" alt="${step}">
+                <div class="journal-entry-text">
+                    <div class="journal-entry-meta">
+                        ${step} &middot; ${this.formatTime(entry.capturedAt)}${entry.background ? ` &middot; ${this.escapeHtml(I18n.t('journal.watch_mode'))}` : ''}
+                    </div>
+                    <div class="journal-entry-step">${this.escapeHtml(entry.stepText)}</div>
+                    <div class="journal-entry-analysis">${this.escapeHtml(entry.analysis || I18n.t('journal.no_analysis'))}</div>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Self-contained HTML page of the journal, photos embedded
+    async buildHTML(sessionId = this.getSessionId()) {
+        const entries = await this.getEntries(sessionId);
+        const dishName = entries.length ? entries[0].dishName : I18n.t('journal.default_dish');
+        const date = entries.length ? new Date(entries[0].capturedAt).toLocaleDateString() : '';
+        
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(I18n.t('journal.page_title', { dish: dishName }))}</title>
+<style>
+body { font-family: sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #333; }
+.journal-entry { display: flex; gap: 1rem; padding: 1rem 0; border-bottom: 1px solid #eee; }
+.journal-entry img { width: 240px; border-radius: 8px; object-fit: cover; }
+.journal-entry-meta { font-size: 0.85rem; color: #888; }
+.journal-entry-step { font-weight: 600; margin: 0.3rem 0; }
+</style>
+</head>
+<body>
+<h1>${this.escapeHtml(dishName)}</h1>
+<p>${this.escapeHtml(date)} &middot; ${this.escapeHtml(I18n.t('journal.photos', { count: entries.length }))}</p>
+${entries.map(entry => this.renderEntry(entry)).join('')}
+</body>
+</html>`;
+    }
+    
+    // Download the journal as an HTML file
+    async exportHTML(sessionId = this.getSessionId()) {
+        const html = await this.buildHTML(sessionId);
+        const entries = await this.getEntries(sessionId);
+        const name = (entries.length ? entries[0].dishName : 'cooking')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cooking';
+        
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}-journal.html`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // Short time of day
+    formatTime(isoString) {
+        return new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    
+    // Escape text for markup
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Create global instance
+let photoJournal = null;
+
+// Initialize on load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        photoJournal = new PhotoJournal();
+        window.photoJournal = photoJournal;
+    });
+} else {
+    photoJournal = new PhotoJournal();
+    window.photoJournal = photoJournal;
+}
+
+// Export functions for global use
+window.showPhotoJournal = () => photoJournal?.showTimeline();
+window.exportPhotoJournal = () => photoJournal?.exportHTML();
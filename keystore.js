@@ -0,0 +1,155 @@
+// Live Recipe AI - API Key Store
+// Keeps provider API keys in localStorage, optionally encrypted with a passphrase (AES-GCM, PBKDF2-derived key)
+
+const KeyStore = {
+    storageKey: 'chefmate_api_keys',
+    
+    // CONFIG setting each provider's key goes into
+    configKeys: {
+        gemini: 'GEMINI_API_KEY',
+        openai: 'OPENAI_API_KEY'
+    },
+    
+    // PBKDF2 rounds for passphrase-protected keys
+    iterations: 250000,
+    
+    // Keys decrypted this page load, by provider (never written back unencrypted)
+    unlocked: {},
+    
+    // Saved entries: { provider: { key } or { salt, iv, data } }
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read saved API keys:', error);
+            return {};
+        }
+    },
+    
+    // Write all entries
+    save(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save API keys:', error);
+            return false;
+        }
+    },
+    
+    // Whether a key is saved for the provider
+    hasKey(provider) {
+        return !!this.load()[provider];
+    },
+    
+    // Whether the provider's saved key needs a passphrase
+    isEncrypted(provider) {
+        return !!this.load()[provider]?.data;
+    },
+    
+    // Whether the saved key is encrypted and hasn't been unlocked yet
+    isLocked(provider) {
+        return this.isEncrypted(provider) && !this.unlocked[provider];
+    },
+    
+    // Usable key for the provider, or null when none is saved or it is still locked
+    getKey(provider) {
+        const entry = this.load()[provider];
+        if (!entry) return null;
+        return entry.data ? this.unlocked[provider] || null : entry.key;
+    },
+    
+    // Save a key, encrypted when a passphrase is given
+    async setKey(provider, key, passphrase = '') {
+        const entries = this.load();
+        
+        if (passphrase) {
+            entries[provider] = await this.encrypt(key, passphrase);
+            this.unlocked[provider] = key;
+        } else {
+            entries[provider] = { key };
+            delete this.unlocked[provider];
+        }
+        
+        return this.save(entries);
+    },
+    
+    // Decrypt a saved key for this page load; throws on a wrong passphrase
+    async unlock(provider, passphrase) {
+        const entry = this.load()[provider];
+        if (!entry || !entry.data) {
+            return this.getKey(provider);
+        }
+        
+        try {
+            this.unlocked[provider] = await this.decrypt(entry, passphrase);
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+        return this.unlocked[provider];
+    },
+    
+    // Forget a provider's key
+    removeKey(provider) {
+        const entries = this.load();
+        delete entries[provider];
+        delete this.unlocked[provider];
+        return this.save(entries);
+    },
+    
+    // Whether the browser can encrypt keys (WebCrypto needs a secure context)
+    canEncrypt() {
+        return !!(window.crypto && window.crypto.subtle);
+    },
+    
+    // AES-GCM key derived from the passphrase
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+    
+    // Encrypt a key: { salt, iv, data } as base64
+    async encrypt(text, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        
+        return {
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(data))
+        };
+    },
+    
+    // Decrypt an { salt, iv, data } entry
+    async decrypt(entry, passphrase) {
+        const key = await this.deriveKey(passphrase, this.fromBase64(entry.salt));
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(entry.iv) }, key, this.fromBase64(entry.data)
+        );
+        return new TextDecoder().decode(data);
+    },
+    
+    // Bytes to base64
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    },
+    
+    // Base64 to bytes
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+};
+
+// Make KeyStore globally available
+window.KeyStore = KeyStore;
@@ -0,0 +1,318 @@
+// Live Recipe AI - Bengali Language Pack
+// Bengali script
+
+I18n.register('bengali', {
+    name: 'Bengali',
+    nativeName: 'বাংলা',
+    speechLang: 'bn-IN',
+    promptLanguage: 'Bengali (Bengali script)',
+    promptNote: 'Use warm colloquial Bengali as spoken in Kolkata; English names for utensils are fine',
+    fallback: 'english',
+    strings: {
+        'app.starting': 'ChefMate চালু হচ্ছে...',
+        'app.loading': 'লোড হচ্ছে...',
+        'app.welcome': 'নমস্কার! আমি ChefMate, আপনার রান্নাঘরের সঙ্গী। একসাথে রান্না করবেন? নিচে "Start Cooking" চেপে শুরু করুন।',
+        'app.welcome_spoken': 'নমস্কার! আমি ChefMate, আপনার রান্নাঘরের সঙ্গী। একসাথে রান্না করবেন?',
+        'app.welcome_back': 'আবার স্বাগতম! চলুন রান্না চালিয়ে যাই।',
+        'app.ai_waiting_key': 'AI মডিউল API key-এর অপেক্ষায়',
+        'app.error': 'ChefMate-এ সমস্যা: {message}',
+        'app.error_note': 'সমস্যা: {message}',
+        'app.state_failed': 'অ্যাপের অবস্থা লোড হয়নি',
+        'app.init_error': 'চালু করতে সমস্যা: {error}',
+        'compat.camera': 'ক্যামেরা API পাওয়া যাচ্ছে না',
+        'compat.speech': 'কথা চেনার সুবিধা নেই',
+        'compat.tts': 'পড়ে শোনানোর সুবিধা নেই',
+        'compat.issues': 'ব্রাউজারে এগুলো চলবে না:\n{issues}\n\nভালো অভিজ্ঞতার জন্য Chrome, Edge বা Safari ব্যবহার করুন, অথবা অফলাইন স্পিচ ইঞ্জিন সেট করুন (config.example.js দেখুন)।',
+        'cooking.ask_dish': 'আজ কী রান্না করবেন?',
+        'cooking.default_dish': 'ভেজ পোলাও',
+        'cooking.getting_recipe': '{dish}-এর রেসিপি আনছি...',
+        'cooking.start': 'চলুন, {dish} রান্না শুরু করি। আগে উপকরণগুলো দেখে নিন।',
+        'cooking.start_library': 'চলুন, আপনার রেসিপি লাইব্রেরি থেকে {dish} রান্না শুরু করি। আগে উপকরণগুলো দেখে নিন।',
+        'cooking.check_ingredients': 'উপকরণ {servings} জনের জন্য (বদলাতে বলুন, যেমন "4 জনের জন্য")। সব তৈরি? হলে "হ্যাঁ" বা "রেডি" বলুন।',
+        'cooking.offer_save': 'রেসিপি ভালো লাগলে বলুন "রেসিপি সেভ করো"।',
+        'cooking.setup_failed': 'রেসিপি তৈরি করা গেল না: {error}',
+        'cooking.default_recipe': 'সাধারণ রেসিপি দিয়ে শুরু করি। উপকরণগুলো দেখে নিন।',
+        'cooking.offer_similar': '"{dish}"-এর রেসিপি এখন পাচ্ছি না। তার বদলে {suggestion} বানাবেন?',
+        'cooking.started': 'শুরু করা যাক! আজ {dish} বানাব। আগে উপকরণগুলো দেখি।',
+        'cooking.this_dish': 'এই সুস্বাদু পদ',
+        'cooking.paused': 'আমি থামছি। তৈরি হলে আবার শুরু করবেন।',
+        'cooking.resumed': 'আবার শুরু! চলুন এগোই।',
+        'cooking.complete': 'অভিনন্দন! রান্না তৈরি। আপনি খুব ভালো রেঁধেছেন। কেমন লাগল?',
+        'cooking.confirm_reset': 'সত্যিই রিসেট করবেন? এই সেশনটি সংরক্ষণে রাখা হবে।',
+        'cooking.reset': 'সেশন রিসেট হয়েছে। নতুন করে শুরু করবেন? "Start Cooking" চাপুন!',
+        'cooking.waiting': 'নির্দেশের অপেক্ষায়...',
+        'confirm.start': 'দারুণ! চলুন শুরু করি। {text}',
+        'confirm.ok': 'ঠিক আছে। {text}',
+        'deny.ask': 'কী সমস্যা? বলুন, আমি সাহায্য করছি।',
+        'step.previous': 'আগের ধাপ: {text}',
+        'step.next': 'পরের ধাপ: {text}',
+        'step.jump': 'ধাপ {step}: {text}',
+        'step.already_here': 'আমরা এখন ধাপ {step}-এই আছি। {text}',
+        'step.out_of_range': 'এই রেসিপিতে মাত্র {count}টি ধাপ আছে।',
+        'servings.no_recipe': 'আগে পদের নাম বলুন, তারপর পরিমাণ বদলাব।',
+        'servings.invalid': 'এত জনের জন্য পরিমাণ বদলানো যাবে না। 1 থেকে 50-এর মধ্যে বলুন।',
+        'servings.changed': 'এখন রেসিপি {servings} জনের জন্য।',
+        'ingredients.none': 'এখনও কোনো উপকরণ নেই। আগে পদের নাম বলুন।',
+        'ingredients.list': '{servings} জনের জন্য উপকরণ: {list}',
+        'ingredients.empty': 'রান্না শুরু করলেই উপকরণ এখানে দেখা যাবে',
+        'servings.count_one': '{servings} জন',
+        'servings.count': '{servings} জন',
+        'units.original': 'যেমন লেখা আছে',
+        'units.metric': 'মেট্রিক (গ্রাম, মি.লি.)',
+        'units.us': 'আমেরিকান (কাপ, চামচ)',
+        'units.indian': 'ভারতীয় (বাটি, চামচ)',
+        'convert.need_ingredient': '{from} কে {unit}-এ বদলাতে উপকরণটা বলুন, যেমন "এক কাপ আটা কত গ্রাম"।',
+        'convert.impossible': '{from} কে {unit}-এ বদলানো যায় না।',
+        'convert.result': '{from} মোটামুটি {to} হয়।',
+        'substitute.which': 'কোন উপকরণ নেই? যেমন বলুন "দই নেই"।',
+        'substitute.offer': '{ingredient} নেই? তার বদলে {replacement} দিতে পারেন।{note} রেসিপিতে বদলে দেব?',
+        'substitute.applied': 'হয়ে গেছে, এখন রেসিপিতে {ingredient}-এর বদলে {replacement}।',
+        'substitute.none': '{ingredient}-এর ভালো বিকল্প নেই। বাদ দিতে পারেন বা আনিয়ে নিন।',
+        'substitute.done': 'এবার সব তৈরি? "হ্যাঁ" বললেই শুরু করি।',
+        'substitute.pantry_hint': 'গতবার আপনার কাছে {list} ছিল না। এখনও না থাকলে "না" বলুন, আমি বিকল্প বলে দেব।',
+        'substitute.instead_of': '{ingredient}-এর বদলে',
+        'library.nothing_to_save': 'এখন সেভ করার মতো কোনো রেসিপি নেই।',
+        'library.saved': '{name} লাইব্রেরিতে সেভ হয়েছে। পরের বার ইন্টারনেট ছাড়াও বানাতে পারবেন।',
+        'library.save_failed': 'রেসিপি সেভ হয়নি: {error}',
+        'session.resume_one': 'আগের সেশনটা চালিয়ে যাবেন?\n\n{session}',
+        'session.resume_many': 'কোন সেশনটা চালিয়ে যাবেন? তার নম্বর লিখুন (নতুন করে শুরু করতে Cancel):\n\n{list}',
+        'session.welcome_back': 'আবার স্বাগতম! {dish} আবার ধরি। ধাপ {step}: {text}',
+        'session.describe': '{dish} - {total}টির মধ্যে ধাপ {step} ({updated})',
+        'camera.unavailable': 'ক্যামেরা মডিউল পাওয়া যাচ্ছে না',
+        'camera.enable_first': 'আগে ক্যামেরা চালু করুন',
+        'camera.on': 'ক্যামেরা চালু। এখন আমি আপনার রান্না দেখতে পাচ্ছি।',
+        'camera.off': 'ক্যামেরা বন্ধ।',
+        'camera.analyzing': 'আপনার রান্না দেখছি...',
+        'camera.analysis_failed': 'দেখা গেল না: {error}',
+        'camera.analysis_unavailable': 'ছবিটা দেখা গেল না। আবার চেষ্টা করুন বা রান্না চালিয়ে যান।',
+        'camera.blurry': 'ক্যামেরা ঝাপসা, একটু দূরে রাখুন বা লেন্স মুছে নিন।',
+        'camera.dark': 'ক্যামেরায় খুব অন্ধকার, একটু আলো জ্বালান।',
+        'checkpoint.unclear': 'ঠিক করে দেখতে পেলাম না। আর একবার দেখান।',
+        'checkpoint.completed': 'এই ধাপ শেষ।',
+        'checkpoint.next': 'পরের ধাপে যাব?',
+        'checkpoint.dish_ready': 'রান্না তৈরি মনে হচ্ছে!',
+        'auto_complete.on': 'ঠিক আছে, ক্যামেরায় ধাপ শেষ দেখলেই আমি সেটা সম্পূর্ণ করে দেব।',
+        'auto_complete.off': 'এখন থেকে ধাপগুলো আপনি নিজেই সম্পূর্ণ করবেন।',
+        'journal.empty': 'এখনও কোনো ছবি তোলা হয়নি। "দেখো" বলে রান্না দেখান।',
+        'camera.not_supported': 'এই ব্রাউজারে ক্যামেরা চলে না',
+        'camera.api_unavailable': 'ক্যামেরা API পাওয়া যাচ্ছে না',
+        'camera.not_active': 'ক্যামেরা চালু নেই',
+        'camera.wait': 'পরের ছবির আগে একটু অপেক্ষা করুন',
+        'camera.video_not_ready': 'ভিডিও এখনও তৈরি নয়',
+        'camera.watching': 'আপনার রান্না দেখছি...',
+        'camera.captured': 'ছবি তোলা হয়েছে! AI-কে পাঠাচ্ছি...',
+        'camera.showed_food': '[AI-কে রান্না দেখানো হয়েছে]',
+        'camera.error': 'ক্যামেরায় সমস্যা: {reason}',
+        'camera.permission_denied': 'ক্যামেরার অনুমতি পাওয়া যায়নি। ব্রাউজারের সেটিংসে ক্যামেরার অনুমতি দিন।',
+        'camera.not_found': 'কোনো ক্যামেরা পাওয়া যায়নি। একটা ক্যামেরা লাগান।',
+        'camera.in_use': 'ক্যামেরা অন্য কোনো অ্যাপ ব্যবহার করছে।',
+        'camera.constraints': 'ক্যামেরার দরকারি সেটিংস মেলানো গেল না।',
+        'camera.resolution': 'এই ক্যামেরা রেজোলিউশন চলে না।',
+        'camera.unknown_error': 'অজানা সমস্যা',
+        'camera.note': 'ক্যামেরা: {message}',
+        'camera.status_initializing': 'চালু হচ্ছে...',
+        'camera.status_active': 'চালু',
+        'camera.status_off': 'বন্ধ',
+        'camera.status_error': 'সমস্যা',
+        'camera.hint_off': 'ক্যামেরা বন্ধ। রান্না দেখাতে চালু করুন।',
+        'camera.hint_active': 'ক্যামেরা চালু। রান্না দেখাতে "দেখো" বলুন।',
+        'camera.hint_ready': 'ছবির জন্য তৈরি। খাবারটা স্থির রাখুন।',
+        'camera.device': 'ক্যামেরা {number}',
+        'camera.focus_mode': 'ফোকাস: {mode}',
+        'journal.title': '{dish} - ছবির ডায়েরি',
+        'journal.page_title': '{dish} - ChefMate ডায়েরি',
+        'journal.default_dish': 'রান্নার সেশন',
+        'journal.step': 'ধাপ {step}',
+        'journal.watch_mode': 'ওয়াচ মোড',
+        'journal.no_analysis': 'কোনো বিশ্লেষণ নেই',
+        'journal.photos': '{count}টি ছবি',
+        'watch.on': 'ঠিক আছে, আমি প্যানের দিকে নজর রাখব। কিছু পুড়তে বা উথলে উঠতে শুরু করলে জানাব।',
+        'watch.off': 'ওয়াচ মোড বন্ধ করলাম।',
+        'watch.burning': 'সাবধান! কিছু পুড়ছে। এখনই আঁচ কমিয়ে নাড়ুন।',
+        'watch.boil_over': 'সাবধান! উথলে পড়ছে। আঁচ কমান বা ঢাকনা সরান।',
+        'watch.smoke': 'সাবধান! ধোঁয়া দেখা যাচ্ছে। আঁচ বন্ধ করুন বা কমান।',
+        'watch.checkpoint_seen': 'ক্যামেরায় দেখা যাচ্ছে: {checkpoint}।',
+        'timer.offer': 'এই ধাপে {duration} লাগবে। টাইমার চাইলে বলুন "timer lagao"।',
+        'timer.offer_approx': 'এই ধাপে প্রায় {duration} লাগবে। টাইমার চাইলে বলুন "timer lagao"।',
+        'timer.step_name': 'ধাপ {step}',
+        'timer.default_name': '{duration} টাইমার',
+        'timer.expired': '{name} টাইমার শেষ! {duration} হয়ে গেছে। একবার দেখে নিন।',
+        'timer.cancelled_named': '{name} টাইমার বন্ধ করে দিলাম।',
+        'timer.cancelled': 'টাইমার বন্ধ করে দিলাম।',
+        'timer.none_running': 'কোনো টাইমার চলছে না।',
+        'timer.which_to_cancel': 'কোন টাইমারটা বন্ধ করব? {list}',
+        'timer.remaining': '{name}: আর {duration} বাকি',
+        'timer.started': 'ঠিক আছে, {duration}-এর টাইমার দিলাম।',
+        'timer.started_paused': 'ঠিক আছে, {duration}-এর টাইমার দিলাম (রান্না থামানো আছে, আবার শুরু করলে চলবে)।',
+        'timer.started_for': '{name}-এর জন্য {duration}-এর টাইমার দিলাম।',
+        'timer.ask_duration': 'কত মিনিটের টাইমার দেব? যেমন বলুন "timer lagao 10 minute"।',
+        'timer.not_started': 'ঠিক আছে, টাইমার দিলাম না।',
+        'timer.kept': 'ঠিক আছে, টাইমার চলতে থাকবে।',
+        'timer.start_offer': '{clock} টাইমার শুরু করুন',
+        'timer.done': 'হয়ে গেছে',
+        'timer.clear_finished': 'শেষ হওয়াগুলো সরান',
+        'duration.hour': '{count} ঘণ্টা',
+        'duration.hours': '{count} ঘণ্টা',
+        'duration.minute': '{count} মিনিট',
+        'duration.minutes': '{count} মিনিট',
+        'duration.second': '{count} সেকেন্ড',
+        'duration.seconds': '{count} সেকেন্ড',
+        'speech.unavailable': 'স্পিচ মডিউল পাওয়া যাচ্ছে না',
+        'handsfree.on': 'হ্যান্ডস-ফ্রি চালু। "ChefMate" বলুন, তারপর আপনার প্রশ্ন।',
+        'handsfree.off': 'হ্যান্ডস-ফ্রি বন্ধ। কথা বলতে মাইক বোতাম চেপে ধরে রাখুন।',
+        'ai_speech.on': 'AI-এর কণ্ঠ চালু',
+        'ai_speech.off': 'AI-এর কণ্ঠ বন্ধ',
+        'speech.interrupted': 'পুরোটা বলা হয়নি',
+        'speech.did_you_say': 'আপনি কি "{text}" বললেন?',
+        'speech.say_again': 'ঠিক আছে, আর একবার বলুন।',
+        'language.changed': 'ঠিক আছে, এখন থেকে আমি বাংলায় কথা বলব।',
+        'speech.status_unsupported': 'সুবিধা নেই',
+        'speech.status_ready': 'তৈরি',
+        'speech.status_wake': '"ChefMate" বলুন...',
+        'speech.status_listening': 'শুনছি...',
+        'speech.status_awake': 'হ্যাঁ, বলুন...',
+        'speech.status_speaking': 'বলছি...',
+        'speech.status_stopped': 'থেমে আছে',
+        'speech.status_disabled': 'বন্ধ',
+        'speech.status_failed': 'সমস্যা',
+        'speech.status_error': 'সমস্যা: {error}',
+        'permission.allow': 'এই সুবিধা ব্যবহার করতে ব্রাউজারের সেটিংসে {device}-এর অনুমতি দিন।',
+        'permission.microphone': 'মাইক্রোফোন',
+        'permission.note': 'অনুমতি দরকার: {message}',
+        'ai.error': 'AI-তে সমস্যা: {error}',
+        'fallback.offline': 'এখন AI-এর সঙ্গে যোগাযোগ হচ্ছে না। ধাপ, টাইমার আর কমান্ড চলবে - "পরের ধাপ" বা "আগের ধাপ" বলতে পারেন।',
+        'fallback.quota': 'AI এখন খুব ব্যস্ত। একটু পরে আবার জিজ্ঞেস করুন, ততক্ষণ ধাপগুলো করতে থাকুন।',
+        'fallback.auth': 'AI-এর API key ঠিক নেই। Settings দেখুন, ততক্ষণ ধাপ আর টাইমার চলবে।',
+        'fallback.recitation': 'উত্তরটা কোনো বই বা ওয়েবসাইটের মতো হয়ে যাচ্ছিল, তাই থেমে গেল। নিজের ভাষায় আবার জিজ্ঞেস করুন।',
+        'fallback.safety': 'এই প্রশ্নের উত্তর দিতে পারলাম না। একটু অন্যভাবে জিজ্ঞেস করুন।',
+        'fallback.default': 'বুঝতে পারলাম না। আর একবার বলবেন?',
+        'offline.on': '[অফলাইন] {reason} বেসিক মোড চালু: ধাপ, টাইমার আর ভয়েস কমান্ড চলবে।',
+        'offline.unavailable': 'AI পরিষেবা পাওয়া যাচ্ছে না।',
+        'offline.off': '[অফলাইন] AI আবার যুক্ত হয়েছে।',
+        'ai.cut_short_max_tokens': '[AI] উত্তরটা খুব লম্বা ছিল, তাই অসম্পূর্ণ রয়ে গেল। বাকিটা শুনতে "আরও বলো" বলুন।',
+        'ai.cut_short_safety': '[AI] নিরাপত্তা ফিল্টারের জন্য উত্তরটা অসম্পূর্ণ রয়ে গেল।',
+        'ai.cut_short_recitation': '[AI] উত্তরটা প্রকাশিত লেখার সঙ্গে খুব মিলে যাচ্ছিল, তাই অসম্পূর্ণ রয়ে গেল।',
+        'error.not_initialized': 'AI চালু হয়নি। API key দেখুন।',
+        'error.auth': 'API key সঠিক নয়। config.js ফাইলটা দেখুন।',
+        'error.quota': 'অনেক বেশি অনুরোধ হয়ে গেছে। আবার চেষ্টা করার আগে একটু অপেক্ষা করুন।',
+        'error.timeout': 'উত্তর আসতে অনেক দেরি হল। ইন্টারনেট সংযোগ দেখুন।',
+        'error.network': 'AI পরিষেবায় পৌঁছনো যাচ্ছে না। ইন্টারনেট সংযোগ দেখুন।',
+        'error.malformed': 'AI-এর উত্তর পড়া গেল না। আবার চেষ্টা করুন।',
+        'error.server': 'AI পরিষেবায় এখন সমস্যা হচ্ছে। একটু পরে আবার চেষ্টা করুন।',
+        'error.request': 'AI পরিষেবা অনুরোধটা নেয়নি।',
+        'error.offline': 'AI এখন অফলাইন। ধাপ, টাইমার, কমান্ড আর সেভ করা রেসিপি চলবে।',
+        'error.recitation': 'উত্তরটা প্রকাশিত লেখার সঙ্গে খুব মিলে যাচ্ছিল, তাই AI থেমে গেছে। নিজের ভাষায় জিজ্ঞেস করুন।',
+        'error.safety': 'নিরাপত্তা ফিল্টারের জন্য AI এর উত্তর দিতে পারেনি{detail}। একটু অন্যভাবে জিজ্ঞেস করুন।',
+        'ai_status.error': 'সমস্যা',
+        'ai_status.auth': 'ভুল API key',
+        'ai_status.quota': 'সীমা শেষ',
+        'ai_status.safety': 'আটকানো হয়েছে',
+        'ai_status.timeout': 'সময় শেষ',
+        'ai_status.network': 'সংযোগ নেই',
+        'ai_status.malformed': 'ভুল উত্তর',
+        'ai_status.server': 'পরিষেবায় সমস্যা',
+        'ai_status.request': 'অনুরোধে সমস্যা',
+        'ai_status.offline': 'অফলাইন মোড',
+        'ai_status.key_locked': 'Key বন্ধ',
+        'ai_status.no_key': 'API key নেই',
+        'ai_status.rephrasing': 'অন্যভাবে জিজ্ঞেস করছি...',
+        'ai_status.retrying': 'আবার চেষ্টা ({reason})...',
+        'ai_status.disconnected': 'যুক্ত নেই',
+        'button.pause': 'থামান',
+        'button.resume': 'আবার শুরু',
+        'title.mic_on': 'হ্যান্ডস-ফ্রি শোনা চালু',
+        'title.mic_off': 'হ্যান্ডস-ফ্রি শোনা বন্ধ',
+        'title.speech_on': 'AI-এর কণ্ঠ চালু',
+        'title.speech_off': 'AI-এর কণ্ঠ বন্ধ',
+        'title.camera_on': 'ক্যামেরা চালু করুন',
+        'title.camera_off': 'ক্যামেরা বন্ধ করুন',
+        'title.watch_on': 'ওয়াচ মোড চালু (থামাতে চাপুন)',
+        'title.watch_paused': 'ওয়াচ মোড থেমে আছে',
+        'title.watch_off': 'প্যানের দিকে নিজে থেকে নজর রাখুন',
+        'title.timer_cancel': 'টাইমার বন্ধ করুন',
+        'title.servings_fewer': 'কম জন',
+        'title.servings_more': 'বেশি জন',
+        'title.units': 'মাপের একক',
+        'title.camera_device': 'ক্যামেরা',
+        'title.torch': 'টর্চ',
+        'title.zoom': 'জুম',
+        'title.focus': 'ফোকাস',
+        'title.journal_export': 'HTML হিসেবে সেভ করুন',
+        'title.close': 'বন্ধ করুন',
+        'status.ready': 'সব তৈরি',
+        'status.thinking': 'ভাবছি...',
+        'status.connected': 'যুক্ত',
+        'status.ai_connected': 'AI যুক্ত',
+        'status.ai_not_connected': 'AI যুক্ত নেই',
+        'status.ai_disconnected': 'AI যুক্ত নেই - API key দেখুন',
+        'status.ai_offline': 'AI অফলাইন - বেসিক মোড',
+        'status.no_mic': 'মাইক্রোফোন নেই',
+        'status.no_camera': 'ক্যামেরা নেই',
+        'usage.total': '{tokens} টোকেন · ${cost}',
+        'usage.details': 'এই সেশনে {calls}টি AI কল: {input} ইনপুট + {output} আউটপুট টোকেন',
+        'usage.details_estimated': 'এই সেশনে {calls}টি AI কল: {input} ইনপুট + {output} আউটপুট টোকেন (কিছু হিসাব আনুমানিক)',
+        'settings.title': 'সেটিংস',
+        'settings.close': 'বন্ধ করুন',
+        'settings.ai': 'AI সংযোগ',
+        'settings.key_not_needed': '{provider} প্রোভাইডারের API key লাগে না।',
+        'settings.provider': 'প্রোভাইডার: {provider}',
+        'settings.provider_proxied': 'প্রোভাইডার: {provider} (প্রক্সির মাধ্যমে)',
+        'settings.key_locked': 'সেভ করা, পাসফ্রেজ দিয়ে বন্ধ',
+        'settings.key_saved': 'সেভ করা: ••••{last4}',
+        'settings.key_saved_encrypted': 'সেভ করা (এনক্রিপ্টেড): ••••{last4}',
+        'settings.key_none': 'এই ব্রাউজারে কোনো key সেভ করা নেই',
+        'settings.passphrase': 'পাসফ্রেজ',
+        'settings.passphrase_optional': 'পাসফ্রেজ (ঐচ্ছিক, key এনক্রিপ্ট করে)',
+        'settings.encryption_unavailable': 'এনক্রিপশনের জন্য https বা localhost লাগবে',
+        'settings.unlock': 'খুলুন',
+        'settings.paste_key': 'API key পেস্ট করুন',
+        'settings.test': 'পরীক্ষা করুন',
+        'settings.save': 'সেভ করুন',
+        'settings.remove_key': 'Key সরান',
+        'settings.use_proxy': 'লোকাল প্রক্সি ব্যবহার করুন (key সার্ভারে থাকে, ব্রাউজারে কখনও নয়)',
+        'settings.enter_passphrase': 'যে পাসফ্রেজ দিয়ে key সেভ করেছিলেন সেটা দিন।',
+        'settings.need_key': 'আগে একটা API key পেস্ট করুন (বা প্রক্সি চালু করুন)।',
+        'settings.testing': 'পরীক্ষা করছি...',
+        'settings.test_ok_key': 'চলছে! {provider} key-টা মেনে নিয়েছে।',
+        'settings.test_ok_proxy': 'চলছে! {provider} প্রক্সিটা মেনে নিয়েছে।',
+        'settings.test_failed': 'পরীক্ষা ব্যর্থ: {error}',
+        'settings.save_failed': 'Key সেভ করা গেল না: {error}',
+        'settings.saved_connected': 'সেভ হয়েছে। AI যুক্ত হয়েছে।',
+        'settings.saved_disconnected': 'সেভ হয়েছে। AI-এর এখনও key বা প্রক্সি লাগবে।',
+        'settings.confirm_remove': 'এই ব্রাউজার থেকে সেভ করা API key সরাবেন?',
+        'settings.language': 'ভাষা',
+        'settings.language_hint': 'ChefMate-এর উত্তর, কণ্ঠস্বর আর কথা চেনা এই ভাষায় হবে।',
+        'settings.voice': 'কণ্ঠস্বর',
+        'settings.voice_hint': '{language}-এর জন্য কণ্ঠস্বর। প্রেশার কুকার বা এগজস্ট ফ্যানের আওয়াজে ধীরে আর জোরে বললে সুবিধা হয়।',
+        'settings.voice_auto': 'স্বয়ংক্রিয় ({voice})',
+        'settings.voice_none': 'এখনও কোনো কণ্ঠস্বর নেই। কিছু ব্রাউজার পেজ খোলার কয়েক সেকেন্ড পরে কণ্ঠস্বর লোড করে।',
+        'settings.voice_rate': 'গতি',
+        'settings.voice_pitch': 'সুর',
+        'settings.voice_volume': 'আওয়াজ',
+        'settings.voice_preview': 'শুনে দেখুন',
+        'settings.voice_kitchen': 'ধীরে ও জোরে',
+        'settings.voice_barge_in': 'কথা বলে মাঝপথে থামাতে দিন (হ্যান্ডস-ফ্রি): "থামো", "ব্যস" বা নতুন প্রশ্ন কণ্ঠস্বর থামিয়ে দেয়',
+        'settings.voice_engines': 'স্পিচ ইঞ্জিন। ব্রাউজারের কথা চেনার জন্য ইন্টারনেট লাগে; Vosk পেজের ভেতরেই অফলাইনে শোনে আর লোকাল স্পিচ সার্ভার আপনার নিজের মেশিনে চলে।',
+        'settings.voice_recognition_engine': 'শোনা',
+        'settings.voice_synthesis_engine': 'বলা',
+        'settings.voice_engine_auto': 'স্বয়ংক্রিয় ({engine})',
+        'settings.voice_engine_unavailable': '{engine} (সেট করা নেই)',
+        'settings.voice_server_url': 'স্পিচ সার্ভার URL, যেমন http://localhost:5005',
+        'voice.preview_text': 'নমস্কার! রান্নার সময় আমি এভাবে কথা বলব। পেঁয়াজ দিন আর দুই মিনিট নাড়ুন।'
+    },
+    intents: {
+        confirm: [['হ্যাঁ', 1], ['হাঁ', 0.9], ['রেডি', 1], ['ঠিক আছে', 0.9], ['হয়ে গেছে', 0.9]],
+        deny: [['না', 1], ['এখন না', 1]],
+        next_step: [['পরের ধাপ', 1], ['পরেরটা', 1], ['এগোও', 0.9]],
+        previous_step: [['আগের ধাপ', 1], ['আগেরটা', 1], ['পিছনে', 0.9]],
+        pause: [['থামো', 1], ['দাঁড়াও', 0.9], ['এক মিনিট', 0.8]],
+        resume: [['আবার শুরু', 1], ['চালিয়ে যাও', 1]],
+        ingredients: [['উপকরণ', 1], ['কী কী লাগবে', 1]],
+        camera_on: [['ক্যামেরা চালু', 1]],
+        camera_off: [['ক্যামেরা বন্ধ', 1]],
+        save_recipe: [['রেসিপি সেভ করো', 1], ['রেসিপি মনে রাখো', 1]],
+        set_servings: [['জনের জন্য', 1], ['জনের', 0.8]]
+    },
+    interruptPhrases: ['থামো', 'থামুন', 'চুপ', 'চুপ করো', 'ব্যস'],
+    missingPhrases: ['নেই', 'ফুরিয়ে গেছে', 'শেষ হয়ে গেছে']
+});
@@ -0,0 +1,314 @@
+// Live Recipe AI - Hindi Language Pack
+// Devanagari Hindi
+
+I18n.register('hindi', {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    speechLang: 'hi-IN',
+    promptLanguage: 'Hindi (Devanagari script)',
+    promptNote: 'Use simple everyday Hindi; common English kitchen words like "pan" or "gas" are fine',
+    fallback: 'english',
+    strings: {
+        'app.starting': 'ChefMate शुरू हो रहा है...',
+        'app.loading': 'लोड हो रहा है...',
+        'app.welcome': 'नमस्ते! मैं ChefMate हूँ, आपका किचन साथी। साथ में खाना बनाएँ? नीचे "Start Cooking" दबाकर शुरू कीजिए।',
+        'app.welcome_spoken': 'नमस्ते! मैं ChefMate हूँ, आपका किचन साथी। साथ में खाना बनाएँ?',
+        'app.welcome_back': 'फिर से स्वागत है! चलिए खाना बनाना जारी रखते हैं।',
+        'app.ai_waiting_key': 'AI मॉड्यूल API key का इंतज़ार कर रहा है',
+        'app.error': 'ChefMate में गड़बड़ी: {message}',
+        'app.error_note': 'गड़बड़ी: {message}',
+        'app.state_failed': 'ऐप की स्थिति लोड नहीं हो पाई',
+        'app.init_error': 'शुरू करने में गड़बड़ी: {error}',
+        'compat.camera': 'कैमरा API उपलब्ध नहीं है',
+        'compat.speech': 'बोली पहचान उपलब्ध नहीं है',
+        'compat.tts': 'बोलकर पढ़ना उपलब्ध नहीं है',
+        'compat.issues': 'ब्राउज़र में ये चीज़ें नहीं चलेंगी:\n{issues}\n\nसबसे अच्छे अनुभव के लिए Chrome, Edge या Safari इस्तेमाल कीजिए, या ऑफ़लाइन स्पीच इंजन सेट कीजिए (config.example.js देखिए)।',
+        'cooking.ask_dish': 'आज क्या बनाना है?',
+        'cooking.default_dish': 'वेज पुलाव',
+        'cooking.getting_recipe': '{dish} की रेसिपी ला रहा हूँ...',
+        'cooking.start': 'चलिए {dish} बनाना शुरू करते हैं। पहले सामग्री देख लीजिए।',
+        'cooking.start_library': 'चलिए आपकी रेसिपी लाइब्रेरी से {dish} बनाना शुरू करते हैं। पहले सामग्री देख लीजिए।',
+        'cooking.check_ingredients': 'सामग्री {servings} लोगों के लिए है (बदलने के लिए बोलिए, जैसे "4 लोगों के लिए")। सब कुछ तैयार है? हो तो "हाँ" या "तैयार" बोलिए।',
+        'cooking.offer_save': 'रेसिपी पसंद आए तो बोलिए "रेसिपी सेव करो"।',
+        'cooking.setup_failed': 'रेसिपी तैयार नहीं हो पाई: {error}',
+        'cooking.default_recipe': 'डिफ़ॉल्ट रेसिपी से शुरू करते हैं। सामग्री देख लीजिए।',
+        'cooking.offer_similar': '"{dish}" की रेसिपी अभी नहीं मिल रही। {suggestion} बनाएँ?',
+        'cooking.started': 'शुरू करते हैं! आज {dish} बनाएँगे। पहले सामग्री देखते हैं।',
+        'cooking.this_dish': 'यह स्वादिष्ट डिश',
+        'cooking.paused': 'मैं रुक रहा हूँ। जब तैयार हों, फिर से शुरू कर दीजिए।',
+        'cooking.resumed': 'फिर से शुरू! चलिए आगे बढ़ते हैं।',
+        'cooking.complete': 'बधाई हो! डिश तैयार है। आपने बहुत अच्छा बनाया। कैसा लगा?',
+        'cooking.confirm_reset': 'क्या आप सच में रीसेट करना चाहते हैं? यह सेशन संग्रह में रख दिया जाएगा।',
+        'cooking.reset': 'सेशन रीसेट हो गया। नए सिरे से शुरू करें? "Start Cooking" दबाइए!',
+        'cooking.waiting': 'निर्देश का इंतज़ार...',
+        'confirm.start': 'बढ़िया! चलिए शुरू करते हैं। {text}',
+        'confirm.ok': 'ठीक है। {text}',
+        'deny.ask': 'क्या दिक्कत है? बताइए, मैं मदद करता हूँ।',
+        'step.previous': 'पिछला स्टेप: {text}',
+        'step.next': 'अगला स्टेप: {text}',
+        'step.jump': 'स्टेप {step}: {text}',
+        'step.already_here': 'हम अभी स्टेप {step} पर ही हैं। {text}',
+        'step.out_of_range': 'इस रेसिपी में सिर्फ़ {count} स्टेप हैं।',
+        'servings.no_recipe': 'पहले डिश बताइए, फिर मात्रा बदलते हैं।',
+        'servings.invalid': 'इतने लोगों के लिए मात्रा नहीं बदल सकते। 1 से 50 के बीच बोलिए।',
+        'servings.changed': 'अब रेसिपी {servings} लोगों के लिए है।',
+        'ingredients.none': 'अभी कोई सामग्री नहीं है। पहले डिश बताइए।',
+        'ingredients.list': '{servings} लोगों के लिए सामग्री: {list}',
+        'ingredients.empty': 'खाना बनाना शुरू करते ही सामग्री यहाँ दिखेगी',
+        'servings.count_one': '{servings} व्यक्ति',
+        'servings.count': '{servings} लोग',
+        'units.original': 'जैसा लिखा है',
+        'units.metric': 'मीट्रिक (ग्राम, मि.ली.)',
+        'units.us': 'अमेरिकी (कप, चम्मच)',
+        'units.indian': 'भारतीय (कटोरी, चम्मच)',
+        'convert.need_ingredient': '{from} को {unit} में बदलने के लिए सामग्री बताइए, जैसे "एक कप आटा कितने ग्राम"।',
+        'convert.impossible': '{from} को {unit} में नहीं बदल सकते।',
+        'convert.result': '{from} लगभग {to} होता है।',
+        'substitute.which': 'कौन-सी सामग्री नहीं है? जैसे बोलिए "दही नहीं है"।',
+        'substitute.offer': '{ingredient} नहीं है? उसकी जगह {replacement} इस्तेमाल कर सकते हैं।{note} रेसिपी में बदल दूँ?',
+        'substitute.applied': 'हो गया, अब रेसिपी में {ingredient} की जगह {replacement} है।',
+        'substitute.none': '{ingredient} का कोई अच्छा विकल्प नहीं है। इसे छोड़ सकते हैं या मँगवा लीजिए।',
+        'substitute.done': 'अब सब तैयार है? "हाँ" बोलिए तो शुरू करते हैं।',
+        'substitute.pantry_hint': 'पिछली बार आपके पास {list} नहीं था। अब भी नहीं है तो "नहीं" बोलिए, मैं विकल्प बताऊँगा।',
+        'substitute.instead_of': '{ingredient} की जगह',
+        'library.nothing_to_save': 'अभी सेव करने के लिए कोई रेसिपी नहीं है।',
+        'library.saved': '{name} लाइब्रेरी में सेव हो गई। अगली बार बिना इंटरनेट के भी बना सकते हैं।',
+        'library.save_failed': 'रेसिपी सेव नहीं हो पाई: {error}',
+        'session.resume_one': 'पिछला सेशन जारी रखें?\n\n{session}',
+        'session.resume_many': 'कौन-सा सेशन जारी रखें? उसका नंबर लिखिए (नए सिरे से शुरू करने के लिए Cancel):\n\n{list}',
+        'session.welcome_back': 'फिर से स्वागत है! {dish} आगे बनाते हैं। स्टेप {step}: {text}',
+        'session.describe': '{dish} - {total} में से स्टेप {step} ({updated})',
+        'camera.unavailable': 'कैमरा मॉड्यूल उपलब्ध नहीं है',
+        'camera.enable_first': 'पहले कैमरा चालू कीजिए',
+        'camera.on': 'कैमरा चालू। अब मैं आपका खाना देख सकता हूँ।',
+        'camera.off': 'कैमरा बंद।',
+        'camera.analyzing': 'आपका खाना देख रहा हूँ...',
+        'camera.analysis_failed': 'देख नहीं पाया: {error}',
+        'camera.analysis_unavailable': 'तस्वीर नहीं देख पाया। फिर से कोशिश कीजिए या खाना बनाना जारी रखिए।',
+        'camera.blurry': 'कैमरा धुंधला है, थोड़ा दूर रखिए या लेंस साफ़ कीजिए।',
+        'camera.dark': 'कैमरे में बहुत अँधेरा है, थोड़ी रोशनी कीजिए।',
+        'checkpoint.unclear': 'ठीक से देख नहीं पाया। एक बार फिर दिखाइए।',
+        'checkpoint.completed': 'यह स्टेप पूरा हो गया।',
+        'checkpoint.next': 'अगले स्टेप पर चलें?',
+        'checkpoint.dish_ready': 'डिश तैयार लग रही है!',
+        'auto_complete.on': 'ठीक है, कैमरे में स्टेप पूरा दिखते ही मैं उसे पूरा कर दूँगा।',
+        'auto_complete.off': 'अब स्टेप आप ख़ुद पूरे करेंगे।',
+        'journal.empty': 'अभी तक कोई फ़ोटो नहीं ली गई। "देखो" बोलकर खाना दिखाइए।',
+        'camera.not_supported': 'इस ब्राउज़र में कैमरा नहीं चलता',
+        'camera.api_unavailable': 'कैमरा API उपलब्ध नहीं है',
+        'camera.not_active': 'कैमरा चालू नहीं है',
+        'camera.wait': 'अगली तस्वीर से पहले थोड़ा रुकिए',
+        'camera.video_not_ready': 'वीडियो अभी तैयार नहीं है',
+        'camera.watching': 'आपका खाना देख रहा हूँ...',
+        'camera.captured': 'तस्वीर ले ली! AI को भेज रहा हूँ...',
+        'camera.showed_food': '[AI को खाना दिखाया]',
+        'camera.error': 'कैमरे में गड़बड़ी: {reason}',
+        'camera.permission_denied': 'कैमरे की अनुमति नहीं मिली। ब्राउज़र की सेटिंग में कैमरे की अनुमति दीजिए।',
+        'camera.not_found': 'कोई कैमरा नहीं मिला। कैमरा जोड़िए।',
+        'camera.in_use': 'कैमरा किसी दूसरे ऐप में इस्तेमाल हो रहा है।',
+        'camera.constraints': 'कैमरे की ज़रूरी सेटिंग पूरी नहीं हो पाईं।',
+        'camera.resolution': 'यह कैमरा रेज़ोल्यूशन नहीं चलता।',
+        'camera.unknown_error': 'अनजानी गड़बड़ी',
+        'camera.note': 'कैमरा: {message}',
+        'camera.status_initializing': 'शुरू हो रहा है...',
+        'camera.status_active': 'चालू',
+        'camera.status_off': 'बंद',
+        'camera.status_error': 'गड़बड़ी',
+        'camera.hint_off': 'कैमरा बंद है। खाना दिखाने के लिए चालू कीजिए।',
+        'camera.hint_active': 'कैमरा चालू है। खाना दिखाने के लिए "देखो" बोलिए।',
+        'camera.hint_ready': 'तस्वीर के लिए तैयार। खाना स्थिर रखिए।',
+        'camera.device': 'कैमरा {number}',
+        'camera.focus_mode': 'फ़ोकस: {mode}',
+        'journal.title': '{dish} - फ़ोटो डायरी',
+        'journal.page_title': '{dish} - ChefMate डायरी',
+        'journal.default_dish': 'खाना बनाने का सेशन',
+        'journal.step': 'स्टेप {step}',
+        'journal.watch_mode': 'वॉच मोड',
+        'journal.no_analysis': 'कोई विश्लेषण नहीं',
+        'journal.photos': '{count} फ़ोटो',
+        'watch.on': 'ठीक है, मैं पैन पर नज़र रखूँगा। कुछ जलने या उबलने लगे तो बता दूँगा।',
+        'watch.off': 'वॉच मोड बंद कर दिया।',
+        'watch.burning': 'ध्यान दीजिए! कुछ जल रहा है। आँच तुरंत धीमी कीजिए और चलाइए।',
+        'watch.boil_over': 'ध्यान दीजिए! उबलकर बाहर आ रहा है। आँच कम कीजिए या ढक्कन हटाइए।',
+        'watch.smoke': 'ध्यान दीजिए! धुआँ दिख रहा है। आँच बंद या कम कीजिए।',
+        'watch.checkpoint_seen': 'कैमरे में दिख रहा है: {checkpoint}।',
+        'timer.offer': 'इस स्टेप में {duration} लगेंगे। टाइमर चाहिए तो बोलिए "timer lagao"।',
+        'timer.offer_approx': 'इस स्टेप में लगभग {duration} लगेंगे। टाइमर चाहिए तो बोलिए "timer lagao"।',
+        'timer.step_name': 'स्टेप {step}',
+        'timer.default_name': '{duration} टाइमर',
+        'timer.expired': '{name} का टाइमर ख़त्म! {duration} हो गए। एक बार देख लीजिए।',
+        'timer.cancelled_named': '{name} का टाइमर बंद कर दिया।',
+        'timer.cancelled': 'टाइमर बंद कर दिया।',
+        'timer.none_running': 'कोई टाइमर नहीं चल रहा।',
+        'timer.which_to_cancel': 'कौन सा टाइमर बंद करूँ? {list}',
+        'timer.remaining': '{name}: {duration} बाकी',
+        'timer.started': 'ठीक है, {duration} का टाइमर लगा दिया।',
+        'timer.started_paused': 'ठीक है, {duration} का टाइमर लगा दिया (खाना बनाना रुका हुआ है, फिर से शुरू करने पर चलेगा)।',
+        'timer.started_for': '{name} के लिए {duration} का टाइमर लगा दिया।',
+        'timer.ask_duration': 'कितने मिनट का टाइमर लगाऊँ? जैसे बोलिए "timer lagao 10 minute"।',
+        'timer.not_started': 'ठीक है, टाइमर नहीं लगाया।',
+        'timer.kept': 'ठीक है, टाइमर चलता रहेगा।',
+        'timer.start_offer': '{clock} का टाइमर शुरू करें',
+        'timer.done': 'हो गया',
+        'timer.clear_finished': 'पूरे हुए हटाएँ',
+        'duration.hour': '{count} घंटा',
+        'duration.hours': '{count} घंटे',
+        'duration.minute': '{count} मिनट',
+        'duration.minutes': '{count} मिनट',
+        'duration.second': '{count} सेकंड',
+        'duration.seconds': '{count} सेकंड',
+        'speech.unavailable': 'बोली मॉड्यूल उपलब्ध नहीं है',
+        'handsfree.on': 'हैंड्स-फ़्री चालू। "ChefMate" या "सुनो" बोलिए, फिर अपना सवाल।',
+        'handsfree.off': 'हैंड्स-फ़्री बंद। बोलने के लिए माइक बटन दबाए रखिए।',
+        'ai_speech.on': 'AI की आवाज़ चालू',
+        'ai_speech.off': 'AI की आवाज़ बंद',
+        'speech.interrupted': 'पूरा नहीं बोला गया',
+        'speech.did_you_say': 'क्या आपने "{text}" कहा?',
+        'speech.say_again': 'ठीक है, फिर से बोलिए।',
+        'language.changed': 'ठीक है, अब मैं हिन्दी में बात करूँगा।',
+        'speech.status_unsupported': 'उपलब्ध नहीं',
+        'speech.status_ready': 'तैयार',
+        'speech.status_wake': '"ChefMate" बोलिए...',
+        'speech.status_listening': 'सुन रहा हूँ...',
+        'speech.status_awake': 'हाँ, बोलिए...',
+        'speech.status_speaking': 'बोल रहा हूँ...',
+        'speech.status_stopped': 'रुका हुआ',
+        'speech.status_disabled': 'बंद',
+        'speech.status_failed': 'गड़बड़ी',
+        'speech.status_error': 'गड़बड़ी: {error}',
+        'permission.allow': 'यह सुविधा इस्तेमाल करने के लिए ब्राउज़र की सेटिंग में {device} की अनुमति दीजिए।',
+        'permission.microphone': 'माइक्रोफ़ोन',
+        'permission.note': 'अनुमति चाहिए: {message}',
+        'ai.error': 'AI में गड़बड़ी: {error}',
+        'fallback.offline': 'AI से अभी जुड़ नहीं पा रहा। स्टेप, टाइमर और कमांड चलते रहेंगे - "अगला" या "पिछला" बोल सकते हैं।',
+        'fallback.quota': 'AI अभी बहुत व्यस्त है। थोड़ी देर बाद फिर पूछिए, तब तक स्टेप करते रहिए।',
+        'fallback.auth': 'AI की API key सही नहीं है। Settings देखिए, तब तक स्टेप और टाइमर चलते रहेंगे।',
+        'fallback.recitation': 'यह जवाब किसी किताब या वेबसाइट जैसा बन रहा था, इसलिए रुक गया। अपने शब्दों में फिर पूछिए।',
+        'fallback.safety': 'इस सवाल का जवाब मैं नहीं दे पाया। थोड़ा अलग तरीक़े से पूछिए।',
+        'fallback.default': 'मुझे समझ नहीं आया। एक बार फिर बोलिए?',
+        'offline.on': '[ऑफ़लाइन] {reason} बेसिक मोड चालू: स्टेप, टाइमर और आवाज़ वाले कमांड चलते रहेंगे।',
+        'offline.unavailable': 'AI सेवा उपलब्ध नहीं है।',
+        'offline.off': '[ऑफ़लाइन] AI फिर से जुड़ गया।',
+        'ai.cut_short_max_tokens': '[AI] जवाब बहुत लंबा था, इसलिए अधूरा रह गया। बाकी के लिए "और बताओ" बोलिए।',
+        'ai.cut_short_safety': '[AI] सुरक्षा फ़िल्टर की वजह से जवाब अधूरा रह गया।',
+        'ai.cut_short_recitation': '[AI] जवाब छपे हुए लेख से बहुत मिलता था, इसलिए अधूरा रह गया।',
+        'error.not_initialized': 'AI शुरू नहीं हुआ। API key देखिए।',
+        'error.auth': 'API key सही नहीं है। config.js फ़ाइल देखिए।',
+        'error.quota': 'बहुत ज़्यादा अनुरोध हो गए। फिर से कोशिश करने से पहले थोड़ा रुकिए।',
+        'error.timeout': 'जवाब आने में बहुत देर हो गई। इंटरनेट कनेक्शन देखिए।',
+        'error.network': 'AI सेवा तक नहीं पहुँच पा रहे। इंटरनेट कनेक्शन देखिए।',
+        'error.malformed': 'AI का जवाब पढ़ा नहीं जा सका। फिर से कोशिश कीजिए।',
+        'error.server': 'AI सेवा में अभी दिक्कत है। थोड़ी देर में फिर कोशिश कीजिए।',
+        'error.request': 'AI सेवा ने अनुरोध नहीं माना।',
+        'error.offline': 'AI अभी ऑफ़लाइन है। स्टेप, टाइमर, कमांड और सेव की हुई रेसिपी चलती रहेंगी।',
+        'error.recitation': 'AI रुक गया क्योंकि जवाब छपे हुए लेख से बहुत मिलता था। अपने शब्दों में पूछिए।',
+        'error.safety': 'सुरक्षा फ़िल्टर की वजह से AI इसका जवाब नहीं दे पाया{detail}। थोड़ा अलग तरीक़े से पूछिए।',
+        'ai_status.error': 'गड़बड़ी',
+        'ai_status.auth': 'गलत API key',
+        'ai_status.quota': 'सीमा पूरी',
+        'ai_status.safety': 'रोका गया',
+        'ai_status.timeout': 'समय ख़त्म',
+        'ai_status.network': 'कनेक्शन नहीं',
+        'ai_status.malformed': 'गलत जवाब',
+        'ai_status.server': 'सेवा में गड़बड़ी',
+        'ai_status.request': 'अनुरोध में गड़बड़ी',
+        'ai_status.offline': 'ऑफ़लाइन मोड',
+        'ai_status.key_locked': 'Key बंद है',
+        'ai_status.no_key': 'API key नहीं है',
+        'ai_status.rephrasing': 'दूसरे शब्दों में पूछ रहा हूँ...',
+        'ai_status.retrying': 'फिर कोशिश ({reason})...',
+        'ai_status.disconnected': 'जुड़ा नहीं',
+        'button.pause': 'रोकें',
+        'button.resume': 'जारी रखें',
+        'title.mic_on': 'हैंड्स-फ़्री सुनना चालू',
+        'title.mic_off': 'हैंड्स-फ़्री सुनना बंद',
+        'title.speech_on': 'AI की आवाज़ चालू',
+        'title.speech_off': 'AI की आवाज़ बंद',
+        'title.camera_on': 'कैमरा चालू करें',
+        'title.camera_off': 'कैमरा बंद करें',
+        'title.watch_on': 'वॉच मोड चालू (रोकने के लिए दबाइए)',
+        'title.watch_paused': 'वॉच मोड रुका हुआ',
+        'title.watch_off': 'पैन पर अपने-आप नज़र रखें',
+        'title.timer_cancel': 'टाइमर बंद करें',
+        'title.servings_fewer': 'कम लोग',
+        'title.servings_more': 'ज़्यादा लोग',
+        'title.units': 'इकाइयाँ',
+        'title.camera_device': 'कैमरा',
+        'title.torch': 'टॉर्च',
+        'title.zoom': 'ज़ूम',
+        'title.focus': 'फ़ोकस',
+        'title.journal_export': 'HTML के रूप में सेव करें',
+        'title.close': 'बंद करें',
+        'status.ready': 'सब तैयार है',
+        'status.thinking': 'सोच रहा हूँ...',
+        'status.connected': 'जुड़ा हुआ',
+        'status.ai_connected': 'AI जुड़ा हुआ',
+        'status.ai_not_connected': 'AI जुड़ा नहीं',
+        'status.ai_disconnected': 'AI जुड़ा नहीं - API key देखिए',
+        'status.ai_offline': 'AI ऑफ़लाइन - बेसिक मोड',
+        'status.no_mic': 'माइक्रोफ़ोन उपलब्ध नहीं',
+        'status.no_camera': 'कैमरा उपलब्ध नहीं',
+        'usage.total': '{tokens} टोकन · ${cost}',
+        'usage.details': 'इस सेशन में {calls} AI कॉल: {input} इनपुट + {output} आउटपुट टोकन',
+        'usage.details_estimated': 'इस सेशन में {calls} AI कॉल: {input} इनपुट + {output} आउटपुट टोकन (कुछ गिनती अनुमानित)',
+        'settings.title': 'सेटिंग्स',
+        'settings.close': 'बंद करें',
+        'settings.ai': 'AI कनेक्शन',
+        'settings.key_not_needed': '{provider} प्रोवाइडर को API key की ज़रूरत नहीं है।',
+        'settings.provider': 'प्रोवाइडर: {provider}',
+        'settings.provider_proxied': 'प्रोवाइडर: {provider} (प्रॉक्सी से)',
+        'settings.key_locked': 'सेव है, पासफ़्रेज़ से बंद',
+        'settings.key_saved': 'सेव है: ••••{last4}',
+        'settings.key_saved_encrypted': 'सेव है (एन्क्रिप्टेड): ••••{last4}',
+        'settings.key_none': 'इस ब्राउज़र में कोई key सेव नहीं है',
+        'settings.passphrase': 'पासफ़्रेज़',
+        'settings.passphrase_optional': 'पासफ़्रेज़ (चाहें तो, key को एन्क्रिप्ट करता है)',
+        'settings.encryption_unavailable': 'एन्क्रिप्शन के लिए https या localhost चाहिए',
+        'settings.unlock': 'खोलें',
+        'settings.paste_key': 'API key चिपकाइए',
+        'settings.test': 'जाँचें',
+        'settings.save': 'सेव करें',
+        'settings.remove_key': 'Key हटाएँ',
+        'settings.use_proxy': 'लोकल प्रॉक्सी इस्तेमाल करें (key सर्वर पर रहती है, ब्राउज़र में कभी नहीं)',
+        'settings.enter_passphrase': 'जिस पासफ़्रेज़ से key सेव की थी, वह डालिए।',
+        'settings.need_key': 'पहले API key चिपकाइए (या प्रॉक्सी चालू कीजिए)।',
+        'settings.testing': 'जाँच रहा हूँ...',
+        'settings.test_ok_key': 'चल गया! {provider} ने key मान ली।',
+        'settings.test_ok_proxy': 'चल गया! {provider} ने प्रॉक्सी मान ली।',
+        'settings.test_failed': 'जाँच नहीं हो पाई: {error}',
+        'settings.save_failed': 'Key सेव नहीं हो पाई: {error}',
+        'settings.saved_connected': 'सेव हो गया। AI जुड़ गया।',
+        'settings.saved_disconnected': 'सेव हो गया। AI को अभी भी key या प्रॉक्सी चाहिए।',
+        'settings.confirm_remove': 'इस ब्राउज़र से सेव की हुई API key हटाएँ?',
+        'settings.language': 'भाषा',
+        'settings.language_hint': 'ChefMate के जवाब, आवाज़ और बोली पहचान इसी भाषा में होंगे।',
+        'settings.voice': 'आवाज़',
+        'settings.voice_hint': '{language} के लिए आवाज़। प्रेशर कुकर या एग्ज़ॉस्ट फ़ैन के शोर में धीमी और तेज़ आवाज़ मदद करती है।',
+        'settings.voice_auto': 'अपने-आप ({voice})',
+        'settings.voice_none': 'अभी कोई आवाज़ उपलब्ध नहीं। कुछ ब्राउज़र पेज खुलने के कुछ सेकंड बाद आवाज़ें लोड करते हैं।',
+        'settings.voice_rate': 'रफ़्तार',
+        'settings.voice_pitch': 'सुर',
+        'settings.voice_volume': 'आवाज़ की तेज़ी',
+        'settings.voice_preview': 'सुनकर देखें',
+        'settings.voice_kitchen': 'धीमा और तेज़',
+        'settings.voice_barge_in': 'बोलकर बीच में रोकने दें (हैंड्स-फ़्री): "रुकिए", "बस करो" या नया सवाल आवाज़ रोक देता है',
+        'settings.voice_engines': 'स्पीच इंजन। ब्राउज़र की बोली पहचान को इंटरनेट चाहिए; Vosk पेज में ही ऑफ़लाइन सुनता है और लोकल स्पीच सर्वर आपकी अपनी मशीन पर चलता है।',
+        'settings.voice_recognition_engine': 'सुनना',
+        'settings.voice_synthesis_engine': 'बोलना',
+        'settings.voice_engine_auto': 'अपने-आप ({engine})',
+        'settings.voice_engine_unavailable': '{engine} (सेट नहीं है)',
+        'settings.voice_server_url': 'स्पीच सर्वर URL, जैसे http://localhost:5005',
+        'voice.preview_text': 'नमस्ते! खाना बनाते समय मैं ऐसे बोलूँगा। प्याज़ डालिए और दो मिनट चलाइए।'
+    },
+    intents: {
+        confirm: [['ठीक है', 0.9], ['जी हाँ', 1], ['हो गया है', 0.9]],
+        deny: [['ना', 0.8], ['अभी नहीं', 1]],
+        pause: [['रुकिए', 0.9], ['रुक जाओ', 0.9], ['एक मिनट', 0.8]],
+        resume: [['फिर से शुरू', 0.9], ['जारी रखो', 1], ['चालू करो', 0.8]],
+        camera_on: [['कैमरा चालू', 1], ['कैमरा खोलो', 1]],
+        camera_off: [['कैमरा बंद', 1]],
+        save_recipe: [['रेसिपी सेव करो', 1], ['रेसिपी याद रखो', 1]]
+    },
+    interruptPhrases: ['रुकिए', 'रुक जाओ', 'चुप करो', 'बस करो'],
+    missingPhrases: ['नहीं है', 'नहीं हैं', 'खत्म', 'ख़त्म', 'खत्म हो गया']
+});
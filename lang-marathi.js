@@ -0,0 +1,318 @@
+// Live Recipe AI - Marathi Language Pack
+// Marathi in Devanagari
+
+I18n.register('marathi', {
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    speechLang: 'mr-IN',
+    promptLanguage: 'Marathi (Devanagari script)',
+    promptNote: 'Use homely spoken Marathi; English words for kitchen tools are fine',
+    fallback: 'english',
+    strings: {
+        'app.starting': 'ChefMate सुरू होत आहे...',
+        'app.loading': 'लोड होत आहे...',
+        'app.welcome': 'नमस्कार! मी ChefMate, तुमचा स्वयंपाकघरातला साथी. चला एकत्र स्वयंपाक करूया? खाली "Start Cooking" दाबून सुरुवात करा.',
+        'app.welcome_spoken': 'नमस्कार! मी ChefMate, तुमचा स्वयंपाकघरातला साथी. चला एकत्र स्वयंपाक करूया?',
+        'app.welcome_back': 'पुन्हा स्वागत! चला, स्वयंपाक पुढे चालू ठेवूया.',
+        'app.ai_waiting_key': 'AI मॉड्यूल API key ची वाट पाहत आहे',
+        'app.error': 'ChefMate मध्ये अडचण: {message}',
+        'app.error_note': 'अडचण: {message}',
+        'app.state_failed': 'ॲपची स्थिती लोड झाली नाही',
+        'app.init_error': 'सुरू करताना अडचण: {error}',
+        'compat.camera': 'कॅमेरा API उपलब्ध नाही',
+        'compat.speech': 'बोलणं ओळखणं उपलब्ध नाही',
+        'compat.tts': 'बोलून वाचणं उपलब्ध नाही',
+        'compat.issues': 'ब्राउझरमध्ये या गोष्टी चालणार नाहीत:\n{issues}\n\nचांगल्या अनुभवासाठी Chrome, Edge किंवा Safari वापरा, किंवा ऑफलाइन स्पीच इंजिन सेट करा (config.example.js पहा).',
+        'cooking.ask_dish': 'आज काय बनवायचं?',
+        'cooking.default_dish': 'व्हेज पुलाव',
+        'cooking.getting_recipe': '{dish} ची रेसिपी आणतोय...',
+        'cooking.start': 'चला, {dish} बनवायला सुरुवात करूया. आधी साहित्य तपासा.',
+        'cooking.start_library': 'चला, तुमच्या रेसिपी लायब्ररीमधून {dish} बनवायला सुरुवात करूया. आधी साहित्य तपासा.',
+        'cooking.check_ingredients': 'साहित्य {servings} जणांसाठी आहे (बदलायचं असेल तर सांगा, उदा. "4 जणांसाठी"). सगळं तयार आहे? असेल तर "हो" किंवा "तयार" म्हणा.',
+        'cooking.offer_save': 'रेसिपी आवडली तर "रेसिपी सेव्ह कर" म्हणा.',
+        'cooking.setup_failed': 'रेसिपी तयार झाली नाही: {error}',
+        'cooking.default_recipe': 'नेहमीच्या रेसिपीने सुरुवात करूया. साहित्य तपासा.',
+        'cooking.offer_similar': '"{dish}" ची रेसिपी आत्ता मिळत नाही. त्याऐवजी {suggestion} बनवायचं?',
+        'cooking.started': 'सुरुवात करूया! आज {dish} बनवूया. आधी साहित्य बघूया.',
+        'cooking.this_dish': 'हा चविष्ट पदार्थ',
+        'cooking.paused': 'मी थांबतोय. तयार झालात की पुन्हा सुरू करा.',
+        'cooking.resumed': 'पुन्हा सुरू! चला पुढे जाऊया.',
+        'cooking.complete': 'अभिनंदन! पदार्थ तयार आहे. तुम्ही खूप छान बनवलंत. कसा वाटला अनुभव?',
+        'cooking.confirm_reset': 'नक्की रीसेट करायचं? हे सेशन संग्रहात ठेवलं जाईल.',
+        'cooking.reset': 'सेशन रीसेट झालं. नव्याने सुरुवात करायची? "Start Cooking" दाबा!',
+        'cooking.waiting': 'सूचनेची वाट पाहतोय...',
+        'confirm.start': 'छान! चला सुरुवात करूया. {text}',
+        'confirm.ok': 'ठीक आहे. {text}',
+        'deny.ask': 'काय अडचण आहे? सांगा, मी मदत करतो.',
+        'step.previous': 'मागची पायरी: {text}',
+        'step.next': 'पुढची पायरी: {text}',
+        'step.jump': 'पायरी {step}: {text}',
+        'step.already_here': 'आपण आत्ता पायरी {step} वरच आहोत. {text}',
+        'step.out_of_range': 'या रेसिपीत फक्त {count} पायऱ्या आहेत.',
+        'servings.no_recipe': 'आधी पदार्थ सांगा, मग प्रमाण बदलूया.',
+        'servings.invalid': 'इतक्या जणांसाठी प्रमाण बदलता येणार नाही. 1 ते 50 मधला आकडा सांगा.',
+        'servings.changed': 'आता रेसिपी {servings} जणांसाठी आहे.',
+        'ingredients.none': 'अजून साहित्य नाही. आधी पदार्थ सांगा.',
+        'ingredients.list': '{servings} जणांसाठी साहित्य: {list}',
+        'ingredients.empty': 'स्वयंपाक सुरू केला की साहित्य इथे दिसेल',
+        'servings.count_one': '{servings} व्यक्ती',
+        'servings.count': '{servings} जण',
+        'units.original': 'लिहिल्याप्रमाणे',
+        'units.metric': 'मेट्रिक (ग्रॅम, मि.ली.)',
+        'units.us': 'अमेरिकन (कप, चमचे)',
+        'units.indian': 'भारतीय (वाटी, चमचा)',
+        'convert.need_ingredient': '{from} चं {unit} मध्ये रूपांतर करायला पदार्थ सांगा, जसं "एक कप कणीक किती ग्रॅम".',
+        'convert.impossible': '{from} चं {unit} मध्ये रूपांतर करता येत नाही.',
+        'convert.result': '{from} म्हणजे साधारण {to}.',
+        'substitute.which': 'कोणतं साहित्य नाही? उदा. "दही नाही" असं सांगा.',
+        'substitute.offer': '{ingredient} नाही? त्याऐवजी {replacement} वापरू शकता.{note} रेसिपीत बदल करू?',
+        'substitute.applied': 'झालं, आता रेसिपीत {ingredient} ऐवजी {replacement} आहे.',
+        'substitute.none': '{ingredient} साठी चांगला पर्याय नाही. ते वगळू शकता किंवा आणून घ्या.',
+        'substitute.done': 'आता सगळं तयार आहे? "हो" म्हणा, मग सुरुवात करूया.',
+        'substitute.pantry_hint': 'मागच्या वेळी तुमच्याकडे {list} नव्हतं. अजूनही नसेल तर "नाही" म्हणा, मी पर्याय सांगतो.',
+        'substitute.instead_of': '{ingredient} ऐवजी',
+        'library.nothing_to_save': 'आत्ता सेव्ह करण्यासाठी कोणतीही रेसिपी नाही.',
+        'library.saved': '{name} लायब्ररीत सेव्ह झाली. पुढच्या वेळी इंटरनेटशिवायही बनवता येईल.',
+        'library.save_failed': 'रेसिपी सेव्ह झाली नाही: {error}',
+        'session.resume_one': 'मागचं सेशन पुढे चालू करायचं?\n\n{session}',
+        'session.resume_many': 'कोणतं सेशन पुढे चालू करायचं? त्याचा क्रमांक लिहा (नव्याने सुरुवातीसाठी Cancel):\n\n{list}',
+        'session.welcome_back': 'पुन्हा स्वागत! {dish} पुढे बनवूया. पायरी {step}: {text}',
+        'session.describe': '{dish} - {total} पैकी पायरी {step} ({updated})',
+        'camera.unavailable': 'कॅमेरा मॉड्यूल उपलब्ध नाही',
+        'camera.enable_first': 'आधी कॅमेरा सुरू करा',
+        'camera.on': 'कॅमेरा सुरू. आता मला तुमचा स्वयंपाक दिसतोय.',
+        'camera.off': 'कॅमेरा बंद.',
+        'camera.analyzing': 'तुमचा स्वयंपाक बघतोय...',
+        'camera.analysis_failed': 'बघता आलं नाही: {error}',
+        'camera.analysis_unavailable': 'फोटो बघता आला नाही. पुन्हा प्रयत्न करा किंवा स्वयंपाक चालू ठेवा.',
+        'camera.blurry': 'कॅमेरा धूसर दिसतोय, थोडा लांब ठेवा किंवा लेन्स पुसा.',
+        'camera.dark': 'कॅमेऱ्यात खूप अंधार आहे, थोडा उजेड करा.',
+        'checkpoint.unclear': 'नीट दिसलं नाही. पुन्हा एकदा दाखवा.',
+        'checkpoint.completed': 'ही पायरी पूर्ण झाली.',
+        'checkpoint.next': 'पुढच्या पायरीवर जायचं?',
+        'checkpoint.dish_ready': 'पदार्थ तयार दिसतोय!',
+        'auto_complete.on': 'ठीक आहे, कॅमेऱ्यात पायरी पूर्ण दिसली की मी ती पूर्ण करेन.',
+        'auto_complete.off': 'आता पायऱ्या तुम्हीच पूर्ण कराल.',
+        'journal.empty': 'अजून एकही फोटो नाही. "बघ" म्हणून पदार्थ दाखवा.',
+        'camera.not_supported': 'या ब्राउझरमध्ये कॅमेरा चालत नाही',
+        'camera.api_unavailable': 'कॅमेरा API उपलब्ध नाही',
+        'camera.not_active': 'कॅमेरा सुरू नाही',
+        'camera.wait': 'पुढच्या फोटोआधी थोडं थांबा',
+        'camera.video_not_ready': 'व्हिडिओ अजून तयार नाही',
+        'camera.watching': 'तुमचा स्वयंपाक बघतोय...',
+        'camera.captured': 'फोटो घेतला! AI कडे पाठवतोय...',
+        'camera.showed_food': '[AI ला पदार्थ दाखवला]',
+        'camera.error': 'कॅमेऱ्यात अडचण: {reason}',
+        'camera.permission_denied': 'कॅमेऱ्याची परवानगी मिळाली नाही. ब्राउझरच्या सेटिंगमध्ये कॅमेऱ्याला परवानगी द्या.',
+        'camera.not_found': 'कॅमेरा सापडला नाही. कॅमेरा जोडा.',
+        'camera.in_use': 'कॅमेरा दुसऱ्या ॲपमध्ये वापरला जातोय.',
+        'camera.constraints': 'कॅमेऱ्याच्या आवश्यक सेटिंग्ज पूर्ण झाल्या नाहीत.',
+        'camera.resolution': 'हे कॅमेरा रेझोल्यूशन चालत नाही.',
+        'camera.unknown_error': 'अनोळखी अडचण',
+        'camera.note': 'कॅमेरा: {message}',
+        'camera.status_initializing': 'सुरू होत आहे...',
+        'camera.status_active': 'सुरू',
+        'camera.status_off': 'बंद',
+        'camera.status_error': 'अडचण',
+        'camera.hint_off': 'कॅमेरा बंद आहे. पदार्थ दाखवण्यासाठी सुरू करा.',
+        'camera.hint_active': 'कॅमेरा सुरू आहे. पदार्थ दाखवण्यासाठी "बघ" म्हणा.',
+        'camera.hint_ready': 'फोटोसाठी तयार. पदार्थ स्थिर धरा.',
+        'camera.device': 'कॅमेरा {number}',
+        'camera.focus_mode': 'फोकस: {mode}',
+        'journal.title': '{dish} - फोटो डायरी',
+        'journal.page_title': '{dish} - ChefMate डायरी',
+        'journal.default_dish': 'स्वयंपाकाचं सेशन',
+        'journal.step': 'पायरी {step}',
+        'journal.watch_mode': 'वॉच मोड',
+        'journal.no_analysis': 'विश्लेषण नाही',
+        'journal.photos': '{count} फोटो',
+        'watch.on': 'ठीक आहे, मी कढईवर लक्ष ठेवतो. काही जळू लागलं किंवा उतू गेलं तर सांगेन.',
+        'watch.off': 'वॉच मोड बंद केला.',
+        'watch.burning': 'लक्ष द्या! काहीतरी जळतंय. आच लगेच मंद करा आणि हलवा.',
+        'watch.boil_over': 'लक्ष द्या! उतू जातंय. आच कमी करा किंवा झाकण काढा.',
+        'watch.smoke': 'लक्ष द्या! धूर दिसतोय. आच बंद किंवा कमी करा.',
+        'watch.checkpoint_seen': 'कॅमेऱ्यात दिसतंय: {checkpoint}.',
+        'timer.offer': 'या पायरीला {duration} लागतील. टायमर हवा असेल तर "timer lagao" म्हणा.',
+        'timer.offer_approx': 'या पायरीला साधारण {duration} लागतील. टायमर हवा असेल तर "timer lagao" म्हणा.',
+        'timer.step_name': 'पायरी {step}',
+        'timer.default_name': '{duration} टायमर',
+        'timer.expired': '{name} चा टायमर संपला! {duration} झाले. एकदा पाहून घ्या.',
+        'timer.cancelled_named': '{name} चा टायमर बंद केला.',
+        'timer.cancelled': 'टायमर बंद केला.',
+        'timer.none_running': 'कोणताही टायमर चालू नाही.',
+        'timer.which_to_cancel': 'कोणता टायमर बंद करू? {list}',
+        'timer.remaining': '{name}: {duration} बाकी',
+        'timer.started': 'ठीक आहे, {duration} चा टायमर लावला.',
+        'timer.started_paused': 'ठीक आहे, {duration} चा टायमर लावला (स्वयंपाक थांबवलेला आहे, पुन्हा सुरू केल्यावर चालेल).',
+        'timer.started_for': '{name} साठी {duration} चा टायमर लावला.',
+        'timer.ask_duration': 'किती मिनिटांचा टायमर लावू? उदा. "timer lagao 10 minute" म्हणा.',
+        'timer.not_started': 'ठीक आहे, टायमर लावला नाही.',
+        'timer.kept': 'ठीक आहे, टायमर चालू राहील.',
+        'timer.start_offer': '{clock} चा टायमर सुरू करा',
+        'timer.done': 'झाले',
+        'timer.clear_finished': 'संपलेले काढा',
+        'duration.hour': '{count} तास',
+        'duration.hours': '{count} तास',
+        'duration.minute': '{count} मिनिट',
+        'duration.minutes': '{count} मिनिटे',
+        'duration.second': '{count} सेकंद',
+        'duration.seconds': '{count} सेकंद',
+        'speech.unavailable': 'स्पीच मॉड्यूल उपलब्ध नाही',
+        'handsfree.on': 'हँड्स-फ्री सुरू. "ChefMate" म्हणा, मग तुमचा प्रश्न.',
+        'handsfree.off': 'हँड्स-फ्री बंद. बोलण्यासाठी माइकचं बटण दाबून ठेवा.',
+        'ai_speech.on': 'AI चा आवाज सुरू',
+        'ai_speech.off': 'AI चा आवाज बंद',
+        'speech.interrupted': 'पूर्ण बोललं गेलं नाही',
+        'speech.did_you_say': 'तुम्ही "{text}" म्हणालात का?',
+        'speech.say_again': 'ठीक आहे, पुन्हा एकदा सांगा.',
+        'language.changed': 'ठीक आहे, आता मी मराठीत बोलेन.',
+        'speech.status_unsupported': 'उपलब्ध नाही',
+        'speech.status_ready': 'तयार',
+        'speech.status_wake': '"ChefMate" म्हणा...',
+        'speech.status_listening': 'ऐकतोय...',
+        'speech.status_awake': 'हो, बोला...',
+        'speech.status_speaking': 'बोलतोय...',
+        'speech.status_stopped': 'थांबलं',
+        'speech.status_disabled': 'बंद',
+        'speech.status_failed': 'अडचण',
+        'speech.status_error': 'अडचण: {error}',
+        'permission.allow': 'ही सुविधा वापरण्यासाठी ब्राउझरच्या सेटिंगमध्ये {device} ला परवानगी द्या.',
+        'permission.microphone': 'मायक्रोफोन',
+        'permission.note': 'परवानगी हवी: {message}',
+        'ai.error': 'AI मध्ये अडचण: {error}',
+        'fallback.offline': 'आत्ता AI शी जोडता येत नाहीये. पायऱ्या, टायमर आणि कमांड चालू राहतील - "पुढे" किंवा "मागे" म्हणू शकता.',
+        'fallback.quota': 'AI आत्ता खूप व्यस्त आहे. थोड्या वेळाने पुन्हा विचारा, तोपर्यंत पायऱ्या करत राहा.',
+        'fallback.auth': 'AI ची API key बरोबर नाही. Settings तपासा, तोपर्यंत पायऱ्या आणि टायमर चालू राहतील.',
+        'fallback.recitation': 'हे उत्तर एखाद्या पुस्तकासारखं किंवा वेबसाइटसारखं होत होतं, म्हणून थांबलं. तुमच्या शब्दांत पुन्हा विचारा.',
+        'fallback.safety': 'या प्रश्नाचं उत्तर मला देता आलं नाही. थोडं वेगळ्या पद्धतीने विचारा.',
+        'fallback.default': 'मला समजलं नाही. पुन्हा एकदा सांगाल का?',
+        'offline.on': '[ऑफलाइन] {reason} बेसिक मोड सुरू: पायऱ्या, टायमर आणि आवाजाच्या कमांड चालू राहतील.',
+        'offline.unavailable': 'AI सेवा उपलब्ध नाही.',
+        'offline.off': '[ऑफलाइन] AI पुन्हा जोडलं गेलं.',
+        'ai.cut_short_max_tokens': '[AI] उत्तर खूप लांब होतं म्हणून अर्धवट राहिलं. बाकीचं ऐकायला "अजून सांग" म्हणा.',
+        'ai.cut_short_safety': '[AI] सुरक्षा फिल्टरमुळे उत्तर अर्धवट राहिलं.',
+        'ai.cut_short_recitation': '[AI] उत्तर छापील मजकुराशी खूप जुळत होतं म्हणून अर्धवट राहिलं.',
+        'error.not_initialized': 'AI सुरू झालं नाही. API key तपासा.',
+        'error.auth': 'API key बरोबर नाही. config.js फाइल तपासा.',
+        'error.quota': 'खूप विनंत्या झाल्या. पुन्हा प्रयत्न करण्याआधी थोडं थांबा.',
+        'error.timeout': 'उत्तर यायला खूप वेळ लागला. इंटरनेट कनेक्शन तपासा.',
+        'error.network': 'AI सेवेपर्यंत पोहोचता येत नाही. इंटरनेट कनेक्शन तपासा.',
+        'error.malformed': 'AI चं उत्तर वाचता आलं नाही. पुन्हा प्रयत्न करा.',
+        'error.server': 'AI सेवेत सध्या अडचण आहे. थोड्या वेळाने पुन्हा प्रयत्न करा.',
+        'error.request': 'AI सेवेने विनंती नाकारली.',
+        'error.offline': 'AI सध्या ऑफलाइन आहे. पायऱ्या, टायमर, कमांड आणि सेव्ह केलेल्या रेसिपी चालू राहतील.',
+        'error.recitation': 'उत्तर छापील मजकुराशी खूप जुळत होतं म्हणून AI थांबलं. तुमच्या शब्दांत विचारा.',
+        'error.safety': 'सुरक्षा फिल्टरमुळे AI याचं उत्तर देऊ शकलं नाही{detail}. थोडं वेगळ्या पद्धतीने विचारा.',
+        'ai_status.error': 'अडचण',
+        'ai_status.auth': 'चुकीची API key',
+        'ai_status.quota': 'मर्यादा संपली',
+        'ai_status.safety': 'अडवलं',
+        'ai_status.timeout': 'वेळ संपली',
+        'ai_status.network': 'कनेक्शन नाही',
+        'ai_status.malformed': 'चुकीचं उत्तर',
+        'ai_status.server': 'सेवेत अडचण',
+        'ai_status.request': 'विनंतीत अडचण',
+        'ai_status.offline': 'ऑफलाइन मोड',
+        'ai_status.key_locked': 'Key बंद आहे',
+        'ai_status.no_key': 'API key नाही',
+        'ai_status.rephrasing': 'वेगळ्या शब्दांत विचारतोय...',
+        'ai_status.retrying': 'पुन्हा प्रयत्न ({reason})...',
+        'ai_status.disconnected': 'जोडलेलं नाही',
+        'button.pause': 'थांबा',
+        'button.resume': 'पुन्हा सुरू',
+        'title.mic_on': 'हँड्स-फ्री ऐकणं सुरू',
+        'title.mic_off': 'हँड्स-फ्री ऐकणं बंद',
+        'title.speech_on': 'AI चा आवाज सुरू',
+        'title.speech_off': 'AI चा आवाज बंद',
+        'title.camera_on': 'कॅमेरा सुरू करा',
+        'title.camera_off': 'कॅमेरा बंद करा',
+        'title.watch_on': 'वॉच मोड सुरू (थांबवण्यासाठी दाबा)',
+        'title.watch_paused': 'वॉच मोड थांबलेला',
+        'title.watch_off': 'पॅनवर आपोआप लक्ष ठेवा',
+        'title.timer_cancel': 'टायमर बंद करा',
+        'title.servings_fewer': 'कमी जण',
+        'title.servings_more': 'जास्त जण',
+        'title.units': 'मापं',
+        'title.camera_device': 'कॅमेरा',
+        'title.torch': 'टॉर्च',
+        'title.zoom': 'झूम',
+        'title.focus': 'फोकस',
+        'title.journal_export': 'HTML म्हणून सेव्ह करा',
+        'title.close': 'बंद करा',
+        'status.ready': 'सगळं तयार आहे',
+        'status.thinking': 'विचार करतोय...',
+        'status.connected': 'जोडलेलं',
+        'status.ai_connected': 'AI जोडलेलं',
+        'status.ai_not_connected': 'AI जोडलेलं नाही',
+        'status.ai_disconnected': 'AI जोडलेलं नाही - API key तपासा',
+        'status.ai_offline': 'AI ऑफलाइन - बेसिक मोड',
+        'status.no_mic': 'मायक्रोफोन उपलब्ध नाही',
+        'status.no_camera': 'कॅमेरा उपलब्ध नाही',
+        'usage.total': '{tokens} टोकन · ${cost}',
+        'usage.details': 'या सेशनमध्ये {calls} AI कॉल: {input} इनपुट + {output} आउटपुट टोकन',
+        'usage.details_estimated': 'या सेशनमध्ये {calls} AI कॉल: {input} इनपुट + {output} आउटपुट टोकन (काही आकडे अंदाजे)',
+        'settings.title': 'सेटिंग्ज',
+        'settings.close': 'बंद करा',
+        'settings.ai': 'AI कनेक्शन',
+        'settings.key_not_needed': '{provider} प्रोव्हायडरला API key लागत नाही.',
+        'settings.provider': 'प्रोव्हायडर: {provider}',
+        'settings.provider_proxied': 'प्रोव्हायडर: {provider} (प्रॉक्सीमार्गे)',
+        'settings.key_locked': 'सेव्ह आहे, पासफ्रेजने बंद',
+        'settings.key_saved': 'सेव्ह आहे: ••••{last4}',
+        'settings.key_saved_encrypted': 'सेव्ह आहे (एन्क्रिप्टेड): ••••{last4}',
+        'settings.key_none': 'या ब्राउझरमध्ये कोणतीही key सेव्ह नाही',
+        'settings.passphrase': 'पासफ्रेज',
+        'settings.passphrase_optional': 'पासफ्रेज (हवं असल्यास, key एन्क्रिप्ट करतो)',
+        'settings.encryption_unavailable': 'एन्क्रिप्शनसाठी https किंवा localhost हवं',
+        'settings.unlock': 'उघडा',
+        'settings.paste_key': 'API key पेस्ट करा',
+        'settings.test': 'तपासा',
+        'settings.save': 'सेव्ह करा',
+        'settings.remove_key': 'Key काढा',
+        'settings.use_proxy': 'लोकल प्रॉक्सी वापरा (key सर्व्हरवर राहते, ब्राउझरमध्ये कधीच नाही)',
+        'settings.enter_passphrase': 'ज्या पासफ्रेजने key सेव्ह केली तो टाका.',
+        'settings.need_key': 'आधी API key पेस्ट करा (किंवा प्रॉक्सी सुरू करा).',
+        'settings.testing': 'तपासतोय...',
+        'settings.test_ok_key': 'चाललं! {provider} ने key स्वीकारली.',
+        'settings.test_ok_proxy': 'चाललं! {provider} ने प्रॉक्सी स्वीकारली.',
+        'settings.test_failed': 'तपासणी अयशस्वी: {error}',
+        'settings.save_failed': 'Key सेव्ह झाली नाही: {error}',
+        'settings.saved_connected': 'सेव्ह झालं. AI जोडलं गेलं.',
+        'settings.saved_disconnected': 'सेव्ह झालं. AI ला अजून key किंवा प्रॉक्सी हवी.',
+        'settings.confirm_remove': 'या ब्राउझरमधून सेव्ह केलेली API key काढायची?',
+        'settings.language': 'भाषा',
+        'settings.language_hint': 'ChefMate ची उत्तरं, आवाज आणि बोलणं ओळखणं या भाषेत होईल.',
+        'settings.voice': 'आवाज',
+        'settings.voice_hint': '{language} साठी आवाज. कुकरच्या शिट्टीत किंवा एक्झॉस्ट फॅनच्या आवाजात हळू आणि मोठा आवाज उपयोगी पडतो.',
+        'settings.voice_auto': 'आपोआप ({voice})',
+        'settings.voice_none': 'अजून कोणताही आवाज उपलब्ध नाही. काही ब्राउझर पेज उघडल्यावर काही सेकंदांनी आवाज लोड करतात.',
+        'settings.voice_rate': 'वेग',
+        'settings.voice_pitch': 'सूर',
+        'settings.voice_volume': 'आवाजाची पातळी',
+        'settings.voice_preview': 'ऐकून बघा',
+        'settings.voice_kitchen': 'हळू आणि मोठा',
+        'settings.voice_barge_in': 'बोलून मध्येच थांबवू द्या (हँड्स-फ्री): "थांबा", "पुरे" किंवा नवीन प्रश्न आवाज थांबवतो',
+        'settings.voice_engines': 'स्पीच इंजिन. ब्राउझरच्या ओळखीला इंटरनेट लागतं; Vosk पेजमध्येच ऑफलाइन ऐकतो आणि लोकल स्पीच सर्व्हर तुमच्याच मशीनवर चालतो.',
+        'settings.voice_recognition_engine': 'ऐकणं',
+        'settings.voice_synthesis_engine': 'बोलणं',
+        'settings.voice_engine_auto': 'आपोआप ({engine})',
+        'settings.voice_engine_unavailable': '{engine} (सेट केलेलं नाही)',
+        'settings.voice_server_url': 'स्पीच सर्व्हर URL, जसं http://localhost:5005',
+        'voice.preview_text': 'नमस्कार! स्वयंपाक करताना मी असा बोलेन. कांदा घाला आणि दोन मिनिटं परता.'
+    },
+    intents: {
+        confirm: [['हो', 1], ['होय', 1], ['ठीक आहे', 0.9], ['झालं', 0.9], ['तयार आहे', 1]],
+        deny: [['नाही', 1], ['नको', 1], ['अजून नाही', 1]],
+        next_step: [['पुढे', 0.9], ['पुढची पायरी', 1], ['पुढचं', 1]],
+        previous_step: [['मागे', 0.9], ['मागची पायरी', 1], ['मागचं', 1]],
+        pause: [['थांब', 1], ['थांबा', 1], ['एक मिनिट थांब', 1]],
+        resume: [['पुन्हा सुरू कर', 1], ['चालू कर', 0.9]],
+        ingredients: [['साहित्य', 1], ['काय काय लागेल', 1]],
+        camera_on: [['कॅमेरा सुरू', 1], ['कॅमेरा चालू कर', 1]],
+        camera_off: [['कॅमेरा बंद', 1]],
+        save_recipe: [['रेसिपी सेव्ह कर', 1], ['रेसिपी लक्षात ठेव', 1]],
+        set_servings: [['जणांसाठी', 1], ['लोकांसाठी', 1]]
+    },
+    interruptPhrases: ['थांब', 'थांबा', 'गप', 'पुरे', 'बस झालं'],
+    missingPhrases: ['नाही', 'नाहीये', 'संपलं', 'संपले', 'संपलाय']
+});
@@ -0,0 +1,318 @@
+// Live Recipe AI - Tamil Language Pack
+// Tamil script
+
+I18n.register('tamil', {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    speechLang: 'ta-IN',
+    promptLanguage: 'Tamil (Tamil script)',
+    promptNote: 'Use friendly spoken Tamil rather than formal written Tamil',
+    fallback: 'english',
+    strings: {
+        'app.starting': 'ChefMate தொடங்குகிறது...',
+        'app.loading': 'ஏற்றுகிறது...',
+        'app.welcome': 'வணக்கம்! நான் ChefMate, உங்கள் சமையலறை உதவியாளர். சேர்ந்து சமைக்கலாமா? கீழே உள்ள "Start Cooking" அழுத்தித் தொடங்குங்கள்.',
+        'app.welcome_spoken': 'வணக்கம்! நான் ChefMate, உங்கள் சமையலறை உதவியாளர். சேர்ந்து சமைக்கலாமா?',
+        'app.welcome_back': 'மீண்டும் வருக! சமையலைத் தொடரலாம்.',
+        'app.ai_waiting_key': 'AI தொகுதி API key-க்காகக் காத்திருக்கிறது',
+        'app.error': 'ChefMate பிழை: {message}',
+        'app.error_note': 'பிழை: {message}',
+        'app.state_failed': 'செயலியின் நிலையை ஏற்ற முடியவில்லை',
+        'app.init_error': 'தொடங்குவதில் பிழை: {error}',
+        'compat.camera': 'கேமரா API இல்லை',
+        'compat.speech': 'பேச்சு அறிதல் வசதி இல்லை',
+        'compat.tts': 'உரையைப் பேச்சாக்கும் வசதி இல்லை',
+        'compat.issues': 'உலாவியில் இவை வேலை செய்யாது:\n{issues}\n\nசிறந்த அனுபவத்துக்கு Chrome, Edge அல்லது Safari பயன்படுத்துங்கள், அல்லது ஆஃப்லைன் பேச்சு இயந்திரத்தை அமையுங்கள் (config.example.js பாருங்கள்).',
+        'cooking.ask_dish': 'இன்று என்ன சமைக்கலாம்?',
+        'cooking.default_dish': 'வெஜ் புலாவ்',
+        'cooking.getting_recipe': '{dish} செய்முறையைக் கொண்டு வருகிறேன்...',
+        'cooking.start': '{dish} செய்யத் தொடங்கலாம். முதலில் பொருட்களைச் சரிபாருங்கள்.',
+        'cooking.start_library': 'உங்கள் செய்முறை நூலகத்திலிருந்து {dish} செய்யத் தொடங்கலாம். முதலில் பொருட்களைச் சரிபாருங்கள்.',
+        'cooking.check_ingredients': 'பொருட்கள் {servings} பேருக்கு (மாற்ற "4 பேருக்கு" என்று சொல்லுங்கள்). எல்லாம் தயாரா? தயார் என்றால் "ஆமாம்" அல்லது "ரெடி" என்று சொல்லுங்கள்.',
+        'cooking.offer_save': 'செய்முறை பிடித்திருந்தால் "ரெசிபி சேவ் பண்ணு" என்று சொல்லுங்கள்.',
+        'cooking.setup_failed': 'செய்முறையைத் தயாரிக்க முடியவில்லை: {error}',
+        'cooking.default_recipe': 'இயல்பான செய்முறையுடன் தொடங்கலாம். பொருட்களைச் சரிபாருங்கள்.',
+        'cooking.offer_similar': '"{dish}" செய்முறை இப்போது கிடைக்கவில்லை. அதற்குப் பதிலாக {suggestion} செய்யலாமா?',
+        'cooking.started': 'தொடங்கலாம்! இன்று {dish} செய்வோம். முதலில் பொருட்களைப் பார்ப்போம்.',
+        'cooking.this_dish': 'இந்த சுவையான உணவு',
+        'cooking.paused': 'நிறுத்துகிறேன். தயாரானதும் மீண்டும் தொடருங்கள்.',
+        'cooking.resumed': 'மீண்டும் தொடங்கினோம்! முன்னேறலாம்.',
+        'cooking.complete': 'வாழ்த்துகள்! உணவு தயார். நீங்கள் மிக அருமையாகச் சமைத்தீர்கள். அனுபவம் எப்படி இருந்தது?',
+        'cooking.confirm_reset': 'உண்மையிலேயே மீட்டமைக்கவா? இந்த அமர்வு காப்பகத்தில் வைக்கப்படும்.',
+        'cooking.reset': 'அமர்வு மீட்டமைக்கப்பட்டது. புதிதாகத் தொடங்கலாமா? "Start Cooking" அழுத்துங்கள்!',
+        'cooking.waiting': 'வழிமுறைக்காகக் காத்திருக்கிறேன்...',
+        'confirm.start': 'அருமை! தொடங்கலாம். {text}',
+        'confirm.ok': 'சரி. {text}',
+        'deny.ask': 'என்ன பிரச்சனை? சொல்லுங்கள், உதவுகிறேன்.',
+        'step.previous': 'முந்தைய படி: {text}',
+        'step.next': 'அடுத்த படி: {text}',
+        'step.jump': 'படி {step}: {text}',
+        'step.already_here': 'நாம் இப்போது படி {step}-இல்தான் இருக்கிறோம். {text}',
+        'step.out_of_range': 'இந்தச் செய்முறையில் {count} படிகள் மட்டுமே உள்ளன.',
+        'servings.no_recipe': 'முதலில் உணவின் பெயரைச் சொல்லுங்கள், பிறகு அளவுகளை மாற்றலாம்.',
+        'servings.invalid': 'அத்தனை பேருக்கு அளவுகளை மாற்ற முடியாது. 1 முதல் 50 வரை சொல்லுங்கள்.',
+        'servings.changed': 'இப்போது செய்முறை {servings} பேருக்கு.',
+        'ingredients.none': 'இன்னும் பொருட்கள் இல்லை. முதலில் உணவின் பெயரைச் சொல்லுங்கள்.',
+        'ingredients.list': '{servings} பேருக்கான பொருட்கள்: {list}',
+        'ingredients.empty': 'சமைக்கத் தொடங்கியதும் பொருட்கள் இங்கே தெரியும்',
+        'servings.count_one': '{servings} பேர்',
+        'servings.count': '{servings} பேர்',
+        'units.original': 'எழுதியபடி',
+        'units.metric': 'மெட்ரிக் (கிராம், மி.லி.)',
+        'units.us': 'அமெரிக்க (கப், ஸ்பூன்)',
+        'units.indian': 'இந்திய (கிண்ணம், கரண்டி)',
+        'convert.need_ingredient': '{from} அளவை {unit} ஆக மாற்ற பொருளைச் சொல்லுங்கள், உதாரணமாக "ஒரு கப் மாவு எத்தனை கிராம்".',
+        'convert.impossible': '{from} அளவை {unit} ஆக மாற்ற முடியாது.',
+        'convert.result': '{from} என்பது சுமார் {to}.',
+        'substitute.which': 'எந்தப் பொருள் இல்லை? உதாரணமாக "தயிர் இல்லை" என்று சொல்லுங்கள்.',
+        'substitute.offer': '{ingredient} இல்லையா? அதற்குப் பதிலாக {replacement} பயன்படுத்தலாம்.{note} செய்முறையில் மாற்றட்டுமா?',
+        'substitute.applied': 'முடிந்தது, இப்போது செய்முறையில் {ingredient}-க்குப் பதிலாக {replacement}.',
+        'substitute.none': '{ingredient}-க்கு நல்ல மாற்று இல்லை. அதை விட்டுவிடலாம் அல்லது வாங்கி வரலாம்.',
+        'substitute.done': 'இப்போது எல்லாம் தயாரா? "ஆமாம்" என்றால் தொடங்கலாம்.',
+        'substitute.pantry_hint': 'கடந்த முறை உங்களிடம் {list} இல்லை. இப்போதும் இல்லையென்றால் "இல்லை" என்று சொல்லுங்கள், மாற்று சொல்கிறேன்.',
+        'substitute.instead_of': '{ingredient}-க்குப் பதிலாக',
+        'library.nothing_to_save': 'இப்போது சேமிக்க எந்தச் செய்முறையும் இல்லை.',
+        'library.saved': '{name} நூலகத்தில் சேமிக்கப்பட்டது. அடுத்த முறை இணையம் இல்லாமலும் செய்யலாம்.',
+        'library.save_failed': 'செய்முறையைச் சேமிக்க முடியவில்லை: {error}',
+        'session.resume_one': 'கடந்த அமர்வைத் தொடரலாமா?\n\n{session}',
+        'session.resume_many': 'எந்த அமர்வைத் தொடரலாம்? அதன் எண்ணை உள்ளிடுங்கள் (புதிதாகத் தொடங்க Cancel):\n\n{list}',
+        'session.welcome_back': 'மீண்டும் வருக! {dish} தொடரலாம். படி {step}: {text}',
+        'session.describe': '{dish} - {total} படிகளில் படி {step} ({updated})',
+        'camera.unavailable': 'கேமரா தொகுதி இல்லை',
+        'camera.enable_first': 'முதலில் கேமராவை இயக்குங்கள்',
+        'camera.on': 'கேமரா இயக்கப்பட்டது. இப்போது உங்கள் சமையலைப் பார்க்க முடிகிறது.',
+        'camera.off': 'கேமரா அணைக்கப்பட்டது.',
+        'camera.analyzing': 'உங்கள் சமையலைப் பார்க்கிறேன்...',
+        'camera.analysis_failed': 'பார்க்க முடியவில்லை: {error}',
+        'camera.analysis_unavailable': 'படத்தைப் பார்க்க முடியவில்லை. மீண்டும் முயலுங்கள் அல்லது சமையலைத் தொடருங்கள்.',
+        'camera.blurry': 'கேமரா மங்கலாக உள்ளது, சற்று தள்ளி வையுங்கள் அல்லது லென்ஸைத் துடையுங்கள்.',
+        'camera.dark': 'கேமராவில் மிகவும் இருட்டாக உள்ளது, கொஞ்சம் வெளிச்சம் வையுங்கள்.',
+        'checkpoint.unclear': 'சரியாகப் பார்க்க முடியவில்லை. இன்னொரு முறை காட்டுங்கள்.',
+        'checkpoint.completed': 'இந்தப் படி முடிந்தது.',
+        'checkpoint.next': 'அடுத்த படிக்குப் போகலாமா?',
+        'checkpoint.dish_ready': 'உணவு தயாராகிவிட்டது போல் தெரிகிறது!',
+        'auto_complete.on': 'சரி, கேமராவில் படி முடிந்தது தெரிந்தவுடன் நான் அதை முடித்துவிடுகிறேன்.',
+        'auto_complete.off': 'இனி படிகளை நீங்களே முடிப்பீர்கள்.',
+        'journal.empty': 'இன்னும் புகைப்படம் எதுவும் எடுக்கவில்லை. "பார்" என்று சொல்லி உணவைக் காட்டுங்கள்.',
+        'camera.not_supported': 'இந்த உலாவியில் கேமரா வேலை செய்யாது',
+        'camera.api_unavailable': 'கேமரா API இல்லை',
+        'camera.not_active': 'கேமரா இயக்கத்தில் இல்லை',
+        'camera.wait': 'அடுத்த படத்துக்கு முன் சற்றுக் காத்திருங்கள்',
+        'camera.video_not_ready': 'வீடியோ இன்னும் தயாராகவில்லை',
+        'camera.watching': 'உங்கள் சமையலைப் பார்க்கிறேன்...',
+        'camera.captured': 'படம் எடுக்கப்பட்டது! AI-க்கு அனுப்புகிறேன்...',
+        'camera.showed_food': '[AI-க்கு உணவைக் காட்டினேன்]',
+        'camera.error': 'கேமரா பிழை: {reason}',
+        'camera.permission_denied': 'கேமரா அனுமதி மறுக்கப்பட்டது. உலாவி அமைப்புகளில் கேமராவுக்கு அனுமதி கொடுங்கள்.',
+        'camera.not_found': 'கேமரா எதுவும் இல்லை. ஒரு கேமராவை இணையுங்கள்.',
+        'camera.in_use': 'கேமராவை வேறொரு செயலி பயன்படுத்துகிறது.',
+        'camera.constraints': 'கேமராவின் தேவையான அமைப்புகளைப் பூர்த்தி செய்ய முடியவில்லை.',
+        'camera.resolution': 'இந்தக் கேமரா தெளிவுத்திறன் ஆதரிக்கப்படவில்லை.',
+        'camera.unknown_error': 'தெரியாத பிழை',
+        'camera.note': 'கேமரா: {message}',
+        'camera.status_initializing': 'தொடங்குகிறது...',
+        'camera.status_active': 'இயக்கத்தில்',
+        'camera.status_off': 'அணைக்கப்பட்டது',
+        'camera.status_error': 'பிழை',
+        'camera.hint_off': 'கேமரா அணைக்கப்பட்டுள்ளது. உணவைக் காட்ட இயக்குங்கள்.',
+        'camera.hint_active': 'கேமரா இயக்கத்தில் உள்ளது. உணவைக் காட்ட "பார்" என்று சொல்லுங்கள்.',
+        'camera.hint_ready': 'படம் எடுக்கத் தயார். உணவை அசையாமல் பிடியுங்கள்.',
+        'camera.device': 'கேமரா {number}',
+        'camera.focus_mode': 'ஃபோகஸ்: {mode}',
+        'journal.title': '{dish} - புகைப்படக் குறிப்பேடு',
+        'journal.page_title': '{dish} - ChefMate குறிப்பேடு',
+        'journal.default_dish': 'சமையல் அமர்வு',
+        'journal.step': 'படி {step}',
+        'journal.watch_mode': 'கண்காணிப்பு',
+        'journal.no_analysis': 'பகுப்பாய்வு இல்லை',
+        'journal.photos': '{count} புகைப்படங்கள்',
+        'watch.on': 'சரி, கடாயைக் கவனித்துக்கொள்கிறேன். ஏதாவது கருகினாலோ பொங்கினாலோ சொல்கிறேன்.',
+        'watch.off': 'கண்காணிப்பு நிறுத்தப்பட்டது.',
+        'watch.burning': 'கவனம்! ஏதோ கருகுகிறது. உடனே தீயைக் குறைத்துக் கிளறுங்கள்.',
+        'watch.boil_over': 'கவனம்! பொங்கி வழிகிறது. தீயைக் குறையுங்கள் அல்லது மூடியைத் திறங்கள்.',
+        'watch.smoke': 'கவனம்! புகை தெரிகிறது. அடுப்பை அணையுங்கள் அல்லது தீயைக் குறையுங்கள்.',
+        'watch.checkpoint_seen': 'கேமராவில் தெரிகிறது: {checkpoint}.',
+        'timer.offer': 'இந்தப் படிக்கு {duration} ஆகும். டைமர் வேண்டுமென்றால் "timer lagao" என்று சொல்லுங்கள்.',
+        'timer.offer_approx': 'இந்தப் படிக்கு சுமார் {duration} ஆகும். டைமர் வேண்டுமென்றால் "timer lagao" என்று சொல்லுங்கள்.',
+        'timer.step_name': 'படி {step}',
+        'timer.default_name': '{duration} டைமர்',
+        'timer.expired': '{name} டைமர் முடிந்தது! {duration} ஆகிவிட்டது. ஒருமுறை பாருங்கள்.',
+        'timer.cancelled_named': '{name} டைமரை நிறுத்திவிட்டேன்.',
+        'timer.cancelled': 'டைமரை நிறுத்திவிட்டேன்.',
+        'timer.none_running': 'எந்த டைமரும் ஓடவில்லை.',
+        'timer.which_to_cancel': 'எந்த டைமரை நிறுத்தட்டும்? {list}',
+        'timer.remaining': '{name}: இன்னும் {duration}',
+        'timer.started': 'சரி, {duration} டைமர் வைத்துவிட்டேன்.',
+        'timer.started_paused': 'சரி, {duration} டைமர் வைத்துவிட்டேன் (சமையல் இடைநிறுத்தத்தில் உள்ளது, தொடர்ந்ததும் ஓடும்).',
+        'timer.started_for': '{name}: {duration} டைமர் வைத்துவிட்டேன்.',
+        'timer.ask_duration': 'எத்தனை நிமிட டைமர் வைக்கட்டும்? உதாரணமாக "timer lagao 10 minute" என்று சொல்லுங்கள்.',
+        'timer.not_started': 'சரி, டைமர் வைக்கவில்லை.',
+        'timer.kept': 'சரி, டைமர் தொடர்ந்து ஓடும்.',
+        'timer.start_offer': '{clock} டைமரைத் தொடங்கு',
+        'timer.done': 'முடிந்தது',
+        'timer.clear_finished': 'முடிந்தவற்றை நீக்கு',
+        'duration.hour': '{count} மணி நேரம்',
+        'duration.hours': '{count} மணி நேரம்',
+        'duration.minute': '{count} நிமிடம்',
+        'duration.minutes': '{count} நிமிடம்',
+        'duration.second': '{count} வினாடி',
+        'duration.seconds': '{count} வினாடி',
+        'speech.unavailable': 'பேச்சுத் தொகுதி இல்லை',
+        'handsfree.on': 'கைகள் இல்லாத முறை இயக்கப்பட்டது. "ChefMate" என்று சொல்லி, பிறகு உங்கள் கேள்வியைக் கேளுங்கள்.',
+        'handsfree.off': 'கைகள் இல்லாத முறை நிறுத்தப்பட்டது. பேச மைக் பொத்தானை அழுத்திப் பிடியுங்கள்.',
+        'ai_speech.on': 'AI குரல் இயக்கப்பட்டது',
+        'ai_speech.off': 'AI குரல் அணைக்கப்பட்டது',
+        'speech.interrupted': 'முழுமையாகச் சொல்லப்படவில்லை',
+        'speech.did_you_say': 'நீங்கள் "{text}" என்று சொன்னீர்களா?',
+        'speech.say_again': 'சரி, மீண்டும் சொல்லுங்கள்.',
+        'language.changed': 'சரி, இனி நான் தமிழில் பேசுகிறேன்.',
+        'speech.status_unsupported': 'வசதி இல்லை',
+        'speech.status_ready': 'தயார்',
+        'speech.status_wake': '"ChefMate" என்று சொல்லுங்கள்...',
+        'speech.status_listening': 'கேட்கிறேன்...',
+        'speech.status_awake': 'ஆம், சொல்லுங்கள்...',
+        'speech.status_speaking': 'பேசுகிறேன்...',
+        'speech.status_stopped': 'நிறுத்தப்பட்டது',
+        'speech.status_disabled': 'அணைக்கப்பட்டது',
+        'speech.status_failed': 'பிழை',
+        'speech.status_error': 'பிழை: {error}',
+        'permission.allow': 'இந்த வசதியைப் பயன்படுத்த உலாவி அமைப்புகளில் {device} அனுமதி கொடுங்கள்.',
+        'permission.microphone': 'மைக்ரோஃபோன்',
+        'permission.note': 'அனுமதி தேவை: {message}',
+        'ai.error': 'AI பிழை: {error}',
+        'fallback.offline': 'இப்போது AI-உடன் இணைக்க முடியவில்லை. படிகள், டைமர்கள், கட்டளைகள் வேலை செய்யும் - "அடுத்தது" அல்லது "முந்தையது" என்று சொல்லலாம்.',
+        'fallback.quota': 'AI இப்போது மிகவும் பிஸியாக உள்ளது. சிறிது நேரம் கழித்துக் கேளுங்கள், அதுவரை படிகளைத் தொடருங்கள்.',
+        'fallback.auth': 'AI-இன் API key சரியில்லை. Settings-ஐப் பாருங்கள், அதுவரை படிகளும் டைமர்களும் வேலை செய்யும்.',
+        'fallback.recitation': 'இந்தப் பதில் ஒரு புத்தகம் அல்லது இணையதளம் போல் வந்ததால் நின்றுவிட்டது. உங்கள் வார்த்தைகளில் மீண்டும் கேளுங்கள்.',
+        'fallback.safety': 'இந்தக் கேள்விக்கு என்னால் பதில் சொல்ல முடியவில்லை. சற்று வேறு விதமாகக் கேளுங்கள்.',
+        'fallback.default': 'புரியவில்லை. இன்னொரு முறை சொல்ல முடியுமா?',
+        'offline.on': '[ஆஃப்லைன்] {reason} அடிப்படை முறை இயக்கத்தில்: படிகள், டைமர்கள், குரல் கட்டளைகள் வேலை செய்யும்.',
+        'offline.unavailable': 'AI சேவை கிடைக்கவில்லை.',
+        'offline.off': '[ஆஃப்லைன்] AI மீண்டும் இணைந்தது.',
+        'ai.cut_short_max_tokens': '[AI] பதில் மிக நீளமாக இருந்ததால் பாதியில் நின்றது. மீதியைக் கேட்க "இன்னும் சொல்" என்று சொல்லுங்கள்.',
+        'ai.cut_short_safety': '[AI] பாதுகாப்பு வடிப்பான்களால் பதில் பாதியில் நின்றது.',
+        'ai.cut_short_recitation': '[AI] பதில் வெளியிடப்பட்ட உரையை மிகவும் ஒத்திருந்ததால் பாதியில் நின்றது.',
+        'error.not_initialized': 'AI தொடங்கவில்லை. API key-ஐச் சரிபாருங்கள்.',
+        'error.auth': 'API key தவறானது. config.js கோப்பைச் சரிபாருங்கள்.',
+        'error.quota': 'கோரிக்கை வரம்பு மீறப்பட்டது. மீண்டும் முயலும் முன் சற்றுக் காத்திருங்கள்.',
+        'error.timeout': 'பதில் வர அதிக நேரமானது. இணைய இணைப்பைச் சரிபாருங்கள்.',
+        'error.network': 'AI சேவையை அடைய முடியவில்லை. இணைய இணைப்பைச் சரிபாருங்கள்.',
+        'error.malformed': 'AI அனுப்பிய பதிலைப் படிக்க முடியவில்லை. மீண்டும் முயலுங்கள்.',
+        'error.server': 'AI சேவையில் இப்போது சிக்கல். சற்று நேரம் கழித்து மீண்டும் முயலுங்கள்.',
+        'error.request': 'AI சேவை கோரிக்கையை ஏற்கவில்லை.',
+        'error.offline': 'AI இப்போது ஆஃப்லைனில் உள்ளது. படிகள், டைமர்கள், கட்டளைகள், சேமித்த செய்முறைகள் வேலை செய்யும்.',
+        'error.recitation': 'பதில் வெளியிடப்பட்ட உரையை மிகவும் ஒத்திருந்ததால் AI நின்றது. உங்கள் சொந்த வார்த்தைகளில் கேளுங்கள்.',
+        'error.safety': 'பாதுகாப்பு வடிப்பான்களால் AI இதற்குப் பதில் சொல்ல முடியவில்லை{detail}. சற்று வேறு விதமாகக் கேளுங்கள்.',
+        'ai_status.error': 'பிழை',
+        'ai_status.auth': 'தவறான API key',
+        'ai_status.quota': 'வரம்பு எட்டப்பட்டது',
+        'ai_status.safety': 'தடுக்கப்பட்டது',
+        'ai_status.timeout': 'நேரம் முடிந்தது',
+        'ai_status.network': 'இணைப்பு இல்லை',
+        'ai_status.malformed': 'தவறான பதில்',
+        'ai_status.server': 'சேவைப் பிழை',
+        'ai_status.request': 'கோரிக்கைப் பிழை',
+        'ai_status.offline': 'ஆஃப்லைன் முறை',
+        'ai_status.key_locked': 'Key பூட்டப்பட்டுள்ளது',
+        'ai_status.no_key': 'API key இல்லை',
+        'ai_status.rephrasing': 'வேறு விதமாகக் கேட்கிறேன்...',
+        'ai_status.retrying': 'மீண்டும் முயல்கிறேன் ({reason})...',
+        'ai_status.disconnected': 'இணைப்பு துண்டிக்கப்பட்டது',
+        'button.pause': 'இடைநிறுத்து',
+        'button.resume': 'தொடர்',
+        'title.mic_on': 'கைகளின்றிக் கேட்டல் இயக்கத்தில்',
+        'title.mic_off': 'கைகளின்றிக் கேட்டல் அணைக்கப்பட்டது',
+        'title.speech_on': 'AI குரல் இயக்கத்தில்',
+        'title.speech_off': 'AI குரல் அணைக்கப்பட்டது',
+        'title.camera_on': 'கேமராவை இயக்கு',
+        'title.camera_off': 'கேமராவை அணை',
+        'title.watch_on': 'கண்காணிப்பு இயக்கத்தில் (நிறுத்த அழுத்துங்கள்)',
+        'title.watch_paused': 'கண்காணிப்பு இடைநிறுத்தப்பட்டது',
+        'title.watch_off': 'கடாயைத் தானாகக் கண்காணி',
+        'title.timer_cancel': 'டைமரை ரத்து செய்',
+        'title.servings_fewer': 'குறைவான பேர்',
+        'title.servings_more': 'அதிகமான பேர்',
+        'title.units': 'அலகுகள்',
+        'title.camera_device': 'கேமரா',
+        'title.torch': 'டார்ச்',
+        'title.zoom': 'பெரிதாக்கு',
+        'title.focus': 'ஃபோகஸ்',
+        'title.journal_export': 'HTML ஆகச் சேமி',
+        'title.close': 'மூடு',
+        'status.ready': 'எல்லாம் தயார்',
+        'status.thinking': 'யோசிக்கிறேன்...',
+        'status.connected': 'இணைக்கப்பட்டது',
+        'status.ai_connected': 'AI இணைக்கப்பட்டது',
+        'status.ai_not_connected': 'AI இணைக்கப்படவில்லை',
+        'status.ai_disconnected': 'AI இணைக்கப்படவில்லை - API key-ஐச் சரிபாருங்கள்',
+        'status.ai_offline': 'AI ஆஃப்லைன் - அடிப்படை முறை',
+        'status.no_mic': 'மைக்ரோஃபோன் வசதி இல்லை',
+        'status.no_camera': 'கேமரா வசதி இல்லை',
+        'usage.total': '{tokens} டோக்கன்கள் · ${cost}',
+        'usage.details': 'இந்த அமர்வில் {calls} AI அழைப்புகள்: {input} உள்ளீடு + {output} வெளியீடு டோக்கன்கள்',
+        'usage.details_estimated': 'இந்த அமர்வில் {calls} AI அழைப்புகள்: {input} உள்ளீடு + {output} வெளியீடு டோக்கன்கள் (சில எண்ணிக்கைகள் தோராயமானவை)',
+        'settings.title': 'அமைப்புகள்',
+        'settings.close': 'மூடு',
+        'settings.ai': 'AI இணைப்பு',
+        'settings.key_not_needed': '{provider} வழங்குநருக்கு API key தேவையில்லை.',
+        'settings.provider': 'வழங்குநர்: {provider}',
+        'settings.provider_proxied': 'வழங்குநர்: {provider} (ப்ராக்ஸி வழியாக)',
+        'settings.key_locked': 'சேமிக்கப்பட்டது, கடவுச்சொற்றொடரால் பூட்டப்பட்டது',
+        'settings.key_saved': 'சேமிக்கப்பட்டது: ••••{last4}',
+        'settings.key_saved_encrypted': 'சேமிக்கப்பட்டது (மறையாக்கப்பட்டது): ••••{last4}',
+        'settings.key_none': 'இந்த உலாவியில் key எதுவும் சேமிக்கப்படவில்லை',
+        'settings.passphrase': 'கடவுச்சொற்றொடர்',
+        'settings.passphrase_optional': 'கடவுச்சொற்றொடர் (விருப்பமானது, key-ஐ மறையாக்கும்)',
+        'settings.encryption_unavailable': 'மறையாக்கத்துக்கு https அல்லது localhost தேவை',
+        'settings.unlock': 'திற',
+        'settings.paste_key': 'API key-ஐ ஒட்டுங்கள்',
+        'settings.test': 'சோதி',
+        'settings.save': 'சேமி',
+        'settings.remove_key': 'Key-ஐ நீக்கு',
+        'settings.use_proxy': 'உள்ளூர் ப்ராக்ஸியைப் பயன்படுத்து (key சர்வரில் இருக்கும், உலாவியில் ஒருபோதும் இல்லை)',
+        'settings.enter_passphrase': 'key-ஐச் சேமித்த கடவுச்சொற்றொடரை உள்ளிடுங்கள்.',
+        'settings.need_key': 'முதலில் API key-ஐ ஒட்டுங்கள் (அல்லது ப்ராக்ஸியை இயக்குங்கள்).',
+        'settings.testing': 'சோதிக்கிறேன்...',
+        'settings.test_ok_key': 'வேலை செய்கிறது! {provider} key-ஐ ஏற்றுக்கொண்டது.',
+        'settings.test_ok_proxy': 'வேலை செய்கிறது! {provider} ப்ராக்ஸியை ஏற்றுக்கொண்டது.',
+        'settings.test_failed': 'சோதனை தோல்வி: {error}',
+        'settings.save_failed': 'Key-ஐச் சேமிக்க முடியவில்லை: {error}',
+        'settings.saved_connected': 'சேமிக்கப்பட்டது. AI இணைந்தது.',
+        'settings.saved_disconnected': 'சேமிக்கப்பட்டது. AI-க்கு இன்னும் key அல்லது ப்ராக்ஸி தேவை.',
+        'settings.confirm_remove': 'இந்த உலாவியிலிருந்து சேமித்த API key-ஐ நீக்கவா?',
+        'settings.language': 'மொழி',
+        'settings.language_hint': 'ChefMate-இன் பதில்கள், குரல், பேச்சு அறிதல் இந்த மொழியில் இருக்கும்.',
+        'settings.voice': 'குரல்',
+        'settings.voice_hint': '{language} குரல். பிரஷர் குக்கர் அல்லது எக்ஸாஸ்ட் ஃபேன் சத்தத்தில் மெதுவான, உரத்த குரல் உதவும்.',
+        'settings.voice_auto': 'தானியங்கி ({voice})',
+        'settings.voice_none': 'இன்னும் குரல் எதுவும் இல்லை. சில உலாவிகள் பக்கம் திறந்த சில விநாடிகளுக்குப் பிறகு குரல்களை ஏற்றும்.',
+        'settings.voice_rate': 'வேகம்',
+        'settings.voice_pitch': 'சுருதி',
+        'settings.voice_volume': 'ஒலியளவு',
+        'settings.voice_preview': 'கேட்டுப் பார்',
+        'settings.voice_kitchen': 'மெதுவாக, உரக்க',
+        'settings.voice_barge_in': 'பேசி இடைமறிக்க அனுமதி (கைகளின்றி): "நிறுத்து", "போதும்" அல்லது புதிய கேள்வி குரலை நிறுத்தும்',
+        'settings.voice_engines': 'பேச்சு இயந்திரங்கள். உலாவியின் பேச்சு அறிதலுக்கு இணையம் தேவை; Vosk பக்கத்துக்குள்ளேயே ஆஃப்லைனில் கேட்கும், உள்ளூர் பேச்சு சர்வர் உங்கள் சொந்தக் கணினியில் இயங்கும்.',
+        'settings.voice_recognition_engine': 'கேட்டல்',
+        'settings.voice_synthesis_engine': 'பேசுதல்',
+        'settings.voice_engine_auto': 'தானியங்கி ({engine})',
+        'settings.voice_engine_unavailable': '{engine} (அமைக்கப்படவில்லை)',
+        'settings.voice_server_url': 'பேச்சு சர்வர் URL, உதாரணமாக http://localhost:5005',
+        'voice.preview_text': 'வணக்கம்! சமைக்கும்போது நான் இப்படித்தான் பேசுவேன். வெங்காயம் போட்டு இரண்டு நிமிடம் கிளறுங்கள்.'
+    },
+    intents: {
+        confirm: [['ஆமாம்', 1], ['ஆம்', 1], ['சரி', 0.9], ['ரெடி', 1], ['தயார்', 1], ['முடிந்தது', 0.9]],
+        deny: [['இல்லை', 1], ['வேண்டாம்', 1], ['இப்போது வேண்டாம்', 1]],
+        next_step: [['அடுத்தது', 1], ['அடுத்த படி', 1]],
+        previous_step: [['முந்தையது', 1], ['முந்தைய படி', 1], ['பின்னால்', 0.8]],
+        pause: [['நிறுத்து', 1], ['ஒரு நிமிடம்', 0.8], ['காத்திரு', 0.9]],
+        resume: [['தொடர்', 1], ['மீண்டும் தொடங்கு', 1]],
+        ingredients: [['பொருட்கள்', 1], ['என்னென்ன வேண்டும்', 1]],
+        camera_on: [['கேமரா ஆன்', 1], ['கேமராவை இயக்கு', 1]],
+        camera_off: [['கேமரா ஆஃப்', 1], ['கேமராவை அணை', 1]],
+        save_recipe: [['ரெசிபி சேவ் பண்ணு', 1], ['ரெசிபியை சேமி', 1]],
+        set_servings: [['பேருக்கு', 1]]
+    },
+    interruptPhrases: ['நிறுத்து', 'நிறுத்துங்கள்', 'போதும்', 'சும்மா இரு'],
+    missingPhrases: ['இல்லை', 'தீர்ந்துவிட்டது', 'தீர்ந்து போச்சு']
+});
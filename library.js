@@ -0,0 +1,230 @@
+// Live Recipe AI - Recipe Library
+// Bundled and user-saved recipes with fuzzy search, so cooking works without the AI
+
+class RecipeLibrary {
+    constructor() {
+        this.bundledUrl = 'recipes.json';
+        this.storageKey = 'chefmate_recipes';
+        this.bundled = [];
+        this.saved = [];
+        this.threshold = 0.75; // Minimum score to cook a match without asking...
+        this.wordThreshold = 0.75; // ...and every word of the query and of the name must match a word this closely
+        this.suggestionThreshold = 0.55;
+        
+        // Words that say nothing about which dish it is
+        this.stopWords = ['recipe', 'banao', 'bana', 'banani', 'hai', 'ka', 'ki', 'ke', 'make', 'cook',
+            'how', 'to', 'a', 'the', 'some', 'style', 'wala', 'wali', 'please', 'aaj', 'today', 'for', 'people',
+            'logon', 'log', 'liye',
+            'रेसिपी', 'बनाओ', 'बनाना', 'बनानी', 'है', 'का', 'की', 'के', 'वाला', 'वाली', 'आज', 'लोगों', 'लिए'];
+        
+        // "Banana" only means "to make" after the dish name ("dal tadka banana hai"); "banana shake" keeps it
+        this.trailingStopWords = ['banana'];
+        
+        this.ready = this.init();
+    }
+    
+    // Load bundled and saved recipes
+    async init() {
+        this.saved = this.readSaved();
+        
+        try {
+            const response = await fetch(this.bundledUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const recipes = await response.json();
+            this.bundled = Array.isArray(recipes) ? recipes.map(recipe => ({ ...recipe, source: 'bundled' })) : [];
+            console.log(`Recipe library loaded: ${this.bundled.length} bundled, ${this.saved.length} saved`);
+        } catch (error) {
+            console.warn('Failed to load bundled recipes:', error);
+        }
+    }
+    
+    // Read user-saved recipes from localStorage
+    readSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.warn('Failed to read saved recipes:', error);
+            return [];
+        }
+    }
+    
+    // Write user-saved recipes to localStorage
+    writeSaved() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            console.warn('Failed to save recipes:', error);
+        }
+    }
+    
+    // All recipes; saved ones first so they win ties with bundled ones
+    getRecipes() {
+        return [...this.saved, ...this.bundled];
+    }
+    
+    // Lowercase, strip accents and punctuation, and even out common Hinglish spellings (daal/dal, zeera/jeera)
+    // Letters of other scripts are kept with their vowel signs; only the nukta is dropped (ज़ीरा/जीरा)
+    normalizeText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f\u093c]/g, '')
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+            .replace(/aa/g, 'a')
+            .replace(/ee/g, 'i')
+            .replace(/oo/g, 'u')
+            .replace(/z/g, 'j')
+            .replace(/w/g, 'v')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    // Meaningful tokens of a dish name
+    tokenize(text) {
+        const stopWords = this.stopWords.map(word => this.normalizeText(word));
+        const tokens = this.normalizeText(text).split(' ')
+            .filter(token => token && !/^\d+$/.test(token) && !stopWords.includes(token));
+        
+        if (tokens.length > 1 && this.trailingStopWords.includes(tokens[tokens.length - 1])) {
+            tokens.pop();
+        }
+        return tokens;
+    }
+    
+    // Edit distance between two words
+    levenshtein(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+        
+        return previous[b.length];
+    }
+    
+    // Similarity of two words from 0 to 1
+    wordSimilarity(a, b) {
+        if (a === b) return 1;
+        return 1 - this.levenshtein(a, b) / Math.max(a.length, b.length);
+    }
+    
+    // Order-independent similarity of two names ("dal tadka" == "tadka dal")
+    nameSimilarity(queryTokens, nameTokens) {
+        if (!queryTokens.length || !nameTokens.length) return 0;
+        
+        const bestMatch = (token, candidates) => Math.max(...candidates.map(candidate => this.wordSimilarity(token, candidate)));
+        const forward = queryTokens.reduce((sum, token) => sum + bestMatch(token, nameTokens), 0) / queryTokens.length;
+        const backward = nameTokens.reduce((sum, token) => sum + bestMatch(token, queryTokens), 0) / nameTokens.length;
+        
+        // Finding every word the user said matters more than the name's extra words
+        return forward * 0.6 + backward * 0.4;
+    }
+    
+    // Whether each word on either side has a close counterpart ("moong dal halwa" is not "moong dal khichdi")
+    namesCorrespond(queryTokens, nameTokens) {
+        const matched = (token, candidates) => candidates.some(candidate => this.wordSimilarity(token, candidate) >= this.wordThreshold);
+        return queryTokens.length > 0 && nameTokens.length > 0 &&
+            queryTokens.every(token => matched(token, nameTokens)) &&
+            nameTokens.every(token => matched(token, queryTokens));
+    }
+    
+    // Score every recipe against a dish name, best first
+    async search(query, limit = 5) {
+        await this.ready;
+        
+        const queryTokens = this.tokenize(query);
+        if (!queryTokens.length) return [];
+        
+        return this.getRecipes()
+            .map(recipe => {
+                const names = [recipe.name, ...(recipe.aliases || [])].map(name => this.tokenize(name));
+                const score = Math.max(...names.map(nameTokens => this.nameSimilarity(queryTokens, nameTokens)));
+                const exact = names.some(nameTokens => this.namesCorrespond(queryTokens, nameTokens));
+                return { recipe, score: Math.round(score * 100) / 100, exact };
+            })
+            .filter(result => result.score >= this.suggestionThreshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+    
+    // Recipe that is clearly the dish asked for, or null (weaker matches are only offered as suggestions)
+    async findBest(query) {
+        const best = (await this.search(query)).find(result => result.exact && result.score >= this.threshold);
+        if (!best) {
+            return null;
+        }
+        
+        console.log(`Library match for "${query}": ${best.recipe.name} (${best.score})`);
+        return this.toRecipe(best.recipe);
+    }
+    
+    // Library entry in the recipe schema
+    toRecipe(entry) {
+        return RecipeSchema.normalize(entry);
+    }
+    
+    // Save a recipe (e.g. one the AI generated) so it can be cooked offline later
+    async saveRecipe(recipe, aliases = []) {
+        await this.ready;
+        
+        const normalized = RecipeSchema.normalize(recipe);
+        const { valid, errors } = RecipeSchema.validate(normalized);
+        if (!valid) {
+            throw new Error(`Recipe cannot be saved: ${errors.join('; ')}`);
+        }
+        
+        const entry = {
+            id: this.createId(normalized.name),
+            ...normalized,
+            aliases: aliases.filter(Boolean),
+            source: 'saved',
+            savedAt: new Date().toISOString()
+        };
+        
+        // Saving a dish again replaces the older copy
+        this.saved = [entry, ...this.saved.filter(saved => saved.id !== entry.id)];
+        this.writeSaved();
+        return entry;
+    }
+    
+    // Remove a saved recipe (bundled recipes stay)
+    removeRecipe(id) {
+        const count = this.saved.length;
+        this.saved = this.saved.filter(saved => saved.id !== id);
+        this.writeSaved();
+        return this.saved.length < count;
+    }
+    
+    // Stable id from a dish name
+    createId(name) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return slug || `recipe-${Date.now().toString(36)}`;
+    }
+}
+
+// Create global instance
+let recipeLibrary = null;
+
+// Initialize on load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        recipeLibrary = new RecipeLibrary();
+        window.recipeLibrary = recipeLibrary;
+    });
+} else {
+    recipeLibrary = new RecipeLibrary();
+    window.recipeLibrary = recipeLibrary;
+}
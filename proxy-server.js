@@ -0,0 +1,156 @@
+// Live Recipe AI - Local API Proxy
+// Forwards the app's AI calls and adds the API key here, so the browser never sees it.
+// Run with Node 18+:  GEMINI_API_KEY=... node proxy-server.js   (OPENAI_API_KEY for the openai provider)
+// Then set AI_PROXY_URL to http://localhost:8787 in config.js or in the app's Settings.
+// Only this machine can connect, and only pages from ALLOWED_ORIGIN may use it, since every request spends your key.
+
+const http = require('http');
+const { Readable, pipeline } = require('stream');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 10 * 1024 * 1024; // a camera frame is a few hundred KB
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 120 * 1000; // longest a whole answer, streamed or not, may take
+
+// Where the app is served from, comma-separated ("null" for a page opened as a file)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGIN || 'http://localhost:5500,http://127.0.0.1:5500')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// Path prefix the app uses -> upstream base URL and how the key is sent
+const routes = [
+    {
+        prefix: '/v1beta/',
+        upstream: 'https://generativelanguage.googleapis.com/v1beta/',
+        headers: () => process.env.GEMINI_API_KEY ? { 'x-goog-api-key': process.env.GEMINI_API_KEY } : null
+    },
+    {
+        prefix: '/v1/',
+        upstream: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '') + '/',
+        headers: () => process.env.OPENAI_API_KEY ? { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` } : null
+    }
+];
+
+// Whether a request comes from the app's page (other sites and tools without an Origin are refused)
+function isAllowedOrigin(origin) {
+    return !!origin && (ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin));
+}
+
+// CORS headers for the app's page
+function corsHeaders(origin) {
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Vary': 'Origin'
+    };
+}
+
+// JSON error in the shape the app's error parser reads
+function sendError(res, status, message, origin = null) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...(origin ? corsHeaders(origin) : {}) });
+    res.end(JSON.stringify({ error: { message } }));
+}
+
+// Read the whole request body, refusing bodies over MAX_BODY_BYTES
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Drain the rest unread so the 413 still reaches the app
+                req.off('data', onData);
+                req.resume();
+                const error = new Error('Request body too large');
+                error.status = 413;
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin)) {
+        sendError(res, 403, `Origin not allowed: ${origin || 'none'}. Set ALLOWED_ORIGIN to the address the app is served from.`);
+        return;
+    }
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders(origin));
+        res.end();
+        return;
+    }
+    
+    const route = routes.find(candidate => req.url.startsWith(candidate.prefix));
+    if (req.method !== 'POST' || !route) {
+        sendError(res, 404, 'Not found', origin);
+        return;
+    }
+    
+    const keyHeaders = route.headers();
+    if (!keyHeaders) {
+        sendError(res, 401, 'API key not set on the proxy', origin);
+        return;
+    }
+    
+    let body;
+    try {
+        body = await readBody(req);
+    } catch (error) {
+        sendError(res, error.status || 400, error.message, origin);
+        return;
+    }
+    
+    // Stop the upstream call when the app goes away or the AI service takes too long
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Upstream timed out')), UPSTREAM_TIMEOUT_MS);
+    res.on('close', () => {
+        clearTimeout(timer);
+        if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+    });
+    
+    try {
+        const upstream = await fetch(route.upstream + req.url.slice(route.prefix.length), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...keyHeaders },
+            body,
+            signal: controller.signal
+        });
+        
+        // Pass status, Retry-After and the (possibly streamed) body straight through
+        const headers = { 'Content-Type': upstream.headers.get('content-type') || 'application/json', ...corsHeaders(origin) };
+        const retryAfter = upstream.headers.get('retry-after');
+        if (retryAfter) {
+            headers['Retry-After'] = retryAfter;
+            headers['Access-Control-Expose-Headers'] = 'Retry-After';
+        }
+        
+        res.writeHead(upstream.status, headers);
+        if (upstream.body) {
+            // A stream cut off midway can't become an error response any more; pipeline closes both ends
+            pipeline(Readable.fromWeb(upstream.body), res, error => {
+                if (error) console.error('Proxy stream failed:', controller.signal.reason?.message || error.message);
+            });
+        } else {
+            res.end();
+        }
+    } catch (error) {
+        if (res.destroyed) return;
+        const timedOut = controller.signal.aborted;
+        console.error('Proxy request failed:', timedOut ? controller.signal.reason.message : error.message);
+        sendError(res, timedOut ? 504 : 502, timedOut ? 'The AI service took too long to answer' : 'Proxy could not reach the AI service', origin);
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`ChefMate AI proxy listening on http://${HOST}:${PORT} for ${ALLOWED_ORIGINS.join(', ')}`);
+});
@@ -0,0 +1,366 @@
+// Live Recipe AI - Recipe Schema
+// Structured recipe format, validation and repair of loosely formatted recipes
+
+const RecipeSchema = {
+    // Canonical units and the spellings that map to them
+    units: {
+        cup: ['cup', 'cups', 'c'],
+        tbsp: ['tbsp', 'tbsps', 'tablespoon', 'tablespoons', 'tbs', 'bada chammach'],
+        tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 'chota chammach'],
+        g: ['g', 'gm', 'gms', 'gram', 'grams'],
+        kg: ['kg', 'kgs', 'kilo', 'kilogram', 'kilograms'],
+        oz: ['oz', 'ounce', 'ounces'],
+        lb: ['lb', 'lbs', 'pound', 'pounds'],
+        ml: ['ml', 'millilitre', 'milliliter', 'millilitres', 'milliliters'],
+        l: ['l', 'litre', 'liter', 'litres', 'liters'],
+        pinch: ['pinch', 'pinches', 'chutki'],
+        piece: ['piece', 'pieces', 'pc', 'pcs'],
+        clove: ['clove', 'cloves'],
+        inch: ['inch', 'inches'],
+        katori: ['katori', 'katoris', 'bowl', 'bowls'],
+        chammach: ['chammach', 'spoon', 'spoons']
+    },
+    
+    // Equipment names recognised in free-text steps
+    equipment: ['pressure cooker', 'kadai', 'kadhai', 'tawa', 'pan', 'pot', 'oven', 'bowl', 'blender', 'mixer', 'whisk', 'lid', 'sieve'],
+    
+    // Schema sent to Gemini's JSON response mode
+    responseSchema: {
+        type: 'OBJECT',
+        properties: {
+            name: { type: 'STRING' },
+            estimatedTime: { type: 'INTEGER', description: 'Total time in minutes' },
+            servings: { type: 'INTEGER', description: 'Number of people the quantities serve' },
+            ingredients: {
+                type: 'ARRAY',
+                items: {
+                    type: 'OBJECT',
+                    properties: {
+                        name: { type: 'STRING', description: 'Ingredient only, e.g. "basmati rice"' },
+                        quantity: { type: 'STRING', description: 'Number, fraction or range, e.g. "1", "1/2", "2-3". Empty if to taste' },
+                        unit: { type: 'STRING', description: 'cup, tbsp, tsp, g, kg, ml, l, pinch, piece, clove, inch, katori, or empty' },
+                        notes: { type: 'STRING', description: 'Preparation or remarks, e.g. "finely chopped", "to taste"' }
+                    },
+                    required: ['name', 'quantity', 'unit']
+                }
+            },
+            steps: {
+                type: 'ARRAY',
+                items: {
+                    type: 'OBJECT',
+                    properties: {
+                        instruction: { type: 'STRING' },
+                        durationMinutes: { type: 'NUMBER', nullable: true },
+                        temperature: { type: 'STRING', nullable: true, description: 'e.g. "medium flame", "180°C"' },
+                        equipment: { type: 'ARRAY', items: { type: 'STRING' } },
+                        checkpoint: { type: 'STRING', nullable: true, description: 'What the food should look like when the step is done, e.g. "onions golden brown"' }
+                    },
+                    required: ['instruction']
+                }
+            }
+        },
+        required: ['name', 'ingredients', 'steps']
+    },
+    
+    // Servings assumed when the recipe doesn't say
+    defaultServings: 2,
+    
+    // Validate a recipe against the schema
+    validate(recipe) {
+        const errors = [];
+        
+        if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+            return { valid: false, errors: ['Recipe must be a JSON object'] };
+        }
+        
+        if (typeof recipe.name !== 'string' || !recipe.name.trim()) {
+            errors.push('name is required');
+        }
+        
+        if (recipe.estimatedTime !== undefined && recipe.estimatedTime !== null &&
+            !(typeof recipe.estimatedTime === 'number' && recipe.estimatedTime >= 0)) {
+            errors.push('estimatedTime must be a number of minutes');
+        }
+        
+        if (recipe.servings !== undefined && recipe.servings !== null &&
+            !(Number.isInteger(recipe.servings) && recipe.servings > 0)) {
+            errors.push('servings must be a positive whole number');
+        }
+        
+        if (!Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0) {
+            errors.push('ingredients must be a non-empty array');
+        } else {
+            recipe.ingredients.forEach((ingredient, index) => {
+                if (!ingredient || typeof ingredient !== 'object') {
+                    errors.push(`ingredients[${index}] must be an object`);
+                    return;
+                }
+                if (typeof ingredient.name !== 'string' || !ingredient.name.trim()) {
+                    errors.push(`ingredients[${index}].name is required`);
+                }
+                if (typeof ingredient.quantity !== 'string') {
+                    errors.push(`ingredients[${index}].quantity must be a string`);
+                }
+                if (typeof ingredient.unit !== 'string') {
+                    errors.push(`ingredients[${index}].unit must be a string`);
+                }
+                if (ingredient.notes !== undefined && typeof ingredient.notes !== 'string') {
+                    errors.push(`ingredients[${index}].notes must be a string`);
+                }
+            });
+        }
+        
+        if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+            errors.push('steps must be a non-empty array');
+        } else {
+            recipe.steps.forEach((step, index) => {
+                if (!step || typeof step !== 'object') {
+                    errors.push(`steps[${index}] must be an object`);
+                    return;
+                }
+                if (typeof step.instruction !== 'string' || !step.instruction.trim()) {
+                    errors.push(`steps[${index}].instruction is required`);
+                }
+                if (step.durationMinutes != null &&
+                    !(typeof step.durationMinutes === 'number' && step.durationMinutes >= 0)) {
+                    errors.push(`steps[${index}].durationMinutes must be a number`);
+                }
+                if (step.temperature != null && typeof step.temperature !== 'string') {
+                    errors.push(`steps[${index}].temperature must be a string`);
+                }
+                if (step.equipment !== undefined &&
+                    !(Array.isArray(step.equipment) && step.equipment.every(item => typeof item === 'string'))) {
+                    errors.push(`steps[${index}].equipment must be an array of strings`);
+                }
+                if (step.checkpoint != null && typeof step.checkpoint !== 'string') {
+                    errors.push(`steps[${index}].checkpoint must be a string`);
+                }
+            });
+        }
+        
+        return { valid: errors.length === 0, errors };
+    },
+    
+    // Coerce loosely formatted recipe data (strings, missing fields) into the schema
+    normalize(data) {
+        const source = data && typeof data === 'object' ? data : {};
+        
+        const ingredients = (Array.isArray(source.ingredients) ? source.ingredients : [])
+            .map(item => this.normalizeIngredient(item))
+            .filter(item => item && item.name);
+        
+        const steps = (Array.isArray(source.steps) ? source.steps : [])
+            .map(item => this.normalizeStep(item))
+            .filter(item => item && item.instruction);
+        
+        return {
+            name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : 'Custom Dish',
+            estimatedTime: this.parseMinutes(source.estimatedTime),
+            servings: this.parseServings(source.servings),
+            ingredients,
+            steps
+        };
+    },
+    
+    // Normalize a single ingredient (string or object)
+    normalizeIngredient(item) {
+        if (typeof item === 'string') {
+            return this.parseIngredient(item);
+        }
+        
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+        
+        // Objects whose name still carries the amount ("1 cup rice") are re-parsed
+        const name = String(item.name || '').trim();
+        if ((item.quantity === undefined || item.quantity === null || item.quantity === '') && !item.unit) {
+            const parsed = this.parseIngredient(name);
+            if (item.notes) {
+                parsed.notes = [parsed.notes, String(item.notes).trim()].filter(Boolean).join(', ');
+            }
+            return parsed;
+        }
+        
+        return {
+            name: name,
+            quantity: String(item.quantity ?? '').trim(),
+            unit: this.normalizeUnit(item.unit),
+            notes: String(item.notes || '').trim()
+        };
+    },
+    
+    // Normalize a single step (string or object)
+    normalizeStep(item) {
+        if (typeof item === 'string') {
+            return this.parseStep(item);
+        }
+        
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+        
+        const instruction = String(item.instruction || item.description || item.text || '').trim();
+        const parsed = this.parseStep(instruction);
+        
+        return {
+            instruction: instruction,
+            durationMinutes: typeof item.durationMinutes === 'number' ? item.durationMinutes :
+                (this.parseMinutes(item.durationMinutes) || parsed.durationMinutes),
+            temperature: typeof item.temperature === 'string' && item.temperature.trim() ?
+                item.temperature.trim() : parsed.temperature,
+            equipment: Array.isArray(item.equipment) ?
+                item.equipment.map(entry => String(entry).trim()).filter(Boolean) : parsed.equipment,
+            checkpoint: typeof item.checkpoint === 'string' && item.checkpoint.trim() ? item.checkpoint.trim() : null
+        };
+    },
+    
+    // Parse "2 cups mixed vegetables (carrots, peas)" into name/quantity/unit/notes
+    parseIngredient(text) {
+        let rest = String(text || '').trim().replace(/^[-*•]\s*/, '');
+        let quantity = '';
+        let unit = '';
+        const notes = [];
+        
+        // Leading amount: "1", "1.5", "1/2", "1 1/2", "2-3", "½", "1½", "1 ½-2"
+        const amount = '(?:\\d+\\s*)?[½¼¾⅓⅔⅛]|\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+|\\/\\d+)?';
+        const amountMatch = rest.match(new RegExp(`^((?:${amount})(?:\\s*(?:-|to)\\s*(?:${amount}))?)\\s*`));
+        if (amountMatch) {
+            quantity = amountMatch[1].replace(/\s*to\s*/, '-').replace(/\s*-\s*/, '-').replace(/(\d)\s+([½¼¾⅓⅔⅛])/g, '$1$2');
+            rest = rest.slice(amountMatch[0].length);
+            
+            // Unit directly after the amount
+            const unitMatch = rest.match(/^([a-zA-Z]+(?:\s+chammach)?)\.?\s+(?:of\s+)?/);
+            if (unitMatch && this.normalizeUnit(unitMatch[1])) {
+                unit = this.normalizeUnit(unitMatch[1]);
+                rest = rest.slice(unitMatch[0].length);
+            }
+        }
+        
+        // Parenthesised remarks
+        rest = rest.replace(/\(([^)]*)\)/g, (match, inner) => {
+            notes.push(inner.trim());
+            return '';
+        });
+        
+        // "Spices: turmeric, cumin" or "onion, sliced"
+        const separator = rest.search(/[:,]/);
+        if (separator !== -1) {
+            notes.unshift(rest.slice(separator + 1).trim());
+            rest = rest.slice(0, separator);
+        }
+        
+        // "Salt to taste", "Water as needed"
+        const remarkMatch = rest.match(/\s+(to taste|as needed|as required|for garnish(?:ing)?|optional)$/i);
+        if (remarkMatch) {
+            notes.unshift(remarkMatch[1].toLowerCase());
+            rest = rest.slice(0, remarkMatch.index);
+        }
+        
+        return {
+            name: rest.replace(/\s+/g, ' ').trim(),
+            quantity: quantity,
+            unit: unit,
+            notes: notes.filter(Boolean).join(', ')
+        };
+    },
+    
+    // Parse a free-text step, pulling out duration, heat and equipment
+    parseStep(text) {
+        const instruction = String(text || '').trim()
+            .replace(/^(step\s*)?\d+\s*[.):-]\s*/i, '');
+        const lower = instruction.toLowerCase();
+        
+        let durationMinutes = null;
+        const durationMatch = lower.match(/(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\b/);
+        if (durationMatch) {
+            const amount = parseFloat(durationMatch[2] || durationMatch[1]);
+            const unitWord = durationMatch[3];
+            if (unitWord.startsWith('h')) {
+                durationMinutes = amount * 60;
+            } else if (unitWord.startsWith('s')) {
+                durationMinutes = Math.round((amount / 60) * 100) / 100;
+            } else {
+                durationMinutes = amount;
+            }
+        }
+        
+        let temperature = null;
+        const degreeMatch = instruction.match(/(\d{2,3})\s*°?\s*([CF])\b/);
+        const flameMatch = lower.match(/\b(low|medium|high|sim|slow|tez|dheemi)\s+(flame|heat|aanch)\b/);
+        if (degreeMatch) {
+            temperature = `${degreeMatch[1]}°${degreeMatch[2].toUpperCase()}`;
+        } else if (flameMatch) {
+            temperature = flameMatch[0];
+        }
+        
+        const equipment = this.equipment.filter(item => new RegExp(`\\b${item}\\b`).test(lower));
+        
+        return {
+            instruction: instruction,
+            durationMinutes: durationMinutes,
+            temperature: temperature,
+            equipment: equipment,
+            checkpoint: null
+        };
+    },
+    
+    // Map a unit spelling to its canonical form ('' if unknown)
+    normalizeUnit(unit) {
+        const lower = String(unit || '').trim().toLowerCase().replace(/\.$/, '');
+        if (!lower) return '';
+        
+        for (const [canonical, aliases] of Object.entries(this.units)) {
+            if (canonical === lower || aliases.includes(lower)) {
+                return canonical;
+            }
+        }
+        return '';
+    },
+    
+    // Turn "30", "30 minutes", "1 hour" or 30 into minutes
+    parseMinutes(value) {
+        if (typeof value === 'number') {
+            return value >= 0 ? value : 0;
+        }
+        
+        const text = String(value || '').toLowerCase();
+        const match = text.match(/(\d+(?:\.\d+)?)/);
+        if (!match) return 0;
+        
+        const amount = parseFloat(match[1]);
+        return /hour|hr/.test(text) ? amount * 60 : amount;
+    },
+    
+    // Turn 4, "4", "4 people" or "3-4" into a serving count
+    parseServings(value) {
+        const match = String(value ?? '').match(/(\d+)(?:\s*(?:-|to)\s*(\d+))?/);
+        const servings = match ? parseInt(match[2] || match[1], 10) : 0;
+        return servings > 0 ? servings : this.defaultServings;
+    },
+    
+    // Human-readable amount for the ingredient panel and speech
+    formatQuantity(ingredient) {
+        const quantity = String(ingredient.quantity || '').trim();
+        let unit = ingredient.unit || '';
+        
+        // Pluralize countable household units ("2 cups", "3 cloves")
+        const amount = window.RecipeScaler ?
+            (RecipeScaler.parse(quantity)?.max || 0) :
+            parseFloat(quantity.split('-').pop());
+        if (unit && amount > 1 && ['cup', 'pinch', 'piece', 'clove', 'katori'].includes(unit)) {
+            unit = unit === 'pinch' ? 'pinches' : `${unit}s`;
+        }
+        
+        const amountText = [quantity, unit].filter(Boolean).join(' ');
+        return amountText || ingredient.notes || 'As needed';
+    }
+};
+
+// Export for browser and for tests
+if (typeof window !== 'undefined') {
+    window.RecipeSchema = RecipeSchema;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeSchema;
+}
@@ -0,0 +1,44 @@
+// Live Recipe AI - Ingredient parsing checks
+// Run with: node recipe.test.js (no browser or test framework needed)
+
+const assert = require('assert');
+const RecipeSchema = require('./recipe.js');
+
+let checks = 0;
+let failed = 0;
+
+const check = (label, actual, expected) => {
+    checks++;
+    try {
+        assert.strictEqual(actual, expected);
+    } catch (error) {
+        failed++;
+        console.error(`FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+};
+
+// Ingredient lines: [text, expected quantity, unit, name]
+const ingredients = [
+    ['2 cups basmati rice', '2', 'cup', 'basmati rice'],
+    ['1.5 tbsp ghee', '1.5', 'tbsp', 'ghee'],
+    ['1/2 tsp turmeric', '1/2', 'tsp', 'turmeric'],
+    ['1 1/2 cups water', '1 1/2', 'cup', 'water'],
+    ['2-3 green chillies', '2-3', '', 'green chillies'],
+    ['2 to 3 cloves garlic', '2-3', 'clove', 'garlic'],
+    ['½ cup curd', '½', 'cup', 'curd'],
+    ['1½ cups milk', '1½', 'cup', 'milk'],
+    ['1 ½ cups besan', '1½', 'cup', 'besan'],
+    ['1½-2 cups water', '1½-2', 'cup', 'water'],
+    ['2 tomatoes, chopped', '2', '', 'tomatoes'],
+    ['Salt to taste', '', '', 'Salt']
+];
+
+ingredients.forEach(([text, quantity, unit, name]) => {
+    const parsed = RecipeSchema.parseIngredient(text);
+    check(`"${text}" quantity`, parsed.quantity, quantity);
+    check(`"${text}" unit`, parsed.unit, unit);
+    check(`"${text}" name`, parsed.name, name);
+});
+
+console.log(`${checks - failed}/${checks} ingredient checks passed`);
+process.exitCode = failed ? 1 : 0;
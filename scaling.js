@@ -0,0 +1,216 @@
+// Live Recipe AI - Serving Scaler
+// Parses ingredient quantities and rescales recipes for a different number of people
+
+const RecipeScaler = {
+    // Unicode fractions the model or user may type
+    fractionChars: {
+        '½': '1/2', '¼': '1/4', '¾': '3/4', '⅓': '1/3', '⅔': '2/3', '⅛': '1/8'
+    },
+    
+    // Spoken amounts ("aadha cup", "dedh katori")
+    amountWords: {
+        'aadha': 0.5, 'adha': 0.5, 'aadhi': 0.5, 'half': 0.5,
+        'paav': 0.25, 'pav': 0.25, 'quarter': 0.25,
+        'dedh': 1.5, 'dhai': 2.5, 'dhaai': 2.5, 'sawa': 1.25,
+        'ek': 1, 'do': 2, 'teen': 3, 'char': 4, 'chaar': 4, 'paanch': 5,
+        'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5
+    },
+    
+    // Household measures rounded to these fractions
+    fractions: [[1, 8, '1/8'], [1, 4, '1/4'], [1, 3, '1/3'], [1, 2, '1/2'], [2, 3, '2/3'], [3, 4, '3/4']],
+    
+    // Units that are always whole (half a pinch is still a pinch)
+    wholeUnits: ['pinch'],
+    
+    // Units that only make sense in multiples of a half
+    halfUnits: ['piece', 'clove', 'inch', 'katori', ''],
+    
+    // Aliases that are too ambiguous to rescale inside step text ("cut into 4 pieces", "180 C")
+    textExcludedUnits: ['piece', 'inch'],
+    textExcludedAliases: ['c'],
+    
+    // Unit spellings that are never pluralized
+    abbreviations: ['tbsp', 'tbs', 'tsp', 'g', 'gm', 'kg', 'ml', 'l', 'oz', 'lb'],
+    
+    // Parse "1", "1.5", "1/2", "1 1/2", "2-3", "½", "dedh" into { min, max }
+    parse(quantity) {
+        let text = String(quantity ?? '').trim().toLowerCase();
+        if (!text) return null;
+        
+        // "1½" -> "1 1/2"
+        text = text.replace(/(\d)?([½¼¾⅓⅔⅛])/g, (match, whole, fraction) =>
+            `${whole ? `${whole} ` : ''}${this.fractionChars[fraction]}`);
+        
+        const parts = text.split(/\s*(?:-|–|\bto\b)\s*/);
+        if (parts.length > 2) return null;
+        
+        const min = this.parseSingle(parts[0]);
+        const max = parts.length === 2 ? this.parseSingle(parts[1]) : min;
+        
+        if (min === null || max === null) return null;
+        return min <= max ? { min, max } : { min: max, max: min };
+    },
+    
+    // Parse one amount (no range)
+    parseSingle(text) {
+        const value = String(text || '').trim();
+        
+        if (value in this.amountWords) {
+            return this.amountWords[value];
+        }
+        
+        const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+        if (mixed && Number(mixed[3])) {
+            return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+        }
+        
+        const fraction = value.match(/^(\d+)\/(\d+)$/);
+        if (fraction && Number(fraction[2])) {
+            return Number(fraction[1]) / Number(fraction[2]);
+        }
+        
+        return /^\d+(?:\.\d+)?$/.test(value) ? parseFloat(value) : null;
+    },
+    
+    // Factor from the recipe's servings to the requested servings
+    getFactor(baseServings, servings) {
+        if (!(baseServings > 0) || !(servings > 0)) return 1;
+        return servings / baseServings;
+    },
+    
+    // Scale a quantity string; metric amounts may move between g/kg and ml/l
+    scaleQuantity(quantity, unit, factor) {
+        const amount = this.parse(quantity);
+        if (!amount || factor === 1) {
+            return { quantity: String(quantity ?? ''), unit: unit || '' };
+        }
+        
+        let min = amount.min * factor;
+        let max = amount.max * factor;
+        let scaledUnit = unit || '';
+        
+        // Keep metric amounts readable ("1.5 kg" rather than "1500 g")
+        if (scaledUnit === 'g' && min >= 1000) {
+            [min, max, scaledUnit] = [min / 1000, max / 1000, 'kg'];
+        } else if (scaledUnit === 'kg' && max < 1) {
+            [min, max, scaledUnit] = [min * 1000, max * 1000, 'g'];
+        } else if (scaledUnit === 'ml' && min >= 1000) {
+            [min, max, scaledUnit] = [min / 1000, max / 1000, 'l'];
+        } else if (scaledUnit === 'l' && max < 1) {
+            [min, max, scaledUnit] = [min * 1000, max * 1000, 'ml'];
+        }
+        
+        const minText = this.formatAmount(min, scaledUnit);
+        const maxText = this.formatAmount(max, scaledUnit);
+        
+        return {
+            quantity: minText === maxText ? minText : `${minText}-${maxText}`,
+            unit: scaledUnit
+        };
+    },
+    
+    // Format a number the way a cook would measure it
+    formatAmount(value, unit) {
+        // Metric weights and volumes: round to something a scale can show
+        if (['g', 'ml'].includes(unit)) {
+            const step = value >= 100 ? 10 : value >= 20 ? 5 : 1;
+            return String(Math.max(step, Math.round(value / step) * step));
+        }
+        if (['kg', 'l'].includes(unit)) {
+            return String(Math.round(value * 100) / 100);
+        }
+        
+        if (this.wholeUnits.includes(unit)) {
+            return String(Math.max(1, Math.round(value)));
+        }
+        
+        if (this.halfUnits.includes(unit)) {
+            const halves = Math.max(1, Math.round(value * 2));
+            return this.formatFraction(halves / 2);
+        }
+        
+        return this.formatFraction(value);
+    },
+    
+    // 1.5 -> "1 1/2", 0.33 -> "1/3", 2.9 -> "3"
+    formatFraction(value) {
+        let whole = Math.floor(value);
+        const remainder = value - whole;
+        
+        // Nearest kitchen fraction (or none)
+        let best = { diff: remainder, text: '' };
+        for (const [numerator, denominator, text] of this.fractions) {
+            const diff = Math.abs(remainder - numerator / denominator);
+            if (diff < best.diff) {
+                best = { diff, text };
+            }
+        }
+        if (1 - remainder < best.diff) {
+            whole += 1;
+            best = { diff: 1 - remainder, text: '' };
+        }
+        
+        if (!whole && !best.text) {
+            return this.fractions[0][2];
+        }
+        
+        return [whole || '', best.text].filter(Boolean).join(' ');
+    },
+    
+    // Scaled copy of an ingredient
+    scaleIngredient(ingredient, factor) {
+        const scaled = this.scaleQuantity(ingredient.quantity, ingredient.unit, factor);
+        return { ...ingredient, quantity: scaled.quantity, unit: scaled.unit };
+    },
+    
+    // Rescale amounts embedded in step text ("add 2 cups water")
+    scaleText(text, factor) {
+        if (factor === 1 || !text) return text;
+        
+        const aliases = [];
+        for (const [canonical, unitAliases] of Object.entries(RecipeSchema.units)) {
+            if (this.textExcludedUnits.includes(canonical)) continue;
+            [canonical, ...unitAliases]
+                .filter(alias => !this.textExcludedAliases.includes(alias))
+                .forEach(alias => aliases.push(alias));
+        }
+        aliases.sort((a, b) => b.length - a.length);
+        
+        const amount = '(\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+|\\/\\d+)?(?:\\s*(?:-|to)\\s*\\d+(?:\\.\\d+)?(?:\\/\\d+)?)?|\\d?[½¼¾⅓⅔⅛])';
+        const units = aliases.map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        const pattern = new RegExp(`(^|[^\\w/.])${amount}\\s*(${units})(?![\\w])`, 'gi');
+        
+        return text.replace(pattern, (match, before, quantity, unitWord) => {
+            const unit = RecipeSchema.normalizeUnit(unitWord);
+            const scaled = this.scaleQuantity(quantity.replace(/\s*to\s*/, '-'), unit, factor);
+            if (scaled.quantity === quantity) return match;
+            
+            const word = scaled.unit === unit ?
+                this.inflectUnit(unitWord, this.parse(scaled.quantity)?.max ?? 1) :
+                scaled.unit;
+            return `${before}${scaled.quantity} ${word}`;
+        });
+    },
+    
+    // Match singular/plural of the unit word to the new amount ("1 cup" -> "2 cups")
+    inflectUnit(word, amount) {
+        const unit = RecipeSchema.normalizeUnit(word);
+        const aliases = RecipeSchema.units[unit] || [];
+        const lower = word.toLowerCase();
+        
+        // Abbreviations read the same for any amount ("2 tsp")
+        if (this.abbreviations.includes(lower)) return word;
+        
+        if (amount > 1) {
+            const plural = [`${lower}s`, `${lower}es`].find(candidate => aliases.includes(candidate));
+            return plural ? word + plural.slice(lower.length) : word;
+        }
+        
+        const singular = [lower.replace(/es$/, ''), lower.replace(/s$/, '')]
+            .find(candidate => candidate !== lower && (aliases.includes(candidate) || candidate === unit));
+        return singular ? word.slice(0, singular.length) : word;
+    }
+};
+
+// Make RecipeScaler globally available
+window.RecipeScaler = RecipeScaler;
@@ -0,0 +1,291 @@
+// Live Recipe AI - Session Module
+// Persists cooking sessions in IndexedDB so they survive reloads and can be resumed
+
+class SessionManager {
+    constructor() {
+        this.dbName = 'chefmate';
+        this.dbVersion = 1;
+        this.storeName = 'sessions';
+        this.fallbackKey = 'chefmate_sessions';
+        this.db = null;
+        this.useLocalStorage = false;
+        this.saveTimer = null;
+        this.saveDelay = 500; // Debounce autosave (ms)
+        this.maxSessions = 20;
+        this.maxSessionAge = 30 * 24 * 60 * 60 * 1000; // Sessions untouched this long are deleted on startup (ms)
+        
+        this.ready = this.init();
+    }
+    
+    // Initialize storage
+    async init() {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not available, saving sessions to localStorage');
+            this.useLocalStorage = true;
+            return;
+        }
+        
+        try {
+            this.db = await this.openDatabase();
+            console.log('Session storage ready');
+        } catch (error) {
+            console.warn('Failed to open IndexedDB, saving sessions to localStorage:', error);
+            this.useLocalStorage = true;
+        }
+    }
+    
+    // Open (and create if needed) the sessions database
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('status', 'status', { unique: false });
+                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Run a request against the sessions store
+    runTransaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    // Read all sessions from the localStorage fallback
+    readFallback() {
+        try {
+            return JSON.parse(localStorage.getItem(this.fallbackKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read saved sessions:', error);
+            return {};
+        }
+    }
+    
+    // Write all sessions to the localStorage fallback
+    writeFallback(sessions) {
+        try {
+            localStorage.setItem(this.fallbackKey, JSON.stringify(sessions));
+        } catch (error) {
+            console.warn('Failed to save sessions:', error);
+        }
+    }
+    
+    // Store a session record
+    async putSession(session) {
+        await this.ready;
+        
+        if (this.useLocalStorage) {
+            const sessions = this.readFallback();
+            sessions[session.id] = session;
+            this.writeFallback(sessions);
+            return;
+        }
+        
+        await this.runTransaction('readwrite', store => store.put(session));
+    }
+    
+    // Get a session by id
+    async getSession(id) {
+        await this.ready;
+        
+        if (this.useLocalStorage) {
+            return this.readFallback()[id] || null;
+        }
+        
+        return (await this.runTransaction('readonly', store => store.get(id))) || null;
+    }
+    
+    // Get all sessions, newest first
+    async getAllSessions() {
+        await this.ready;
+        
+        const sessions = this.useLocalStorage ?
+            Object.values(this.readFallback()) :
+            await this.runTransaction('readonly', store => store.getAll());
+        
+        return (sessions || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+    
+    // Delete a session by id
+    async deleteSession(id) {
+        await this.ready;
+        
+        if (this.useLocalStorage) {
+            const sessions = this.readFallback();
+            delete sessions[id];
+            this.writeFallback(sessions);
+            return;
+        }
+        
+        await this.runTransaction('readwrite', store => store.delete(id));
+    }
+    
+    // Create a new unique session id
+    createSessionId() {
+        return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+    
+    // Save shortly after the last state change
+    scheduleSave(state) {
+        if (!state.sessionId) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveNow(state);
+        }, this.saveDelay);
+    }
+    
+    // Save the current session immediately
+    async saveNow(state = AppState) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        if (!state.sessionId) return null;
+        
+        // Snapshot synchronously; the state may change while we wait on storage
+        const record = this.buildRecord(state);
+        return this.storeRecord(record);
+    }
+    
+    // Archive a session instead of destroying it
+    async archiveSession(state = AppState) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        if (!state.sessionId) return;
+        
+        const record = this.buildRecord(state);
+        record.status = 'archived';
+        record.archivedAt = record.updatedAt;
+        
+        await this.storeRecord(record);
+        await this.pruneSessions();
+    }
+    
+    // Build a session record from the current state
+    buildRecord(state) {
+        return {
+            id: state.sessionId,
+            dishName: state.recipe.name || 'Custom Dish',
+            status: state.ui.currentView === 'complete' ? 'completed' : 'active',
+            updatedAt: new Date().toISOString(),
+            snapshot: state.getSessionSnapshot()
+        };
+    }
+    
+    // Write a record, keeping its creation time and archived status
+    async storeRecord(record) {
+        try {
+            const existing = await this.getSession(record.id);
+            record.createdAt = existing ? existing.createdAt : record.updatedAt;
+            
+            // Keep archived sessions archived even if a late save arrives
+            if (existing && existing.status === 'archived') {
+                record.status = 'archived';
+                record.archivedAt = existing.archivedAt;
+            }
+            
+            await this.putSession(record);
+            return record;
+        
+        } catch (error) {
+            console.warn('Failed to save session:', error);
+            return null;
+        }
+    }
+    
+    // In-progress sessions that can be resumed, newest first
+    async getResumableSessions() {
+        try {
+            const sessions = await this.getAllSessions();
+            return sessions.filter(session =>
+                session.status === 'active' && session.snapshot && session.snapshot.isCooking
+            );
+        } catch (error) {
+            console.warn('Failed to load sessions:', error);
+            return [];
+        }
+    }
+    
+    // Mark sessions the user chose not to resume, so they aren't offered again
+    async abandonSessions(sessions) {
+        try {
+            for (const session of sessions) {
+                await this.putSession({ ...session, status: 'abandoned', abandonedAt: new Date().toISOString() });
+            }
+        } catch (error) {
+            console.warn('Failed to mark sessions abandoned:', error);
+        }
+    }
+    
+    // Drop sessions past the age limit, then the oldest finished ones beyond the count limit
+    async pruneSessions() {
+        try {
+            const sessions = await this.getAllSessions();
+            const cutoff = new Date(Date.now() - this.maxSessionAge).toISOString();
+            const expired = sessions.filter(session => session.updatedAt < cutoff);
+            const finished = sessions.filter(session => session.status !== 'active' && !expired.includes(session));
+            const excess = sessions.length - expired.length - this.maxSessions;
+            const removed = [...expired, ...(excess > 0 ? finished.slice(-excess) : [])];
+            
+            for (const session of removed) {
+                await this.deleteSession(session.id);
+                
+                // Photos go with the session
+                if (window.photoJournal) {
+                    await window.photoJournal.deleteEntries(session.id);
+                }
+            }
+            
+            if (removed.length) {
+                console.log(`Removed ${removed.length} old cooking sessions`);
+            }
+        } catch (error) {
+            console.warn('Failed to prune sessions:', error);
+        }
+    }
+    
+    // One-line description for the resume prompt
+    describeSession(session) {
+        const snapshot = session.snapshot || {};
+        const step = (snapshot.currentStep || 0) + 1;
+        const total = snapshot.totalSteps || '?';
+        const updated = new Date(session.updatedAt).toLocaleString([], {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        return I18n.t('session.describe', { dish: session.dishName, step, total, updated });
+    }
+}
+
+// Create global instance
+let sessionManager = null;
+
+// Initialize on load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        sessionManager = new SessionManager();
+        window.sessionManager = sessionManager;
+    });
+} else {
+    sessionManager = new SessionManager();
+    window.sessionManager = sessionManager;
+}
@@ -0,0 +1,349 @@
+// Live Recipe AI - Settings
+// In-app settings panel: API key (stored locally, optionally encrypted), local proxy mode, language
+
+class SettingsPanel {
+    constructor() {
+        this.overlayElement = null;
+        this.buttonElement = null;
+        this.testTimeout = 15000;
+        
+        // Panel sections in display order; other modules can add their own with addSection()
+        this.sections = [];
+        
+        this.init();
+    }
+    
+    // Initialize settings
+    init() {
+        this.addSection({
+            id: 'ai',
+            title: () => I18n.t('settings.ai'),
+            icon: 'fa-key',
+            render: () => this.renderAISection(),
+            bind: (element) => this.bindAISection(element)
+        });
+        
+        this.addSection({
+            id: 'language',
+            title: () => I18n.t('settings.language'),
+            icon: 'fa-language',
+            render: () => this.renderLanguageSection(),
+            bind: (element) => this.bindLanguageSection(element)
+        });
+        
+        this.ensureButton();
+    }
+    
+    // Register a section: { id, title (text, or a function for translated titles), icon, render() -> HTML, bind(element) }
+    addSection(section) {
+        this.sections = [...this.sections.filter(existing => existing.id !== section.id), section];
+        
+        // Re-render if the panel is open
+        if (this.overlayElement) {
+            this.open();
+        }
+    }
+    
+    // Add the settings button next to the AI status
+    ensureButton() {
+        if (this.buttonElement) return this.buttonElement;
+        
+        const aiStatus = document.getElementById('ai-status');
+        if (!aiStatus || !aiStatus.parentNode) return null;
+        
+        this.buttonElement = document.createElement('button');
+        this.buttonElement.id = 'open-settings';
+        this.buttonElement.className = 'btn-icon';
+        this.buttonElement.title = I18n.t('settings.title');
+        this.buttonElement.innerHTML = '<i class="fas fa-cog"></i>';
+        this.buttonElement.addEventListener('click', () => this.open());
+        aiStatus.parentNode.appendChild(this.buttonElement);
+        
+        return this.buttonElement;
+    }
+    
+    // Show the panel, scrolled to a section if given
+    open(sectionId = null) {
+        this.close();
+        
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.className = 'settings-overlay';
+        this.overlayElement.innerHTML = `
+            <div class="settings-panel">
+                <div class="settings-header">
+                    <h2><i class="fas fa-cog"></i> ${I18n.t('settings.title')}</h2>
+                    <button class="btn-icon settings-close" title="${I18n.t('settings.close')}"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="settings-body">
+                    ${this.sections.map(section => `
+                        <section class="settings-section" data-section="${section.id}">
+                            <h3><i class="fas ${section.icon || 'fa-sliders-h'}"></i> ${this.escapeHtml(typeof section.title === 'function' ? section.title() : section.title)}</h3>
+                            ${section.render()}
+                        </section>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        
+        this.overlayElement.querySelector('.settings-close')
+            .addEventListener('click', () => this.close());
+        
+        this.sections.forEach(section => {
+            const element = this.overlayElement.querySelector(`[data-section="${section.id}"]`);
+            if (element && section.bind) {
+                section.bind(element);
+            }
+        });
+        
+        document.body.appendChild(this.overlayElement);
+        
+        const target = sectionId && this.overlayElement.querySelector(`[data-section="${sectionId}"]`);
+        if (target && target.scrollIntoView) {
+            target.scrollIntoView();
+        }
+    }
+    
+    // Close the panel
+    close() {
+        if (this.overlayElement && this.overlayElement.parentNode) {
+            this.overlayElement.parentNode.removeChild(this.overlayElement);
+        }
+        this.overlayElement = null;
+    }
+    
+    // Provider the key is for, and the config setting it fills
+    getProviderInfo() {
+        const config = window.aiManager ? window.aiManager.getConfig() : {};
+        const name = (config.AI_PROVIDER || 'gemini').toLowerCase();
+        
+        return {
+            name,
+            config,
+            configKey: KeyStore.configKeys[name] || null
+        };
+    }
+    
+    // AI key and proxy settings
+    renderAISection() {
+        const { name, configKey } = this.getProviderInfo();
+        const proxyUrl = AppState.preferences.aiProxyUrl;
+        const provider = `<strong>${this.escapeHtml(name)}</strong>`;
+        
+        if (!configKey) {
+            return `
+                <p class="settings-hint">${I18n.t('settings.key_not_needed', { provider })}</p>
+            `;
+        }
+        
+        const locked = KeyStore.isLocked(name);
+        const savedKey = KeyStore.getKey(name);
+        const keyState = locked ? I18n.t('settings.key_locked') :
+            savedKey ? I18n.t(KeyStore.isEncrypted(name) ? 'settings.key_saved_encrypted' : 'settings.key_saved', { last4: this.escapeHtml(savedKey.slice(-4)) }) :
+            I18n.t('settings.key_none');
+        
+        return `
+            <p class="settings-hint">${I18n.t(window.aiManager?.provider?.proxied ? 'settings.provider_proxied' : 'settings.provider', { provider })} &middot; ${keyState}</p>
+            ${locked ? `
+                <div class="settings-row">
+                    <input type="password" class="settings-input settings-unlock-passphrase" placeholder="${I18n.t('settings.passphrase')}" autocomplete="current-password">
+                    <button class="btn btn-secondary settings-unlock"><i class="fas fa-unlock"></i> ${I18n.t('settings.unlock')}</button>
+                </div>
+            ` : ''}
+            <div class="settings-row">
+                <input type="password" class="settings-input settings-key" placeholder="${I18n.t('settings.paste_key')}" autocomplete="off" spellcheck="false">
+            </div>
+            <div class="settings-row">
+                <input type="password" class="settings-input settings-passphrase" placeholder="${I18n.t('settings.passphrase_optional')}" autocomplete="new-password"
+                    ${KeyStore.canEncrypt() ? '' : `disabled title="${I18n.t('settings.encryption_unavailable')}"`}>
+            </div>
+            <div class="settings-row">
+                <button class="btn btn-secondary settings-test"><i class="fas fa-vial"></i> ${I18n.t('settings.test')}</button>
+                <button class="btn btn-primary settings-save"><i class="fas fa-save"></i> ${I18n.t('settings.save')}</button>
+                ${KeyStore.hasKey(name) ? `<button class="btn btn-secondary settings-remove"><i class="fas fa-trash"></i> ${I18n.t('settings.remove_key')}</button>` : ''}
+            </div>
+            <label class="settings-row">
+                <input type="checkbox" class="settings-proxy-enabled" ${proxyUrl ? 'checked' : ''}>
+                ${I18n.t('settings.use_proxy')}
+            </label>
+            <div class="settings-row">
+                <input type="url" class="settings-input settings-proxy-url" placeholder="http://localhost:8787"
+                    value="${this.escapeHtml(proxyUrl || '').replace(/"/g, '&quot;')}">
+            </div>
+            <div class="settings-status" role="status"></div>
+        `;
+    }
+    
+    // Wire up the AI section's buttons
+    bindAISection(element) {
+        const on = (selector, handler) => {
+            const control = element.querySelector(selector);
+            if (control) control.addEventListener('click', handler);
+        };
+        
+        on('.settings-unlock', () => this.unlockKey(element));
+        on('.settings-test', () => this.testKey(element));
+        on('.settings-save', () => this.saveAISettings(element));
+        on('.settings-remove', () => this.removeKey());
+    }
+    
+    // Language picker
+    renderLanguageSection() {
+        const current = I18n.getLanguage();
+        const options = I18n.getLanguages().map(language => `
+            <option value="${language.code}" ${language.code === current ? 'selected' : ''}>
+                ${this.escapeHtml(language.nativeName === language.name ? language.name : `${language.nativeName} (${language.name})`)}
+            </option>
+        `).join('');
+        
+        return `
+            <p class="settings-hint">${this.escapeHtml(I18n.t('settings.language_hint'))}</p>
+            <div class="settings-row">
+                <select class="settings-input settings-language">${options}</select>
+            </div>
+        `;
+    }
+    
+    // Switch language as soon as one is picked
+    bindLanguageSection(element) {
+        const select = element.querySelector('.settings-language');
+        if (!select) return;
+        
+        select.addEventListener('change', () => {
+            const changed = window.liveRecipeAI ?
+                window.liveRecipeAI.setLanguage(select.value) :
+                AppState.setLanguage(select.value);
+            if (!changed) return;
+            
+            this.open('language');
+        });
+    }
+    
+    // Show a result line in a section
+    setStatus(element, message, type = 'info') {
+        const status = element.querySelector('.settings-status');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.className = `settings-status ${type}`;
+    }
+    
+    // Proxy URL from the form ('' when proxy mode is off)
+    getProxyInput(element) {
+        const enabled = element.querySelector('.settings-proxy-enabled')?.checked;
+        const url = element.querySelector('.settings-proxy-url')?.value.trim() || '';
+        return enabled ? url : '';
+    }
+    
+    // Decrypt the saved key for this visit
+    async unlockKey(element) {
+        const { name } = this.getProviderInfo();
+        const passphrase = element.querySelector('.settings-unlock-passphrase').value;
+        if (!passphrase) {
+            this.setStatus(element, I18n.t('settings.enter_passphrase'), 'error');
+            return;
+        }
+        
+        try {
+            await KeyStore.unlock(name, passphrase);
+            window.aiManager?.init();
+            this.open('ai');
+        } catch (error) {
+            this.setStatus(element, error.message, 'error');
+        }
+    }
+    
+    // Make one small call with the entered (or saved) key or proxy
+    async testKey(element) {
+        const { config, configKey } = this.getProviderInfo();
+        const key = element.querySelector('.settings-key').value.trim();
+        const proxyUrl = this.getProxyInput(element);
+        
+        // Same rule as saving: an empty proxy field falls back to AI_PROXY_URL from config.js
+        const testConfig = { ...config, AI_PROXY_URL: proxyUrl || (typeof CONFIG !== 'undefined' ? CONFIG.AI_PROXY_URL : undefined) };
+        if (key) {
+            testConfig[configKey] = key;
+        }
+        
+        const provider = window.createAIProvider(testConfig);
+        if (!provider.isConfigured()) {
+            this.setStatus(element, I18n.t('settings.need_key'), 'error');
+            return;
+        }
+        
+        this.setStatus(element, I18n.t('settings.testing'));
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.testTimeout);
+        
+        try {
+            await provider.testConnection(controller.signal);
+            this.setStatus(element, I18n.t(provider.proxied ? 'settings.test_ok_proxy' : 'settings.test_ok_key', { provider: provider.name }), 'success');
+        } catch (error) {
+            const typed = classifyAIError(error);
+            this.setStatus(element, I18n.t('settings.test_failed', { error: typed.userMessage }), 'error');
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+    
+    // Store the key and proxy choice, then reconnect
+    async saveAISettings(element) {
+        const { name } = this.getProviderInfo();
+        const key = element.querySelector('.settings-key').value.trim();
+        const passphrase = element.querySelector('.settings-passphrase').value;
+        
+        AppState.preferences.aiProxyUrl = this.getProxyInput(element);
+        AppState.savePreferences();
+        
+        if (key) {
+            try {
+                await KeyStore.setKey(name, key, passphrase);
+            } catch (error) {
+                this.setStatus(element, I18n.t('settings.save_failed', { error: error.message }), 'error');
+                return;
+            }
+        }
+        
+        window.aiManager?.init();
+        this.open('ai');
+        
+        const section = this.overlayElement?.querySelector('[data-section="ai"]');
+        if (section) {
+            this.setStatus(section, I18n.t(window.aiManager?.isInitialized ? 'settings.saved_connected' : 'settings.saved_disconnected'),
+                window.aiManager?.isInitialized ? 'success' : 'error');
+        }
+    }
+    
+    // Forget the saved key
+    removeKey() {
+        const { name } = this.getProviderInfo();
+        if (!confirm(I18n.t('settings.confirm_remove'))) return;
+        
+        KeyStore.removeKey(name);
+        window.aiManager?.init();
+        this.open('ai');
+    }
+    
+    // Escape text for markup
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Create global instance
+let settingsPanel = null;
+
+// Initialize on load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        settingsPanel = new SettingsPanel();
+        window.settingsPanel = settingsPanel;
+    });
+} else {
+    settingsPanel = new SettingsPanel();
+    window.settingsPanel = settingsPanel;
+}
+
+// Export functions for global use
+window.openSettings = (sectionId) => settingsPanel?.open(sectionId);
@@ -0,0 +1,712 @@
+// Live Recipe AI - Speech Engines
+// Adapters that let SpeechManager listen and speak through different backends:
+// the browser's Web Speech API, a Vosk model running in the page (WASM), or a local speech server.
+//
+// Every engine hands SpeechManager objects shaped like the Web Speech API, so the rest of the app
+// does not care which one is in use:
+//   recognition: lang, continuous, interimResults, maxAlternatives, start(), stop(), abort(),
+//                onstart, onresult({ resultIndex, results }), onerror({ error }), onend
+//   synthesis:   speak(utterance), cancel(), getVoices(), onvoiceschanged
+//
+// Local speech server protocol (SPEECH_SERVER_URL, e.g. a Whisper + Piper wrapper on your machine):
+//   POST /stt?lang=hi-IN   body: recorded audio      -> { text, confidence?, alternatives?: [{ text, confidence }] }
+//   POST /tts              { text, lang, voice, rate, pitch } -> audio (any type the browser can play)
+//   GET  /voices           -> [{ name, lang }]
+
+// Shared pieces for all engines
+class BaseSpeechEngine {
+    constructor(config = {}) {
+        this.config = config;
+        this.name = 'base';
+        this.label = 'Base';
+        this.capabilities = []; // 'recognition' and/or 'synthesis'
+        
+        // Recognition that sends audio to a cloud service and so stops working offline
+        this.recognitionNeedsNetwork = false;
+        
+        this.requestTimeout = config.REQUEST_TIMEOUT || 30000;
+    }
+    
+    // Whether this engine can recognize speech in this browser
+    supportsRecognition() {
+        return false;
+    }
+    
+    // Whether this engine can recognize a locale ('hi-IN')
+    supportsLanguage(lang) {
+        return true;
+    }
+    
+    // Whether this engine can speak in this browser
+    supportsSynthesis() {
+        return false;
+    }
+    
+    // A recognizer shaped like SpeechRecognition
+    createRecognition() {
+        return null;
+    }
+    
+    // A player shaped like window.speechSynthesis
+    createSynthesis() {
+        return null;
+    }
+    
+    // An utterance for this engine's player, shaped like SpeechSynthesisUtterance
+    createUtterance(text) {
+        return { text, voice: null, rate: 1, pitch: 1, volume: 1, lang: '', onstart: null, onend: null, onerror: null };
+    }
+    
+    // Whether the page can record the microphone itself
+    canCaptureAudio() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia &&
+            (window.AudioContext || window.webkitAudioContext));
+    }
+    
+    // fetch() that gives up after requestTimeout, or when the caller's signal aborts
+    async fetchWithTimeout(url, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+        const abort = () => controller.abort();
+        options.signal?.addEventListener('abort', abort);
+        
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', abort);
+        }
+    }
+}
+
+// The browser's own SpeechRecognition and speechSynthesis
+class BrowserSpeechEngine extends BaseSpeechEngine {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'browser';
+        this.label = 'Browser';
+        this.capabilities = ['recognition', 'synthesis'];
+        
+        // Chrome and Edge send the audio to their cloud recognizer
+        this.recognitionNeedsNetwork = true;
+    }
+    
+    supportsRecognition() {
+        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+    
+    supportsSynthesis() {
+        return !!window.speechSynthesis;
+    }
+    
+    createRecognition() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        return new SpeechRecognition();
+    }
+    
+    createSynthesis() {
+        return window.speechSynthesis;
+    }
+    
+    createUtterance(text) {
+        return new SpeechSynthesisUtterance(text);
+    }
+}
+
+// Recognizer base for engines that record the microphone themselves
+class CapturedRecognition {
+    constructor(engine) {
+        this.engine = engine;
+        this.lang = 'en-IN';
+        this.continuous = false;
+        this.interimResults = true;
+        this.maxAlternatives = 1;
+        
+        this.onstart = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+        
+        this.stream = null;
+        this.active = false;
+        this.stopping = false;
+        this.noSpeechTimeout = 8000; // a single-shot recognizer gives up if nothing is said for this long
+        this.noSpeechTimer = null;
+    }
+    
+    // Start listening; like SpeechRecognition.start(), throws if already started
+    start() {
+        if (this.active) {
+            const error = new Error('Recognition has already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+        
+        this.active = true;
+        this.stopping = false;
+        
+        navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } })
+            .then(async (stream) => {
+                this.stream = stream;
+                if (!this.active) {
+                    this.releaseStream();
+                    return;
+                }
+                
+                await this.begin(stream);
+                if (!this.active) return;
+                
+                this.emit('onstart');
+                if (!this.continuous) {
+                    this.noSpeechTimer = setTimeout(() => this.fail('no-speech'), this.noSpeechTimeout);
+                }
+            })
+            .catch(error => {
+                console.warn(`${this.engine.label} recognition could not start:`, error.message);
+                this.fail(error.speechError || (error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture'));
+            });
+    }
+    
+    // Stop listening and deliver what was heard so far
+    stop() {
+        if (!this.active || this.stopping) return;
+        this.stopping = true;
+        
+        Promise.resolve(this.finish())
+            .catch(error => {
+                console.warn(`${this.engine.label} recognition failed:`, error.message);
+                this.emit('onerror', { error: error.speechError || 'network' });
+            })
+            .finally(() => this.end());
+    }
+    
+    // Stop listening and drop what was heard
+    abort() {
+        this.end();
+    }
+    
+    // Engine-specific setup once the microphone is open
+    async begin(stream) {}
+    
+    // Engine-specific work on stop(), e.g. transcribing the last recording
+    async finish() {}
+    
+    // Engine-specific cleanup
+    release() {}
+    
+    // Something was heard, so a single-shot recognizer shouldn't time out
+    heardSpeech() {
+        clearTimeout(this.noSpeechTimer);
+        this.noSpeechTimer = null;
+    }
+    
+    // Deliver alternatives ([{ transcript, confidence }]) in the Web Speech API's event shape
+    emitResult(alternatives, isFinal) {
+        if (!this.active || !alternatives.length) return;
+        
+        this.heardSpeech();
+        const result = alternatives.slice(0, Math.max(1, this.maxAlternatives));
+        result.isFinal = isFinal;
+        this.emit('onresult', { resultIndex: 0, results: [result] });
+    }
+    
+    // Report an error and end, the way the browser's recognizer does
+    fail(error) {
+        if (!this.active) return;
+        
+        this.emit('onerror', { error });
+        this.end();
+    }
+    
+    // Release the microphone and fire onend once
+    end() {
+        if (!this.active) return;
+        
+        this.active = false;
+        this.stopping = false;
+        clearTimeout(this.noSpeechTimer);
+        this.noSpeechTimer = null;
+        
+        try {
+            this.release();
+        } catch (error) {
+            console.warn('Recognition cleanup failed:', error);
+        }
+        this.releaseStream();
+        this.emit('onend');
+    }
+    
+    // Stop the microphone tracks
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+    
+    // Call an event handler if one is set
+    emit(handler, event = {}) {
+        if (typeof this[handler] === 'function') {
+            this[handler](event);
+        }
+    }
+}
+
+// Vosk speech recognition compiled to WASM (vosk-browser), running entirely in the page
+class VoskSpeechEngine extends BaseSpeechEngine {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'vosk';
+        this.label = 'Vosk (offline)';
+        this.capabilities = ['recognition'];
+        
+        // Model archive URL per locale, e.g. { 'en-IN': 'models/vosk-model-small-en-in-0.4.tar.gz' }
+        this.models = config.VOSK_MODELS || {};
+        this.loadedModels = {};
+    }
+    
+    supportsRecognition() {
+        return !!(window.Vosk && Object.keys(this.models).length && this.canCaptureAudio());
+    }
+    
+    supportsLanguage(lang) {
+        return !!this.getModelUrl(lang);
+    }
+    
+    // Model for a locale: exact match first, then any model for the same language
+    getModelUrl(lang) {
+        const wanted = (lang || '').toLowerCase();
+        const primary = wanted.split('-')[0];
+        const locale = Object.keys(this.models).find(code => code.toLowerCase() === wanted) ||
+            Object.keys(this.models).find(code => code.toLowerCase().split('-')[0] === primary);
+        
+        return locale ? this.models[locale] : null;
+    }
+    
+    // Load a model once; later recognizers reuse it (the browser caches the download too)
+    loadModel(lang) {
+        const url = this.getModelUrl(lang);
+        if (!url) {
+            const error = new Error(`No Vosk model for ${lang}`);
+            error.speechError = 'language-not-supported';
+            return Promise.reject(error);
+        }
+        
+        if (!this.loadedModels[url]) {
+            this.loadedModels[url] = window.Vosk.createModel(url).catch(error => {
+                delete this.loadedModels[url];
+                throw error;
+            });
+        }
+        
+        return this.loadedModels[url];
+    }
+    
+    createRecognition() {
+        return new VoskRecognition(this);
+    }
+}
+
+// Recognizer feeding microphone audio to a Vosk model
+class VoskRecognition extends CapturedRecognition {
+    constructor(engine) {
+        super(engine);
+        this.audioContext = null;
+        this.processor = null;
+        this.recognizer = null;
+        this.lastPartial = '';
+    }
+    
+    async begin(stream) {
+        const model = await this.engine.loadModel(this.lang);
+        if (!this.active) return;
+        
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new AudioContext();
+        this.lastPartial = '';
+        
+        this.recognizer = new model.KaldiRecognizer(this.audioContext.sampleRate);
+        this.recognizer.on('result', (message) => this.onText(message.result.text, true));
+        this.recognizer.on('partialresult', (message) => this.onText(message.result.partial, false));
+        
+        const source = this.audioContext.createMediaStreamSource(stream);
+        this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+        this.processor.onaudioprocess = (event) => {
+            try {
+                this.recognizer?.acceptWaveform(event.inputBuffer);
+            } catch (error) {
+                console.warn('Vosk could not take audio:', error);
+            }
+        };
+        source.connect(this.processor);
+        this.processor.connect(this.audioContext.destination);
+    }
+    
+    // Vosk reports plain text without confidence (0 means unknown to SpeechManager)
+    onText(text, isFinal) {
+        const transcript = String(text || '').trim();
+        if (!transcript) return;
+        
+        if (!isFinal) {
+            if (!this.interimResults || transcript === this.lastPartial) return;
+            this.lastPartial = transcript;
+        } else {
+            this.lastPartial = '';
+        }
+        
+        this.emitResult([{ transcript, confidence: 0 }], isFinal);
+        
+        if (isFinal && !this.continuous) {
+            this.stop();
+        }
+    }
+    
+    // Stopped mid-sentence: what Vosk heard so far is the final result
+    async finish() {
+        if (this.lastPartial) {
+            this.emitResult([{ transcript: this.lastPartial, confidence: 0 }], true);
+            this.lastPartial = '';
+        }
+    }
+    
+    release() {
+        if (this.processor) {
+            this.processor.onaudioprocess = null;
+            this.processor.disconnect();
+            this.processor = null;
+        }
+        this.recognizer?.remove();
+        this.recognizer = null;
+        this.audioContext?.close();
+        this.audioContext = null;
+    }
+}
+
+// A speech server on the user's own machine (see the protocol at the top of this file)
+class ServerSpeechEngine extends BaseSpeechEngine {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'server';
+        this.label = 'Local speech server';
+        this.capabilities = ['recognition', 'synthesis'];
+        this.baseURL = (config.SPEECH_SERVER_URL || '').replace(/\/$/, '');
+    }
+    
+    supportsRecognition() {
+        return !!(this.baseURL && window.MediaRecorder && this.canCaptureAudio());
+    }
+    
+    supportsSynthesis() {
+        return !!(this.baseURL && window.Audio);
+    }
+    
+    createRecognition() {
+        return new ServerRecognition(this);
+    }
+    
+    createSynthesis() {
+        return new ServerSynthesis(this);
+    }
+    
+    // Transcribe recorded audio: [{ transcript, confidence }], best first
+    async recognize(audio, lang) {
+        const response = await this.fetchWithTimeout(`${this.baseURL}/stt?lang=${encodeURIComponent(lang)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': audio.type || 'application/octet-stream' },
+            body: audio
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Speech server returned ${response.status}`);
+        }
+        
+        const data = await response.json();
+        const alternatives = data.alternatives?.length ? data.alternatives : [{ text: data.text, confidence: data.confidence }];
+        
+        return alternatives
+            .map(alternative => ({
+                transcript: String(alternative.text ?? alternative.transcript ?? '').trim(),
+                confidence: Number(alternative.confidence) || 0
+            }))
+            .filter(alternative => alternative.transcript);
+    }
+    
+    // Audio for an utterance, as a Blob
+    async synthesize(utterance, signal) {
+        const response = await this.fetchWithTimeout(`${this.baseURL}/tts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                text: utterance.text,
+                lang: utterance.lang,
+                voice: utterance.voice?.name || null,
+                rate: utterance.rate,
+                pitch: utterance.pitch
+            }),
+            signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Speech server returned ${response.status}`);
+        }
+        
+        return response.blob();
+    }
+    
+    // The server's voices, shaped like SpeechSynthesisVoice
+    async listVoices() {
+        const response = await this.fetchWithTimeout(`${this.baseURL}/voices`);
+        if (!response.ok) {
+            throw new Error(`Speech server returned ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return (Array.isArray(data) ? data : data.voices || []).map(voice => ({
+            name: voice.name,
+            lang: voice.lang || '',
+            voiceURI: voice.name,
+            localService: true,
+            default: false
+        }));
+    }
+}
+
+// Recognizer that records each utterance and sends it to the speech server
+class ServerRecognition extends CapturedRecognition {
+    constructor(engine) {
+        super(engine);
+        this.audioContext = null;
+        this.levelTimer = null;
+        this.recording = null; // { recorder, chunks, talking }
+        this.uploads = Promise.resolve(); // transcriptions, delivered in order
+        this.speechLevel = 0.02; // microphone level (RMS) counted as talking
+        this.silenceTimeout = 1000; // ms of quiet that ends an utterance
+        this.lastSound = 0;
+    }
+    
+    async begin(stream) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new AudioContext();
+        
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+        this.audioContext.createMediaStreamSource(stream).connect(analyser);
+        
+        const samples = new Float32Array(analyser.fftSize);
+        this.levelTimer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            const level = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+            this.onLevel(level);
+        }, 100);
+        
+        this.record();
+    }
+    
+    // Start recording the next utterance
+    record() {
+        const recording = { recorder: new MediaRecorder(this.stream), chunks: [], talking: false };
+        recording.recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size) recording.chunks.push(event.data);
+        };
+        recording.recorder.start();
+        this.recording = recording;
+    }
+    
+    // Follow the microphone level: talking starts an utterance, a pause ends it
+    onLevel(level) {
+        const recording = this.recording;
+        if (!recording || this.stopping) return;
+        
+        const now = Date.now();
+        if (level >= this.speechLevel) {
+            this.lastSound = now;
+            if (!recording.talking) {
+                recording.talking = true;
+                this.heardSpeech();
+            }
+        } else if (recording.talking && now - this.lastSound > this.silenceTimeout) {
+            if (this.continuous) {
+                this.endUtterance();
+            } else {
+                this.stop();
+            }
+        }
+    }
+    
+    // Send the current recording off; continuous recognition goes on recording the next one
+    endUtterance() {
+        const recording = this.recording;
+        this.recording = null;
+        
+        if (this.continuous && !this.stopping) {
+            this.record();
+        }
+        
+        if (recording) {
+            this.uploads = this.uploads
+                .then(() => this.collect(recording))
+                .then(audio => audio ? this.engine.recognize(audio, this.lang) : [])
+                .then(alternatives => this.emitResult(alternatives, true));
+            
+            // Keep later uploads going; a failure while continuous ends the session like a network error
+            this.uploads = this.uploads.catch(error => {
+                console.warn('Speech server could not transcribe:', error.message);
+                if (!this.stopping) this.fail('network');
+                else throw error;
+            });
+        }
+        
+        return this.uploads;
+    }
+    
+    // Stop a recording; resolves with its audio, or null if nobody talked
+    collect(recording) {
+        return new Promise(resolve => {
+            const done = () => resolve(recording.talking && recording.chunks.length
+                ? new Blob(recording.chunks, { type: recording.recorder.mimeType })
+                : null);
+            
+            if (recording.recorder.state === 'inactive') {
+                done();
+            } else {
+                recording.recorder.onstop = done;
+                recording.recorder.stop();
+            }
+        });
+    }
+    
+    // Transcribe whatever was being said when stop() was called
+    finish() {
+        return this.endUtterance();
+    }
+    
+    release() {
+        clearInterval(this.levelTimer);
+        this.levelTimer = null;
+        
+        if (this.recording && this.recording.recorder.state !== 'inactive') {
+            this.recording.recorder.stop();
+        }
+        this.recording = null;
+        this.uploads = Promise.resolve();
+        this.audioContext?.close();
+        this.audioContext = null;
+    }
+}
+
+// Player that fetches speech audio from the speech server
+class ServerSynthesis {
+    constructor(engine) {
+        this.engine = engine;
+        this.voices = [];
+        this.current = null;
+        this.controller = null;
+        this.audio = null;
+        this.audioUrl = null;
+        this.onvoiceschanged = null;
+        
+        // Like the browser, voices show up a moment after the player is created
+        engine.listVoices()
+            .then(voices => {
+                this.voices = voices;
+                if (typeof this.onvoiceschanged === 'function') this.onvoiceschanged();
+            })
+            .catch(error => console.warn('Speech server voices unavailable:', error.message));
+    }
+    
+    getVoices() {
+        return this.voices;
+    }
+    
+    // Fetch and play an utterance, replacing anything playing
+    speak(utterance) {
+        this.cancel();
+        
+        const controller = new AbortController();
+        this.current = utterance;
+        this.controller = controller;
+        
+        this.engine.synthesize(utterance, controller.signal)
+            .then(audio => {
+                if (this.current !== utterance) return;
+                
+                this.audioUrl = URL.createObjectURL(audio);
+                this.audio = new Audio(this.audioUrl);
+                this.audio.volume = utterance.volume;
+                this.audio.onended = () => this.settle(utterance, 'onend', { utterance });
+                this.audio.onerror = () => this.settle(utterance, 'onerror', { utterance, error: 'audio-hardware' });
+                
+                return this.audio.play().then(() => {
+                    if (this.current === utterance && typeof utterance.onstart === 'function') {
+                        utterance.onstart({ utterance });
+                    }
+                });
+            })
+            .catch(error => {
+                if (controller.signal.aborted) return;
+                console.warn('Speech server could not speak:', error.message);
+                this.settle(utterance, 'onerror', { utterance, error: 'synthesis-failed' });
+            });
+    }
+    
+    // Stop playing; like the browser, the utterance gets an 'interrupted' error afterwards
+    cancel() {
+        const utterance = this.current;
+        this.controller?.abort();
+        this.release();
+        
+        if (utterance && typeof utterance.onerror === 'function') {
+            setTimeout(() => utterance.onerror({ utterance, error: 'interrupted' }), 0);
+        }
+    }
+    
+    // Finish the current utterance with one of its events
+    settle(utterance, handler, event) {
+        if (this.current !== utterance) return;
+        
+        this.release();
+        if (typeof utterance[handler] === 'function') {
+            utterance[handler](event);
+        }
+    }
+    
+    // Drop the playing audio
+    release() {
+        this.current = null;
+        this.controller = null;
+        
+        if (this.audio) {
+            this.audio.onended = null;
+            this.audio.onerror = null;
+            this.audio.pause();
+            this.audio = null;
+        }
+        if (this.audioUrl) {
+            URL.revokeObjectURL(this.audioUrl);
+            this.audioUrl = null;
+        }
+    }
+}
+
+// Registry of available engines, keyed by the recognitionEngine / synthesisEngine preferences
+const SpeechEngines = {
+    browser: BrowserSpeechEngine,
+    vosk: VoskSpeechEngine,
+    server: ServerSpeechEngine
+};
+
+// Create an engine by name (null if there is no such engine)
+function createSpeechEngine(name, config = {}) {
+    const Engine = SpeechEngines[name];
+    
+    if (!Engine) {
+        console.warn(`Unknown speech engine "${name}"`);
+        return null;
+    }
+    
+    return new Engine(config);
+}
+
+// Export for global use
+window.SpeechEngines = SpeechEngines;
+window.createSpeechEngine = createSpeechEngine;
@@ -1,17 +1,57 @@
 // Live Recipe AI - Speech Module
-// Handles Speech-to-Text and Text-to-Speech
+// Handles Speech-to-Text and Text-to-Speech through the engines in speech-engines.js, plus the voice settings
 
 class SpeechManager {
     constructor() {
         this.recognition = null;
-        this.synthesis = window.speechSynthesis;
+        this.synthesis = null;
+        this.recognitionEngine = null;
+        this.synthesisEngine = null;
         this.isListening = false;
         this.isSpeaking = false;
         this.utteranceQueue = [];
-        this.recognitionLanguage = 'en-IN'; // Indian English for Hinglish support
-        this.speechLanguage = 'en-IN';
-        this.speechRate = 1.0;
-        this.speechPitch = 1.0;
+        this.recognitionLanguage = I18n.getSpeechLang(); // en-IN for Hinglish, hi-IN for Hindi, ...
+        this.speechLanguage = this.recognitionLanguage;
+        this.speechRate = AppState.preferences.speechRate;
+        this.speechPitch = AppState.preferences.speechPitch;
+        this.speechVolume = AppState.preferences.speechVolume;
+        
+        // Allowed ranges for the voice settings, and a slower, louder preset for noisy kitchens
+        this.voiceLimits = {
+            rate: { min: 0.5, max: 1.5 },
+            pitch: { min: 0.5, max: 1.5 },
+            volume: { min: 0, max: 1 }
+        };
+        this.kitchenPreset = { rate: 0.85, pitch: 1.0, volume: 1.0 };
+        
+        // Speech engines: 'auto' takes the first that works here, skipping cloud recognition while offline
+        this.engineOrder = ['browser', 'server', 'vosk'];
+        this.engines = {};
+        this.recognitionOffline = false; // set when cloud recognition reports a network error
+        
+        // Barge-in: hands-free listening stays on while we talk, so the user can cut us off
+        this.currentSpeechOptions = null;
+        this.interruptPhrases = ['stop', 'ruko', 'ruk jao', 'ruko ruko', 'chup', 'chup karo', 'bas', 'bas karo',
+            'wait', 'shh', 'quiet', 'enough', 'रुको', 'चुप', 'बस'];
+        this.interruptFillers = ['please', 'ji', 'bhai', 'yaar', 'ok', 'okay', 'abhi', 'now', 'karo'];
+        this.echoReference = []; // recent texts we spoke, to recognize our own voice coming back through the mic
+        this.echoTail = 1500; // ms after speech ends that results may still be our own echo
+        this.echoOverlap = 0.6; // share of heard words found in what we said that makes it an echo
+        this.bargeInConfidence = 0.4; // new questions over our speech need at least this confidence
+        this.echoRecentWords = 6; // how many of our latest spoken words a "stop" may be an echo of
+        this.interruptConfidence = 0.8; // a "stop" heard this clearly is the user even if we just said it
+        this.spokenChars = null; // how far into the current text we have got, when the voice reports word boundaries
+        this.lastSpeechEnd = 0;
+        
+        // Hands-free mode: always listening, acting only after a wake phrase
+        this.handsFree = false;
+        this.wakePhrases = ['chefmate', 'chef mate', 'shef mate', 'chef met', 'suno', 'suniye'];
+        this.wakeWindow = 8000; // ms to accept a command after a bare wake phrase
+        this.awakeUntil = 0;
+        this.suspendReasons = new Set();
+        this.restartTimer = null;
+        this.restartDelay = 300;
+        this.failedRestarts = 0;
         
         this.init();
     }
@@ -20,18 +60,77 @@ class SpeechManager {
     init() {
         this.initSpeechRecognition();
         this.initSpeechSynthesis();
+        
+        // Going offline or back online may change which recognition engine 'auto' uses
+        window.addEventListener('online', () => {
+            this.recognitionOffline = false;
+            this.refreshRecognitionEngine();
+        });
+        window.addEventListener('offline', () => this.refreshRecognitionEngine());
+        
+        // Restore hands-free preference
+        if (AppState.preferences.handsFree) {
+            this.setHandsFree(true);
+        }
+        
+        this.registerSettingsSection();
+    }
+    
+    // Engine settings: CONFIG merged with what was entered in Settings
+    getEngineConfig() {
+        const config = { ...(typeof CONFIG !== 'undefined' ? CONFIG : {}) };
+        
+        if (AppState.preferences.speechServerUrl) {
+            config.SPEECH_SERVER_URL = AppState.preferences.speechServerUrl;
+        }
+        
+        return config;
+    }
+    
+    // Engine instance by name, created once
+    getEngine(name) {
+        if (!this.engines[name] && SpeechEngines[name]) {
+            this.engines[name] = createSpeechEngine(name, this.getEngineConfig());
+        }
+        return this.engines[name] || null;
+    }
+    
+    // Engine for 'recognition' or 'synthesis': the saved choice if it works here, otherwise the first that does
+    chooseEngine(kind) {
+        const usable = (name) => {
+            const engine = this.getEngine(name);
+            if (!engine) return false;
+            if (kind === 'synthesis') return engine.supportsSynthesis();
+            return engine.supportsRecognition() && engine.supportsLanguage(this.recognitionLanguage);
+        };
+        
+        const saved = AppState.preferences[`${kind}Engine`];
+        if (saved && saved !== 'auto') {
+            if (usable(saved)) return this.getEngine(saved);
+            console.warn(`Speech engine "${saved}" can't be used for ${kind} here, choosing automatically`);
+        }
+        
+        // Cloud recognition is only a last resort offline, in case the connection comes back
+        const offline = kind === 'recognition' && (navigator.onLine === false || this.recognitionOffline);
+        const name = this.engineOrder.find(candidate => usable(candidate) && !(offline && this.getEngine(candidate).recognitionNeedsNetwork)) ||
+            this.engineOrder.find(usable);
+        
+        return name ? this.getEngine(name) : null;
     }
     
     // Initialize Speech-to-Text
     initSpeechRecognition() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+        const engine = this.chooseEngine('recognition');
+        this.recognitionEngine = engine;
+        this.recognition = null;
+        
+        if (!engine) {
             console.warn('Speech recognition not supported in this browser');
-            this.updateSpeechStatus('mic', false, 'Not supported');
+            this.updateSpeechStatus('mic', false, I18n.t('speech.status_unsupported'));
             return;
         }
         
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        this.recognition = new SpeechRecognition();
+        this.recognition = engine.createRecognition();
         
         // Configure recognition
         this.recognition.continuous = false;
@@ -42,50 +141,119 @@ class SpeechManager {
         // Set up event handlers
         this.recognition.onstart = () => {
             this.isListening = true;
-            this.updateSpeechStatus('mic', true, 'Listening...');
+            this.failedRestarts = 0;
+            this.updateSpeechStatus('mic', true, I18n.t(this.handsFree ? 'speech.status_wake' : 'speech.status_listening'));
             if (typeof window.onSpeechStart === 'function') {
                 window.onSpeechStart();
             }
         };
         
         this.recognition.onresult = (event) => {
-            const transcript = event.results[0][0].transcript;
-            const confidence = event.results[0][0].confidence;
+            if (this.handsFree) {
+                this.handleHandsFreeResult(event);
+                return;
+            }
+            
+            const result = event.results[event.resultIndex] || event.results[0];
+            const alternatives = this.getAlternatives(result);
+            if (!alternatives.length) return;
             
-            // Only accept if confidence is reasonable
-            if (confidence > 0.5 || transcript.length > 2) {
-                if (typeof window.onSpeechResult === 'function') {
-                    window.onSpeechResult(transcript, confidence);
+            // Partial results only preview what is being heard
+            if (!result.isFinal) {
+                if (typeof window.onSpeechInterim === 'function') {
+                    window.onSpeechInterim(alternatives[0].transcript);
                 }
+                return;
+            }
+            
+            // The app weighs the alternatives and decides whether to ask back
+            if (typeof window.onSpeechResult === 'function') {
+                window.onSpeechResult(alternatives[0].transcript, alternatives[0].confidence, alternatives);
             }
         };
         
         this.recognition.onerror = (event) => {
             console.error('Speech recognition error:', event.error);
             this.isListening = false;
-            this.updateSpeechStatus('mic', false, 'Error: ' + event.error);
+            this.updateSpeechStatus('mic', false, I18n.t('speech.status_error', { error: event.error }));
+            
+            // Cloud recognition can't be reached: move to an offline engine if one is set up
+            if (event.error === 'network' && this.recognitionEngine?.recognitionNeedsNetwork) {
+                this.recognitionOffline = true;
+                if (this.refreshRecognitionEngine()) return;
+            }
             
-            if (event.error === 'not-allowed') {
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
                 this.showPermissionError('microphone');
+                
+                // Restarting would only fail again
+                if (this.handsFree) {
+                    this.setHandsFree(false);
+                }
+            } else if (this.handsFree && event.error !== 'no-speech' && event.error !== 'aborted') {
+                this.failedRestarts++;
             }
         };
         
         this.recognition.onend = () => {
             this.isListening = false;
-            this.updateSpeechStatus('mic', false, 'Ready');
+            this.updateSpeechStatus('mic', false, I18n.t('speech.status_ready'));
             if (typeof window.onSpeechEnd === 'function') {
                 window.onSpeechEnd();
             }
+            
+            // Hands-free recognition restarts itself
+            if (this.handsFree) {
+                this.scheduleRestart();
+            }
         };
         
-        this.updateSpeechStatus('mic', false, 'Ready');
+        this.updateSpeechStatus('mic', false, I18n.t('speech.status_ready'));
+    }
+    
+    // Move recognition to the engine that should be used now; returns true if it changed
+    refreshRecognitionEngine() {
+        const engine = this.chooseEngine('recognition');
+        if (engine === this.recognitionEngine) {
+            return false;
+        }
+        
+        // Detach the old recognizer so its late events don't reach us
+        const old = this.recognition;
+        if (old) {
+            old.onstart = old.onresult = old.onerror = old.onend = null;
+            if (this.isListening) old.abort();
+        }
+        this.isListening = false;
+        
+        this.initSpeechRecognition();
+        console.log(`Speech recognition now uses: ${engine ? engine.name : 'none'}`);
+        
+        if (this.handsFree) {
+            if (this.recognition) {
+                this.recognition.continuous = true;
+                this.ensureListening();
+            } else {
+                this.setHandsFree(false);
+            }
+        }
+        
+        return true;
     }
     
     // Initialize Text-to-Speech
     initSpeechSynthesis() {
+        if (this.synthesis) {
+            this.synthesis.onvoiceschanged = null;
+        }
+        
+        const engine = this.chooseEngine('synthesis');
+        this.synthesisEngine = engine;
+        this.synthesis = engine ? engine.createSynthesis() : null;
+        
         if (!this.synthesis) {
             console.warn('Speech synthesis not supported in this browser');
-            this.updateSpeechStatus('speech', false, 'Not supported');
+            this.updateSpeechStatus('speech', false, I18n.t('speech.status_unsupported'));
             return;
         }
         
@@ -95,17 +263,39 @@ class SpeechManager {
         // Re-load voices when changed
         this.synthesis.onvoiceschanged = () => this.loadVoices();
         
-        this.updateSpeechStatus('speech', true, 'Ready');
+        this.updateSpeechStatus('speech', true, I18n.t('speech.status_ready'));
     }
     
     // Load available voices
     loadVoices() {
         this.voices = this.synthesis.getVoices();
+        this.selectedVoice = this.pickVoice(this.speechLanguage);
         
-        // Try to find Indian English or female voices
-        this.selectedVoice = this.voices.find(voice => 
-            voice.lang.includes('IN') || voice.lang.includes('en-')
-        ) || this.voices[0];
+        // Browsers often list voices only after a moment; refresh an open voice section
+        if (window.settingsPanel?.overlayElement?.querySelector('[data-section="voice"]')) {
+            window.settingsPanel.open('voice');
+        }
+    }
+    
+    // The user's chosen voice for a language if it is installed, otherwise the best match
+    pickVoice(lang) {
+        const chosen = AppState.preferences.voiceByLanguage[lang];
+        return (this.voices || []).find(voice => voice.name === chosen) || this.findVoice(lang);
+    }
+    
+    // Best voice for a language: exact locale, then same language, then Indian English, then anything
+    // (offline, only voices installed on the device are considered when there are any)
+    findVoice(lang) {
+        const normalize = (code) => (code || '').replace('_', '-').toLowerCase();
+        const wanted = normalize(lang);
+        const primary = wanted.split('-')[0];
+        const installed = (this.voices || []).filter(voice => voice.localService);
+        const voices = navigator.onLine === false && installed.length ? installed : (this.voices || []);
+        
+        return voices.find(voice => normalize(voice.lang) === wanted) ||
+            voices.find(voice => normalize(voice.lang).split('-')[0] === primary) ||
+            voices.find(voice => normalize(voice.lang) === 'en-in') ||
+            voices[0] || null;
     }
     
     // Start listening
@@ -115,6 +305,18 @@ class SpeechManager {
             return false;
         }
         
+        // Pressing the mic while we talk cuts the speech off
+        if (this.bargeInEnabled()) {
+            this.interrupt();
+        }
+        
+        // Already listening hands-free: treat the button press as the wake phrase
+        if (this.handsFree) {
+            this.awakeUntil = Date.now() + this.wakeWindow;
+            this.updateSpeechStatus('mic', true, I18n.t('speech.status_awake'));
+            return true;
+        }
+        
         if (this.isListening) {
             this.stopListening();
             return false;
@@ -129,15 +331,284 @@ class SpeechManager {
         }
     }
     
-    // Stop listening
-    stopListening() {
+    // Stop listening (hands-free mode keeps listening unless forced)
+    stopListening(force = false) {
+        if (this.handsFree && !force) {
+            return;
+        }
+        
         if (this.recognition && this.isListening) {
             this.recognition.stop();
         }
     }
     
-    // Speak text
-    speak(text, callback = null) {
+    // Turn hands-free listening on or off
+    setHandsFree(enabled) {
+        if (enabled && !this.recognition) {
+            console.warn('Hands-free mode needs speech recognition');
+            return false;
+        }
+        
+        this.handsFree = enabled;
+        AppState.preferences.handsFree = enabled;
+        AppState.savePreferences();
+        
+        if (this.recognition) {
+            this.recognition.continuous = enabled;
+        }
+        
+        if (enabled) {
+            this.failedRestarts = 0;
+            
+            // Restart so the continuous setting takes effect
+            if (this.isListening) {
+                this.recognition.stop();
+            } else {
+                this.ensureListening();
+            }
+        } else {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+            this.awakeUntil = 0;
+            this.stopListening(true);
+        }
+        
+        return enabled;
+    }
+    
+    // Toggle hands-free listening
+    toggleHandsFree() {
+        return this.setHandsFree(!this.handsFree);
+    }
+    
+    // Pause hands-free listening for a reason (e.g. 'speaking', 'hidden')
+    suspendListening(reason) {
+        this.suspendReasons.add(reason);
+        
+        if (this.handsFree && this.isListening) {
+            this.recognition.abort();
+        }
+    }
+    
+    // Lift a suspension and resume hands-free listening if nothing else blocks it
+    resumeListening(reason) {
+        this.suspendReasons.delete(reason);
+        this.ensureListening();
+    }
+    
+    // Start recognition if hands-free mode wants it running
+    ensureListening() {
+        if (!this.handsFree || this.isListening || this.suspendReasons.size > 0 || this.restartTimer) {
+            return;
+        }
+        
+        try {
+            this.recognition.start();
+        } catch (error) {
+            // Already started; onend will bring us back here if it stops
+            if (error.name === 'InvalidStateError') {
+                this.isListening = true;
+            }
+            console.warn('Hands-free restart skipped:', error.message);
+        }
+    }
+    
+    // Restart recognition after it ends, backing off if it keeps failing
+    scheduleRestart() {
+        clearTimeout(this.restartTimer);
+        
+        const delay = Math.min(this.restartDelay * Math.pow(2, this.failedRestarts), 10000);
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.ensureListening();
+        }, delay);
+    }
+    
+    // Handle results in hands-free mode: only act after the wake phrase
+    handleHandsFreeResult(event) {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            const transcript = result[0].transcript.trim();
+            const confidence = result[0].confidence;
+            
+            // While we talk (and just after), ignore our own voice and let the user cut in
+            if (this.bargeInEnabled() && this.inEchoWindow() && this.handleBargeIn(transcript, confidence, result.isFinal)) {
+                continue;
+            }
+            
+            if (!result.isFinal) {
+                this.showInterim(transcript);
+                continue;
+            }
+            
+            // The wake phrase may only be in one of the alternatives ("chef mate" heard as "chef met")
+            const alternatives = this.getAlternatives(result);
+            const woken = alternatives.find(alternative => this.stripWakePhrase(alternative.transcript) !== null);
+            const command = woken ? this.stripWakePhrase(woken.transcript) : null;
+            const commandAlternatives = alternatives.map(alternative => ({
+                ...alternative,
+                transcript: this.stripWakePhrase(alternative.transcript) ?? alternative.transcript
+            }));
+            
+            if (command !== null) {
+                if (command) {
+                    this.dispatchHandsFreeCommand(command, woken.confidence, commandAlternatives);
+                } else {
+                    // Bare wake phrase: wait for the command
+                    this.awakeUntil = Date.now() + this.wakeWindow;
+                    this.updateSpeechStatus('mic', true, I18n.t('speech.status_awake'));
+                }
+            } else if (Date.now() < this.awakeUntil) {
+                this.dispatchHandsFreeCommand(transcript, confidence, alternatives);
+            }
+        }
+    }
+    
+    // Whether barge-in is on (hands-free listening continues while speaking)
+    bargeInEnabled() {
+        return AppState.preferences.bargeIn !== false;
+    }
+    
+    // Whether we are talking, or stopped so recently that the mic may still be hearing us
+    inEchoWindow() {
+        return this.isSpeaking || Date.now() - this.lastSpeechEnd < this.echoTail;
+    }
+    
+    // Screen a result heard over our speech; returns true when it was dealt with here
+    handleBargeIn(transcript, confidence, isFinal) {
+        // "Ruko" / "stop" cuts us off as soon as it is heard, without going on to the app;
+        // it is only our own echo when we said those words a moment ago and it wasn't heard clearly
+        if (this.isInterruptPhrase(transcript)) {
+            if (confidence < this.interruptConfidence && this.isRecentEcho(transcript)) {
+                return true;
+            }
+            this.interrupt();
+            return true;
+        }
+        
+        if (this.isEcho(transcript)) {
+            return true;
+        }
+        
+        // After speech has ended the normal wake phrase rules apply
+        if (!isFinal || !this.isSpeaking) {
+            return false;
+        }
+        
+        // Unclear sounds over our own voice are more likely noise than a question
+        if (confidence > 0 && confidence < this.bargeInConfidence) {
+            return true;
+        }
+        
+        // Anything else said over us is a new question
+        this.interrupt();
+        const command = this.stripWakePhrase(transcript);
+        if (command === '') {
+            this.awakeUntil = Date.now() + this.wakeWindow;
+            this.updateSpeechStatus('mic', true, I18n.t('speech.status_awake'));
+        } else {
+            this.dispatchHandsFreeCommand(command ?? transcript, confidence);
+        }
+        return true;
+    }
+    
+    // Lowercase words without punctuation, for comparing what was heard with what was said
+    toWords(text) {
+        return String(text || '').toLowerCase().replace(/[.,!?;:।"'()\-]+/g, ' ').split(/\s+/).filter(Boolean);
+    }
+    
+    // Whether a transcript is mostly words we just said ourselves
+    isEcho(transcript) {
+        const heard = this.toWords(transcript);
+        if (!heard.length) return true;
+        
+        const said = new Set(this.echoReference.flatMap(text => this.toWords(text)));
+        const matched = heard.filter(word => said.has(word)).length;
+        return matched / heard.length >= this.echoOverlap;
+    }
+    
+    // Whether every word of a transcript is among the last few words we spoke
+    isRecentEcho(transcript) {
+        const heard = this.toWords(transcript);
+        const latest = this.echoReference[this.echoReference.length - 1] || '';
+        const spoken = this.isSpeaking && this.spokenChars !== null ? latest.slice(0, this.spokenChars) : latest;
+        const recent = new Set(this.toWords(spoken).slice(-this.echoRecentWords));
+        return heard.length > 0 && heard.every(word => recent.has(word));
+    }
+    
+    // Whether a transcript is just a "stop talking" phrase (in any loaded language)
+    isInterruptPhrase(transcript) {
+        const phrases = [...this.interruptPhrases, ...I18n.getInterruptPhrases()];
+        const words = this.toWords(this.stripWakePhrase(transcript) ?? transcript)
+            .filter(word => !this.interruptFillers.includes(word));
+        
+        return words.length > 0 && words.length <= 3 &&
+            (phrases.includes(words.join(' ')) || words.every(word => phrases.includes(word)));
+    }
+    
+    // Cut the assistant off: stop speaking, drop the queue and report what went unsaid
+    interrupt() {
+        if (!this.isSpeaking && !this.utteranceQueue.length) {
+            return false;
+        }
+        
+        const cut = [
+            ...(this.isSpeaking ? [this.currentSpeechOptions] : []),
+            ...this.utteranceQueue.map(item => item.options)
+        ];
+        
+        this.stopSpeaking();
+        this.utteranceQueue = [];
+        cut.forEach(options => options?.onInterrupted?.());
+        
+        console.log('Speech interrupted by the user');
+        return true;
+    }
+    
+    // All recognition alternatives for a result: [{ transcript, confidence }]
+    getAlternatives(result) {
+        return Array.from(result || [], alternative => ({
+            transcript: String(alternative.transcript || '').trim(),
+            confidence: alternative.confidence || 0
+        })).filter(alternative => alternative.transcript);
+    }
+    
+    // Preview a partial hands-free result once it is addressed to us
+    showInterim(transcript) {
+        const command = this.stripWakePhrase(transcript);
+        const text = command ?? (Date.now() < this.awakeUntil ? transcript : null);
+        
+        if (text && typeof window.onSpeechInterim === 'function') {
+            window.onSpeechInterim(text);
+        }
+    }
+    
+    // Send a hands-free command to the app
+    dispatchHandsFreeCommand(command, confidence, alternatives = null) {
+        this.awakeUntil = 0;
+        this.updateSpeechStatus('mic', true, I18n.t('speech.status_wake'));
+        
+        if (typeof window.onSpeechResult === 'function') {
+            window.onSpeechResult(command, confidence, alternatives || [{ transcript: command, confidence }]);
+        }
+    }
+    
+    // Remove the wake phrase; returns the rest, or null if no wake phrase was heard
+    stripWakePhrase(transcript) {
+        const lower = transcript.toLowerCase();
+        
+        for (const phrase of this.wakePhrases) {
+            const match = lower.match(new RegExp(`\\b${phrase}\\b[\\s,.!?]*`));
+            if (match) {
+                return transcript.slice(match.index + match[0].length).trim();
+            }
+        }
+        
+        return null;
+    }
+    
+    // Speak text; options.onInterrupted runs if the user cuts it off
+    speak(text, callback = null, options = {}) {
         if (!this.synthesis || !AppState.preferences.aiSpeechEnabled) {
             if (callback) callback();
             return;
@@ -150,34 +621,54 @@ class SpeechManager {
         
         // Stop any ongoing speech
         this.stopSpeaking();
+        this.currentSpeechOptions = options;
+        
+        // Remember what we say, so hearing it back isn't taken for the user
+        this.echoReference = [...this.echoReference.slice(-2), text];
+        this.spokenChars = null;
         
         // Create new utterance
-        const utterance = new SpeechSynthesisUtterance(text);
+        const utterance = this.synthesisEngine.createUtterance(text);
         
         // Configure utterance
         utterance.voice = this.selectedVoice;
         utterance.rate = this.speechRate;
         utterance.pitch = this.speechPitch;
+        utterance.volume = this.speechVolume;
         utterance.lang = this.speechLanguage;
         
         // Set up event handlers
         utterance.onstart = () => {
             this.isSpeaking = true;
             this.currentUtterance = utterance;
-            this.updateSpeechStatus('speech', true, 'Speaking...');
+            this.updateSpeechStatus('speech', true, I18n.t('speech.status_speaking'));
+            
+            // Without barge-in, don't let hands-free listening hear our own voice
+            if (!this.bargeInEnabled()) {
+                this.suspendListening('speaking');
+            }
+        };
+        
+        // Follow the words as they are spoken, so an echo is judged against what was just said
+        utterance.onboundary = (event) => {
+            if (event.name === undefined || event.name === 'word') {
+                this.spokenChars = event.charIndex + (event.charLength || 0);
+            }
         };
         
         utterance.onend = () => {
             this.isSpeaking = false;
             this.currentUtterance = null;
-            this.updateSpeechStatus('speech', true, 'Ready');
+            this.lastSpeechEnd = Date.now();
+            this.updateSpeechStatus('speech', true, I18n.t('speech.status_ready'));
             
             // Process next in queue
             if (this.utteranceQueue.length > 0) {
-                const nextText = this.utteranceQueue.shift();
-                this.speak(nextText, callback);
-            } else if (callback) {
-                callback();
+                const next = this.utteranceQueue.shift();
+                this.speak(next.text, callback, next.options);
+            } else {
+                this.resumeListening('speaking');
+                if (callback) callback();
             }
         };
         
@@ -185,14 +676,16 @@ class SpeechManager {
             console.error('Speech synthesis error:', event);
             this.isSpeaking = false;
             this.currentUtterance = null;
-            this.updateSpeechStatus('speech', true, 'Error');
+            this.lastSpeechEnd = Date.now();
+            this.updateSpeechStatus('speech', true, I18n.t('speech.status_failed'));
             
             // Try next in queue
             if (this.utteranceQueue.length > 0) {
-                const nextText = this.utteranceQueue.shift();
-                this.speak(nextText, callback);
-            } else if (callback) {
-                callback();
+                const next = this.utteranceQueue.shift();
+                this.speak(next.text, callback, next.options);
+            } else {
+                this.resumeListening('speaking');
+                if (callback) callback();
             }
         };
         
@@ -201,11 +694,11 @@ class SpeechManager {
     }
     
     // Queue text for speaking
-    queueSpeech(text) {
+    queueSpeech(text, options = {}) {
         if (this.isSpeaking) {
-            this.utteranceQueue.push(text);
+            this.utteranceQueue.push({ text, options });
         } else {
-            this.speak(text);
+            this.speak(text, null, options);
         }
     }
     
@@ -216,7 +709,9 @@ class SpeechManager {
             this.isSpeaking = false;
             this.currentUtterance = null;
             this.utteranceQueue = [];
-            this.updateSpeechStatus('speech', true, 'Stopped');
+            this.lastSpeechEnd = Date.now();
+            this.updateSpeechStatus('speech', true, I18n.t('speech.status_stopped'));
+            this.resumeListening('speaking');
         }
     }
     
@@ -230,7 +725,7 @@ class SpeechManager {
         }
         
         this.updateSpeechStatus('speech', AppState.preferences.aiSpeechEnabled, 
-            AppState.preferences.aiSpeechEnabled ? 'Ready' : 'Disabled');
+            I18n.t(AppState.preferences.aiSpeechEnabled ? 'speech.status_ready' : 'speech.status_disabled'));
         
         return AppState.preferences.aiSpeechEnabled;
     }
@@ -263,37 +758,311 @@ class SpeechManager {
     
     // Show permission error
     showPermissionError(permissionType) {
-        const errorMsg = `Please allow ${permissionType} access in your browser settings to use this feature.`;
+        const errorMsg = I18n.t('permission.allow', { device: I18n.t(`permission.${permissionType}`) });
         
         if (typeof window.showError === 'function') {
             window.showError(errorMsg);
         }
         
-        AppState.addToConversation('system', `Permission needed: ${errorMsg}`);
+        AppState.addToConversation('system', I18n.t('permission.note', { message: errorMsg }));
     }
     
-    // Check browser support
+    // Check support, and which engines are in use
     checkSupport() {
+        const engines = Object.keys(SpeechEngines).map(name => {
+            const engine = this.getEngine(name);
+            return {
+                name,
+                label: engine.label,
+                recognition: engine.supportsRecognition(),
+                synthesis: engine.supportsSynthesis(),
+                offline: !engine.recognitionNeedsNetwork
+            };
+        });
+        
         const support = {
-            speechRecognition: !!(window.SpeechRecognition || window.webkitSpeechRecognition),
-            speechSynthesis: !!window.speechSynthesis
+            speechRecognition: engines.some(engine => engine.recognition),
+            speechSynthesis: engines.some(engine => engine.synthesis),
+            recognitionEngine: this.recognitionEngine ? this.recognitionEngine.name : null,
+            synthesisEngine: this.synthesisEngine ? this.synthesisEngine.name : null,
+            engines
         };
         
         return support;
     }
     
-    // Set language
+    // Choose the engine for 'recognition' or 'synthesis' ('auto' or a name in SpeechEngines) and switch to it
+    setEngine(kind, name) {
+        AppState.preferences[`${kind}Engine`] = name || 'auto';
+        AppState.savePreferences();
+        
+        if (kind === 'synthesis') {
+            this.stopSpeaking();
+            this.initSpeechSynthesis();
+            return this.synthesisEngine;
+        }
+        
+        this.refreshRecognitionEngine();
+        return this.recognitionEngine;
+    }
+    
+    // Point the server engine at a new URL (empty falls back to SPEECH_SERVER_URL in config.js)
+    setSpeechServerUrl(url) {
+        AppState.preferences.speechServerUrl = (url || '').trim();
+        AppState.savePreferences();
+        
+        // Engines read their config when created; start afresh with the new URL
+        this.stopSpeaking();
+        this.engines = {};
+        this.refreshRecognitionEngine();
+        this.initSpeechSynthesis();
+    }
+    
+    // Set language: a language pack code ('hindi') or a locale ('hi-IN')
     setLanguage(lang) {
-        if (this.recognition) {
-            this.recognitionLanguage = lang;
-            this.recognition.lang = lang;
+        const locale = I18n.packs[lang] ? I18n.getSpeechLang(lang) : lang;
+        
+        this.recognitionLanguage = locale;
+        this.speechLanguage = locale;
+        
+        // The new language may need another engine (e.g. a Vosk model installed for Hindi only);
+        // a recognizer from a new engine already starts out with the new language
+        if (!this.refreshRecognitionEngine() && this.recognition) {
+            this.recognition.lang = locale;
+            
+            // Hands-free recognition restarts by itself and picks up the new language
+            if (this.handsFree && this.isListening) {
+                this.recognition.stop();
+            }
+        }
+        
+        if (this.synthesis) {
+            this.selectedVoice = this.pickVoice(locale);
+        }
+    }
+    
+    // Use a voice (by name) for the current language; null goes back to automatic
+    setVoice(name) {
+        const choices = { ...AppState.preferences.voiceByLanguage };
+        if (name) {
+            choices[this.speechLanguage] = name;
+        } else {
+            delete choices[this.speechLanguage];
+        }
+        
+        AppState.preferences.voiceByLanguage = choices;
+        AppState.savePreferences();
+        this.selectedVoice = this.pickVoice(this.speechLanguage);
+        return this.selectedVoice;
+    }
+    
+    // Change rate, pitch and/or volume; values are clamped and saved
+    setVoiceSettings(settings = {}) {
+        const value = (name) => {
+            const number = parseFloat(settings[name]);
+            if (Number.isNaN(number)) return null;
+            return Math.min(this.voiceLimits[name].max, Math.max(this.voiceLimits[name].min, number));
+        };
+        
+        this.speechRate = value('rate') ?? this.speechRate;
+        this.speechPitch = value('pitch') ?? this.speechPitch;
+        this.speechVolume = value('volume') ?? this.speechVolume;
+        
+        AppState.preferences.speechRate = this.speechRate;
+        AppState.preferences.speechPitch = this.speechPitch;
+        AppState.preferences.speechVolume = this.speechVolume;
+        AppState.savePreferences();
+    }
+    
+    // Installed voices grouped by language, the current language first: [{ lang, voices }]
+    getVoicesByLanguage() {
+        const groups = new Map();
+        (this.voices || []).forEach(voice => {
+            const lang = (voice.lang || 'unknown').replace('_', '-');
+            if (!groups.has(lang)) groups.set(lang, []);
+            groups.get(lang).push(voice);
+        });
+        
+        const primary = this.speechLanguage.split('-')[0].toLowerCase();
+        const rank = (lang) => lang.toLowerCase() === this.speechLanguage.toLowerCase() ? 0 :
+            lang.split('-')[0].toLowerCase() === primary ? 1 : 2;
+        
+        return [...groups.entries()]
+            .map(([lang, voices]) => ({ lang, voices: voices.sort((a, b) => a.name.localeCompare(b.name)) }))
+            .sort((a, b) => rank(a.lang) - rank(b.lang) || a.lang.localeCompare(b.lang));
+    }
+    
+    // Say a sample sentence with the current voice settings
+    previewVoice() {
+        if (!this.synthesis) return;
+        this.utteranceQueue = [];
+        this.speak(I18n.t('voice.preview_text'));
+    }
+    
+    // Add the voice section to the settings panel (after every module has loaded)
+    registerSettingsSection() {
+        const register = () => window.settingsPanel?.addSection({
+            id: 'voice',
+            title: () => I18n.t('settings.voice'),
+            icon: 'fa-volume-up',
+            render: () => this.renderVoiceSection(),
+            bind: (element) => this.bindVoiceSection(element)
+        });
+        
+        if (window.settingsPanel) {
+            register();
+        } else {
+            window.addEventListener('load', register);
+        }
+    }
+    
+    // Voice picker, sliders, preview and speech engines for the settings panel
+    renderVoiceSection() {
+        const escape = (text) => window.settingsPanel.escapeHtml(String(text)).replace(/"/g, '&quot;');
+        
+        if (!this.synthesis) {
+            return `<p class="settings-hint">${I18n.t('compat.tts')}</p>${this.renderEngineSettings(escape)}`;
         }
-        this.speechLanguage = lang;
+        
+        const chosen = AppState.preferences.voiceByLanguage[this.speechLanguage] || '';
+        const groups = this.getVoicesByLanguage().map(group => `
+            <optgroup label="${escape(group.lang)}">
+                ${group.voices.map(voice => `
+                    <option value="${escape(voice.name)}" ${voice.name === chosen ? 'selected' : ''}>${escape(voice.name)}</option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+        
+        const slider = (name, value, step) => `
+            <label class="settings-row settings-slider">
+                <span>${I18n.t(`settings.voice_${name}`)}</span>
+                <input type="range" class="settings-voice-${name}" min="${this.voiceLimits[name].min}" max="${this.voiceLimits[name].max}"
+                    step="${step}" value="${value}">
+                <output>${Number(value).toFixed(2)}</output>
+            </label>
+        `;
+        
+        return `
+            <p class="settings-hint">${I18n.t('settings.voice_hint', { language: this.speechLanguage })}</p>
+            <div class="settings-row">
+                <select class="settings-input settings-voice">
+                    <option value="">${I18n.t('settings.voice_auto', { voice: escape(this.pickVoice(this.speechLanguage)?.name || '-') })}</option>
+                    ${groups}
+                </select>
+            </div>
+            ${this.voices && this.voices.length ? '' : `<p class="settings-hint">${I18n.t('settings.voice_none')}</p>`}
+            ${slider('rate', this.speechRate, 0.05)}
+            ${slider('pitch', this.speechPitch, 0.05)}
+            ${slider('volume', this.speechVolume, 0.05)}
+            <label class="settings-row">
+                <input type="checkbox" class="settings-barge-in" ${this.bargeInEnabled() ? 'checked' : ''}>
+                ${I18n.t('settings.voice_barge_in')}
+            </label>
+            <div class="settings-row">
+                <button class="btn btn-secondary settings-voice-preview"><i class="fas fa-play"></i> ${I18n.t('settings.voice_preview')}</button>
+                <button class="btn btn-secondary settings-voice-kitchen"><i class="fas fa-volume-up"></i> ${I18n.t('settings.voice_kitchen')}</button>
+            </div>
+            ${this.renderEngineSettings(escape)}
+        `;
+    }
+    
+    // Engine pickers for listening and speaking, and the speech server URL
+    renderEngineSettings(escape) {
+        const support = this.checkSupport();
+        
+        const picker = (kind, current) => {
+            const saved = AppState.preferences[`${kind}Engine`] || 'auto';
+            const options = support.engines
+                .filter(engine => this.getEngine(engine.name).capabilities.includes(kind))
+                .map(engine => `
+                    <option value="${engine.name}" ${engine.name === saved ? 'selected' : ''}>
+                        ${escape(engine[kind] ? engine.label : I18n.t('settings.voice_engine_unavailable', { engine: engine.label }))}
+                    </option>
+                `).join('');
+            
+            return `
+                <label class="settings-row">
+                    <span>${I18n.t(`settings.voice_${kind}_engine`)}</span>
+                    <select class="settings-input settings-engine" data-kind="${kind}">
+                        <option value="auto">${escape(I18n.t('settings.voice_engine_auto', { engine: current ? this.getEngine(current).label : '-' }))}</option>
+                        ${options}
+                    </select>
+                </label>
+            `;
+        };
+        
+        return `
+            <p class="settings-hint">${I18n.t('settings.voice_engines')}</p>
+            ${picker('recognition', support.recognitionEngine)}
+            ${picker('synthesis', support.synthesisEngine)}
+            <div class="settings-row">
+                <input type="url" class="settings-input settings-speech-server" value="${escape(AppState.preferences.speechServerUrl || '')}"
+                    placeholder="${escape(I18n.t('settings.voice_server_url'))}">
+            </div>
+        `;
+    }
+    
+    // Apply voice changes as they are made
+    bindVoiceSection(element) {
+        const select = element.querySelector('.settings-voice');
+        if (select) {
+            select.addEventListener('change', () => {
+                this.setVoice(select.value || null);
+                this.previewVoice();
+            });
+        }
+        
+        ['rate', 'pitch', 'volume'].forEach(name => {
+            const input = element.querySelector(`.settings-voice-${name}`);
+            if (!input) return;
+            
+            input.addEventListener('input', () => {
+                this.setVoiceSettings({ [name]: input.value });
+                const output = input.parentNode.querySelector('output');
+                if (output) output.textContent = Number(input.value).toFixed(2);
+            });
+            
+            // Let the user hear the result once they let go of the slider
+            input.addEventListener('change', () => this.previewVoice());
+        });
+        
+        const bargeIn = element.querySelector('.settings-barge-in');
+        if (bargeIn) {
+            bargeIn.addEventListener('change', () => {
+                AppState.preferences.bargeIn = bargeIn.checked;
+                AppState.savePreferences();
+            });
+        }
+        
+        element.querySelectorAll('.settings-engine').forEach(picker => {
+            picker.addEventListener('change', () => {
+                this.setEngine(picker.dataset.kind, picker.value);
+                window.settingsPanel.open('voice');
+            });
+        });
+        
+        const server = element.querySelector('.settings-speech-server');
+        if (server) {
+            server.addEventListener('change', () => {
+                this.setSpeechServerUrl(server.value);
+                window.settingsPanel.open('voice');
+            });
+        }
+        
+        element.querySelector('.settings-voice-preview')?.addEventListener('click', () => this.previewVoice());
+        element.querySelector('.settings-voice-kitchen')?.addEventListener('click', () => {
+            this.setVoiceSettings(this.kitchenPreset);
+            window.settingsPanel.open('voice');
+            this.previewVoice();
+        });
     }
     
     // Clean up
     cleanup() {
-        this.stopListening();
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.suspendReasons.add('cleanup');
+        this.stopListening(true);
         this.stopSpeaking();
         this.utteranceQueue = [];
     }
@@ -317,5 +1086,7 @@ if (document.readyState === 'loading') {
 window.startListening = () => speechManager?.startListening();
 window.stopListening = () => speechManager?.stopListening();
 window.speakText = (text, callback) => speechManager?.speak(text, callback);
-window.queueSpeech = (text) => speechManager?.queueSpeech(text);
+window.queueSpeech = (text, options) => speechManager?.queueSpeech(text, options);
+window.interruptSpeech = () => speechManager?.interrupt();
 window.toggleSpeech = () => speechManager?.toggleSpeech();
+window.toggleHandsFree = () => speechManager?.toggleHandsFree();
@@ -0,0 +1,328 @@
+// Live Recipe AI - Ingredient Substitutions
+// Local table of common Indian kitchen swaps, ranked by what the user's pantry has
+
+const Substitutions = {
+    // Swaps per ingredient; the longest matching name wins ("lemon juice" before "lemon").
+    // Each part is sized from the missing amount: amount x factor, in the part's unit or else the original unit.
+    // text is how the steps name the replacement; note is how to prepare it.
+    table: [
+        {
+            names: ['curd', 'dahi', 'yogurt', 'yoghurt'],
+            options: [
+                {
+                    parts: [{ name: 'milk', factor: 1 }, { name: 'lemon juice', factor: 1 / 16 }],
+                    text: 'milk soured with lemon juice',
+                    note: 'Stir the lemon juice into warm milk and leave it for 10 minutes'
+                },
+                { parts: [{ name: 'buttermilk', factor: 1 }], text: 'buttermilk', note: 'Gives a thinner gravy' }
+            ]
+        },
+        {
+            names: ['buttermilk', 'chaas', 'chhaas'],
+            options: [
+                {
+                    parts: [{ name: 'curd', factor: 0.5 }, { name: 'water', factor: 0.5 }],
+                    text: 'curd whisked with water',
+                    note: 'Whisk the curd and water until smooth'
+                }
+            ]
+        },
+        {
+            names: ['ghee'],
+            options: [
+                { parts: [{ name: 'butter', factor: 1 }], text: 'butter', note: 'Keep the flame lower; butter burns faster' },
+                { parts: [{ name: 'oil', factor: 1 }], text: 'oil' }
+            ]
+        },
+        {
+            names: ['butter', 'makhan'],
+            options: [
+                { parts: [{ name: 'ghee', factor: 1 }], text: 'ghee' },
+                { parts: [{ name: 'oil', factor: 0.75 }], text: 'oil' }
+            ]
+        },
+        {
+            names: ['cream', 'fresh cream', 'malai'],
+            options: [
+                {
+                    parts: [{ name: 'milk', factor: 0.75 }, { name: 'butter', factor: 0.25 }],
+                    text: 'milk mixed with melted butter',
+                    note: 'Whisk the melted butter into the milk'
+                },
+                { parts: [{ name: 'curd', factor: 1 }], text: 'whisked curd', note: 'Add it off the heat so it does not split' }
+            ]
+        },
+        {
+            names: ['milk', 'doodh'],
+            options: [
+                {
+                    parts: [{ name: 'milk powder', factor: 1 / 8 }, { name: 'water', factor: 1 }],
+                    text: 'milk made from milk powder',
+                    note: 'Whisk the milk powder into the water'
+                }
+            ]
+        },
+        {
+            names: ['paneer', 'cottage cheese'],
+            options: [{ parts: [{ name: 'tofu', factor: 1 }], text: 'tofu', note: 'Press the water out of the tofu first' }]
+        },
+        {
+            names: ['lemon', 'lime', 'nimbu'],
+            options: [
+                { parts: [{ name: 'vinegar', factor: 1, unit: 'tbsp' }], text: 'vinegar' },
+                { parts: [{ name: 'amchur powder', factor: 1, unit: 'tsp' }], text: 'amchur powder' }
+            ]
+        },
+        {
+            names: ['lemon juice', 'lime juice', 'nimbu ka ras'],
+            options: [
+                { parts: [{ name: 'vinegar', factor: 1 }], text: 'vinegar' },
+                { parts: [{ name: 'amchur powder', factor: 1 / 3 }], text: 'amchur powder' }
+            ]
+        },
+        {
+            names: ['tomato', 'tomatoes', 'tamatar'],
+            options: [
+                { parts: [{ name: 'tomato puree', factor: 0.25, unit: 'cup' }], text: 'tomato puree' },
+                { parts: [{ name: 'curd', factor: 2, unit: 'tbsp' }], text: 'curd', note: 'Adds tang instead of tomato' }
+            ]
+        },
+        {
+            names: ['onion', 'onions', 'pyaaz', 'pyaz', 'kanda'],
+            options: [
+                { parts: [{ name: 'onion powder', factor: 1, unit: 'tsp' }], text: 'onion powder', note: 'Add it with the spices; it burns quickly' }
+            ]
+        },
+        {
+            names: ['ginger', 'adrak'],
+            options: [{ parts: [{ name: 'dry ginger powder', factor: 0.25, unit: 'tsp' }], text: 'dry ginger powder (saunth)' }]
+        },
+        {
+            names: ['garlic', 'lehsun', 'lahsun'],
+            options: [{ parts: [{ name: 'garlic powder', factor: 0.125, unit: 'tsp' }], text: 'garlic powder' }]
+        },
+        {
+            names: ['ginger garlic paste', 'adrak lehsun paste'],
+            options: [
+                {
+                    parts: [{ name: 'dry ginger powder', factor: 0.25 }, { name: 'garlic powder', factor: 0.25 }],
+                    text: 'ginger and garlic powder'
+                }
+            ]
+        },
+        {
+            names: ['green chilli', 'green chillies', 'green chili', 'hari mirch'],
+            options: [{ parts: [{ name: 'red chilli powder', factor: 0.25, unit: 'tsp' }], text: 'red chilli powder' }]
+        },
+        {
+            names: ['coriander leaves', 'dhaniya patta', 'hara dhaniya', 'cilantro'],
+            options: [{ parts: [{ name: 'mint leaves', factor: 1 }], text: 'mint leaves' }]
+        },
+        {
+            names: ['kasuri methi', 'dried fenugreek leaves'],
+            options: [{ parts: [{ name: 'dried mint', factor: 1 }], text: 'dried mint' }]
+        },
+        {
+            names: ['maida', 'all purpose flour', 'all-purpose flour', 'plain flour'],
+            options: [{ parts: [{ name: 'atta', factor: 1 }], text: 'atta', note: 'The result will be a little denser' }]
+        },
+        {
+            names: ['besan', 'gram flour', 'chickpea flour'],
+            options: [{ parts: [{ name: 'rice flour', factor: 1 }], text: 'rice flour' }]
+        },
+        {
+            names: ['sugar', 'cheeni', 'chini'],
+            options: [
+                { parts: [{ name: 'jaggery', factor: 1 }], text: 'grated jaggery' },
+                { parts: [{ name: 'honey', factor: 0.75 }], text: 'honey', note: 'Add it at the end; honey burns easily' }
+            ]
+        },
+        {
+            names: ['baking soda', 'soda', 'meetha soda'],
+            options: [{ parts: [{ name: 'baking powder', factor: 3 }], text: 'baking powder' }]
+        },
+        {
+            names: ['egg', 'eggs', 'anda'],
+            options: [
+                { parts: [{ name: 'curd', factor: 0.25, unit: 'cup' }], text: 'curd', note: 'Works in cakes and batters, not for frying' }
+            ]
+        },
+        {
+            names: ['mustard oil', 'sarson ka tel'],
+            options: [{ parts: [{ name: 'oil', factor: 1 }], text: 'oil' }]
+        },
+        {
+            names: ['coconut milk', 'nariyal doodh'],
+            options: [
+                {
+                    parts: [{ name: 'milk', factor: 1 }, { name: 'grated coconut', factor: 0.25 }],
+                    text: 'milk blended with coconut',
+                    note: 'Blend the grated coconut into the milk and strain'
+                }
+            ]
+        }
+    ],
+    
+    // Find the table entry for an ingredient name
+    findEntry(name) {
+        const lower = String(name || '').toLowerCase();
+        let best = null;
+        
+        for (const entry of this.table) {
+            for (const entryName of entry.names) {
+                if (this.mentions(lower, entryName) && (!best || entryName.length > best.name.length)) {
+                    best = { name: entryName, entry };
+                }
+            }
+        }
+        
+        return best;
+    },
+    
+    // Pattern for any of some names as whole words (a plural "s" is allowed)
+    namePattern(names, flags = 'iu') {
+        const alternatives = [...new Set(names.map(name => String(name).toLowerCase()))]
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        
+        return new RegExp(`(^|[^\\p{L}\\p{M}])(${alternatives.join('|')})(?:e?s)?(?=[^\\p{L}\\p{M}]|$)`, flags);
+    },
+    
+    // Whether text mentions a name as whole words
+    mentions(text, name) {
+        return this.namePattern([name]).test(String(text || ''));
+    },
+    
+    // Lowercase words, with '|' where a sentence breaks
+    toWords(text) {
+        return String(text || '').toLowerCase()
+            .replace(/[’‘]/g, "'")
+            .replace(/[.!?;।]+/g, ' | ')
+            .split(/[^\p{L}\p{M}\p{N}'|]+/u)
+            .filter(Boolean);
+    },
+    
+    // Whether text says a name is missing: a "before" phrase shortly ahead of it ("out of curd",
+    // "don't have any curd") or an "after" phrase shortly behind it ("dahi nahi hai", "the curd is missing")
+    saysMissing(text, name, phrases) {
+        const words = this.toWords(text);
+        // Positions of a phrase's words; the name may be plural ("onions")
+        const find = (sequence, plural = false) => {
+            const target = this.toWords(sequence);
+            const found = [];
+            for (let i = 0; target.length && i + target.length <= words.length; i++) {
+                const last = i + target.length - 1;
+                const matches = target.every((word, offset) => words[i + offset] === word ||
+                    (plural && i + offset === last && [`${word}s`, `${word}es`].includes(words[last])));
+                if (matches) found.push({ start: i, end: i + target.length });
+            }
+            return found;
+        };
+        // Up to two words may sit in between, but not a sentence break
+        const near = (from, to) => to >= from && to - from <= 2 && !words.slice(from, to).includes('|');
+        
+        return find(name, true).some(mention =>
+            (phrases.before || []).some(phrase => find(phrase).some(match => near(match.end, mention.start))) ||
+            (phrases.after || []).some(phrase => find(phrase).some(match => near(mention.end, match.start))));
+    },
+    
+    // Key an ingredient is remembered by in the pantry ("fresh curd" and "dahi" are both "curd")
+    pantryKey(name) {
+        const match = this.findEntry(name);
+        return match ? match.entry.names[0] : String(name || '').trim().toLowerCase();
+    },
+    
+    // Names the steps may use for an ingredient: its own name and its table aliases
+    getNames(name) {
+        const match = this.findEntry(name);
+        return [name, ...(match ? match.entry.names : [])];
+    },
+    
+    // Table options for a missing ingredient, skipping swaps that need something else the pantry lacks.
+    // Swaps using things already in the recipe or known to be in the pantry come first.
+    suggest(name, pantry = {}, recipeNames = []) {
+        const match = this.findEntry(name);
+        if (!match) return [];
+        
+        const missing = this.pantryKey(name);
+        const onHand = new Set([
+            ...recipeNames.map(recipeName => this.pantryKey(recipeName)).filter(key => key !== missing),
+            ...Object.keys(pantry).filter(key => pantry[key] === 'have')
+        ]);
+        
+        const rank = (option) => option.parts.every(part => onHand.has(this.pantryKey(part.name))) ? 0 : 1;
+        
+        return match.entry.options
+            .filter(option => option.parts.every(part => pantry[this.pantryKey(part.name)] !== 'missing'))
+            .map((option, index) => ({ ...option, source: 'table', order: index }))
+            .sort((a, b) => rank(a) - rank(b) || a.order - b.order);
+    },
+    
+    // Replacement ingredients for one option, sized from the ingredient's amount as originally written.
+    // Parts with a quantity (as the AI returns them) are used as given.
+    apply(ingredient, option) {
+        const quantity = ingredient.baseQuantity ?? ingredient.quantity;
+        const unit = ingredient.baseUnit ?? ingredient.unit;
+        
+        const ingredients = option.parts.map(part => {
+            if (part.quantity !== undefined) {
+                return RecipeSchema.normalizeIngredient({ name: part.name, quantity: part.quantity, unit: part.unit, notes: '' });
+            }
+            
+            const sized = this.size(quantity, part.unit || unit || '', part.factor ?? 1);
+            return { name: part.name, quantity: sized.quantity, unit: sized.unit, notes: '' };
+        });
+        
+        return {
+            ingredients,
+            text: option.text || option.parts.map(part => part.name).join(' and '),
+            note: option.note || ''
+        };
+    },
+    
+    // Quantity x factor; small amounts of a large volume unit move to spoons ("1/16 cup" -> "1 tbsp")
+    size(quantity, unit, factor) {
+        const amount = RecipeScaler.parse(quantity);
+        const volume = UnitConverter.volumes[unit];
+        if (!amount || !volume || volume <= UnitConverter.volumes.tbsp || amount.max * factor >= 0.25) {
+            return RecipeScaler.scaleQuantity(quantity, unit, factor);
+        }
+        
+        const spoon = UnitConverter.chooseUnit(amount.max * factor, unit, 'us', null);
+        const [minText, maxText] = [amount.min, amount.max].map(value =>
+            RecipeScaler.formatAmount(UnitConverter.convert(value * factor, unit, spoon), spoon));
+        
+        return { quantity: minText === maxText ? minText : `${minText}-${maxText}`, unit: spoon };
+    },
+    
+    // "1 cup milk + 1 tbsp lemon juice", optionally in a unit system ('metric', 'us', ...)
+    describe(ingredients, system = null) {
+        return ingredients
+            .map(ingredient => {
+                const amount = system ? UnitConverter.formatIngredient(ingredient, system) : RecipeSchema.formatQuantity(ingredient);
+                return `${amount} ${ingredient.name}`.trim();
+            })
+            .join(' + ');
+    },
+    
+    // Reword text that mentions the missing ingredient (any of its names) to use the replacement.
+    // Longer names from the table (and its replacements) are matched first and left alone,
+    // so missing garlic keeps "ginger garlic paste" and missing milk keeps "milk powder".
+    rewriteText(text, names, replacement) {
+        if (!text) return text;
+        
+        const own = new Set(names.map(name => String(name).toLowerCase()));
+        const all = [...own, ...this.table.flatMap(entry =>
+            [...entry.names, ...entry.options.flatMap(option => option.parts.map(part => part.name))])];
+        return text.replace(this.namePattern(all, 'giu'), (match, before, name) =>
+            own.has(name.toLowerCase()) ? `${before}${replacement}` : match);
+    }
+};
+
+// Export for browser and for tests
+if (typeof window !== 'undefined') {
+    window.Substitutions = Substitutions;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Substitutions;
+}
@@ -0,0 +1,57 @@
+// Live Recipe AI - Substitution checks
+// Run with: node substitutions.test.js (no browser or test framework needed)
+
+const assert = require('assert');
+const Substitutions = require('./substitutions.js');
+
+let checks = 0;
+let failed = 0;
+
+const check = (label, actual, expected) => {
+    checks++;
+    try {
+        assert.strictEqual(actual, expected);
+    } catch (error) {
+        failed++;
+        console.error(`FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+};
+
+// Step text rewritten for a missing ingredient: [text, missing ingredient, replacement, expected]
+const rewrites = [
+    ['Add the milk and stir', 'milk', 'milk made from milk powder', 'Add the milk made from milk powder and stir'],
+    ['Add the coconut milk', 'milk', 'milk made from milk powder', 'Add the coconut milk'],
+    ['Squeeze lemon juice over it', 'lemon', 'vinegar', 'Squeeze lemon juice over it'],
+    ['Squeeze the lemon over it', 'lemon', 'vinegar', 'Squeeze the vinegar over it'],
+    ['Fry the ginger garlic paste', 'garlic', 'garlic powder', 'Fry the ginger garlic paste'],
+    ['Add chopped garlic and ginger garlic paste', 'garlic', 'garlic powder', 'Add chopped garlic powder and ginger garlic paste'],
+    ['Whisk the dahi with besan', 'curd', 'buttermilk', 'Whisk the buttermilk with besan']
+];
+
+rewrites.forEach(([text, missing, replacement, expected]) => {
+    check(`rewrite "${text}" without ${missing}`,
+        Substitutions.rewriteText(text, Substitutions.getNames(missing), replacement), expected);
+});
+
+// "I don't have it" has to be said about the ingredient: [message, ingredient, expected]
+const phrases = {
+    before: ["don't have", 'out of', 'no more', 'missing'],
+    after: ['is missing', 'missing', 'ran out', 'nahi hai', 'khatam', 'नहीं है']
+};
+const mentions = [
+    ['I am out of rice', 'rice', true],
+    ["I don't have any curd", 'curd', true],
+    ['dahi nahi hai', 'dahi', true],
+    ['onions khatam ho gaye', 'onion', true],
+    ['दही नहीं है', 'दही', true],
+    ['take the rice out of the cooker', 'rice', false],
+    ["I don't have time to chop onions", 'onion', false],
+    ['Add the rice. Nahi hai paani?', 'rice', false]
+];
+
+mentions.forEach(([message, name, expected]) => {
+    check(`"${message}" says ${name} is missing`, Substitutions.saysMissing(message, name, phrases), expected);
+});
+
+console.log(`${checks - failed}/${checks} substitution checks passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,514 @@
+// Live Recipe AI - Timer Module
+// Kitchen timers detected from recipe steps, with voice alerts
+
+class TimerManager {
+    constructor() {
+        this.tickInterval = null;
+        this.pendingOffer = null;
+        this.whistleMinutes = 3; // Rough time per pressure cooker whistle on high flame
+        this.panelElement = null;
+        this.panelLayout = null; // What the panel's rows were built for; ticks then only update the countdowns
+        
+        // Number words heard in English and Hinglish speech
+        this.numberWords = {
+            'aadha': 0.5, 'half': 0.5, 'dedh': 1.5, 'dhai': 2.5, 'dhaai': 2.5,
+            'ek': 1, 'one': 1, 'a': 1, 'an': 1,
+            'do': 2, 'two': 2,
+            'teen': 3, 'three': 3,
+            'char': 4, 'chaar': 4, 'four': 4,
+            'paanch': 5, 'panch': 5, 'five': 5,
+            'chhe': 6, 'che': 6, 'six': 6,
+            'saat': 7, 'seven': 7,
+            'aath': 8, 'eight': 8,
+            'nau': 9, 'nine': 9,
+            'das': 10, 'ten': 10,
+            'pandrah': 15, 'pandra': 15, 'fifteen': 15,
+            'bees': 20, 'twenty': 20,
+            'pachees': 25, 'pachis': 25,
+            'tees': 30, 'thirty': 30,
+            'chalis': 40, 'chaalis': 40, 'forty': 40,
+            'pachaas': 50, 'pachas': 50, 'fifty': 50
+        };
+        
+        // Time units and their length in seconds (whistles use whistleMinutes)
+        this.unitPatterns = [
+            { pattern: 'hours?|hrs?|ghante|ghanta', seconds: 3600 },
+            { pattern: 'minutes?|mins?|minat|minit', seconds: 60 },
+            { pattern: 'seconds?|secs?|second', seconds: 1 },
+            { pattern: 'whistles?|seeti|siti|seetiyan|sitiyan|seetiyaan', seconds: null }
+        ];
+        
+        this.init();
+    }
+    
+    // Initialize timer module
+    init() {
+        if (!Array.isArray(AppState.timers)) {
+            AppState.timers = [];
+        }
+        
+        this.tickInterval = setInterval(() => this.tick(), 1000);
+        this.render();
+    }
+    
+    // Find durations like "15 minutes", "2 whistles" or "das minute" in text
+    detectDurations(text) {
+        const lower = String(text || '').toLowerCase();
+        const numberPattern = `\\d+(?:\\.\\d+)?|${Object.keys(this.numberWords).join('|')}`;
+        const unitPattern = this.unitPatterns.map(unit => unit.pattern).join('|');
+        const regex = new RegExp(
+            `\\b(${numberPattern})(?:\\s*(?:-|to|se)\\s*(${numberPattern}))?\\s*(${unitPattern})\\b`,
+            'g'
+        );
+        
+        const durations = [];
+        let match;
+        
+        while ((match = regex.exec(lower)) !== null) {
+            // Ranges ("5-7 minutes") use the upper bound so food is not undercooked
+            const amount = this.parseNumber(match[2] || match[1]);
+            if (!amount) continue;
+            
+            const unit = this.unitPatterns.find(entry => new RegExp(`^(${entry.pattern})$`).test(match[3]));
+            
+            // "a second time" / "a second batch" means another, not one second
+            if (unit.seconds === 1 && /^an?$/.test(match[1])) continue;
+            const isWhistle = unit.seconds === null;
+            const seconds = isWhistle ? amount * this.whistleMinutes * 60 : amount * unit.seconds;
+            
+            durations.push({
+                seconds: Math.round(seconds),
+                label: match[0].trim(),
+                approximate: isWhistle
+            });
+        }
+        
+        return durations;
+    }
+    
+    // Parse a digit string or number word
+    parseNumber(value) {
+        if (value in this.numberWords) {
+            return this.numberWords[value];
+        }
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+    
+    // Timer duration for a recipe step ({ seconds, approximate } or null)
+    getStepDuration(step) {
+        if (!step) return null;
+        
+        if (typeof step.durationMinutes === 'number' && step.durationMinutes > 0) {
+            return { seconds: Math.round(step.durationMinutes * 60), approximate: false };
+        }
+        
+        const durations = this.detectDurations(step.description);
+        return durations.length ? durations[0] : null;
+    }
+    
+    // Offer a timer for the given step; returns the offer message or null
+    offerStepTimer(step) {
+        this.pendingOffer = null;
+        
+        const duration = this.getStepDuration(step);
+        if (!duration) {
+            this.render();
+            return null;
+        }
+        
+        // Don't offer again if this step already has a running timer
+        if (AppState.timers.some(timer => timer.stepNumber === step.number && !timer.done)) {
+            return null;
+        }
+        
+        this.pendingOffer = {
+            name: I18n.t('timer.step_name', { step: step.number }),
+            seconds: duration.seconds,
+            stepNumber: step.number
+        };
+        this.render();
+        
+        return I18n.t(duration.approximate ? 'timer.offer_approx' : 'timer.offer', { duration: this.formatDuration(duration.seconds) });
+    }
+    
+    // Start a named timer
+    startTimer(name, seconds, stepNumber = null) {
+        const timer = {
+            id: `timer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: name,
+            durationMs: seconds * 1000,
+            endsAt: Date.now() + seconds * 1000,
+            remainingMs: null,
+            paused: false,
+            done: false,
+            stepNumber: stepNumber
+        };
+        
+        AppState.timers.push(timer);
+        this.pendingOffer = null;
+        
+        // Timers started while cooking is paused start paused
+        if (AppState.isPaused) {
+            this.pauseTimer(timer);
+        }
+        
+        AppState.updateUI();
+        this.render();
+        return timer;
+    }
+    
+    // Start the timer offered for the current step
+    startPendingTimer() {
+        if (!this.pendingOffer) return null;
+        
+        const offer = this.pendingOffer;
+        return this.startTimer(offer.name, offer.seconds, offer.stepNumber);
+    }
+    
+    // Cancel a timer by id
+    cancelTimer(id) {
+        AppState.timers = AppState.timers.filter(timer => timer.id !== id);
+        AppState.updateUI();
+        this.render();
+    }
+    
+    // Cancel all timers
+    cancelAllTimers() {
+        AppState.timers = [];
+        this.pendingOffer = null;
+        AppState.updateUI();
+        this.render();
+    }
+    
+    // Pause one timer, keeping its remaining time
+    pauseTimer(timer) {
+        if (timer.paused || timer.done) return;
+        timer.remainingMs = Math.max(0, timer.endsAt - Date.now());
+        timer.paused = true;
+    }
+    
+    // Resume one paused timer
+    resumeTimer(timer) {
+        if (!timer.paused || timer.done) return;
+        timer.endsAt = Date.now() + timer.remainingMs;
+        timer.remainingMs = null;
+        timer.paused = false;
+    }
+    
+    // Pause all timers (used by togglePause)
+    pauseAll() {
+        AppState.timers.forEach(timer => this.pauseTimer(timer));
+        AppState.updateUI();
+        this.render();
+    }
+    
+    // Resume all timers (used by togglePause)
+    resumeAll() {
+        AppState.timers.forEach(timer => this.resumeTimer(timer));
+        AppState.updateUI();
+        this.render();
+    }
+    
+    // Milliseconds left on a timer
+    getRemaining(timer) {
+        if (timer.done) return 0;
+        if (timer.paused) return timer.remainingMs;
+        return Math.max(0, timer.endsAt - Date.now());
+    }
+    
+    // Check for expired timers and refresh the panel
+    tick() {
+        let expired = false;
+        
+        AppState.timers.forEach(timer => {
+            if (!timer.done && !timer.paused && timer.endsAt <= Date.now()) {
+                timer.done = true;
+                expired = true;
+                this.onTimerExpired(timer);
+            }
+        });
+        
+        if (expired) {
+            AppState.updateUI();
+        }
+        
+        this.render();
+    }
+    
+    // Announce an expired timer
+    onTimerExpired(timer) {
+        const message = I18n.t('timer.expired', { name: timer.name, duration: this.formatDuration(timer.durationMs / 1000) });
+        
+        AppState.addToConversation('ai', message);
+        
+        if (window.speechManager) {
+            window.speechManager.speak(message);
+        }
+    }
+    
+    // Remove finished timers
+    clearFinished() {
+        AppState.timers = AppState.timers.filter(timer => !timer.done);
+        AppState.updateUI();
+        this.render();
+    }
+    
+    // Spoken duration in the current language, e.g. "15 minutes", "1 minute 30 seconds"
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        
+        const parts = [];
+        if (hours) parts.push(I18n.t(hours === 1 ? 'duration.hour' : 'duration.hours', { count: hours }));
+        if (minutes) parts.push(I18n.t(minutes === 1 ? 'duration.minute' : 'duration.minutes', { count: minutes }));
+        if (secs) parts.push(I18n.t(secs === 1 ? 'duration.second' : 'duration.seconds', { count: secs }));
+        return parts.join(' ') || I18n.t('duration.seconds', { count: 0 });
+    }
+    
+    // Clock display, e.g. "14:05"
+    formatClock(ms) {
+        const total = Math.ceil(ms / 1000);
+        const minutes = Math.floor(total / 60);
+        const secs = total % 60;
+        return `${minutes}:${String(secs).padStart(2, '0')}`;
+    }
+    
+    // Handle timer voice commands; returns true if handled
+    // (the intent parser, when given, is used to hear "timer mat lagao" / "don't set a timer")
+    handleVoiceCommand(message, intentParser = null) {
+        const lower = message.toLowerCase();
+        if (!/\b(timer|alarm)\b/.test(lower)) {
+            return false;
+        }
+        
+        const active = AppState.timers.filter(timer => !timer.done);
+        const isCancel = /\b(band|cancel|stop|hatao|hata do|rok|delete|clear)\b/.test(lower);
+        
+        // Negated: "timer mat lagao 10 minute", "timer band mat karo"
+        if (intentParser && this.isNegatedCommand(lower, intentParser)) {
+            if (!isCancel) {
+                this.pendingOffer = null;
+                this.render();
+            }
+            this.respond(I18n.t(isCancel && active.length ? 'timer.kept' : 'timer.not_started'));
+            return true;
+        }
+        
+        // Cancel: "timer band karo", "cancel timer", "stop the rice timer"
+        if (isCancel) {
+            const named = active.find(timer => lower.includes(timer.name.toLowerCase()));
+            
+            if (named) {
+                this.cancelTimer(named.id);
+                this.respond(I18n.t('timer.cancelled_named', { name: named.name }));
+            } else if (active.length <= 1 || /\b(sab|sabhi|all)\b/.test(lower)) {
+                this.cancelAllTimers();
+                this.respond(I18n.t(active.length ? 'timer.cancelled' : 'timer.none_running'));
+            } else {
+                this.respond(I18n.t('timer.which_to_cancel', { list: active.map(timer => timer.name).join(', ') }));
+            }
+            return true;
+        }
+        
+        // Status: "kitna time bacha", "how much time left"
+        if (/\b(kitna|kitne|bacha|baki|baaki|left|remaining|status)\b/.test(lower) && !this.detectDurations(lower).length) {
+            if (!active.length) {
+                this.respond(I18n.t('timer.none_running'));
+            } else {
+                this.respond(active
+                    .map(timer => I18n.t('timer.remaining', { name: timer.name, duration: this.formatDuration(this.getRemaining(timer) / 1000) }))
+                    .join('. '));
+            }
+            return true;
+        }
+        
+        // Start: "timer lagao 10 minute", "set a timer for 5 minutes for rice"
+        const durations = this.detectDurations(lower);
+        if (durations.length) {
+            const seconds = durations[0].seconds;
+            const duration = this.formatDuration(seconds);
+            const timer = this.startTimer(this.extractTimerName(lower) || I18n.t('timer.default_name', { duration }), seconds);
+            this.respond(I18n.t(timer.paused ? 'timer.started_paused' : 'timer.started', { duration }));
+            return true;
+        }
+        
+        if (this.pendingOffer) {
+            const timer = this.startPendingTimer();
+            this.respond(I18n.t('timer.started_for', { name: timer.name, duration: this.formatDuration(timer.durationMs / 1000) }));
+            return true;
+        }
+        
+        this.respond(I18n.t('timer.ask_duration'));
+        return true;
+    }
+    
+    // Whether "timer" / "alarm" in a command is negated, by the intent parser's rules
+    isNegatedCommand(text, intentParser) {
+        const tokens = intentParser.tokenize(text);
+        return tokens.some((token, index) =>
+            (token === 'timer' || token === 'alarm') && !!intentParser.isNegated(tokens, index, index + 1));
+    }
+    
+    // Pull a timer name from "... for rice" or "... dal ke liye"
+    extractTimerName(text) {
+        const stopWords = /^(a|the|timer|alarm|set|lagao|minute|minutes|mins?|seconds?|hours?)$/;
+        const match = text.match(/\b(?:for|named)\s+(?:the\s+)?([a-z]+(?:\s+[a-z]+)?)\s*$/) ||
+            text.match(/\b([a-z]+)\s+ke\s+liye\b/);
+        
+        if (!match) return null;
+        
+        const name = match[1].trim();
+        if (stopWords.test(name) || this.detectDurations(name).length) {
+            return null;
+        }
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    
+    // Reply in chat and speech
+    respond(message) {
+        AppState.addToConversation('ai', message);
+        if (window.speechManager) {
+            window.speechManager.queueSpeech(message);
+        }
+    }
+    
+    // Find or create the timers panel
+    ensurePanel() {
+        if (this.panelElement && document.body.contains(this.panelElement)) {
+            return this.panelElement;
+        }
+        
+        this.panelLayout = null;
+        this.panelElement = document.getElementById('timers-panel');
+        if (this.panelElement) {
+            return this.panelElement;
+        }
+        
+        const host = document.querySelector('.step-container');
+        if (!host) return null;
+        
+        this.panelElement = document.createElement('div');
+        this.panelElement.id = 'timers-panel';
+        this.panelElement.className = 'timers-panel';
+        host.appendChild(this.panelElement);
+        
+        // Delegate button clicks
+        this.panelElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-timer-action]');
+            if (!button) return;
+            
+            const action = button.dataset.timerAction;
+            if (action === 'start-offer') {
+                this.startPendingTimer();
+            } else if (action === 'cancel') {
+                this.cancelTimer(button.dataset.timerId);
+            } else if (action === 'clear') {
+                this.clearFinished();
+            }
+        });
+        
+        return this.panelElement;
+    }
+    
+    // Render running timers and the pending offer
+    render() {
+        const panel = this.ensurePanel();
+        if (!panel) return;
+        
+        const timers = AppState.timers || [];
+        if (!timers.length && !this.pendingOffer) {
+            panel.innerHTML = '';
+            panel.classList.add('hidden');
+            this.panelLayout = null;
+            return;
+        }
+        
+        panel.classList.remove('hidden');
+        
+        // Rebuilding the buttons every second would swallow clicks, so only rebuild when the rows (or the language) change
+        const layout = JSON.stringify([
+            I18n.getLanguage(),
+            this.pendingOffer ? this.pendingOffer.seconds : null,
+            timers.map(timer => [timer.id, timer.name, timer.done, timer.paused])
+        ]);
+        if (layout === this.panelLayout) {
+            this.updateCountdowns(panel, timers);
+            return;
+        }
+        this.panelLayout = layout;
+        
+        let html = '';
+        
+        if (this.pendingOffer) {
+            html += `
+                <button class="btn-secondary timer-offer" data-timer-action="start-offer">
+                    <i class="fas fa-stopwatch"></i> ${I18n.t('timer.start_offer', { clock: this.formatClock(this.pendingOffer.seconds * 1000) })}
+                </button>
+            `;
+        }
+        
+        timers.forEach(timer => {
+            const state = timer.done ? 'done' : (timer.paused ? 'paused' : 'running');
+            html += `
+                <div class="timer-item timer-${state}">
+                    <i class="fas ${timer.done ? 'fa-bell' : 'fa-stopwatch'}"></i>
+                    <span class="timer-name">${this.escapeHtml(timer.name)}</span>
+                    <span class="timer-remaining" data-timer-id="${timer.id}">${timer.done ? I18n.t('timer.done') : this.formatClock(this.getRemaining(timer))}</span>
+                    <button class="btn-icon timer-cancel" data-timer-action="cancel" data-timer-id="${timer.id}" title="${I18n.t('title.timer_cancel')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `;
+        });
+        
+        if (timers.some(timer => timer.done)) {
+            html += `<button class="btn-secondary timer-clear" data-timer-action="clear">${I18n.t('timer.clear_finished')}</button>`;
+        }
+        
+        panel.innerHTML = html;
+    }
+    
+    // Refresh the countdown text of running timers in place
+    updateCountdowns(panel, timers) {
+        timers.filter(timer => !timer.done).forEach(timer => {
+            const remaining = panel.querySelector(`.timer-remaining[data-timer-id="${timer.id}"]`);
+            if (remaining) {
+                remaining.textContent = this.formatClock(this.getRemaining(timer));
+            }
+        });
+    }
+    
+    // Escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    // Clean up
+    cleanup() {
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+    }
+}
+
+// Create global instance
+let timerManager = null;
+
+// Initialize on load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        timerManager = new TimerManager();
+        window.timerManager = timerManager;
+    });
+} else {
+    timerManager = new TimerManager();
+    window.timerManager = timerManager;
+}
+
+// Export functions for global use
+window.startTimer = (name, seconds) => timerManager?.startTimer(name, seconds);
+window.cancelAllTimers = () => timerManager?.cancelAllTimers();
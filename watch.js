@@ -0,0 +1,284 @@
+// Live Recipe AI - Watch Mode
+// Samples the camera while a step is active and alerts on burning, boil-overs or smoke
+
+class VisionWatcher {
+    constructor() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+        
+        this.interval = config.WATCH_INTERVAL || 15000; // Time between samples (ms)
+        this.maxPerMinute = config.WATCH_MAX_PER_MINUTE || 3; // AI calls allowed per minute
+        this.alertCooldown = 30000; // Don't repeat the same alert within this time (ms)
+        
+        this.timer = null;
+        this.busy = false;
+        this.pauseReasons = new Set();
+        this.sentTimes = [];
+        this.lastAlert = { type: null, time: 0 };
+        this.checkpointReported = null; // "sessionId:step" whose checkpoint was already announced
+        this.buttonElement = null;
+        
+        // Words in the model's reply that mean trouble, if it ignores the ALERT format
+        this.alertPatterns = {
+            burning: /\b(burn\w*|jal (raha|rahi|gaya|gayi)|jalne|charred|kala pad)/i,
+            boil_over: /\b(boil(ing)? over|boil-over|overflow\w*|ubal (raha|rahi|gaya|gayi)|ubalne|spill\w*)/i,
+            smoke: /\b(smok\w*|dhuan|dhua|dhuaan)\b/i
+        };
+        
+        // Spoken warning per alert type (translated in i18n.js)
+        this.alertMessages = {
+            burning: 'watch.burning',
+            boil_over: 'watch.boil_over',
+            smoke: 'watch.smoke'
+        };
+        
+        this.init();
+    }
+    
+    // Initialize watch mode
+    init() {
+        this.ensureButton();
+        this.updateUI();
+        
+        // Restore the saved preference; sampling starts once cooking does
+        if (AppState.preferences.watchMode) {
+            this.start();
+        }
+    }
+    
+    // Turn watch mode on or off and remember the choice
+    setEnabled(enabled) {
+        AppState.preferences.watchMode = !!enabled;
+        AppState.savePreferences();
+        
+        if (enabled) {
+            this.start();
+        } else {
+            this.stop();
+        }
+        
+        this.updateUI();
+        return AppState.preferences.watchMode;
+    }
+    
+    // Toggle watch mode
+    toggle() {
+        return this.setEnabled(!AppState.preferences.watchMode);
+    }
+    
+    // Start the sampling loop
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.interval);
+        console.log(`Watch mode on: sampling every ${this.interval / 1000}s`);
+    }
+    
+    // Stop the sampling loop
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        AppState.camera.watching = false;
+    }
+    
+    // Hold sampling for a reason ('paused', 'hidden'); sampling resumes when all reasons clear
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.updateUI();
+    }
+    
+    // Clear a pause reason
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateUI();
+    }
+    
+    // Whether a sample should be taken now
+    shouldSample() {
+        return AppState.preferences.watchMode &&
+            AppState.isCooking &&
+            !AppState.isPaused &&
+            this.pauseReasons.size === 0 &&
+            !!window.cameraManager?.isActive &&
+            !!window.aiManager?.isAvailable();
+    }
+    
+    // One sampling round
+    async tick() {
+        AppState.camera.watching = this.shouldSample();
+        if (!AppState.camera.watching || this.busy) return;
+        
+        if (!this.hasBudget()) {
+            console.log('Watch mode: per-minute budget used, skipping frame');
+            return;
+        }
+        
+        // Camera's local checks drop frames that are unchanged, dark or blurry
+        const capture = window.cameraManager.capture(0.6, 640, { background: true, skipUnchanged: true });
+        if (!capture) return;
+        
+        this.sentTimes.push(Date.now());
+        this.busy = true;
+        
+        // A background request: no persona or history in, and routine "OK" replies leave no trace in the chat or context
+        try {
+            const analysis = await window.aiManager.generateResponse(this.buildPrompt(), capture.imageData, {
+                background: true,
+                maxOutputTokens: 128
+            });
+            this.handleAnalysis(analysis, capture.entryId);
+        } catch (error) {
+            console.warn('Watch mode analysis failed:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
+    
+    // Whether another AI call fits in the last minute's budget
+    hasBudget() {
+        const minuteAgo = Date.now() - 60000;
+        this.sentTimes = this.sentTimes.filter(time => time > minuteAgo);
+        return this.sentTimes.length < this.maxPerMinute;
+    }
+    
+    // Prompt for a quick safety look at the pan, plus the step's checkpoint when it has one
+    buildPrompt() {
+        const step = AppState.getCurrentStepText();
+        const checkpoint = AppState.getCurrentCheckpoint();
+        const checkpointLine = checkpoint ?
+            `\nIf there is no danger and the food clearly looks like "${checkpoint}", reply exactly "CHECKPOINT: met".` : '';
+        
+        return `You are watching the user's pan while they cook. Current step: "${step}".
+Check ONLY for danger: burning, boiling over, or smoke.
+If you see one, reply "ALERT: burning", "ALERT: boil_over" or "ALERT: smoke" followed by one short instruction in ${I18n.getPromptLanguage()}.${checkpointLine}
+Otherwise reply exactly "OK".`;
+    }
+    
+    // Turn the model's reply into an alert (or nothing); entryId is the journal photo it describes
+    handleAnalysis(analysis, entryId = null) {
+        const text = String(analysis || '').trim();
+        if (/^CHECKPOINT:\s*met\b/i.test(text)) {
+            this.reportCheckpoint(entryId);
+            return;
+        }
+        if (!text || /^ok\b/i.test(text)) return;
+        
+        const flagged = text.match(/ALERT:\s*(burning|boil_over|smoke)\s*[-:.,]?\s*(.*)/i);
+        let type = flagged ? flagged[1].toLowerCase() : null;
+        const advice = flagged ? flagged[2].trim() : '';
+        
+        // Fall back to keywords when the model answers in free text, ignoring "no burning" / "dhuan nahi"
+        if (!type) {
+            const sentences = text.split(/[.!?।\n]+/).filter(sentence => !/\b(no|not|nahi|nahin|koi nahi)\b/i.test(sentence));
+            type = Object.keys(this.alertPatterns)
+                .find(key => sentences.some(sentence => this.alertPatterns[key].test(sentence))) || null;
+        }
+        if (!type) return;
+        
+        this.raiseAlert(type, advice, text, entryId);
+    }
+    
+    // Speak and show an alert, unless the same one was just raised
+    raiseAlert(type, advice = '', analysis = '', entryId = null) {
+        const now = Date.now();
+        if (this.lastAlert.type === type && now - this.lastAlert.time < this.alertCooldown) {
+            return;
+        }
+        this.lastAlert = { type, time: now };
+        
+        // The alert itself is the chat line; the model's words go to the AI's context and the photo
+        if (analysis) {
+            AppState.addVisionContext(analysis, { entryId, showInChat: false });
+        }
+        
+        const warning = I18n.t(this.alertMessages[type]);
+        const message = advice ? `${warning} ${advice}` : warning;
+        console.warn(`Watch mode alert: ${type}`);
+        
+        AppState.addToConversation('ai', `⚠️ ${message}`);
+        
+        // Alerts interrupt whatever is being said
+        if (window.speechManager) {
+            window.speechManager.speak(message);
+        }
+    }
+    
+    // Tell the user (once per step) that the step looks done
+    reportCheckpoint(entryId = null) {
+        const step = AppState.recipe.steps[AppState.currentStep];
+        if (!step || !window.liveRecipeAI) return;
+        
+        const key = `${AppState.sessionId}:${step.number}`;
+        if (this.checkpointReported === key) return;
+        this.checkpointReported = key;
+        
+        AppState.addVisionContext(`Checkpoint "${step.checkpoint}": met`, { entryId, showInChat: false });
+        
+        const message = window.liveRecipeAI.handleCheckpointResult({
+            status: 'met',
+            reason: I18n.t('watch.checkpoint_seen', { checkpoint: step.checkpoint }),
+            advice: ''
+        });
+        if (!message) return;
+        
+        AppState.addToConversation('ai', message);
+        window.liveRecipeAI.speakAIResponse(message);
+    }
+    
+    // Forget the announced checkpoint when a recipe starts or a session is resumed
+    resetCheckpoint() {
+        this.checkpointReported = null;
+    }
+    
+    // Add the watch toggle next to the capture button
+    ensureButton() {
+        if (this.buttonElement) return this.buttonElement;
+        
+        const captureBtn = document.getElementById('capture-frame');
+        if (!captureBtn || !captureBtn.parentNode) return null;
+        
+        this.buttonElement = document.createElement('button');
+        this.buttonElement.id = 'toggle-watch';
+        this.buttonElement.className = captureBtn.className;
+        this.buttonElement.addEventListener('click', () => this.toggle());
+        captureBtn.parentNode.insertBefore(this.buttonElement, captureBtn.nextSibling);
+        
+        return this.buttonElement;
+    }
+    
+    // Update the watch button
+    updateUI() {
+        const button = this.ensureButton();
+        if (!button) return;
+        
+        const enabled = AppState.preferences.watchMode;
+        const held = this.pauseReasons.size > 0;
+        
+        button.innerHTML = enabled ? '<i class="fas fa-eye"></i>' : '<i class="fas fa-eye-slash"></i>';
+        button.title = I18n.t(enabled ? (held ? 'title.watch_paused' : 'title.watch_on') : 'title.watch_off');
+        button.classList.toggle('watch-active', enabled && !held);
+    }
+    
+    // Clean up resources
+    cleanup() {
+        this.stop();
+        this.pauseReasons.clear();
+        this.sentTimes = [];
+        this.checkpointReported = null;
+    }
+}
+
+// Create global instance
+let visionWatcher = null;
+
+// Initialize on load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        visionWatcher = new VisionWatcher();
+        window.visionWatcher = visionWatcher;
+    });
+} else {
+    visionWatcher = new VisionWatcher();
+    window.visionWatcher = visionWatcher;
+}
+
+// Export functions for global use
+window.toggleWatchMode = () => visionWatcher?.toggle();